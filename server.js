@@ -4,8 +4,14 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
+const { parseTrustProxy } = require('./src/utils/ipMatcher');
+const { errorHandler } = require('./src/middleware/auth');
+
 const app = express();
 
+// Only honour X-Forwarded-For from proxies named in TRUST_PROXY
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -15,7 +21,19 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 const mpesaRoutes = require('./src/routes/mpesaRoutes');
+const checkoutRoutes = require('./src/routes/checkoutRoutes');
+const webhookService = require('./src/services/webhookService');
+const stkReconciler = require('./src/services/stkReconciler');
+const billingScheduler = require('./src/services/billingScheduler');
+const callbackInboxWorker = require('./src/services/callbackInboxWorker');
 app.use('/api/mpesa', mpesaRoutes);
+app.use('/pay', checkoutRoutes);
+
+// Local Daraja simulator (never in production)
+if (process.env.MPESA_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production') {
+  const { createDarajaSimulator } = require('./src/simulator/darajaSimulator');
+  app.use('/daraja-simulator', createDarajaSimulator());
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -28,14 +46,7 @@ app.get('/health', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'production' ? {} : err.message
-  });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -51,4 +62,28 @@ app.listen(PORT, () => {
   console.log(`🚀 M-Pesa API Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📱 Health check: http://localhost:${PORT}/health`);
+
+  if (process.env.NODE_ENV === 'production' && !process.env.PAYMENT_LINK_BASE_URL) {
+    console.warn('⚠️  PAYMENT_LINK_BASE_URL is not set, payment links will point at localhost');
+  }
+
+  // Retry webhook deliveries interrupted by the last shutdown
+  webhookService.resumePendingDeliveries().catch(error => {
+    console.error('❌ Failed to resume webhook deliveries:', error.message);
+  });
+
+  // Resolve STK Pushes whose callback never arrived
+  if (process.env.RECONCILER_ENABLED !== 'false') {
+    stkReconciler.start();
+  }
+
+  // Charge subscriptions as they fall due
+  if (process.env.BILLING_SCHEDULER_ENABLED !== 'false') {
+    billingScheduler.start();
+  }
+
+  // Apply stored callbacks left unprocessed or due for a retry
+  if (process.env.CALLBACK_WORKER_ENABLED !== 'false') {
+    callbackInboxWorker.start();
+  }
 });
\ No newline at end of file
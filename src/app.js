@@ -9,10 +9,16 @@ dotenv.config();
 
 // Import routes
 const mpesaRoutes = require('./routes/mpesaRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const { parseTrustProxy } = require('./utils/ipMatcher');
+const { errorHandler } = require('./middleware/auth');
 
 // Create Express app
 const app = express();
 
+// Only honour X-Forwarded-For from proxies named in TRUST_PROXY
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 
@@ -25,7 +31,9 @@ app.use(cors({
 }));
 
 // Logging middleware
-app.use(morgan('combined'));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -44,6 +52,15 @@ app.get('/', (req, res) => {
 // API routes
 app.use('/api/mpesa', mpesaRoutes);
 
+// Hosted checkout pages for payment links
+app.use('/pay', checkoutRoutes);
+
+// Local Daraja simulator (never in production)
+if (process.env.MPESA_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production') {
+  const { createDarajaSimulator } = require('./simulator/darajaSimulator');
+  app.use('/daraja-simulator', createDarajaSimulator());
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -54,14 +71,6 @@ app.use('*', (req, res) => {
 });
 
 // Global error handler
-app.use((err, req, res, next) => {
-  console.error('Global error:', err);
-  
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+app.use(errorHandler);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const reconciliationService = require('../services/reconciliationService');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+const USAGE = `Usage: npm run reconcile -- <statement.csv> [options]
+
+Imports an M-Pesa org portal statement export and prints the
+reconciliation report against the payments recorded by the API.
+
+Options:
+  --tenant <id>     Tenant the statement belongs to (default: ${DEFAULT_TENANT_ID})
+  --format <type>   json or csv (default: json)
+  --from <date>     Start of the period, YYYY-MM-DD or "YYYY-MM-DD HH:mm:ss"
+  --to <date>       End of the period
+  --output <file>   Write the report to a file instead of stdout
+  --strict          Exit with code 2 unless everything reconciles`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { tenant: DEFAULT_TENANT_ID, format: 'json', strict: false, file: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (['--tenant', '--format', '--from', '--to', '--output'].includes(arg)) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!['json', 'csv'].includes(options.format)) {
+    throw new Error('--format must be json or csv');
+  }
+
+  return options;
+}
+
+/**
+ * Run the command
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} io - Streams to write to, for tests
+ * @returns {number} Exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  if (options.help || !options.file) {
+    (options.help ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 1;
+  }
+
+  try {
+    const content = fs.readFileSync(options.file, 'utf8');
+    const { statement, duplicate } = await reconciliationService.importStatement(options.tenant, content, {
+      fileName: path.basename(options.file),
+      from: options.from,
+      to: options.to
+    });
+
+    const report = await reconciliationService.buildReport(statement.id, options.tenant);
+    const output = options.format === 'csv'
+      ? reconciliationService.reportToCsv(report)
+      : `${JSON.stringify(report, null, 2)}\n`;
+
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+    } else {
+      stdout.write(output);
+    }
+
+    const { summary } = report;
+    stderr.write(`${duplicate ? 'Already imported as' : 'Imported'} ${statement.id}: ` +
+      `${summary.matched} matched, ${summary.amountMismatches} amount mismatches, ` +
+      `${summary.missingInOurs} missing in ours, ${summary.missingInStatement} missing in statement\n`);
+
+    return options.strict && !summary.reconciled ? 2 : 0;
+  } catch (error) {
+    stderr.write(`Reconciliation failed: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+
+const DEFAULT_TENANT_ID = 'default';
+
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Daraja endpoint paths, keyed by the MpesaService URL field they fill
+const DARAJA_PATHS = {
+  authUrl: '/oauth/v1/generate?grant_type=client_credentials',
+  stkPushUrl: '/mpesa/stkpush/v1/processrequest',
+  queryUrl: '/mpesa/stkpushquery/v1/query',
+  b2cUrl: '/mpesa/b2c/v3/paymentrequest',
+  c2bRegisterUrl: '/mpesa/c2b/v2/registerurl',
+  c2bSimulateUrl: '/mpesa/c2b/v1/simulate',
+  transactionStatusUrl: '/mpesa/transactionstatus/v1/query',
+  accountBalanceUrl: '/mpesa/accountbalance/v1/query',
+  reversalUrl: '/mpesa/reversal/v1/request'
+};
+
+/**
+ * Fill in defaults and any Daraja URL not set explicitly
+ * @param {object} tenant - Tenant configuration
+ * @returns {object} Complete tenant configuration
+ */
+function normalizeTenant(tenant) {
+  const environment = tenant.environment || 'sandbox';
+
+  if (!DARAJA_BASE_URLS[environment]) {
+    throw new Error(`Tenant ${tenant.id} has unknown environment "${environment}"`);
+  }
+
+  // baseUrl points every endpoint elsewhere, e.g. at the local Daraja simulator
+  const baseUrl = String(tenant.baseUrl || DARAJA_BASE_URLS[environment]).replace(/\/+$/, '');
+
+  const config = {
+    ...tenant,
+    name: tenant.name || tenant.id,
+    environment,
+    b2cShortCode: tenant.b2cShortCode || tenant.businessShortCode,
+    c2bShortCode: tenant.c2bShortCode || tenant.businessShortCode
+  };
+
+  Object.keys(DARAJA_PATHS).forEach(field => {
+    if (!config[field]) {
+      config[field] = `${baseUrl}${DARAJA_PATHS[field]}`;
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Build the default tenant from the MPESA_* environment variables
+ * @returns {object} Tenant configuration
+ */
+function tenantFromEnv() {
+  return normalizeTenant({
+    id: DEFAULT_TENANT_ID,
+    name: process.env.MPESA_TENANT_NAME || 'Default',
+    apiKey: process.env.API_KEY,
+    environment: process.env.MPESA_ENVIRONMENT,
+    baseUrl: process.env.MPESA_BASE_URL,
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    businessShortCode: process.env.MPESA_BUSINESS_SHORT_CODE,
+    passkey: process.env.MPESA_PASSKEY,
+    callbackUrl: process.env.MPESA_CALLBACK_URL,
+    accountReference: process.env.MPESA_ACCOUNT_REFERENCE,
+    transactionDesc: process.env.MPESA_TRANSACTION_DESC,
+    transactionType: process.env.MPESA_TRANSACTION_TYPE,
+    tillNumber: process.env.MPESA_TILL_NUMBER,
+    authUrl: process.env.MPESA_AUTH_URL,
+    stkPushUrl: process.env.MPESA_STK_PUSH_URL,
+    queryUrl: process.env.MPESA_QUERY_URL,
+    initiatorName: process.env.MPESA_INITIATOR_NAME,
+    initiatorPassword: process.env.MPESA_INITIATOR_PASSWORD,
+    certificatePath: process.env.MPESA_CERTIFICATE_PATH,
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+    b2cShortCode: process.env.MPESA_B2C_SHORT_CODE,
+    b2cUrl: process.env.MPESA_B2C_URL,
+    b2cResultUrl: process.env.MPESA_B2C_RESULT_URL,
+    b2cTimeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL,
+    c2bShortCode: process.env.MPESA_C2B_SHORT_CODE,
+    c2bRegisterUrl: process.env.MPESA_C2B_REGISTER_URL,
+    c2bSimulateUrl: process.env.MPESA_C2B_SIMULATE_URL,
+    c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL,
+    c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL,
+    transactionStatusUrl: process.env.MPESA_TRANSACTION_STATUS_URL,
+    transactionStatusResultUrl: process.env.MPESA_TRANSACTION_STATUS_RESULT_URL,
+    transactionStatusTimeoutUrl: process.env.MPESA_TRANSACTION_STATUS_TIMEOUT_URL,
+    accountBalanceUrl: process.env.MPESA_ACCOUNT_BALANCE_URL,
+    accountBalanceResultUrl: process.env.MPESA_ACCOUNT_BALANCE_RESULT_URL,
+    accountBalanceTimeoutUrl: process.env.MPESA_ACCOUNT_BALANCE_TIMEOUT_URL,
+    reversalUrl: process.env.MPESA_REVERSAL_URL,
+    reversalResultUrl: process.env.MPESA_REVERSAL_RESULT_URL,
+    reversalTimeoutUrl: process.env.MPESA_REVERSAL_TIMEOUT_URL
+  });
+}
+
+/**
+ * Load additional tenants from the JSON file named by MPESA_TENANTS_FILE
+ * The file holds an array of tenant objects using the same keys as
+ * tenantFromEnv(), e.g. { id, name, apiKey, environment, consumerKey, ... }.
+ * A tenant may also set rateLimit, the number of requests its API key can
+ * make per RATE_LIMIT_WINDOW_MS, in place of RATE_LIMIT_API_KEY_MAX.
+ * @returns {Array<object>} Tenant configurations
+ */
+function tenantsFromFile() {
+  const filePath = process.env.MPESA_TENANTS_FILE;
+
+  if (!filePath) {
+    return [];
+  }
+
+  const tenants = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(tenants)) {
+    throw new Error('MPESA_TENANTS_FILE must contain an array of tenants');
+  }
+
+  return tenants.map(tenant => {
+    if (!tenant.id) {
+      throw new Error('Every tenant in MPESA_TENANTS_FILE needs an id');
+    }
+    if (tenant.id === DEFAULT_TENANT_ID) {
+      throw new Error(`Tenant id "${DEFAULT_TENANT_ID}" is reserved for the environment configuration`);
+    }
+    return normalizeTenant(tenant);
+  });
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  DARAJA_BASE_URLS,
+  DARAJA_PATHS,
+  normalizeTenant,
+  tenantFromEnv,
+  tenantsFromFile
+};
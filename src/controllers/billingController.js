@@ -0,0 +1,183 @@
+const billingService = require('../services/billingService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+class BillingController {
+  /**
+   * Create a billing plan
+   */
+  async createPlan(req, res) {
+    try {
+      const plan = await billingService.createPlan(tenantIdFor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Plan created successfully',
+        data: plan
+      });
+    } catch (error) {
+      console.error('Create plan error:', error);
+      sendError(res, error, 'Failed to create plan');
+    }
+  }
+
+  /**
+   * List billing plans
+   */
+  async listPlans(req, res) {
+    try {
+      const plans = await billingService.listPlans(tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Plans retrieved successfully',
+        data: plans
+      });
+    } catch (error) {
+      console.error('List plans error:', error);
+      sendError(res, error, 'Failed to list plans');
+    }
+  }
+
+  /**
+   * Get a billing plan
+   */
+  async getPlan(req, res) {
+    try {
+      const plan = await billingService.getPlan(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Plan retrieved successfully',
+        data: plan
+      });
+    } catch (error) {
+      console.error('Get plan error:', error);
+      sendError(res, error, 'Failed to get plan');
+    }
+  }
+
+  /**
+   * Subscribe a phone number to a plan
+   */
+  async createSubscription(req, res) {
+    try {
+      const subscription = await billingService.createSubscription(tenantIdFor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Subscription created successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Create subscription error:', error);
+      sendError(res, error, 'Failed to create subscription');
+    }
+  }
+
+  /**
+   * List subscriptions
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const result = await billingService.listSubscriptions(tenantIdFor(req), {
+        status: req.query.status,
+        planId: req.query.planId,
+        limit: Math.min(Math.max(limit, 1), 200),
+        offset: Math.max(offset, 0)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Subscriptions retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('List subscriptions error:', error);
+      sendError(res, error, 'Failed to list subscriptions');
+    }
+  }
+
+  /**
+   * Get a subscription with its charges
+   */
+  async getSubscription(req, res) {
+    try {
+      const subscription = await billingService.getSubscription(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Subscription retrieved successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Get subscription error:', error);
+      sendError(res, error, 'Failed to get subscription');
+    }
+  }
+
+  /**
+   * Pause a subscription
+   */
+  async pauseSubscription(req, res) {
+    try {
+      const subscription = await billingService.pauseSubscription(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Subscription paused successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Pause subscription error:', error);
+      sendError(res, error, 'Failed to pause subscription');
+    }
+  }
+
+  /**
+   * Resume a paused subscription
+   */
+  async resumeSubscription(req, res) {
+    try {
+      const subscription = await billingService.resumeSubscription(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Subscription resumed successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Resume subscription error:', error);
+      sendError(res, error, 'Failed to resume subscription');
+    }
+  }
+
+  /**
+   * Cancel a subscription
+   */
+  async cancelSubscription(req, res) {
+    try {
+      const subscription = await billingService.cancelSubscription(req.params.id, tenantIdFor(req), req.body.reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'Subscription cancelled successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Cancel subscription error:', error);
+      sendError(res, error, 'Failed to cancel subscription');
+    }
+  }
+}
+
+module.exports = new BillingController();
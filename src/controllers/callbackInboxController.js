@@ -0,0 +1,87 @@
+const callbackInboxRepository = require('../repositories/callbackInboxRepository');
+const { INBOX_STATUS } = require('../repositories/callbackInboxRepository');
+const callbackInboxWorker = require('../services/callbackInboxWorker');
+const { ValidationError, NotFoundError, sendError } = require('../utils/errors');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+class CallbackInboxController {
+  /**
+   * List inbox entries - ?status=FAILED gives the ones needing attention
+   */
+  async listEntries(req, res) {
+    try {
+      const { status, checkoutRequestID } = req.query;
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      if (status && !INBOX_STATUS[status]) {
+        return sendError(res, new ValidationError(`Status must be one of ${Object.keys(INBOX_STATUS).join(', ')}`));
+      }
+
+      const result = await callbackInboxRepository.list({
+        tenantId: tenantIdFor(req),
+        status,
+        checkoutRequestID,
+        limit: Math.min(Math.max(limit, 1), 200),
+        offset: Math.max(offset, 0)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Callback inbox entries retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('List callback inbox error:', error);
+      sendError(res, error, 'Failed to list callback inbox entries');
+    }
+  }
+
+  /**
+   * Get an inbox entry with the raw callback body
+   */
+  async getEntry(req, res) {
+    try {
+      const entry = await callbackInboxRepository.findById(req.params.id, tenantIdFor(req));
+
+      if (!entry) {
+        return sendError(res, new NotFoundError('Inbox entry not found'));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Callback inbox entry retrieved successfully',
+        data: entry
+      });
+    } catch (error) {
+      console.error('Get callback inbox entry error:', error);
+      sendError(res, error, 'Failed to get callback inbox entry');
+    }
+  }
+
+  /**
+   * Process a FAILED entry again, e.g. once the missing transaction exists
+   */
+  async reprocessEntry(req, res) {
+    try {
+      const entry = await callbackInboxWorker.reprocess(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: `Callback inbox entry reprocessed: ${entry.status}`,
+        data: entry
+      });
+    } catch (error) {
+      console.error('Reprocess callback inbox entry error:', error);
+      sendError(res, error, 'Failed to reprocess callback inbox entry');
+    }
+  }
+}
+
+module.exports = new CallbackInboxController();
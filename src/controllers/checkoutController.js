@@ -0,0 +1,123 @@
+const paymentLinkService = require('../services/paymentLinkService');
+const { PAYMENT_LINK_STATUS } = require('../services/paymentLinkService');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const { toMpesaError, sendError } = require('../utils/errors');
+const {
+  renderCheckout,
+  renderPending,
+  renderResult,
+  renderUnavailable
+} = require('../views/checkoutPage');
+
+const UNAVAILABLE_MESSAGES = {
+  [PAYMENT_LINK_STATUS.COMPLETED]: 'This payment link has already been used.',
+  [PAYMENT_LINK_STATUS.EXPIRED]: 'This payment link has expired.',
+  [PAYMENT_LINK_STATUS.DISABLED]: 'This payment link has been disabled.'
+};
+
+/**
+ * Render an error as an HTML page with the mapped status
+ */
+function sendErrorPage(res, error) {
+  const mpesaError = toMpesaError(error);
+  const message = mpesaError.status === 404 ? 'This payment link does not exist.' : 'Something went wrong, please try again later.';
+  res.status(mpesaError.status).send(renderUnavailable({ message }));
+}
+
+class CheckoutController {
+  /**
+   * Show the checkout page for a link
+   */
+  async showCheckout(req, res) {
+    try {
+      const link = await paymentLinkService.getLink(req.params.id);
+
+      if (UNAVAILABLE_MESSAGES[link.status]) {
+        return res.status(410).send(renderUnavailable({ message: UNAVAILABLE_MESSAGES[link.status] }));
+      }
+
+      res.status(200).send(renderCheckout({ link }));
+    } catch (error) {
+      console.error('Checkout page error:', error);
+      sendErrorPage(res, error);
+    }
+  }
+
+  /**
+   * Start the STK Push for the phone number entered on the checkout page
+   */
+  async startCheckout(req, res) {
+    const phone = String(req.body.phone || '').replace(/\s+/g, '');
+
+    try {
+      const { checkoutRequestID } = await paymentLinkService.startPayment(req.params.id, phone);
+
+      // Post/redirect/get, so refreshing the status page never pays twice
+      res.redirect(303, `/pay/${encodeURIComponent(req.params.id)}/payments/${encodeURIComponent(checkoutRequestID)}`);
+    } catch (error) {
+      console.error('Checkout error:', error);
+
+      const mpesaError = toMpesaError(error);
+      if (mpesaError.status === 404) {
+        return sendErrorPage(res, mpesaError);
+      }
+
+      try {
+        const link = await paymentLinkService.getLink(req.params.id);
+
+        if (UNAVAILABLE_MESSAGES[link.status]) {
+          return res.status(410).send(renderUnavailable({ message: UNAVAILABLE_MESSAGES[link.status] }));
+        }
+
+        // Validation and business errors are safe to show to the customer
+        const message = mpesaError.status < 500 ? mpesaError.message : 'We could not start the payment, please try again.';
+        res.status(mpesaError.status).send(renderCheckout({ link, error: message, phone }));
+      } catch (linkError) {
+        sendErrorPage(res, linkError);
+      }
+    }
+  }
+
+  /**
+   * Show a payment's progress - pending pages refresh until the callback lands
+   */
+  async showPayment(req, res) {
+    try {
+      const { link, transaction } = await paymentLinkService.getPayment(req.params.id, req.params.checkoutRequestID);
+
+      if (transaction.status === TRANSACTION_STATUS.PENDING) {
+        return res.status(200).send(renderPending({ link }));
+      }
+
+      const canRetry = transaction.status !== TRANSACTION_STATUS.SUCCESS && link.status === PAYMENT_LINK_STATUS.ACTIVE;
+      res.status(200).send(renderResult({ link, transaction, canRetry }));
+    } catch (error) {
+      console.error('Checkout status error:', error);
+      sendErrorPage(res, error);
+    }
+  }
+
+  /**
+   * Payment status as JSON, for pages that prefer to poll with script
+   */
+  async getPaymentStatus(req, res) {
+    try {
+      const { transaction } = await paymentLinkService.getPayment(req.params.id, req.params.checkoutRequestID);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment status retrieved successfully',
+        data: {
+          checkoutRequestID: transaction.checkoutRequestID,
+          status: transaction.status,
+          resultDesc: transaction.resultDesc,
+          mpesaReceiptNumber: transaction.paymentData ? transaction.paymentData.mpesaReceiptNumber : null
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to get payment status');
+    }
+  }
+}
+
+module.exports = new CheckoutController();
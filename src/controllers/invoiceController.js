@@ -0,0 +1,95 @@
+const invoiceService = require('../services/invoiceService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+class InvoiceController {
+  /**
+   * Create an invoice
+   */
+  async createInvoice(req, res) {
+    try {
+      const invoice = await invoiceService.createInvoice(tenantIdFor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invoice created successfully',
+        data: invoice
+      });
+    } catch (error) {
+      console.error('Create invoice error:', error);
+      sendError(res, error, 'Failed to create invoice');
+    }
+  }
+
+  /**
+   * List invoices
+   */
+  async listInvoices(req, res) {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const result = await invoiceService.listInvoices(tenantIdFor(req), {
+        status: req.query.status,
+        limit: Math.min(Math.max(limit, 1), 200),
+        offset: Math.max(offset, 0)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoices retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('List invoices error:', error);
+      sendError(res, error, 'Failed to list invoices');
+    }
+  }
+
+  /**
+   * Get an invoice with its payments and status history
+   */
+  async getInvoice(req, res) {
+    try {
+      const invoice = await invoiceService.getInvoice(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice retrieved successfully',
+        data: invoice
+      });
+    } catch (error) {
+      console.error('Get invoice error:', error);
+      sendError(res, error, 'Failed to get invoice');
+    }
+  }
+
+  /**
+   * Start an STK Push against an invoice
+   */
+  async payInvoice(req, res) {
+    try {
+      const { phone, amount } = req.body;
+      const result = await invoiceService.payInvoice(req.params.id, tenantIdFor(req), { phone, amount });
+
+      res.status(200).json({
+        success: true,
+        message: result.installments.length > 1
+          ? `STK Push initiated for the first of ${result.installments.length} installments`
+          : 'STK Push initiated successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Pay invoice error:', error);
+      sendError(res, error, 'Failed to pay invoice');
+    }
+  }
+}
+
+module.exports = new InvoiceController();
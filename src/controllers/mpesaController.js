@@ -1,4 +1,47 @@
 const mpesaService = require('../services/mpesaService');
+const { C2B_RESULT_CODES } = require('../services/mpesaService');
+const accountRequestRepository = require('../repositories/accountRequestRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const callbackInboxWorker = require('../services/callbackInboxWorker');
+const tenantRegistry = require('../services/tenantRegistry');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const { ACCOUNT_REQUEST_TYPE } = require('../repositories/accountRequestRepository');
+const { ValidationError, NotFoundError, sendError, errorResponse } = require('../utils/errors');
+const { parsePhoneNumber } = require('../utils/phone');
+
+/**
+ * The tenant service resolved for this request, or the default tenant
+ */
+function serviceFor(req) {
+  return req.mpesaService || mpesaService;
+}
+
+/**
+ * Run a result/timeout webhook processor and always acknowledge receipt
+ */
+async function acknowledgeResult(res, label, processResult) {
+  try {
+    console.log(`📞 Received ${label}`);
+
+    const result = await processResult();
+
+    res.status(200).json({
+      success: true,
+      message: `${label} processed successfully`,
+      data: result
+    });
+  } catch (error) {
+    console.error(`${label} processing error:`, error);
+
+    // Acknowledge receipt to M-Pesa even if processing fails
+    res.status(200).json({
+      success: false,
+      message: `${label} processing failed`,
+      error: error.message
+    });
+  }
+}
 
 class MpesaController {
   /**
@@ -6,42 +49,23 @@ class MpesaController {
    */
   async initiateSTKPush(req, res) {
     try {
-      const { phone, amount, accountReference, transactionDesc } = req.body;
-
-      // Validate required fields
-      if (!phone || !amount) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number and amount are required',
-          data: null
-        });
-      }
-
-      // Validate amount
-      if (isNaN(amount) || amount <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Amount must be a valid positive number',
-          data: null
-        });
-      }
+      // The body has been checked against the stkPush schema
+      const { phone, amount, accountReference, transactionDesc, transactionType, tillNumber } = req.body;
 
       // Initiate STK Push
-      const result = await mpesaService.initiateSTKPush(
+      const result = await serviceFor(req).initiateSTKPush(
         phone,
-        parseFloat(amount),
+        Number(amount),
         accountReference,
-        transactionDesc
+        transactionDesc,
+        transactionType,
+        tillNumber
       );
 
       res.status(200).json(result);
     } catch (error) {
       console.error('STK Push error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to initiate STK Push',
-        data: null
-      });
+      sendError(res, error, 'Failed to initiate STK Push');
     }
   }
 
@@ -52,92 +76,437 @@ class MpesaController {
     try {
       const { checkoutRequestID } = req.body;
 
-      // Validate required fields
-      if (!checkoutRequestID) {
-        return res.status(400).json({
-          success: false,
-          message: 'Checkout Request ID is required',
-          data: null
-        });
-      }
-
       // Query transaction status
-      const result = await mpesaService.querySTKPushStatus(checkoutRequestID);
+      const result = await serviceFor(req).querySTKPushStatus(checkoutRequestID);
 
       res.status(200).json(result);
     } catch (error) {
       console.error('STK Push query error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to query STK Push status',
-        data: null
+      sendError(res, error, 'Failed to query STK Push status');
+    }
+  }
+
+  /**
+   * List recorded STK Push transactions
+   */
+  async listTransactions(req, res) {
+    try {
+      const { status, phone } = req.query;
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      if (status && !TRANSACTION_STATUS[status]) {
+        return sendError(res, new ValidationError(`Status must be one of ${Object.keys(TRANSACTION_STATUS).join(', ')}`));
+      }
+
+      const result = await transactionRepository.list({
+        tenantId: serviceFor(req).tenantId,
+        status,
+        phone,
+        limit: Math.min(Math.max(limit, 1), 200),
+        offset: Math.max(offset, 0)
       });
+
+      res.status(200).json({
+        success: true,
+        message: 'Transactions retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('List transactions error:', error);
+      sendError(res, error, 'Failed to list transactions');
+    }
+  }
+
+  /**
+   * Get a recorded STK Push transaction
+   */
+  async getTransaction(req, res) {
+    try {
+      const { checkoutRequestID } = req.params;
+
+      const transaction = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+
+      if (!transaction || (transaction.tenantId || DEFAULT_TENANT_ID) !== serviceFor(req).tenantId) {
+        return sendError(res, new NotFoundError('Transaction not found'));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Transaction retrieved successfully',
+        data: transaction
+      });
+    } catch (error) {
+      console.error('Get transaction error:', error);
+      sendError(res, error, 'Failed to get transaction');
+    }
+  }
+
+  /**
+   * Normalise a phone number and say which network it is on
+   * Numbers on other networks are valid but cannot use M-Pesa, so they
+   * come back with mpesa: false rather than an error.
+   */
+  async validatePhoneNumber(req, res) {
+    try {
+      const phone = parsePhoneNumber(req.body.phone);
+
+      res.status(200).json({
+        success: true,
+        message: phone.mpesa
+          ? 'Phone number can use M-Pesa'
+          : `Phone number is on ${phone.carrier} and cannot use M-Pesa`,
+        data: phone
+      });
+    } catch (error) {
+      console.error('Validate phone number error:', error);
+      sendError(res, error, 'Failed to validate phone number');
     }
   }
 
   /**
    * Handle M-Pesa callback
+   * The raw callback is stored in the inbox before it is acknowledged and
+   * applied afterwards by the inbox worker. If it cannot be stored it is not
+   * acknowledged, so Safaricom sends it again.
    */
   async handleCallback(req, res) {
     try {
       console.log('📞 Received M-Pesa callback');
-      
-      // Process the callback
-      const result = await mpesaService.processCallback(req.body);
 
-      // Log the processed result
-      console.log('Processed callback result:', result);
+      const entry = await callbackInboxWorker.receive(req.body, { sourceIp: req.ip });
+
+      res.status(200).json({
+        success: true,
+        message: 'Callback received',
+        data: { id: entry.id, status: entry.status }
+      });
+    } catch (error) {
+      console.error('Callback storage error:', error);
+      sendError(res, error, 'Failed to store callback');
+    }
+  }
+
+  /**
+   * Initiate B2C payment
+   */
+  async initiateB2C(req, res) {
+    try {
+      const { phone, amount, commandId, remarks, occasion } = req.body;
+
+      const result = await serviceFor(req).initiateB2C(
+        phone,
+        Number(amount),
+        commandId,
+        remarks,
+        occasion
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('B2C error:', error);
+      sendError(res, error, 'Failed to initiate B2C payment');
+    }
+  }
+
+  /**
+   * Handle B2C result webhook
+   */
+  async handleB2CResult(req, res) {
+    try {
+      console.log('📞 Received B2C result');
 
-      // Here you would typically:
-      // 1. Save the transaction details to your database
-      // 2. Update order status
-      // 3. Send notifications to users
-      // 4. Trigger any business logic
+      const result = await mpesaService.processB2CResult(req.body);
 
-      // Example: Save to database (implement your own logic)
-      // await saveTransactionToDatabase(result);
+      console.log('Processed B2C result:', result);
 
-      // Always respond with success to acknowledge receipt
       res.status(200).json({
         success: true,
-        message: 'Callback processed successfully',
+        message: 'B2C result processed successfully',
         data: result
       });
     } catch (error) {
-      console.error('Callback processing error:', error);
-      
-      // Even if processing fails, acknowledge receipt to M-Pesa
+      console.error('B2C result processing error:', error);
+
+      // Acknowledge receipt to M-Pesa even if processing fails
       res.status(200).json({
         success: false,
-        message: 'Callback processing failed',
+        message: 'B2C result processing failed',
         error: error.message
       });
     }
   }
 
+  /**
+   * Handle B2C queue timeout webhook
+   */
+  async handleB2CTimeout(req, res) {
+    try {
+      console.log('📞 Received B2C timeout');
+
+      const result = await mpesaService.processB2CTimeout(req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'B2C timeout processed successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('B2C timeout processing error:', error);
+
+      // Acknowledge receipt to M-Pesa even if processing fails
+      res.status(200).json({
+        success: false,
+        message: 'B2C timeout processing failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Register C2B validation and confirmation URLs
+   */
+  async registerC2BUrls(req, res) {
+    try {
+      const { responseType } = req.body;
+
+      const result = await serviceFor(req).registerC2BUrls(responseType);
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('C2B register error:', error);
+      sendError(res, error, 'Failed to register C2B URLs');
+    }
+  }
+
+  /**
+   * Simulate a C2B payment (sandbox only)
+   */
+  async simulateC2B(req, res) {
+    try {
+      const { phone, amount, billRefNumber, commandId } = req.body;
+
+      const result = await serviceFor(req).simulateC2B(phone, Number(amount), billRefNumber, commandId);
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('C2B simulate error:', error);
+      sendError(res, error, 'Failed to simulate C2B payment');
+    }
+  }
+
+  /**
+   * Handle C2B validation request
+   * Safaricom only understands ResultCode/ResultDesc here
+   */
+  async handleC2BValidation(req, res) {
+    try {
+      console.log('📞 Received C2B validation request');
+
+      // Each shortcode can have its own validation rule
+      const service = tenantRegistry.findByShortCode(req.body.BusinessShortCode);
+      if (!service) {
+        console.warn(`⚠️  C2B validation for unknown shortcode ${req.body.BusinessShortCode}, rejecting`);
+        return res.status(200).json({
+          ResultCode: C2B_RESULT_CODES.INVALID_SHORTCODE,
+          ResultDesc: 'Rejected'
+        });
+      }
+
+      const result = await service.processC2BValidation(req.body);
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('C2B validation error:', error);
+      res.status(200).json({
+        ResultCode: C2B_RESULT_CODES.OTHER_ERROR,
+        ResultDesc: 'Rejected'
+      });
+    }
+  }
+
+  /**
+   * Handle C2B confirmation
+   * Only acknowledged once the payment is recorded - otherwise Safaricom
+   * resends it, and a resent TransID is only recorded once. A payment into
+   * a shortcode no tenant owns cannot be recorded, so it is logged and
+   * refused rather than resent forever.
+   */
+  async handleC2BConfirmation(req, res) {
+    try {
+      console.log('📞 Received C2B confirmation');
+
+      // Recorded against the tenant that owns the shortcode paid into
+      const service = tenantRegistry.findByShortCode(req.body.BusinessShortCode);
+      if (!service) {
+        console.error(`❌ Unroutable C2B confirmation ${req.body.TransID}: no tenant owns shortcode ${req.body.BusinessShortCode}`);
+        return res.status(200).json({
+          ResultCode: 1,
+          ResultDesc: 'Unknown shortcode'
+        });
+      }
+
+      await service.processC2BConfirmation(req.body);
+
+      res.status(200).json({
+        ResultCode: 0,
+        ResultDesc: 'Success'
+      });
+    } catch (error) {
+      console.error('C2B confirmation error:', error);
+      res.status(500).json({
+        ResultCode: 1,
+        ResultDesc: 'Failed to record the payment'
+      });
+    }
+  }
+
+  /**
+   * Query transaction status by M-Pesa receipt number
+   */
+  async queryTransactionStatus(req, res) {
+    try {
+      const { receiptNumber, remarks } = req.body;
+
+      const result = await serviceFor(req).queryTransactionStatus(receiptNumber, remarks);
+
+      res.status(202).json(result);
+    } catch (error) {
+      console.error('Transaction status error:', error);
+      sendError(res, error, 'Failed to query transaction status');
+    }
+  }
+
+  /**
+   * Query shortcode account balance
+   */
+  async getAccountBalance(req, res) {
+    try {
+      const result = await serviceFor(req).getAccountBalance(req.body && req.body.remarks);
+
+      res.status(202).json(result);
+    } catch (error) {
+      console.error('Account balance error:', error);
+      sendError(res, error, 'Failed to query account balance');
+    }
+  }
+
+  /**
+   * Reverse a transaction
+   */
+  async reverseTransaction(req, res) {
+    try {
+      const { receiptNumber, amount, remarks } = req.body;
+
+      const result = await serviceFor(req).reverseTransaction(receiptNumber, Number(amount), remarks);
+
+      res.status(202).json(result);
+    } catch (error) {
+      console.error('Reversal error:', error);
+      sendError(res, error, 'Failed to reverse transaction');
+    }
+  }
+
+  /**
+   * Get a transaction status, balance or reversal request and its result
+   */
+  async getAccountRequest(req, res) {
+    try {
+      const request = await accountRequestRepository.findByOriginatorConversationID(req.params.originatorConversationID);
+
+      if (!request || (request.tenantId || DEFAULT_TENANT_ID) !== serviceFor(req).tenantId) {
+        return sendError(res, new NotFoundError('Request not found'));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Request retrieved successfully',
+        data: request
+      });
+    } catch (error) {
+      console.error('Get account request error:', error);
+      sendError(res, error, 'Failed to get request');
+    }
+  }
+
+  /**
+   * Handle transaction status result webhook
+   */
+  async handleTransactionStatusResult(req, res) {
+    await acknowledgeResult(res, 'Transaction status result', () => mpesaService.processTransactionStatusResult(req.body));
+  }
+
+  /**
+   * Handle transaction status timeout webhook
+   */
+  async handleTransactionStatusTimeout(req, res) {
+    await acknowledgeResult(res, 'Transaction status timeout', () =>
+      mpesaService.processAccountRequestTimeout(ACCOUNT_REQUEST_TYPE.TRANSACTION_STATUS, req.body));
+  }
+
+  /**
+   * Handle account balance result webhook
+   */
+  async handleAccountBalanceResult(req, res) {
+    await acknowledgeResult(res, 'Account balance result', () => mpesaService.processAccountBalanceResult(req.body));
+  }
+
+  /**
+   * Handle account balance timeout webhook
+   */
+  async handleAccountBalanceTimeout(req, res) {
+    await acknowledgeResult(res, 'Account balance timeout', () =>
+      mpesaService.processAccountRequestTimeout(ACCOUNT_REQUEST_TYPE.ACCOUNT_BALANCE, req.body));
+  }
+
+  /**
+   * Handle reversal result webhook
+   */
+  async handleReversalResult(req, res) {
+    await acknowledgeResult(res, 'Reversal result', () => mpesaService.processReversalResult(req.body));
+  }
+
+  /**
+   * Handle reversal timeout webhook
+   */
+  async handleReversalTimeout(req, res) {
+    await acknowledgeResult(res, 'Reversal timeout', () =>
+      mpesaService.processAccountRequestTimeout(ACCOUNT_REQUEST_TYPE.REVERSAL, req.body));
+  }
+
   /**
    * Get service status
    */
   async getStatus(req, res) {
+    const service = serviceFor(req);
+
     try {
-      // Test M-Pesa connectivity by getting access token
-      await mpesaService.getAccessToken();
+      // Test M-Pesa connectivity - served from the token cache while it is valid
+      await service.getAccessToken();
 
       res.status(200).json({
         success: true,
         message: 'M-Pesa service is operational',
         data: {
           timestamp: new Date().toISOString(),
-          businessShortCode: process.env.MPESA_BUSINESS_SHORT_CODE,
-          environment: process.env.NODE_ENV || 'development'
+          tenant: req.tenant ? req.tenant.id : service.tenantId,
+          businessShortCode: service.businessShortCode,
+          environment: process.env.NODE_ENV || 'development',
+          circuitBreaker: service.daraja.getCircuitState(),
+          token: service.tokenManager.getHealth()
         }
       });
     } catch (error) {
       console.error('Service status error:', error);
-      res.status(500).json({
-        success: false,
+      const { status, body } = errorResponse(error);
+      res.status(status).json({
+        ...body,
         message: 'M-Pesa service is not operational',
-        error: error.message
+        error: error.message,
+        data: {
+          circuitBreaker: service.daraja.getCircuitState(),
+          token: service.tokenManager.getHealth()
+        }
       });
     }
   }
@@ -156,9 +525,10 @@ class MpesaController {
         });
       }
 
-      // Test with default values
+      // Test with default values - point MPESA_BASE_URL at the Daraja
+      // simulator to exercise the whole flow without a real phone
       const testData = {
-        phone: '254712345678', // Test phone number
+        phone: req.body.phone || process.env.MPESA_TEST_PHONE || '254708374149', // Sandbox test MSISDN
         amount: 1, // Minimum amount
         accountReference: 'TEST001',
         transactionDesc: 'Test payment'
@@ -166,7 +536,7 @@ class MpesaController {
 
       console.log('🧪 Initiating test payment:', testData);
 
-      const result = await mpesaService.initiateSTKPush(
+      const result = await serviceFor(req).initiateSTKPush(
         testData.phone,
         testData.amount,
         testData.accountReference,
@@ -181,11 +551,7 @@ class MpesaController {
       });
     } catch (error) {
       console.error('Test payment error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Test payment failed',
-        data: null
-      });
+      sendError(res, error, 'Test payment failed');
     }
   }
 }
@@ -0,0 +1,96 @@
+const paymentLinkService = require('../services/paymentLinkService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+/**
+ * Add the absolute checkout URL customers are sent to
+ * The base comes from PAYMENT_LINK_BASE_URL, never from the request's Host
+ * header - a spoofed Host would otherwise send customers to another site.
+ * Unset, links point at this server on localhost, for development.
+ */
+function withUrl(link) {
+  const baseUrl = process.env.PAYMENT_LINK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return { ...link, url: `${baseUrl.replace(/\/+$/, '')}${link.path}` };
+}
+
+class PaymentLinkController {
+  /**
+   * Create a payment link
+   */
+  async createLink(req, res) {
+    try {
+      const link = await paymentLinkService.createLink(tenantIdFor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment link created successfully',
+        data: withUrl(link)
+      });
+    } catch (error) {
+      console.error('Create payment link error:', error);
+      sendError(res, error, 'Failed to create payment link');
+    }
+  }
+
+  /**
+   * List payment links
+   */
+  async listLinks(req, res) {
+    try {
+      const links = await paymentLinkService.listLinks(tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment links retrieved successfully',
+        data: links.map(withUrl)
+      });
+    } catch (error) {
+      console.error('List payment links error:', error);
+      sendError(res, error, 'Failed to list payment links');
+    }
+  }
+
+  /**
+   * Get a payment link with its usage
+   */
+  async getLink(req, res) {
+    try {
+      const link = await paymentLinkService.getLink(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment link retrieved successfully',
+        data: withUrl(link)
+      });
+    } catch (error) {
+      console.error('Get payment link error:', error);
+      sendError(res, error, 'Failed to get payment link');
+    }
+  }
+
+  /**
+   * Disable a payment link
+   */
+  async disableLink(req, res) {
+    try {
+      const link = await paymentLinkService.disableLink(req.params.id, tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment link disabled successfully',
+        data: withUrl(link)
+      });
+    } catch (error) {
+      console.error('Disable payment link error:', error);
+      sendError(res, error, 'Failed to disable payment link');
+    }
+  }
+}
+
+module.exports = new PaymentLinkController();
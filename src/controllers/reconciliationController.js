@@ -0,0 +1,90 @@
+const reconciliationService = require('../services/reconciliationService');
+const { sendError } = require('../utils/errors');
+const { wantsCsv } = require('../utils/csv');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+class ReconciliationController {
+  /**
+   * Import a portal statement export
+   * Send the file as a text/csv body, or JSON with a `content` field.
+   */
+  async importStatement(req, res) {
+    try {
+      const content = typeof req.body === 'string' ? req.body : req.body.content;
+      const options = {
+        fileName: req.query.fileName || req.body.fileName,
+        from: req.query.from || req.body.from,
+        to: req.query.to || req.body.to
+      };
+
+      const { statement, duplicate } = await reconciliationService.importStatement(tenantIdFor(req), content, options);
+      const report = await reconciliationService.buildReport(statement.id, tenantIdFor(req));
+      const { entries, ...summary } = statement;
+
+      res.status(duplicate ? 200 : 201).json({
+        success: true,
+        message: duplicate ? 'Statement was already imported' : 'Statement imported successfully',
+        data: {
+          statement: { ...summary, entryCount: entries.length },
+          summary: report.summary
+        }
+      });
+    } catch (error) {
+      console.error('Import statement error:', error);
+      sendError(res, error, 'Failed to import statement');
+    }
+  }
+
+  /**
+   * List imported statements
+   */
+  async listStatements(req, res) {
+    try {
+      const statements = await reconciliationService.listStatements(tenantIdFor(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Statements retrieved successfully',
+        data: statements
+      });
+    } catch (error) {
+      console.error('List statements error:', error);
+      sendError(res, error, 'Failed to list statements');
+    }
+  }
+
+  /**
+   * Reconciliation report for a statement, the latest one by default
+   * Returned as CSV with ?format=csv or an Accept: text/csv header.
+   */
+  async getReport(req, res) {
+    try {
+      const report = await reconciliationService.buildReport(req.query.statementId, tenantIdFor(req));
+
+      if (wantsCsv(req)) {
+        res.status(200)
+          .type('text/csv')
+          .attachment(`reconciliation-${report.statementId}.csv`)
+          .send(reconciliationService.reportToCsv(report));
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Reconciliation report generated successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error('Reconciliation report error:', error);
+      sendError(res, error, 'Failed to generate reconciliation report');
+    }
+  }
+}
+
+module.exports = new ReconciliationController();
@@ -0,0 +1,37 @@
+const reportService = require('../services/reportService');
+const { sendError } = require('../utils/errors');
+const { wantsCsv } = require('../utils/csv');
+
+class ReportController {
+  /**
+   * Payments report for the request's tenant
+   * Returned as CSV with ?format=csv or an Accept: text/csv header; the
+   * CSV holds one section, chosen with ?section= (periods by default).
+   */
+  async getPaymentsReport(req, res) {
+    try {
+      const { from, to, groupBy, top, section } = req.query;
+      const report = await reportService.paymentsReport(req.mpesaService.tenantId, { from, to, groupBy, top });
+
+      if (wantsCsv(req)) {
+        const csv = reportService.reportToCsv(report, section);
+        res.status(200)
+          .type('text/csv')
+          .attachment(`payments-${section || 'periods'}-${report.range.from.slice(0, 10)}-${report.range.to.slice(0, 10)}.csv`)
+          .send(csv);
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Payments report generated successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error('Payments report error:', error);
+      sendError(res, error, 'Failed to generate payments report');
+    }
+  }
+}
+
+module.exports = new ReportController();
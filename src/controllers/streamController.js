@@ -0,0 +1,119 @@
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const paymentStatusStream = require('../services/paymentStatusStream');
+const { sendError, NotFoundError } = require('../utils/errors');
+
+/**
+ * What a streaming client is told about a transaction
+ * Leaves out internals such as the callback token hash.
+ */
+function streamView(transaction) {
+  const paymentData = transaction.paymentData || {};
+
+  return {
+    checkoutRequestID: transaction.checkoutRequestID,
+    merchantRequestID: transaction.merchantRequestID,
+    status: transaction.status,
+    resultCode: transaction.resultCode,
+    resultDesc: transaction.resultDesc,
+    amount: transaction.amount,
+    accountReference: transaction.accountReference,
+    mpesaReceiptNumber: paymentData.mpesaReceiptNumber || null,
+    completedAt: transaction.completedAt || null
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+class StreamController {
+  /**
+   * Stream an STK Push's status as Server-Sent Events
+   * Sends a `status` event straight away, then one `result` event with the
+   * final status and closes. If nothing final arrives within
+   * STREAM_MAX_DURATION_MS a `timeout` event with the current status is sent.
+   * The CheckoutRequestID is what authorises the stream - a browser
+   * EventSource cannot send X-Tenant-ID or X-API-Key, so the tenant comes
+   * from the transaction rather than the request.
+   */
+  async streamStatus(req, res) {
+    let transaction;
+
+    try {
+      transaction = await transactionRepository.findByCheckoutRequestID(req.params.checkoutRequestID);
+
+      if (!transaction) {
+        return sendError(res, new NotFoundError('Transaction not found'));
+      }
+    } catch (error) {
+      console.error('Stream status error:', error);
+      return sendError(res, error, 'Failed to stream transaction status');
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    sendEvent(res, 'status', streamView(transaction));
+
+    if (transaction.status !== TRANSACTION_STATUS.PENDING) {
+      sendEvent(res, 'result', streamView(transaction));
+      return res.end();
+    }
+
+    const heartbeatMs = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 15 * 1000;
+    const maxDurationMs = parseInt(process.env.STREAM_MAX_DURATION_MS, 10) || 3 * 60 * 1000;
+    let finished = false;
+    let heartbeat = null;
+    let deadline = null;
+    let unwatch = () => {};
+
+    const stop = () => {
+      finished = true;
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      unwatch();
+    };
+
+    const finish = (event, current) => {
+      if (finished) {
+        return;
+      }
+      stop();
+      sendEvent(res, event, streamView(current));
+      res.end();
+    };
+
+    unwatch = paymentStatusStream.watch(transaction, current => finish('result', current));
+    req.on('close', stop);
+
+    // Comment lines keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    deadline = setTimeout(() => {
+      transactionRepository.findByCheckoutRequestID(transaction.checkoutRequestID)
+        .then(current => finish('timeout', current || transaction))
+        .catch(() => finish('timeout', transaction));
+    }, maxDurationMs);
+
+    // The outcome may have landed between the first read and watching
+    try {
+      const latest = await transactionRepository.findByCheckoutRequestID(transaction.checkoutRequestID);
+      if (latest && latest.status !== TRANSACTION_STATUS.PENDING) {
+        finish('result', latest);
+      }
+    } catch (error) {
+      console.error('Stream status error:', error);
+    }
+  }
+}
+
+module.exports = new StreamController();
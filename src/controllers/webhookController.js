@@ -0,0 +1,138 @@
+const webhookService = require('../services/webhookService');
+const webhookRepository = require('../repositories/webhookRepository');
+const { DELIVERY_STATUS } = require('../repositories/webhookRepository');
+const { ValidationError, NotFoundError, sendError } = require('../utils/errors');
+
+/**
+ * Tenant the request is for, as resolved by the tenant middleware
+ */
+function tenantIdFor(req) {
+  return req.mpesaService.tenantId;
+}
+
+/**
+ * Strip the signing secret from a subscription
+ */
+function withoutSecret(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+class WebhookController {
+  /**
+   * Register a webhook subscription
+   * The signing secret is only returned here, on creation.
+   */
+  async createSubscription(req, res) {
+    try {
+      const { url, events, secret, description } = req.body;
+
+      const subscription = await webhookRepository.createSubscription({
+        tenantId: tenantIdFor(req),
+        url,
+        events,
+        secret,
+        description
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Create webhook subscription error:', error);
+      sendError(res, error, 'Failed to create webhook subscription');
+    }
+  }
+
+  /**
+   * List webhook subscriptions
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const subscriptions = await webhookRepository.listSubscriptions({ tenantId: tenantIdFor(req) });
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook subscriptions retrieved successfully',
+        data: subscriptions.map(withoutSecret)
+      });
+    } catch (error) {
+      console.error('List webhook subscriptions error:', error);
+      sendError(res, error, 'Failed to list webhook subscriptions');
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const subscription = await webhookRepository.findSubscription(req.params.id, tenantIdFor(req));
+
+      if (!subscription) {
+        return sendError(res, new NotFoundError('Webhook subscription not found'));
+      }
+
+      await webhookRepository.deleteSubscription(subscription.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook subscription deleted successfully',
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete webhook subscription error:', error);
+      sendError(res, error, 'Failed to delete webhook subscription');
+    }
+  }
+
+  /**
+   * List deliveries - ?status=FAILED gives the dead-letter list
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { status, subscriptionId } = req.query;
+
+      if (status && !DELIVERY_STATUS[status]) {
+        return sendError(res, new ValidationError(`Status must be one of ${Object.keys(DELIVERY_STATUS).join(', ')}`));
+      }
+
+      const deliveries = await webhookRepository.listDeliveries({ tenantId: tenantIdFor(req), status, subscriptionId });
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook deliveries retrieved successfully',
+        data: deliveries
+      });
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      sendError(res, error, 'Failed to list webhook deliveries');
+    }
+  }
+
+  /**
+   * Replay a delivery
+   */
+  async replayDelivery(req, res) {
+    try {
+      const delivery = await webhookService.replay(req.params.id, tenantIdFor(req));
+
+      if (!delivery) {
+        return sendError(res, new NotFoundError('Webhook delivery not found'));
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Webhook delivery queued for replay',
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Replay webhook delivery error:', error);
+      sendError(res, error, 'Failed to replay webhook delivery');
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -1,8 +1,13 @@
-const crypto = require('crypto');
+const { createIpMatcher, getMpesaIpRanges } = require('../utils/ipMatcher');
+const { validateCallbackToken } = require('../utils/helpers');
+const { errorResponse } = require('../utils/errors');
+const transactionRepository = require('../repositories/transactionRepository');
+const tenantRegistry = require('../services/tenantRegistry');
 
 /**
  * Simple API key authentication middleware
- * Add API key to environment variables for production use
+ * Add API key to environment variables for production use.
+ * Any tenant's API key is accepted as well.
  */
 function apiKeyAuth(req, res, next) {
   const apiKey = req.headers['x-api-key'];
@@ -13,10 +18,11 @@ function apiKeyAuth(req, res, next) {
     return next();
   }
   
-  if (!apiKey || apiKey !== expectedApiKey) {
+  if (!apiKey || (apiKey !== expectedApiKey && !tenantRegistry.findByApiKey(apiKey))) {
     return res.status(401).json({
       success: false,
       message: 'Invalid or missing API key',
+      code: 'INVALID_API_KEY',
       data: null
     });
   }
@@ -24,94 +30,32 @@ function apiKeyAuth(req, res, next) {
   next();
 }
 
-/**
- * Rate limiting middleware
- * Simple in-memory rate limiter
- */
-const rateLimitStore = new Map();
-
-function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000) {
-  return (req, res, next) => {
-    const clientIp = req.ip || req.connection.remoteAddress;
-    const currentTime = Date.now();
-    const windowStart = currentTime - windowMs;
-    
-    // Get or create client record
-    let clientRecord = rateLimitStore.get(clientIp) || [];
-    
-    // Remove old requests outside the window
-    clientRecord = clientRecord.filter(requestTime => requestTime > windowStart);
-    
-    // Check if limit exceeded
-    if (clientRecord.length >= maxRequests) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many requests, please try again later',
-        data: {
-          limit: maxRequests,
-          windowMs: windowMs,
-          remainingTime: Math.ceil((clientRecord[0] + windowMs - currentTime) / 1000)
-        }
-      });
-    }
-    
-    // Add current request
-    clientRecord.push(currentTime);
-    rateLimitStore.set(clientIp, clientRecord);
-    
-    // Clean up old entries periodically
-    if (Math.random() < 0.1) { // 10% chance to clean up
-      cleanupRateLimitStore(windowStart);
-    }
-    
-    next();
-  };
-}
-
-/**
- * Clean up old rate limit entries
- */
-function cleanupRateLimitStore(windowStart) {
-  for (const [clientIp, requests] of rateLimitStore.entries()) {
-    const validRequests = requests.filter(requestTime => requestTime > windowStart);
-    if (validRequests.length === 0) {
-      rateLimitStore.delete(clientIp);
-    } else {
-      rateLimitStore.set(clientIp, validRequests);
-    }
-  }
-}
-
 /**
  * Validate M-Pesa callback IP addresses
- * M-Pesa callbacks come from specific IP ranges
+ * Matches req.ip against the IPv4/IPv6 CIDR ranges in MPESA_CALLBACK_IP_RANGES.
+ * req.ip only honours X-Forwarded-For when Express "trust proxy" is set
+ * (TRUST_PROXY), so a client cannot spoof its address with that header.
  */
+let mpesaIpMatcher = null;
+
 function validateMpesaIP(req, res, next) {
   // Skip IP validation in development
   if (process.env.NODE_ENV === 'development') {
     return next();
   }
-  
-  const clientIp = req.ip || req.connection.remoteAddress;
-  
-  // M-Pesa IP ranges (update these based on Safaricom documentation)
-  const allowedIpRanges = [
-    '196.201.214.0/24',
-    '196.201.214.200/24',
-    // Add more IP ranges as provided by Safaricom
-  ];
-  
-  // Simple IP validation (in production, use a proper IP range library)
-  const isValidIp = allowedIpRanges.some(range => {
-    // Basic IP validation - implement proper CIDR matching in production
-    return clientIp.startsWith(range.split('/')[0].substring(0, 10));
-  });
-  
-  if (!isValidIp) {
+
+  if (!mpesaIpMatcher) {
+    mpesaIpMatcher = createIpMatcher(getMpesaIpRanges());
+  }
+
+  const clientIp = req.ip || req.socket.remoteAddress;
+
+  if (!mpesaIpMatcher(clientIp)) {
     console.warn(`⚠️  Callback from unauthorized IP: ${clientIp}`);
     return res.status(403).json({
       success: false,
       message: 'Unauthorized IP address',
+      code: 'FORBIDDEN',
       data: null
     });
   }
@@ -120,35 +64,37 @@ function validateMpesaIP(req, res, next) {
 }
 
 /**
- * Request validation middleware
+ * Verify the per-request token in an STK callback URL
+ * Each STK Push gets its own unguessable callback URL token. A transaction
+ * recorded with a token only accepts callbacks carrying that token, so a
+ * forged callback for someone else's CheckoutRequestID is rejected.
  */
-function validateRequest(requiredFields = []) {
-  return (req, res, next) => {
-    const errors = [];
-    
-    // Check required fields
-    requiredFields.forEach(field => {
-      if (!req.body[field]) {
-        errors.push(`${field} is required`);
-      }
-    });
-    
-    // Check content type for POST requests
-    if (req.method === 'POST' && !req.is('application/json')) {
-      errors.push('Content-Type must be application/json');
+async function verifyCallbackToken(req, res, next) {
+  try {
+    const checkoutRequestID = req.body?.Body?.stkCallback?.CheckoutRequestID;
+    const transaction = checkoutRequestID
+      ? await transactionRepository.findByCheckoutRequestID(checkoutRequestID)
+      : null;
+
+    // Unknown or pre-token transactions have nothing to check against
+    if (!transaction || !transaction.callbackTokenHash) {
+      return next();
     }
-    
-    if (errors.length > 0) {
-      return res.status(400).json({
+
+    if (!validateCallbackToken(req.params.token, transaction.callbackTokenHash)) {
+      console.warn(`⚠️  Callback with invalid token for CheckoutRequestID ${checkoutRequestID}`);
+      return res.status(403).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors,
+        message: 'Invalid callback token',
+        code: 'FORBIDDEN',
         data: null
       });
     }
-    
+
     next();
-  };
+  } catch (error) {
+    next(error);
+  }
 }
 
 /**
@@ -156,27 +102,12 @@ function validateRequest(requiredFields = []) {
  */
 function errorHandler(err, req, res, next) {
   console.error('Error:', err);
-  
-  // Default error response
-  let statusCode = 500;
-  let message = 'Internal server error';
-  
-  // Handle specific error types
-  if (err.code === 'ENOTFOUND') {
-    statusCode = 503;
-    message = 'Service temporarily unavailable';
-  } else if (err.code === 'ECONNREFUSED') {
-    statusCode = 503;
-    message = 'Unable to connect to M-Pesa service';
-  } else if (err.response && err.response.status) {
-    statusCode = err.response.status;
-    message = err.response.data?.message || err.message;
-  }
-  
-  res.status(statusCode).json({
-    success: false,
-    message: message,
-    data: null,
+
+  // Same mapping the controllers use, so every error has a stable code
+  const { status, body } = errorResponse(err);
+
+  res.status(status).json({
+    ...body,
     ...(process.env.NODE_ENV === 'development' && { 
       stack: err.stack,
       details: err.response?.data 
@@ -206,9 +137,8 @@ function requestLogger(req, res, next) {
 
 module.exports = {
   apiKeyAuth,
-  rateLimit,
   validateMpesaIP,
-  validateRequest,
+  verifyCallbackToken,
   errorHandler,
   requestLogger
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Copy a value with every object's keys in sorted order, at any depth
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Hash a request body independently of property order
+ */
+function fingerprintBody(body = {}) {
+  const canonical = JSON.stringify(sortKeys(body));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function sendInProgress(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'A request with this Idempotency-Key is still being processed',
+    code: 'IDEMPOTENCY_IN_PROGRESS',
+    data: null
+  });
+}
+
+/**
+ * Idempotency-Key middleware
+ * The first request with a key runs normally and its response is stored.
+ * Repeats within the window replay that response, get 409 while the first
+ * request is still running, and get 422 if the body differs.
+ * @param {object} options - { ttlMs, store }
+ */
+function idempotency(options = {}) {
+  const ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+  const store = options.store || createStore('idempotency');
+
+  // Keys claimed by requests running in this process. Checked synchronously
+  // so two requests arriving together cannot both pass the store lookup.
+  const inFlight = new Set();
+  let lastPurge = 0;
+
+  async function purgeExpired(now) {
+    if (now - lastPurge < PURGE_INTERVAL_MS) {
+      return;
+    }
+    lastPurge = now;
+
+    const records = await store.values();
+    for (const record of records) {
+      if (record.expiresAt <= now && !inFlight.has(record.scopedKey)) {
+        await store.delete(record.scopedKey);
+      }
+    }
+  }
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        code: 'VALIDATION_ERROR',
+        data: null
+      });
+    }
+
+    const tenantId = req.tenant ? req.tenant.id : '';
+    const scopedKey = `${tenantId}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const fingerprint = fingerprintBody(req.body);
+
+    if (inFlight.has(scopedKey)) {
+      return sendInProgress(res);
+    }
+    inFlight.add(scopedKey);
+
+    try {
+      const now = Date.now();
+      await purgeExpired(now);
+
+      const existing = await store.get(scopedKey);
+
+      if (existing && existing.expiresAt > now) {
+        inFlight.delete(scopedKey);
+
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request body',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            data: null
+          });
+        }
+
+        // Claimed by another process that has not responded yet
+        if (existing.statusCode === null) {
+          return sendInProgress(res);
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+
+      await store.set(scopedKey, {
+        scopedKey,
+        fingerprint,
+        statusCode: null,
+        responseBody: null,
+        createdAt: now,
+        expiresAt: now + ttlMs
+      });
+    } catch (error) {
+      inFlight.delete(scopedKey);
+      return next(error);
+    }
+
+    // Capture the response so it can be replayed
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function(body) {
+      responseBody = body;
+      return originalJson.call(this, body);
+    };
+
+    res.on('close', async () => {
+      try {
+        // A rate-limited request never ran, so it can be retried with the same key
+        if (res.writableFinished && responseBody !== undefined && res.statusCode !== 429) {
+          const record = await store.get(scopedKey);
+          await store.set(scopedKey, {
+            ...record,
+            statusCode: res.statusCode,
+            responseBody
+          });
+        } else {
+          // Nothing was done, so let the client retry with the same key
+          await store.delete(scopedKey);
+        }
+      } catch (error) {
+        console.error('❌ Failed to store idempotent response:', error.message);
+      } finally {
+        inFlight.delete(scopedKey);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  fingerprintBody
+};
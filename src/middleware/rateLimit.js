@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { createCounterStore } = require('../stores');
+const { createIpMatcher, getMpesaIpRanges } = require('../utils/ipMatcher');
+const { normalizePhoneNumber } = require('../utils/phone');
+const tenantRegistry = require('../services/tenantRegistry');
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Rate limiting
+ *
+ * Uses a sliding window counter: requests are counted in fixed windows and
+ * the previous window's count is weighted by how much of it still overlaps
+ * the sliding window. That is two counters per client rather than a
+ * timestamp per request, and each is a single atomic INCR in Redis, so the
+ * limits hold across processes and cluster workers sharing REDIS_URL.
+ *
+ * Responses carry the IETF RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers; a 429 adds Retry-After.
+ */
+
+/**
+ * Limit by client IP address
+ * req.ip only honours X-Forwarded-For when TRUST_PROXY is set.
+ */
+function byIp(req) {
+  return req.ip || req.socket.remoteAddress;
+}
+
+/**
+ * Limit by API key, skipping requests without one
+ * The key is hashed so it is never written to the counter store.
+ */
+function byApiKey(req) {
+  const apiKey = req.get('x-api-key');
+  return apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex') : null;
+}
+
+/**
+ * Limit by the phone number in a body field, skipping invalid numbers
+ * Numbers are normalised first, so 0712... and +254712... share a limit.
+ * @param {string} field - Body field holding the phone number
+ * @returns {Function} Key function
+ */
+function byPhone(field = 'phone') {
+  return req => {
+    try {
+      return normalizePhoneNumber(req.body && req.body[field]);
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+let mpesaIpMatcher = null;
+let sharedStore = null;
+
+/**
+ * Whether a request comes from Safaricom's callback addresses
+ * Callbacks are never limited - a 429 would just make Safaricom resend them.
+ */
+function isMpesaCallback(req) {
+  if (!mpesaIpMatcher) {
+    mpesaIpMatcher = createIpMatcher(getMpesaIpRanges());
+  }
+  return mpesaIpMatcher(req.ip || req.socket.remoteAddress);
+}
+
+/**
+ * The counter store limits use unless given their own
+ * Shared, so limits with the same name count together wherever they are
+ * mounted - e.g. the per-phone limit on both /stkpush and the checkout page.
+ */
+function defaultStore() {
+  if (!sharedStore) {
+    sharedStore = createCounterStore('rate-limit');
+  }
+  return sharedStore;
+}
+
+/**
+ * Replace the shared counter store
+ */
+function setRateLimitStore(store) {
+  sharedStore = store;
+}
+
+/**
+ * Respond to a limited request with the usual JSON error
+ */
+function sendRateLimited(req, res, { message, limit, windowMs, retryAfter }) {
+  res.status(429).json({
+    success: false,
+    message,
+    code: 'RATE_LIMITED',
+    data: {
+      limit,
+      windowMs,
+      retryAfter
+    }
+  });
+}
+
+/**
+ * Milliseconds until a limited client can make one more request
+ * Either the previous window's weight decays far enough during this window,
+ * or this window's count has to become the decaying previous one.
+ * @param {number} previous - Count in the previous window
+ * @param {number} current - Count in this window, excluding the refused request
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @param {number} elapsedMs - Time since this window started
+ * @returns {number} Milliseconds to wait
+ */
+function msUntilAllowed(previous, current, limit, windowMs, elapsedMs) {
+  if (current + 1 <= limit && previous > 0) {
+    const weight = (limit - current - 1) / previous;
+    return Math.max(0, (1 - weight) * windowMs - elapsedMs);
+  }
+
+  const weight = current > 0 ? (limit - 1) / current : 1;
+  return windowMs - elapsedMs + Math.max(0, 1 - weight) * windowMs;
+}
+
+/**
+ * Set the RateLimit-* headers
+ * When several limits apply to a request the headers describe whichever
+ * has the fewest requests remaining.
+ */
+function setRateLimitHeaders(res, { limit, remaining, resetSeconds, windowMs }) {
+  const shownRemaining = res.get('RateLimit-Remaining');
+  if (shownRemaining !== undefined && Number(shownRemaining) < remaining) {
+    return;
+  }
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+  });
+}
+
+/**
+ * Rate limiting middleware
+ * @param {object} options - {
+ *   name: counter namespace, so limits on the same client stay separate,
+ *   limit: requests per window, or a function of the request returning it,
+ *   windowMs: window length,
+ *   keyBy: function of the request returning the client to count, or null
+ *     to let the request through unlimited (default byIp),
+ *   skip: function of the request, true to let it through unlimited,
+ *   message: 429 response message,
+ *   handler: function(req, res, { message, limit, windowMs, retryAfter })
+ *     sending the 429, e.g. as an HTML page (default JSON),
+ *   store: counter store, see createCounterStore()
+ * }
+ * @returns {Function} Express middleware
+ */
+function rateLimit(options = {}) {
+  const name = options.name || 'ip';
+  const windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+  const limitFor = typeof options.limit === 'function' ? options.limit : () => options.limit || 100;
+  const keyBy = options.keyBy || byIp;
+  const skip = options.skip || (() => false);
+  const message = options.message || 'Too many requests, please try again later';
+  const handler = options.handler || sendRateLimited;
+
+  return async (req, res, next) => {
+    const store = options.store || defaultStore();
+    const client = skip(req) ? null : keyBy(req);
+    if (!client) {
+      return next();
+    }
+
+    const limit = limitFor(req);
+    const now = Date.now();
+    const windowIndex = Math.floor(now / windowMs);
+    const elapsedMs = now - windowIndex * windowMs;
+    const currentKey = `${name}:${client}:${windowIndex}`;
+
+    let current;
+    let previous;
+    try {
+      // Counters outlive their window so they can be weighted in the next one
+      current = await store.increment(currentKey, windowMs * 2);
+      previous = await store.get(`${name}:${client}:${windowIndex - 1}`);
+    } catch (error) {
+      // A counter store outage should not take the API down with it
+      console.error(`❌ Rate limit ${name} check failed, allowing request:`, error.message);
+      return next();
+    }
+
+    const used = previous * (1 - elapsedMs / windowMs) + current;
+
+    if (used <= limit) {
+      setRateLimitHeaders(res, {
+        limit,
+        remaining: Math.max(0, Math.floor(limit - used)),
+        resetSeconds: Math.ceil((windowMs - elapsedMs) / 1000),
+        windowMs
+      });
+      return next();
+    }
+
+    // Refused requests do not use up the quota
+    try {
+      current = await store.decrement(currentKey);
+    } catch (error) {
+      console.error(`❌ Rate limit ${name} failed to release a refused request:`, error.message);
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(msUntilAllowed(previous, current, limit, windowMs, elapsedMs) / 1000));
+    console.warn(`⚠️  Rate limit ${name} exceeded, retry in ${retryAfter}s`);
+
+    setRateLimitHeaders(res, { limit, remaining: 0, resetSeconds: retryAfter, windowMs });
+    res.set('Retry-After', String(retryAfter));
+
+    handler(req, res, { message, limit, windowMs, retryAfter });
+  };
+}
+
+/**
+ * Per-IP limit on the API, RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS
+ */
+function ipRateLimit(options = {}) {
+  return rateLimit({
+    name: 'ip',
+    limit: parseInt(process.env.RATE_LIMIT_MAX, 10) || 300,
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || DEFAULT_WINDOW_MS,
+    skip: isMpesaCallback,
+    ...options
+  });
+}
+
+/**
+ * Per-API-key limit on the API
+ * A tenant's rateLimit sets the quota for its key, otherwise it is
+ * RATE_LIMIT_API_KEY_MAX requests per RATE_LIMIT_WINDOW_MS.
+ */
+function apiKeyRateLimit() {
+  const defaultLimit = parseInt(process.env.RATE_LIMIT_API_KEY_MAX, 10) || 1000;
+
+  return rateLimit({
+    name: 'api-key',
+    limit: req => tenantRegistry.getRateLimit(req.get('x-api-key')) || defaultLimit,
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || DEFAULT_WINDOW_MS,
+    keyBy: byApiKey,
+    skip: isMpesaCallback
+  });
+}
+
+/**
+ * Per-phone limit on STK Pushes, so one customer's phone cannot be spammed
+ * with prompts - RATE_LIMIT_PHONE_MAX per RATE_LIMIT_PHONE_WINDOW_MS
+ * Mount it on every route a caller can start a push from; they share one
+ * quota per phone number.
+ * @param {object} options - rateLimit options, plus field: the body field
+ *   holding the phone number
+ */
+function phoneRateLimit({ field = 'phone', ...options } = {}) {
+  return rateLimit({
+    name: 'phone',
+    limit: parseInt(process.env.RATE_LIMIT_PHONE_MAX, 10) || 5,
+    windowMs: parseInt(process.env.RATE_LIMIT_PHONE_WINDOW_MS, 10) || 10 * 60 * 1000,
+    keyBy: byPhone(field),
+    message: 'Too many payment prompts sent to this phone number, please try again later',
+    ...options
+  });
+}
+
+module.exports = {
+  rateLimit,
+  ipRateLimit,
+  apiKeyRateLimit,
+  phoneRateLimit,
+  setRateLimitStore,
+  byIp,
+  byApiKey,
+  byPhone
+};
@@ -0,0 +1,50 @@
+const tenantRegistry = require('../services/tenantRegistry');
+
+/**
+ * Resolve which tenant a request is for
+ * An X-Tenant-ID header selects the tenant (and must come with that tenant's
+ * API key if it has one). Otherwise the X-API-Key picks the tenant that owns
+ * it, and anything else uses the default tenant.
+ * Sets req.tenant and req.mpesaService.
+ */
+function resolveTenant(req, res, next) {
+  const tenantId = req.get('x-tenant-id');
+  const apiKey = req.get('x-api-key');
+  let service;
+
+  if (tenantId) {
+    service = tenantRegistry.getService(tenantId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown tenant: ${tenantId}`,
+        data: null
+      });
+    }
+
+    const expectedApiKey = tenantRegistry.getApiKey(tenantId);
+    if (expectedApiKey && apiKey !== expectedApiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or missing API key for tenant',
+        data: null
+      });
+    }
+  } else {
+    service = tenantRegistry.findByApiKey(apiKey) || tenantRegistry.getDefaultService();
+  }
+
+  req.tenant = {
+    id: service.tenantId,
+    name: service.tenantName,
+    environment: service.environment
+  };
+  req.mpesaService = service;
+
+  next();
+}
+
+module.exports = {
+  resolveTenant
+};
@@ -0,0 +1,55 @@
+const { validate, toValidationError } = require('../utils/schema');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Request body validation middleware
+ * Responds 400 with every field-level error in data.errors if the body
+ * does not match the schema.
+ * @param {object} schema - Body schema, see src/schemas/requestSchemas.js
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body);
+
+    if (errors.length > 0) {
+      return sendError(res, toValidationError(errors));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Daraja callback validation middleware
+ * Safaricom keeps resending a callback it gets an error for, and resending
+ * a malformed one cannot help - so it is logged and acknowledged with 200,
+ * but never processed.
+ * @param {object} schema - Callback schema, see src/schemas/callbackSchemas.js
+ * @param {object} acknowledgement - Body to acknowledge an invalid callback
+ *   with, for callbacks where Safaricom expects a particular reply
+ * @returns {Function} Express middleware
+ */
+function validateCallback(schema, acknowledgement = null) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body);
+
+    if (errors.length === 0) {
+      return next();
+    }
+
+    console.warn(`⚠️  Invalid callback to ${req.originalUrl}:`, errors.map(error => error.message).join('; '));
+
+    res.status(200).json(acknowledgement || {
+      success: false,
+      message: 'Callback failed validation and was not processed',
+      code: 'VALIDATION_ERROR',
+      data: { errors }
+    });
+  };
+}
+
+module.exports = {
+  validateBody,
+  validateCallback
+};
@@ -0,0 +1,98 @@
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+const ACCOUNT_REQUEST_TYPE = {
+  TRANSACTION_STATUS: 'TRANSACTION_STATUS',
+  ACCOUNT_BALANCE: 'ACCOUNT_BALANCE',
+  REVERSAL: 'REVERSAL'
+};
+
+const ACCOUNT_REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  TIMEOUT: 'TIMEOUT'
+};
+
+/**
+ * Account request repository
+ * Tracks asynchronous initiator requests (transaction status, account
+ * balance, reversal) keyed by OriginatorConversationID until their result
+ * or timeout webhook arrives.
+ */
+class AccountRequestRepository {
+  constructor(store = createStore('account-requests')) {
+    this.store = store;
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a newly submitted request
+   */
+  async create(request) {
+    const now = moment().toISOString();
+    const record = {
+      tenantId: request.tenantId || DEFAULT_TENANT_ID,
+      originatorConversationID: request.originatorConversationID,
+      conversationID: request.conversationID,
+      type: request.type,
+      params: request.params || {},
+      status: ACCOUNT_REQUEST_STATUS.PENDING,
+      resultCode: null,
+      resultDesc: null,
+      resultData: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(record.originatorConversationID, record);
+    return record;
+  }
+
+  /**
+   * Find a request by OriginatorConversationID
+   */
+  async findByOriginatorConversationID(originatorConversationID) {
+    return this.store.get(originatorConversationID);
+  }
+
+  /**
+   * Move a pending request to its final status
+   * Requests that are already final are returned unchanged.
+   */
+  async updateStatus(originatorConversationID, status, details = {}) {
+    const request = await this.store.get(originatorConversationID);
+
+    if (!request) {
+      return null;
+    }
+
+    if (request.status !== ACCOUNT_REQUEST_STATUS.PENDING) {
+      return request;
+    }
+
+    const updated = {
+      ...request,
+      status: status,
+      resultCode: details.resultCode !== undefined ? details.resultCode : request.resultCode,
+      resultDesc: details.resultDesc || request.resultDesc,
+      resultData: details.resultData || request.resultData,
+      updatedAt: moment().toISOString()
+    };
+
+    await this.store.set(originatorConversationID, updated);
+    return updated;
+  }
+}
+
+module.exports = new AccountRequestRepository();
+module.exports.AccountRequestRepository = AccountRequestRepository;
+module.exports.ACCOUNT_REQUEST_TYPE = ACCOUNT_REQUEST_TYPE;
+module.exports.ACCOUNT_REQUEST_STATUS = ACCOUNT_REQUEST_STATUS;
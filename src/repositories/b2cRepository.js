@@ -0,0 +1,93 @@
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+const B2C_STATUS = {
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+  TIMEOUT: 'TIMEOUT'
+};
+
+/**
+ * B2C disbursement repository
+ * Records every B2C request keyed by the OriginatorConversationID we send
+ * to Daraja, which comes back on both the result and the timeout webhook.
+ */
+class B2CRepository {
+  constructor(store = createStore('b2c')) {
+    this.store = store;
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a newly initiated B2C payment
+   */
+  async create(payment) {
+    const now = moment().toISOString();
+    const record = {
+      tenantId: payment.tenantId || DEFAULT_TENANT_ID,
+      originatorConversationID: payment.originatorConversationID,
+      conversationID: payment.conversationID,
+      phone: payment.phone,
+      amount: payment.amount,
+      commandId: payment.commandId,
+      remarks: payment.remarks,
+      occasion: payment.occasion,
+      status: B2C_STATUS.PENDING,
+      resultCode: null,
+      resultDesc: null,
+      resultData: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(record.originatorConversationID, record);
+    return record;
+  }
+
+  /**
+   * Find a B2C payment by OriginatorConversationID
+   */
+  async findByOriginatorConversationID(originatorConversationID) {
+    return this.store.get(originatorConversationID);
+  }
+
+  /**
+   * Move a pending B2C payment to its final status
+   * Payments that are already final are returned unchanged.
+   */
+  async updateStatus(originatorConversationID, status, details = {}) {
+    const payment = await this.store.get(originatorConversationID);
+
+    if (!payment) {
+      return null;
+    }
+
+    if (payment.status !== B2C_STATUS.PENDING) {
+      return payment;
+    }
+
+    const updated = {
+      ...payment,
+      status: status,
+      resultCode: details.resultCode !== undefined ? details.resultCode : payment.resultCode,
+      resultDesc: details.resultDesc || payment.resultDesc,
+      resultData: details.resultData || payment.resultData,
+      updatedAt: moment().toISOString()
+    };
+
+    await this.store.set(originatorConversationID, updated);
+    return updated;
+  }
+}
+
+module.exports = new B2CRepository();
+module.exports.B2CRepository = B2CRepository;
+module.exports.B2C_STATUS = B2C_STATUS;
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const KeyedLock = require('../utils/keyedLock');
+
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'ACTIVE',
+  PAST_DUE: 'PAST_DUE',
+  PAUSED: 'PAUSED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Billing repository
+ * Holds recurring billing plans and the customers subscribed to them.
+ * A subscription keeps every charge pushed for it, so the scheduler can
+ * pick up where it left off after a restart.
+ */
+class BillingRepository {
+  constructor(planStore = createStore('billing-plans'), subscriptionStore = createStore('billing-subscriptions')) {
+    this.planStore = planStore;
+    this.subscriptionStore = subscriptionStore;
+
+    // Changes to one subscription run one at a time
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Replace the backing stores
+   */
+  setStores(planStore, subscriptionStore) {
+    this.planStore = planStore;
+    this.subscriptionStore = subscriptionStore;
+  }
+
+  /**
+   * Create a plan
+   */
+  async createPlan(plan) {
+    const record = {
+      id: `PLN${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      tenantId: plan.tenantId || DEFAULT_TENANT_ID,
+      name: plan.name,
+      description: plan.description || null,
+      amount: plan.amount,
+      interval: plan.interval,
+      intervalCount: plan.intervalCount,
+      createdAt: moment().toISOString()
+    };
+
+    await this.planStore.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find a plan by id
+   */
+  async findPlan(id) {
+    return this.planStore.get(id);
+  }
+
+  /**
+   * List plans, newest first
+   */
+  async listPlans({ tenantId } = {}) {
+    const plans = await this.planStore.values();
+
+    return plans
+      .filter(plan => !tenantId || plan.tenantId === tenantId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Create a subscription
+   * The generated id fits Daraja's 12 character AccountReference.
+   */
+  async createSubscription(subscription) {
+    const now = moment().toISOString();
+    const record = {
+      id: `SUB${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      tenantId: subscription.tenantId || DEFAULT_TENANT_ID,
+      planId: subscription.planId,
+      phone: subscription.phone,
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      anchorAt: subscription.startAt,
+      cycle: 0,
+      cycleDueAt: subscription.startAt,
+      nextChargeAt: subscription.startAt,
+      dunningAttempt: 0,
+      pendingCheckoutRequestID: null,
+      chargeStartedAt: null,
+      charges: [],
+      lastPaidAt: null,
+      pausedAt: null,
+      cancelledAt: null,
+      cancelReason: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.subscriptionStore.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find a subscription by id
+   */
+  async findSubscription(id) {
+    return this.subscriptionStore.get(id);
+  }
+
+  /**
+   * Find the subscription a charge was pushed for
+   */
+  async findSubscriptionByCheckoutRequestID(checkoutRequestID) {
+    const subscriptions = await this.subscriptionStore.values();
+    return subscriptions.find(subscription =>
+      subscription.charges.some(charge => charge.checkoutRequestID === checkoutRequestID)) || null;
+  }
+
+  /**
+   * List subscriptions, newest first
+   */
+  async listSubscriptions({ tenantId, status, planId, limit = 50, offset = 0 } = {}) {
+    let subscriptions = await this.subscriptionStore.values();
+
+    if (tenantId) {
+      subscriptions = subscriptions.filter(subscription => subscription.tenantId === tenantId);
+    }
+    if (status) {
+      subscriptions = subscriptions.filter(subscription => subscription.status === status);
+    }
+    if (planId) {
+      subscriptions = subscriptions.filter(subscription => subscription.planId === planId);
+    }
+
+    subscriptions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: subscriptions.length,
+      subscriptions: subscriptions.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Subscriptions whose next charge is due and not already under way
+   * @param {string} now - ISO timestamp
+   * @param {string} staleBefore - Charges started before this without a
+   *   recorded push are treated as lost and may be started again
+   */
+  async findDueSubscriptions(now, staleBefore) {
+    const subscriptions = await this.subscriptionStore.values();
+
+    return subscriptions.filter(subscription =>
+      (subscription.status === SUBSCRIPTION_STATUS.ACTIVE || subscription.status === SUBSCRIPTION_STATUS.PAST_DUE) &&
+      subscription.nextChargeAt <= now &&
+      !subscription.pendingCheckoutRequestID &&
+      (!subscription.chargeStartedAt || subscription.chargeStartedAt < staleBefore));
+  }
+
+  /**
+   * Apply changes computed from the current record
+   * changesFor may return null to leave the subscription untouched.
+   * @returns {object|null} Updated subscription, or null if nothing was changed
+   */
+  async updateSubscription(id, changesFor) {
+    return this.locks.run(id, async () => {
+      const subscription = await this.subscriptionStore.get(id);
+
+      if (!subscription) {
+        return null;
+      }
+
+      const changes = changesFor(subscription);
+      if (!changes) {
+        return null;
+      }
+
+      const updated = {
+        ...subscription,
+        ...changes,
+        updatedAt: moment().toISOString()
+      };
+
+      await this.subscriptionStore.set(id, updated);
+      return updated;
+    });
+  }
+}
+
+module.exports = new BillingRepository();
+module.exports.BillingRepository = BillingRepository;
+module.exports.SUBSCRIPTION_STATUS = SUBSCRIPTION_STATUS;
@@ -0,0 +1,51 @@
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+/**
+ * C2B payment repository
+ * Records confirmed paybill/till payments keyed by the M-Pesa TransID.
+ */
+class C2BRepository {
+  constructor(store = createStore('c2b')) {
+    this.store = store;
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a confirmed C2B payment
+   * Safaricom may deliver the same confirmation more than once, so an
+   * existing TransID is returned as-is instead of being overwritten.
+   */
+  async create(payment) {
+    const existing = await this.store.get(payment.transID);
+    if (existing) {
+      return existing;
+    }
+
+    const record = {
+      ...payment,
+      tenantId: payment.tenantId || DEFAULT_TENANT_ID,
+      createdAt: moment().toISOString()
+    };
+
+    await this.store.set(record.transID, record);
+    return record;
+  }
+
+  /**
+   * Find a C2B payment by TransID
+   */
+  async findByTransID(transID) {
+    return this.store.get(transID);
+  }
+}
+
+module.exports = new C2BRepository();
+module.exports.C2BRepository = C2BRepository;
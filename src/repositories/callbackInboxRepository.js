@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const KeyedLock = require('../utils/keyedLock');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+const INBOX_STATUS = {
+  RECEIVED: 'RECEIVED',
+  PROCESSING: 'PROCESSING',
+  RETRYING: 'RETRYING',
+  PROCESSED: 'PROCESSED',
+  FAILED: 'FAILED',
+  DUPLICATE: 'DUPLICATE'
+};
+
+/**
+ * Whether later callbacks with an entry's dedupe key are its duplicates
+ */
+function isLive(entry) {
+  return Boolean(entry) && entry.status !== INBOX_STATUS.FAILED && entry.status !== INBOX_STATUS.DUPLICATE;
+}
+
+/**
+ * Whether an entry belongs to a tenant
+ * No tenant means any tenant, for the worker. Entries whose push has not
+ * been found yet belong to the default tenant until it is.
+ */
+function belongsTo(entry, tenantId) {
+  return !tenantId || (entry.tenantId || DEFAULT_TENANT_ID) === tenantId;
+}
+
+/**
+ * Callback inbox repository
+ * Every STK callback is stored here, exactly as received, before it is
+ * acknowledged. Entries are never deleted and their raw body is never
+ * changed - only the processing state alongside it moves on.
+ *
+ * A second store maps each dedupe key to the entry later callbacks with
+ * that key duplicate, so checking for a duplicate is a single lookup.
+ */
+class CallbackInboxRepository {
+  constructor(store = createStore('callback-inbox'), dedupeStore = createStore('callback-inbox-dedupe')) {
+    this.store = store;
+    this.dedupeStore = dedupeStore;
+
+    // Changes to one entry, and dedupe checks for one key, run one at a time
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Replace the backing stores
+   */
+  setStores(store, dedupeStore) {
+    this.store = store;
+    this.dedupeStore = dedupeStore;
+  }
+
+  /**
+   * Append a callback to the inbox
+   * A callback with the same dedupe key as an entry that has not failed is
+   * still stored, but as a DUPLICATE of that entry.
+   * @returns {object} The new entry
+   */
+  async append({ body, dedupeKey, checkoutRequestID, resultCode, sourceIp, tenantId }) {
+    const create = async () => {
+      const original = dedupeKey ? await this.findLiveByDedupeKey(dedupeKey) : null;
+      const now = moment().toISOString();
+      const entry = {
+        id: `cb_${moment().format('YYYYMMDDHHmmss')}_${crypto.randomBytes(6).toString('hex')}`,
+        tenantId: tenantId || null,
+        body,
+        dedupeKey: dedupeKey || null,
+        checkoutRequestID: checkoutRequestID || null,
+        resultCode: resultCode === undefined ? null : resultCode,
+        sourceIp: sourceIp || null,
+        status: original ? INBOX_STATUS.DUPLICATE : INBOX_STATUS.RECEIVED,
+        duplicateOf: original ? original.id : null,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null,
+        processedAt: null,
+        receivedAt: now,
+        updatedAt: now
+      };
+
+      await this.store.set(entry.id, entry);
+      if (dedupeKey && !original) {
+        await this.dedupeStore.set(dedupeKey, entry.id);
+      }
+      return entry;
+    };
+
+    return dedupeKey ? this.locks.run(`dedupe:${dedupeKey}`, create) : create();
+  }
+
+  /**
+   * Find an entry by id
+   * @param {string} tenantId - Only find the tenant's entry, if given
+   */
+  async findById(id, tenantId = null) {
+    const entry = await this.store.get(id);
+    return entry && belongsTo(entry, tenantId) ? entry : null;
+  }
+
+  /**
+   * Find the entry a callback would duplicate, unless it has failed
+   */
+  async findLiveByDedupeKey(dedupeKey) {
+    const id = await this.dedupeStore.get(dedupeKey);
+    const entry = id ? await this.store.get(id) : null;
+    return isLive(entry) ? entry : null;
+  }
+
+  /**
+   * Make a failed entry that was queued again the one its dedupe key points
+   * to, unless another entry with the key has taken its place meanwhile
+   */
+  async reindex(entry) {
+    return this.locks.run(`dedupe:${entry.dedupeKey}`, async () => {
+      if (!(await this.findLiveByDedupeKey(entry.dedupeKey))) {
+        await this.dedupeStore.set(entry.dedupeKey, entry.id);
+      }
+    });
+  }
+
+  /**
+   * List entries, newest first, without their raw bodies
+   */
+  async list({ tenantId, status, checkoutRequestID, limit = 50, offset = 0 } = {}) {
+    let entries = (await this.store.values()).filter(entry => belongsTo(entry, tenantId));
+
+    if (status) {
+      entries = entries.filter(entry => entry.status === status);
+    }
+    if (checkoutRequestID) {
+      entries = entries.filter(entry => entry.checkoutRequestID === checkoutRequestID);
+    }
+
+    entries.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit).map(({ body, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Entries the worker should pick up
+   * @param {string} now - ISO timestamp
+   * @param {string} staleBefore - PROCESSING entries last touched before this
+   *   were interrupted, e.g. by a restart
+   */
+  async findRunnable(now, staleBefore) {
+    const entries = await this.store.values();
+
+    return entries
+      .filter(entry =>
+        entry.status === INBOX_STATUS.RECEIVED ||
+        (entry.status === INBOX_STATUS.RETRYING && entry.nextAttemptAt <= now) ||
+        (entry.status === INBOX_STATUS.PROCESSING && entry.updatedAt < staleBefore))
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  }
+
+  /**
+   * Apply changes computed from the current entry
+   * changesFor may return null to leave the entry untouched. The raw body
+   * can never be changed.
+   * @returns {object|null} Updated entry, or null if nothing was changed
+   */
+  async update(id, changesFor) {
+    return this.locks.run(id, async () => {
+      const entry = await this.store.get(id);
+
+      if (!entry) {
+        return null;
+      }
+
+      const changes = changesFor(entry);
+      if (!changes) {
+        return null;
+      }
+
+      const updated = {
+        ...entry,
+        ...changes,
+        body: entry.body,
+        updatedAt: moment().toISOString()
+      };
+
+      await this.store.set(id, updated);
+
+      if (updated.dedupeKey && entry.status === INBOX_STATUS.FAILED && isLive(updated)) {
+        await this.reindex(updated);
+      }
+      return updated;
+    });
+  }
+}
+
+module.exports = new CallbackInboxRepository();
+module.exports.CallbackInboxRepository = CallbackInboxRepository;
+module.exports.INBOX_STATUS = INBOX_STATUS;
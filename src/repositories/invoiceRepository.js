@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const KeyedLock = require('../utils/keyedLock');
+
+const INVOICE_STATUS = {
+  OPEN: 'OPEN',
+  PARTIALLY_PAID: 'PARTIALLY_PAID',
+  PAID: 'PAID'
+};
+
+/**
+ * Invoice repository
+ * An invoice tracks what a customer owes: every STK Push started against
+ * it, the confirmed payments applied to its balance, any overpayment held
+ * as credit and the history of its status changes.
+ */
+class InvoiceRepository {
+  constructor(store = createStore('invoices')) {
+    this.store = store;
+
+    // Changes to one invoice run one at a time
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create an open invoice
+   * The generated id fits Daraja's 12 character AccountReference.
+   */
+  async create(invoice) {
+    const now = moment().toISOString();
+    const id = `INV${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const record = {
+      id,
+      tenantId: invoice.tenantId || DEFAULT_TENANT_ID,
+      reference: invoice.reference || id,
+      description: invoice.description || null,
+      phone: invoice.phone || null,
+      amountDue: invoice.amountDue,
+      amountPaid: 0,
+      creditBalance: 0,
+      status: INVOICE_STATUS.OPEN,
+      pushes: [],
+      payments: [],
+      paymentPlan: null,
+      statusHistory: [{ status: INVOICE_STATUS.OPEN, amountPaid: 0, note: 'Invoice created', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find an invoice by id
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Find the invoice an STK Push was started for
+   */
+  async findByCheckoutRequestID(checkoutRequestID) {
+    const invoices = await this.store.values();
+    return invoices.find(invoice => invoice.pushes.some(push => push.checkoutRequestID === checkoutRequestID)) || null;
+  }
+
+  /**
+   * List invoices, newest first
+   */
+  async list({ tenantId, status, limit = 50, offset = 0 } = {}) {
+    let invoices = await this.store.values();
+
+    if (tenantId) {
+      invoices = invoices.filter(invoice => invoice.tenantId === tenantId);
+    }
+    if (status) {
+      invoices = invoices.filter(invoice => invoice.status === status);
+    }
+
+    invoices.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: invoices.length,
+      invoices: invoices.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Apply changes computed from the current record
+   * changesFor may return null to leave the invoice untouched.
+   * @returns {object|null} Updated invoice, or null if nothing was changed
+   */
+  async update(id, changesFor) {
+    return this.locks.run(id, async () => {
+      const invoice = await this.store.get(id);
+
+      if (!invoice) {
+        return null;
+      }
+
+      const changes = changesFor(invoice);
+      if (!changes) {
+        return null;
+      }
+
+      const updated = {
+        ...invoice,
+        ...changes,
+        updatedAt: moment().toISOString()
+      };
+
+      await this.store.set(id, updated);
+      return updated;
+    });
+  }
+}
+
+module.exports = new InvoiceRepository();
+module.exports.InvoiceRepository = InvoiceRepository;
+module.exports.INVOICE_STATUS = INVOICE_STATUS;
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const KeyedLock = require('../utils/keyedLock');
+
+/**
+ * Payment link repository
+ * A link fixes the amount and reference of an STK Push; the customer only
+ * supplies a phone number. Every push started from a link is recorded by
+ * CheckoutRequestID in `payments`, and the link's usage is worked out from
+ * those transactions rather than stored separately.
+ */
+class PaymentLinkRepository {
+  constructor(store = createStore('payment-links')) {
+    this.store = store;
+
+    // Changes to one link run one at a time
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a link with an unguessable id
+   */
+  async create(link) {
+    const now = moment().toISOString();
+    const record = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      tenantId: link.tenantId || DEFAULT_TENANT_ID,
+      amount: link.amount,
+      accountReference: link.accountReference,
+      description: link.description,
+      maxUses: link.maxUses || null,
+      expiresAt: link.expiresAt || null,
+      disabledAt: null,
+      payments: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find a link by id
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List a tenant's links, newest first
+   */
+  async list({ tenantId } = {}) {
+    let links = await this.store.values();
+
+    if (tenantId) {
+      links = links.filter(link => link.tenantId === tenantId);
+    }
+
+    return links.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Record a push started from a link
+   */
+  async addPayment(id, checkoutRequestID) {
+    return this.update(id, link => ({ payments: [...link.payments, checkoutRequestID] }));
+  }
+
+  /**
+   * Stop a link from accepting payments
+   */
+  async disable(id) {
+    return this.update(id, link => ({ disabledAt: link.disabledAt || moment().toISOString() }));
+  }
+
+  /**
+   * Apply changes computed from the current record
+   */
+  async update(id, changesFor) {
+    return this.withLock(id, async () => {
+      const link = await this.store.get(id);
+
+      if (!link) {
+        return null;
+      }
+
+      const updated = {
+        ...link,
+        ...changesFor(link),
+        updatedAt: moment().toISOString()
+      };
+
+      await this.store.set(id, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Run fn after any earlier locked work on the same link has finished
+   */
+  async withLock(id, fn) {
+    return this.locks.run(id, fn);
+  }
+}
+
+module.exports = new PaymentLinkRepository();
+module.exports.PaymentLinkRepository = PaymentLinkRepository;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+/**
+ * Statement repository
+ * Holds imported M-Pesa portal statements. Each import keeps the parsed
+ * money-in entries and the period it covers, so a report can be rebuilt
+ * at any time as late callbacks arrive. The store is shared because the
+ * reconcile CLI imports into it while the server is running.
+ */
+class StatementRepository {
+  constructor(store = createStore('statements', undefined, { shared: true })) {
+    this.store = store;
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record an imported statement
+   */
+  async create(statement) {
+    const record = {
+      id: `STM${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      tenantId: statement.tenantId || DEFAULT_TENANT_ID,
+      fileName: statement.fileName || null,
+      contentHash: statement.contentHash,
+      period: statement.period,
+      entries: statement.entries,
+      importedAt: moment().toISOString()
+    };
+
+    await this.store.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find a statement by id
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Find a tenant's earlier import of the same file
+   */
+  async findByContentHash(tenantId, contentHash) {
+    const statements = await this.store.values();
+    return statements.find(statement => statement.tenantId === tenantId && statement.contentHash === contentHash) || null;
+  }
+
+  /**
+   * List a tenant's statements, newest import first
+   */
+  async list({ tenantId } = {}) {
+    const statements = await this.store.values();
+
+    return statements
+      .filter(statement => !tenantId || statement.tenantId === tenantId)
+      .sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+  }
+}
+
+module.exports = new StatementRepository();
+module.exports.StatementRepository = StatementRepository;
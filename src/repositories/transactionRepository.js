@@ -0,0 +1,206 @@
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const KeyedLock = require('../utils/keyedLock');
+
+const TRANSACTION_STATUS = {
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  TIMEOUT: 'TIMEOUT'
+};
+
+/**
+ * Map an STK Push ResultCode to a transaction status
+ * @param {number|string} resultCode - ResultCode from a callback or status query
+ * @returns {string} Transaction status
+ */
+function statusFromResultCode(resultCode) {
+  switch (Number(resultCode)) {
+    case 0:
+      return TRANSACTION_STATUS.SUCCESS;
+    case 1032: // Request cancelled by user
+      return TRANSACTION_STATUS.CANCELLED;
+    case 1037: // DS timeout, user cannot be reached
+      return TRANSACTION_STATUS.TIMEOUT;
+    case 4999: // Transaction still under processing
+      return TRANSACTION_STATUS.PENDING;
+    case 1: // Insufficient balance
+    case 2001: // Wrong PIN
+    default:
+      return TRANSACTION_STATUS.FAILED;
+  }
+}
+
+/**
+ * STK Push transaction repository
+ * Records every STK Push keyed by CheckoutRequestID and tracks it from
+ * PENDING to its final status. The backing store can be swapped with
+ * setStore() for anything exposing async get/set/delete/values.
+ */
+class TransactionRepository {
+  constructor(store = createStore('transactions')) {
+    this.store = store;
+
+    // Status changes per CheckoutRequestID run one at a time
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a newly initiated STK Push
+   */
+  async create(transaction) {
+    const now = moment().toISOString();
+    const record = {
+      tenantId: transaction.tenantId || DEFAULT_TENANT_ID,
+      checkoutRequestID: transaction.checkoutRequestID,
+      merchantRequestID: transaction.merchantRequestID,
+      phone: transaction.phone,
+      amount: transaction.amount,
+      accountReference: transaction.accountReference,
+      transactionDesc: transaction.transactionDesc,
+      transactionType: transaction.transactionType || null,
+      partyB: transaction.partyB || null,
+      callbackTokenHash: transaction.callbackTokenHash || null,
+      status: TRANSACTION_STATUS.PENDING,
+      resultCode: null,
+      resultDesc: null,
+      paymentData: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(record.checkoutRequestID, record);
+    return record;
+  }
+
+  /**
+   * Find a transaction by CheckoutRequestID
+   */
+  async findByCheckoutRequestID(checkoutRequestID) {
+    return this.store.get(checkoutRequestID);
+  }
+
+  /**
+   * Find a transaction by MerchantRequestID
+   */
+  async findByMerchantRequestID(merchantRequestID) {
+    const transactions = await this.store.values();
+    return transactions.find(transaction => transaction.merchantRequestID === merchantRequestID) || null;
+  }
+
+  /**
+   * List transactions, newest first
+   */
+  async list({ tenantId, status, phone, limit = 50, offset = 0 } = {}) {
+    let transactions = await this.store.values();
+
+    if (tenantId) {
+      // Transactions recorded before tenants existed belong to the default tenant
+      transactions = transactions.filter(transaction => (transaction.tenantId || DEFAULT_TENANT_ID) === tenantId);
+    }
+    if (status) {
+      transactions = transactions.filter(transaction => transaction.status === status);
+    }
+    if (phone) {
+      transactions = transactions.filter(transaction => transaction.phone === phone);
+    }
+
+    transactions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: transactions.length,
+      transactions: transactions.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Find pending transactions created before a given time
+   */
+  async findPendingCreatedBefore(date) {
+    const cutoff = moment(date).toISOString();
+    const transactions = await this.store.values();
+
+    return transactions.filter(transaction =>
+      transaction.status === TRANSACTION_STATUS.PENDING && transaction.createdAt < cutoff
+    );
+  }
+
+  /**
+   * Update bookkeeping fields on a transaction without changing its status
+   */
+  async update(checkoutRequestID, changes) {
+    return this.withLock(checkoutRequestID, async () => {
+      const transaction = await this.store.get(checkoutRequestID);
+
+      if (!transaction) {
+        return null;
+      }
+
+      const { status, ...rest } = changes;
+      const updated = {
+        ...transaction,
+        ...rest,
+        updatedAt: moment().toISOString()
+      };
+
+      await this.store.set(checkoutRequestID, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Move a pending transaction to its final status
+   * Status changes for the same CheckoutRequestID run one at a time, and a
+   * transaction that is already final is returned unchanged, so a callback
+   * and a status query racing each other can never both apply an outcome.
+   * @returns {object|null} { transaction, changed } or null if not found
+   */
+  async updateStatus(checkoutRequestID, status, details = {}) {
+    return this.withLock(checkoutRequestID, async () => {
+      const transaction = await this.store.get(checkoutRequestID);
+
+      if (!transaction) {
+        return null;
+      }
+
+      if (transaction.status !== TRANSACTION_STATUS.PENDING || status === TRANSACTION_STATUS.PENDING) {
+        return { transaction, changed: false };
+      }
+
+      const now = moment().toISOString();
+      const updated = {
+        ...transaction,
+        status: status,
+        resultCode: details.resultCode !== undefined ? details.resultCode : transaction.resultCode,
+        resultDesc: details.resultDesc || transaction.resultDesc,
+        paymentData: details.paymentData || transaction.paymentData,
+        completedAt: now,
+        updatedAt: now
+      };
+
+      await this.store.set(checkoutRequestID, updated);
+      return { transaction: updated, changed: true };
+    });
+  }
+
+  /**
+   * Run fn after any earlier locked work on the same key has finished
+   */
+  async withLock(key, fn) {
+    return this.locks.run(key, fn);
+  }
+}
+
+module.exports = new TransactionRepository();
+module.exports.TransactionRepository = TransactionRepository;
+module.exports.TRANSACTION_STATUS = TRANSACTION_STATUS;
+module.exports.statusFromResultCode = statusFromResultCode;
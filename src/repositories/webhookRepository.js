@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { createStore } = require('../stores');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+const DELIVERY_STATUS = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Whether a subscription or delivery belongs to a tenant
+ * No tenant means any tenant, for internal callers such as the retry loop.
+ */
+function belongsTo(record, tenantId) {
+  return !tenantId || (record.tenantId || DEFAULT_TENANT_ID) === tenantId;
+}
+
+/**
+ * Webhook repository
+ * Holds merchant webhook subscriptions and every delivery made to them.
+ * Deliveries that exhausted their retries stay FAILED and form the
+ * dead-letter list until they are replayed.
+ * Subscriptions and deliveries belong to a tenant, and a subscription only
+ * hears about that tenant's payments. Records from before tenants were
+ * stored belong to the default tenant.
+ */
+class WebhookRepository {
+  constructor(subscriptionStore = createStore('webhook-subscriptions'), deliveryStore = createStore('webhook-deliveries')) {
+    this.subscriptionStore = subscriptionStore;
+    this.deliveryStore = deliveryStore;
+  }
+
+  /**
+   * Replace the backing stores
+   */
+  setStores(subscriptionStore, deliveryStore) {
+    this.subscriptionStore = subscriptionStore;
+    this.deliveryStore = deliveryStore;
+  }
+
+  /**
+   * Register a subscription
+   */
+  async createSubscription({ tenantId, url, events, secret, description }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      tenantId: tenantId || DEFAULT_TENANT_ID,
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      description: description || null,
+      active: true,
+      createdAt: moment().toISOString()
+    };
+
+    await this.subscriptionStore.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  /**
+   * Find a subscription by id
+   * @param {string} tenantId - Only return the subscription if it belongs to this tenant
+   */
+  async findSubscription(id, tenantId = null) {
+    const subscription = await this.subscriptionStore.get(id);
+    return subscription && belongsTo(subscription, tenantId) ? subscription : null;
+  }
+
+  /**
+   * List a tenant's subscriptions, or every subscription without a tenant
+   */
+  async listSubscriptions({ tenantId } = {}) {
+    const subscriptions = await this.subscriptionStore.values();
+    return subscriptions.filter(subscription => belongsTo(subscription, tenantId));
+  }
+
+  /**
+   * List a tenant's active subscriptions for an event type
+   */
+  async findSubscriptionsForEvent(event, tenantId) {
+    const subscriptions = await this.listSubscriptions({ tenantId: tenantId || DEFAULT_TENANT_ID });
+    return subscriptions.filter(subscription => subscription.active && subscription.events.includes(event));
+  }
+
+  /**
+   * Remove a subscription
+   */
+  async deleteSubscription(id) {
+    return this.subscriptionStore.delete(id);
+  }
+
+  /**
+   * Create a delivery unless one with the same id already exists
+   * @returns {object|null} The new delivery, or null for a duplicate
+   */
+  async createDelivery(delivery) {
+    const existing = await this.deliveryStore.get(delivery.id);
+    if (existing) {
+      return null;
+    }
+
+    const now = moment().toISOString();
+    const record = {
+      ...delivery,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      responseStatus: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.deliveryStore.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Find a delivery by id
+   * @param {string} tenantId - Only return the delivery if it belongs to this tenant
+   */
+  async findDelivery(id, tenantId = null) {
+    const delivery = await this.deliveryStore.get(id);
+    return delivery && belongsTo(delivery, tenantId) ? delivery : null;
+  }
+
+  /**
+   * List deliveries, newest first
+   */
+  async listDeliveries({ tenantId, status, subscriptionId } = {}) {
+    let deliveries = (await this.deliveryStore.values()).filter(delivery => belongsTo(delivery, tenantId));
+
+    if (status) {
+      deliveries = deliveries.filter(delivery => delivery.status === status);
+    }
+    if (subscriptionId) {
+      deliveries = deliveries.filter(delivery => delivery.subscriptionId === subscriptionId);
+    }
+
+    return deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update fields on a delivery
+   */
+  async updateDelivery(id, changes) {
+    const delivery = await this.deliveryStore.get(id);
+
+    if (!delivery) {
+      return null;
+    }
+
+    const updated = {
+      ...delivery,
+      ...changes,
+      updatedAt: moment().toISOString()
+    };
+
+    await this.deliveryStore.set(id, updated);
+    return updated;
+  }
+}
+
+module.exports = new WebhookRepository();
+module.exports.WebhookRepository = WebhookRepository;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
@@ -0,0 +1,24 @@
+const express = require('express');
+const checkoutController = require('../controllers/checkoutController');
+const { ipRateLimit, phoneRateLimit } = require('../middleware/rateLimit');
+const { renderUnavailable } = require('../views/checkoutPage');
+
+const router = express.Router();
+
+/**
+ * Show a limited customer a page rather than JSON
+ */
+function sendRateLimitedPage(req, res, { message }) {
+  res.status(429).send(renderUnavailable({ message }));
+}
+
+// Hosted checkout pages for payment links - public, the link id is the secret.
+// Every route shares one per-IP quota, and starting a payment prompts a
+// phone, so that is limited per phone as well
+const pageRateLimit = ipRateLimit({ name: 'checkout-ip', handler: sendRateLimitedPage });
+router.get('/:id', pageRateLimit, checkoutController.showCheckout);
+router.post('/:id', pageRateLimit, phoneRateLimit({ handler: sendRateLimitedPage }), checkoutController.startCheckout);
+router.get('/:id/payments/:checkoutRequestID', pageRateLimit, checkoutController.showPayment);
+router.get('/:id/payments/:checkoutRequestID/status', ipRateLimit({ name: 'checkout-ip' }), checkoutController.getPaymentStatus);
+
+module.exports = router;
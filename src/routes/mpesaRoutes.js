@@ -1,20 +1,124 @@
 const express = require('express');
 const mpesaController = require('../controllers/mpesaController');
+const webhookController = require('../controllers/webhookController');
+const paymentLinkController = require('../controllers/paymentLinkController');
+const invoiceController = require('../controllers/invoiceController');
+const billingController = require('../controllers/billingController');
+const reconciliationController = require('../controllers/reconciliationController');
+const reportController = require('../controllers/reportController');
+const streamController = require('../controllers/streamController');
+const callbackInboxController = require('../controllers/callbackInboxController');
+const { apiKeyAuth, validateMpesaIP, verifyCallbackToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { ipRateLimit, apiKeyRateLimit, phoneRateLimit } = require('../middleware/rateLimit');
+const { resolveTenant } = require('../middleware/tenant');
+const { validateBody, validateCallback } = require('../middleware/validate');
+const schemas = require('../schemas/requestSchemas');
+const callbackSchemas = require('../schemas/callbackSchemas');
+const { C2B_RESULT_CODES } = require('../services/mpesaService');
 
 const router = express.Router();
 
+// Pick the tenant (shortcode) each request is for
+router.use(resolveTenant);
+
+// Quotas per client IP and per API key - Safaricom's callbacks are exempt
+router.use(ipRateLimit(), apiKeyRateLimit());
+
 // STK Push routes
-router.post('/stkpush', mpesaController.initiateSTKPush);
-router.post('/query', mpesaController.querySTKPushStatus);
+router.post('/stkpush', validateBody(schemas.stkPush), idempotency(), phoneRateLimit(), mpesaController.initiateSTKPush);
+router.post('/query', validateBody(schemas.stkQuery), mpesaController.querySTKPushStatus);
+
+// Phone number check - POST keeps the number out of URLs and access logs
+router.post('/phone/validate', validateBody(schemas.phoneValidation), mpesaController.validatePhoneNumber);
+
+// Transaction routes
+router.get('/transactions', apiKeyAuth, mpesaController.listTransactions);
+router.get('/transactions/:checkoutRequestID', apiKeyAuth, mpesaController.getTransaction);
+
+// Live status stream (Server-Sent Events) - use instead of polling /query
+router.get('/stream/:checkoutRequestID', streamController.streamStatus);
+
+// Callback route - M-Pesa will POST to this endpoint. Callbacks are stored as
+// received, so the STK callback schema is applied by the callback inbox worker
+router.post('/callback', validateMpesaIP, verifyCallbackToken, mpesaController.handleCallback);
+router.post('/callback/:token', validateMpesaIP, verifyCallbackToken, mpesaController.handleCallback);
+
+// Callback inbox admin routes - every stored callback and its processing state
+router.get('/callbacks/inbox', apiKeyAuth, callbackInboxController.listEntries);
+router.get('/callbacks/inbox/:id', apiKeyAuth, callbackInboxController.getEntry);
+router.post('/callbacks/inbox/:id/reprocess', apiKeyAuth, callbackInboxController.reprocessEntry);
+
+// B2C routes
+router.post('/b2c', apiKeyAuth, validateBody(schemas.b2c), mpesaController.initiateB2C);
+router.post('/b2c/result', validateMpesaIP, validateCallback(callbackSchemas.initiatorResult), mpesaController.handleB2CResult);
+router.post('/b2c/timeout', validateMpesaIP, validateCallback(callbackSchemas.initiatorTimeout), mpesaController.handleB2CTimeout);
+
+// C2B routes
+router.post('/c2b/register', apiKeyAuth, validateBody(schemas.c2bRegister), mpesaController.registerC2BUrls);
+router.post('/c2b/simulate', apiKeyAuth, validateBody(schemas.c2bSimulate), mpesaController.simulateC2B);
+router.post('/c2b/validation', validateMpesaIP, validateCallback(callbackSchemas.c2bPayment, {
+  ResultCode: C2B_RESULT_CODES.OTHER_ERROR,
+  ResultDesc: 'Rejected'
+}), mpesaController.handleC2BValidation);
+router.post('/c2b/confirmation', validateMpesaIP, validateCallback(callbackSchemas.c2bPayment), mpesaController.handleC2BConfirmation);
+
+// Transaction status, account balance and reversal routes
+router.post('/transaction-status', apiKeyAuth, validateBody(schemas.transactionStatus), mpesaController.queryTransactionStatus);
+router.post('/transaction-status/result', validateMpesaIP, validateCallback(callbackSchemas.initiatorResult), mpesaController.handleTransactionStatusResult);
+router.post('/transaction-status/timeout', validateMpesaIP, validateCallback(callbackSchemas.initiatorTimeout), mpesaController.handleTransactionStatusTimeout);
+router.post('/balance', apiKeyAuth, validateBody(schemas.accountBalance), mpesaController.getAccountBalance);
+router.post('/balance/result', validateMpesaIP, validateCallback(callbackSchemas.initiatorResult), mpesaController.handleAccountBalanceResult);
+router.post('/balance/timeout', validateMpesaIP, validateCallback(callbackSchemas.initiatorTimeout), mpesaController.handleAccountBalanceTimeout);
+router.post('/reversal', apiKeyAuth, validateBody(schemas.reversal), mpesaController.reverseTransaction);
+router.post('/reversal/result', validateMpesaIP, validateCallback(callbackSchemas.initiatorResult), mpesaController.handleReversalResult);
+router.post('/reversal/timeout', validateMpesaIP, validateCallback(callbackSchemas.initiatorTimeout), mpesaController.handleReversalTimeout);
+router.get('/requests/:originatorConversationID', apiKeyAuth, mpesaController.getAccountRequest);
+
+// Merchant webhook routes
+router.post('/webhooks', apiKeyAuth, validateBody(schemas.webhookSubscription), webhookController.createSubscription);
+router.get('/webhooks', apiKeyAuth, webhookController.listSubscriptions);
+router.delete('/webhooks/:id', apiKeyAuth, webhookController.deleteSubscription);
+router.get('/webhooks/deliveries', apiKeyAuth, webhookController.listDeliveries);
+router.post('/webhooks/deliveries/:id/replay', apiKeyAuth, webhookController.replayDelivery);
+
+// Payment link routes - customers pay through the hosted page at /pay/:id
+router.post('/links', apiKeyAuth, validateBody(schemas.paymentLink), paymentLinkController.createLink);
+router.get('/links', apiKeyAuth, paymentLinkController.listLinks);
+router.get('/links/:id', apiKeyAuth, paymentLinkController.getLink);
+router.delete('/links/:id', apiKeyAuth, paymentLinkController.disableLink);
+
+// Invoice routes
+router.post('/invoices', apiKeyAuth, validateBody(schemas.invoice), invoiceController.createInvoice);
+router.get('/invoices', apiKeyAuth, invoiceController.listInvoices);
+router.get('/invoices/:id', apiKeyAuth, invoiceController.getInvoice);
+router.post('/invoices/:id/pay', apiKeyAuth, validateBody(schemas.invoicePayment), idempotency(), phoneRateLimit(), invoiceController.payInvoice);
+
+// Recurring billing routes - due subscriptions are charged by the billing scheduler
+router.post('/plans', apiKeyAuth, validateBody(schemas.plan), billingController.createPlan);
+router.get('/plans', apiKeyAuth, billingController.listPlans);
+router.get('/plans/:id', apiKeyAuth, billingController.getPlan);
+router.post('/subscriptions', apiKeyAuth, validateBody(schemas.subscription), billingController.createSubscription);
+router.get('/subscriptions', apiKeyAuth, billingController.listSubscriptions);
+router.get('/subscriptions/:id', apiKeyAuth, billingController.getSubscription);
+router.post('/subscriptions/:id/pause', apiKeyAuth, billingController.pauseSubscription);
+router.post('/subscriptions/:id/resume', apiKeyAuth, billingController.resumeSubscription);
+router.post('/subscriptions/:id/cancel', apiKeyAuth, validateBody(schemas.subscriptionCancellation), billingController.cancelSubscription);
+
+// Reconciliation routes - statements are M-Pesa org portal exports
+const statementBody = express.text({ type: ['text/csv', 'text/plain', 'text/tab-separated-values'], limit: '10mb' });
+router.post('/reconciliation/statements', apiKeyAuth, statementBody, validateBody(schemas.statementImport), reconciliationController.importStatement);
+router.get('/reconciliation/statements', apiKeyAuth, reconciliationController.listStatements);
+router.get('/reconciliation', apiKeyAuth, reconciliationController.getReport);
 
-// Callback route - M-Pesa will POST to this endpoint
-router.post('/callback', mpesaController.handleCallback);
+// Reporting routes - scoped to the tenant picked by X-Tenant-ID or the API key
+router.get('/reports/payments', apiKeyAuth, reportController.getPaymentsReport);
 
 // Service status route
 router.get('/status', mpesaController.getStatus);
 
 // Test route (development only)
-router.post('/test', mpesaController.testPayment);
+router.post('/test', validateBody(schemas.testPayment), mpesaController.testPayment);
 
 // Additional utility routes
 router.get('/health', (req, res) => {
@@ -25,7 +129,52 @@ router.get('/health', (req, res) => {
     availableEndpoints: [
       'POST /api/mpesa/stkpush',
       'POST /api/mpesa/query',
+      'POST /api/mpesa/phone/validate',
+      'GET /api/mpesa/transactions',
+      'GET /api/mpesa/transactions/:checkoutRequestID',
+      'GET /api/mpesa/stream/:checkoutRequestID',
       'POST /api/mpesa/callback',
+      'GET /api/mpesa/callbacks/inbox',
+      'GET /api/mpesa/callbacks/inbox/:id',
+      'POST /api/mpesa/callbacks/inbox/:id/reprocess',
+      'POST /api/mpesa/b2c',
+      'POST /api/mpesa/b2c/result',
+      'POST /api/mpesa/b2c/timeout',
+      'POST /api/mpesa/c2b/register',
+      'POST /api/mpesa/c2b/simulate',
+      'POST /api/mpesa/c2b/validation',
+      'POST /api/mpesa/c2b/confirmation',
+      'POST /api/mpesa/transaction-status',
+      'POST /api/mpesa/balance',
+      'POST /api/mpesa/reversal',
+      'GET /api/mpesa/requests/:originatorConversationID',
+      'POST /api/mpesa/webhooks',
+      'GET /api/mpesa/webhooks',
+      'DELETE /api/mpesa/webhooks/:id',
+      'GET /api/mpesa/webhooks/deliveries',
+      'POST /api/mpesa/webhooks/deliveries/:id/replay',
+      'POST /api/mpesa/links',
+      'GET /api/mpesa/links',
+      'GET /api/mpesa/links/:id',
+      'DELETE /api/mpesa/links/:id',
+      'GET /pay/:id',
+      'POST /api/mpesa/invoices',
+      'GET /api/mpesa/invoices',
+      'GET /api/mpesa/invoices/:id',
+      'POST /api/mpesa/invoices/:id/pay',
+      'POST /api/mpesa/plans',
+      'GET /api/mpesa/plans',
+      'GET /api/mpesa/plans/:id',
+      'POST /api/mpesa/subscriptions',
+      'GET /api/mpesa/subscriptions',
+      'GET /api/mpesa/subscriptions/:id',
+      'POST /api/mpesa/subscriptions/:id/pause',
+      'POST /api/mpesa/subscriptions/:id/resume',
+      'POST /api/mpesa/subscriptions/:id/cancel',
+      'POST /api/mpesa/reconciliation/statements',
+      'GET /api/mpesa/reconciliation/statements',
+      'GET /api/mpesa/reconciliation',
+      'GET /api/mpesa/reports/payments',
       'GET /api/mpesa/status',
       'POST /api/mpesa/test',
       'GET /api/mpesa/health'
@@ -0,0 +1,104 @@
+/**
+ * Schemas for the callbacks Daraja sends us - see src/utils/schema.js
+ * They check the fields we read, not every field Daraja documents, so a
+ * new field from Safaricom never makes a callback invalid.
+ */
+
+const resultCode = { type: 'integer', required: true };
+
+const stkCallback = {
+  type: 'object',
+  properties: {
+    Body: {
+      type: 'object',
+      required: true,
+      properties: {
+        stkCallback: {
+          type: 'object',
+          required: true,
+          properties: {
+            MerchantRequestID: { type: 'string' },
+            CheckoutRequestID: { type: 'string', minLength: 1, required: true },
+            ResultCode: resultCode,
+            ResultDesc: { type: 'string' },
+            // Only a successful payment carries the receipt and amount
+            CallbackMetadata: {
+              type: 'object',
+              required: callback => Number(callback.ResultCode) === 0,
+              properties: {
+                Item: {
+                  type: 'array',
+                  required: true,
+                  minItems: 1,
+                  items: {
+                    type: 'object',
+                    properties: {
+                      Name: { type: 'string', required: true }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// B2C, transaction status, account balance and reversal results
+const initiatorResult = {
+  type: 'object',
+  properties: {
+    Result: {
+      type: 'object',
+      required: true,
+      properties: {
+        OriginatorConversationID: { type: 'string', minLength: 1, required: true },
+        ConversationID: { type: 'string' },
+        TransactionID: { type: 'string' },
+        ResultCode: resultCode,
+        ResultDesc: { type: 'string' },
+        ResultParameters: {
+          type: 'object',
+          properties: {
+            ResultParameter: {
+              check: value => (Array.isArray(value) || (value && typeof value === 'object')
+                ? null
+                : 'Result.ResultParameters.ResultParameter must be an object or an array')
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Queue timeouts come wrapped in Result or, from some gateways, flat
+const initiatorTimeout = {
+  type: 'object',
+  check: body => ((body.Result || body).OriginatorConversationID
+    ? null
+    : 'Result.OriginatorConversationID is required')
+};
+
+// C2B validation and confirmation
+const c2bPayment = {
+  type: 'object',
+  properties: {
+    TransactionType: { type: 'string' },
+    TransID: { type: 'string', minLength: 1, required: true },
+    TransTime: { type: 'string' },
+    TransAmount: { type: 'number', required: true },
+    BusinessShortCode: { required: true },
+    BillRefNumber: { type: 'string' },
+    MSISDN: { required: true }
+  }
+};
+
+module.exports = {
+  stkCallback,
+  initiatorResult,
+  initiatorTimeout,
+  c2bPayment
+};
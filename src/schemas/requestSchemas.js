@@ -0,0 +1,232 @@
+const {
+  STK_MAX_AMOUNT,
+  STK_TRANSACTION_TYPES,
+  ACCOUNT_REFERENCE_MAX_LENGTH,
+  TRANSACTION_DESC_MAX_LENGTH,
+  B2C_COMMAND_IDS,
+  B2C_MIN_AMOUNT,
+  B2C_MAX_AMOUNT,
+  C2B_COMMAND_IDS
+} = require('../services/mpesaService');
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
+const { PLAN_INTERVALS } = require('../services/billingService');
+
+/**
+ * Request body schemas, one per route - see src/utils/schema.js
+ * Limits mirror what Daraja accepts, so a bad request is refused here with
+ * field-level errors instead of failing upstream.
+ */
+
+// Remarks and Occasion on initiator requests
+const REMARKS_MAX_LENGTH = 100;
+
+const phone = (required = false) => ({ type: 'string', format: 'phone', required });
+
+const stkAmount = (required = false) => ({ type: 'integer', minimum: 1, maximum: STK_MAX_AMOUNT, required });
+
+const accountReference = { type: 'string', maxLength: ACCOUNT_REFERENCE_MAX_LENGTH };
+
+// Sent to Daraja as the TransactionDesc, so it has the same limit
+const transactionDesc = { type: 'string', maxLength: TRANSACTION_DESC_MAX_LENGTH };
+
+const remarks = { type: 'string', minLength: 1, maxLength: REMARKS_MAX_LENGTH };
+
+const receiptNumber = {
+  type: 'string',
+  required: true,
+  pattern: /^[A-Z0-9]{10}$/,
+  patternMessage: 'must be a 10-character M-Pesa receipt number, e.g. QGH1AAAAAA'
+};
+
+const stkPush = {
+  type: 'object',
+  properties: {
+    phone: phone(true),
+    amount: stkAmount(true),
+    accountReference,
+    transactionDesc,
+    transactionType: { type: 'string', enum: STK_TRANSACTION_TYPES },
+    tillNumber: { check: value => (/^\d{5,8}$/.test(String(value)) ? null : 'tillNumber must be 5 to 8 digits') }
+  }
+};
+
+const stkQuery = {
+  type: 'object',
+  properties: {
+    checkoutRequestID: { type: 'string', minLength: 1, required: true }
+  }
+};
+
+const b2c = {
+  type: 'object',
+  properties: {
+    phone: phone(true),
+    amount: { type: 'integer', minimum: B2C_MIN_AMOUNT, maximum: B2C_MAX_AMOUNT, required: true },
+    commandId: { type: 'string', enum: B2C_COMMAND_IDS },
+    remarks,
+    occasion: { type: 'string', maxLength: REMARKS_MAX_LENGTH }
+  }
+};
+
+const c2bRegister = {
+  type: 'object',
+  properties: {
+    responseType: { type: 'string', enum: ['Completed', 'Cancelled'] }
+  }
+};
+
+const c2bSimulate = {
+  type: 'object',
+  properties: {
+    phone: phone(true),
+    amount: { type: 'integer', minimum: 1, required: true },
+    billRefNumber: { type: 'string' },
+    commandId: { type: 'string', enum: C2B_COMMAND_IDS }
+  }
+};
+
+const transactionStatus = {
+  type: 'object',
+  properties: {
+    receiptNumber,
+    remarks
+  }
+};
+
+const accountBalance = {
+  type: 'object',
+  properties: {
+    remarks
+  }
+};
+
+const reversal = {
+  type: 'object',
+  properties: {
+    receiptNumber,
+    amount: { type: 'integer', minimum: 1, required: true },
+    remarks
+  }
+};
+
+const webhookSubscription = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'url', required: true },
+    events: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'string', enum: Object.values(WEBHOOK_EVENTS) }
+    },
+    secret: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }
+};
+
+const paymentLink = {
+  type: 'object',
+  properties: {
+    amount: stkAmount(true),
+    accountReference,
+    description: transactionDesc,
+    expiresAt: { type: 'string', format: 'date-time' },
+    expiresInMinutes: { type: 'number', check: value => (Number(value) > 0 ? null : 'expiresInMinutes must be a positive number') },
+    multiUse: { type: 'boolean' },
+    maxUses: { type: 'integer', minimum: 1 }
+  }
+};
+
+const invoice = {
+  type: 'object',
+  properties: {
+    amountDue: { type: 'integer', minimum: 1, required: true },
+    reference: accountReference,
+    description: transactionDesc,
+    phone: phone()
+  }
+};
+
+const invoicePayment = {
+  type: 'object',
+  properties: {
+    phone: phone(),
+    amount: { type: 'integer', minimum: 1 }
+  }
+};
+
+const plan = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, required: true },
+    amount: stkAmount(true),
+    interval: { type: 'string', enum: Object.keys(PLAN_INTERVALS), required: true },
+    intervalCount: { type: 'integer', minimum: 1 },
+    description: { type: 'string' }
+  }
+};
+
+const subscription = {
+  type: 'object',
+  properties: {
+    planId: { type: 'string', minLength: 1, required: true },
+    phone: phone(true),
+    startAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const subscriptionCancellation = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', maxLength: 200 }
+  }
+};
+
+// JSON imports only - a text/csv body is the statement itself
+const statementImport = {
+  check: body => (typeof body === 'string' || (body && typeof body.content === 'string' && body.content.trim())
+    ? null
+    : 'content is required: send the statement as a text/csv body or as JSON { "content": "..." }'),
+  properties: {
+    fileName: { type: 'string' },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Any network - the endpoint reports whether the number can use M-Pesa
+const phoneValidation = {
+  type: 'object',
+  properties: {
+    phone: { type: 'string', minLength: 1, required: true }
+  }
+};
+
+const testPayment = {
+  type: 'object',
+  properties: {
+    phone: phone()
+  }
+};
+
+module.exports = {
+  stkPush,
+  stkQuery,
+  b2c,
+  c2bRegister,
+  c2bSimulate,
+  transactionStatus,
+  accountBalance,
+  reversal,
+  webhookSubscription,
+  paymentLink,
+  invoice,
+  invoicePayment,
+  plan,
+  subscription,
+  subscriptionCancellation,
+  statementImport,
+  phoneValidation,
+  testPayment,
+  REMARKS_MAX_LENGTH
+};
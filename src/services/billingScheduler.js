@@ -0,0 +1,94 @@
+const moment = require('moment');
+const billingRepository = require('../repositories/billingRepository');
+const billingService = require('./billingService');
+
+/**
+ * Background runner that charges subscriptions when they fall due
+ * All state lives on the subscriptions, so a restart simply carries on:
+ * anything that fell due while the server was down is charged on the
+ * first run. Dunning retries are due dates like any other.
+ */
+class BillingScheduler {
+  constructor() {
+    this.intervalMs = parseInt(process.env.BILLING_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+    this.chargeGapMs = parseInt(process.env.BILLING_CHARGE_GAP_MS || '1000', 10);
+    // A claimed charge with no push recorded after this long is assumed lost
+    this.claimTimeoutMs = parseInt(process.env.BILLING_CLAIM_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('❌ Billing run failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`📅 Billing scheduler started (every ${this.intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the interval
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Charge every subscription that is due
+   * @returns {object} Counts of charged, skipped and failed subscriptions
+   */
+  async runOnce() {
+    const summary = { charged: 0, skipped: 0, failed: 0 };
+
+    // Runs never overlap
+    if (this.running) {
+      return summary;
+    }
+    this.running = true;
+
+    try {
+      const now = moment().toISOString();
+      const staleBefore = moment().subtract(this.claimTimeoutMs, 'milliseconds').toISOString();
+      const due = await billingRepository.findDueSubscriptions(now, staleBefore);
+
+      for (const subscription of due) {
+        if (summary.charged + summary.failed > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.chargeGapMs));
+        }
+
+        try {
+          const checkoutRequestID = await billingService.chargeSubscription(subscription.id, now, staleBefore);
+          summary[checkoutRequestID ? 'charged' : 'skipped'] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`❌ Failed to charge subscription ${subscription.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.charged + summary.failed > 0) {
+      console.log('📅 Billing run:', summary);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new BillingScheduler();
+module.exports.BillingScheduler = BillingScheduler;
@@ -0,0 +1,481 @@
+const moment = require('moment');
+const billingRepository = require('../repositories/billingRepository');
+const { SUBSCRIPTION_STATUS } = require('../repositories/billingRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const { STK_MAX_AMOUNT } = require('./mpesaService');
+const tenantRegistry = require('./tenantRegistry');
+const paymentEvents = require('./paymentEvents');
+const webhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('./webhookService');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../utils/errors');
+
+// moment units for each billing interval
+const PLAN_INTERVALS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months',
+  yearly: 'years'
+};
+
+// Fits Daraja's 13 character TransactionDesc
+const CHARGE_DESCRIPTION = 'Subscription';
+
+/**
+ * Parse the dunning schedule
+ * @param {string} value - Comma-separated hours after the due date, e.g. "24,72,168"
+ * @returns {number[]} Retry offsets in hours
+ */
+function parseDunningSchedule(value) {
+  return String(value)
+    .split(',')
+    .map(hours => parseFloat(hours.trim()))
+    .filter(hours => Number.isFinite(hours) && hours >= 0);
+}
+
+/**
+ * Due date of a billing cycle
+ * Counted from the anchor rather than the previous due date, so a plan
+ * billed on the 31st comes back to the 31st after a shorter month.
+ */
+function cycleDueAt(anchorAt, plan, cycle) {
+  return moment(anchorAt).add(cycle * plan.intervalCount, PLAN_INTERVALS[plan.interval]).toISOString();
+}
+
+/**
+ * Billing service
+ * Manages plans and subscriptions and charges subscribers with STK Push.
+ * Only one charge per subscription is ever in flight. A failed or
+ * cancelled charge moves the subscription to PAST_DUE and is retried on
+ * the dunning schedule; once the schedule is used up it is cancelled.
+ */
+class BillingService {
+  constructor() {
+    this.dunningSchedule = parseDunningSchedule(process.env.SUBSCRIPTION_DUNNING_SCHEDULE_HOURS || '24,72,168');
+
+    paymentEvents.subscribe(transaction => this.handleTransactionOutcome(transaction));
+  }
+
+  /**
+   * Create a plan
+   */
+  async createPlan(tenantId, { name, amount, interval, intervalCount = 1, description }) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('name is required');
+    }
+
+    const planAmount = Number(amount);
+    if (!Number.isInteger(planAmount) || planAmount < 1 || planAmount > STK_MAX_AMOUNT) {
+      throw new ValidationError('Amount must be a whole number between 1 and 70,000 KES');
+    }
+
+    if (!PLAN_INTERVALS[interval]) {
+      throw new ValidationError(`interval must be one of ${Object.keys(PLAN_INTERVALS).join(', ')}`);
+    }
+
+    const count = Number(intervalCount);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ValidationError('intervalCount must be a positive whole number');
+    }
+
+    const plan = await billingRepository.createPlan({
+      tenantId,
+      name,
+      description,
+      amount: planAmount,
+      interval,
+      intervalCount: count
+    });
+
+    console.log(`📅 Plan ${plan.id} created: KES ${plan.amount} every ${count} ${PLAN_INTERVALS[interval]}`);
+
+    return plan;
+  }
+
+  /**
+   * Get a plan
+   * @param {string} tenantId - Only return the plan if it belongs to this tenant
+   */
+  async getPlan(id, tenantId = null) {
+    const plan = await billingRepository.findPlan(id);
+
+    if (!plan || (tenantId && plan.tenantId !== tenantId)) {
+      throw new NotFoundError('Plan not found');
+    }
+
+    return plan;
+  }
+
+  /**
+   * List a tenant's plans
+   */
+  async listPlans(tenantId) {
+    return billingRepository.listPlans({ tenantId });
+  }
+
+  /**
+   * Subscribe a phone number to a plan
+   * The first charge is due at startAt, which defaults to now.
+   */
+  async createSubscription(tenantId, { planId, phone, startAt }) {
+    if (!planId) {
+      throw new ValidationError('planId is required');
+    }
+    if (!phone) {
+      throw new ValidationError('Phone number is required');
+    }
+
+    const plan = await this.getPlan(planId, tenantId);
+
+    let start = moment();
+    if (startAt) {
+      start = moment(startAt, moment.ISO_8601, true);
+      if (!start.isValid()) {
+        throw new ValidationError('startAt must be an ISO 8601 date');
+      }
+    }
+
+    const subscription = await billingRepository.createSubscription({
+      tenantId,
+      planId: plan.id,
+      phone: formatPhoneNumber(phone),
+      startAt: start.toISOString()
+    });
+
+    console.log(`📅 Subscription ${subscription.id} to plan ${plan.id}, first charge ${subscription.nextChargeAt}`);
+
+    return subscription;
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} tenantId - Only return the subscription if it belongs to this tenant
+   */
+  async getSubscription(id, tenantId = null) {
+    const subscription = await billingRepository.findSubscription(id);
+
+    if (!subscription || (tenantId && subscription.tenantId !== tenantId)) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * List a tenant's subscriptions
+   */
+  async listSubscriptions(tenantId, { status, planId, limit, offset } = {}) {
+    if (status && !SUBSCRIPTION_STATUS[status]) {
+      throw new ValidationError(`Status must be one of ${Object.keys(SUBSCRIPTION_STATUS).join(', ')}`);
+    }
+
+    return billingRepository.listSubscriptions({ tenantId, status, planId, limit, offset });
+  }
+
+  /**
+   * Pause a subscription - no charges are started until it is resumed
+   * A charge already pushed is still applied when it completes.
+   */
+  async pauseSubscription(id, tenantId) {
+    await this.getSubscription(id, tenantId);
+
+    const updated = await billingRepository.updateSubscription(id, subscription => {
+      this.assertNotCancelled(subscription);
+      if (subscription.status === SUBSCRIPTION_STATUS.PAUSED) {
+        return null;
+      }
+      return { status: SUBSCRIPTION_STATUS.PAUSED, pausedAt: moment().toISOString() };
+    });
+
+    if (updated) {
+      console.log(`⏸️  Subscription ${id} paused`);
+    }
+
+    return updated || this.getSubscription(id, tenantId);
+  }
+
+  /**
+   * Resume a paused subscription
+   * A charge that fell due while paused is started on the next run.
+   */
+  async resumeSubscription(id, tenantId) {
+    await this.getSubscription(id, tenantId);
+
+    const updated = await billingRepository.updateSubscription(id, subscription => {
+      this.assertNotCancelled(subscription);
+      if (subscription.status !== SUBSCRIPTION_STATUS.PAUSED) {
+        throw new BusinessRuleError('Subscription is not paused', { status: 409, code: 'SUBSCRIPTION_NOT_PAUSED' });
+      }
+      return {
+        status: subscription.dunningAttempt > 0 ? SUBSCRIPTION_STATUS.PAST_DUE : SUBSCRIPTION_STATUS.ACTIVE,
+        pausedAt: null
+      };
+    });
+
+    console.log(`▶️  Subscription ${id} resumed`);
+
+    return updated;
+  }
+
+  /**
+   * Cancel a subscription for good
+   */
+  async cancelSubscription(id, tenantId, reason = null) {
+    await this.getSubscription(id, tenantId);
+
+    const updated = await billingRepository.updateSubscription(id, subscription => {
+      this.assertNotCancelled(subscription);
+      return {
+        status: SUBSCRIPTION_STATUS.CANCELLED,
+        cancelledAt: moment().toISOString(),
+        cancelReason: reason || 'Cancelled by merchant'
+      };
+    });
+
+    console.log(`🛑 Subscription ${id} cancelled`);
+    await this.emitEvent(WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED, id, updated);
+
+    return updated;
+  }
+
+  /**
+   * Throw if a subscription can no longer change
+   */
+  assertNotCancelled(subscription) {
+    if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+      throw new BusinessRuleError('Subscription is cancelled', { status: 409, code: 'SUBSCRIPTION_CANCELLED' });
+    }
+  }
+
+  /**
+   * Push the charge that is due for a subscription
+   * The subscription is claimed before the push so overlapping runs, or
+   * another instance sharing the store, cannot charge it twice.
+   * @param {string} now - ISO timestamp the charge is due by
+   * @param {string} staleBefore - Claims older than this are taken over
+   * @returns {string|null} CheckoutRequestID, or null if nothing was pushed
+   */
+  async chargeSubscription(id, now, staleBefore) {
+    const claimed = await billingRepository.updateSubscription(id, subscription => {
+      const due = (subscription.status === SUBSCRIPTION_STATUS.ACTIVE || subscription.status === SUBSCRIPTION_STATUS.PAST_DUE) &&
+        subscription.nextChargeAt <= now &&
+        !subscription.pendingCheckoutRequestID &&
+        (!subscription.chargeStartedAt || subscription.chargeStartedAt < staleBefore);
+
+      return due ? { chargeStartedAt: moment().toISOString() } : null;
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    const plan = await billingRepository.findPlan(claimed.planId);
+    const service = tenantRegistry.getService(claimed.tenantId);
+    let checkoutRequestID;
+
+    try {
+      if (!plan || !service) {
+        throw new NotFoundError(plan ? `Unknown tenant: ${claimed.tenantId}` : `Unknown plan: ${claimed.planId}`);
+      }
+
+      const result = await service.initiateSTKPush(claimed.phone, plan.amount, claimed.id, CHARGE_DESCRIPTION);
+      checkoutRequestID = result.data.checkoutRequestID;
+    } catch (error) {
+      // Daraja being unavailable is not the customer's failure - try again next run
+      if (error.status >= 500 || error.status === 429) {
+        await billingRepository.updateSubscription(id, () => ({ chargeStartedAt: null }));
+        throw error;
+      }
+
+      console.warn(`⚠️  Subscription ${id}: charge rejected: ${error.message}`);
+      await this.recordFailure(id, error.message);
+      return null;
+    }
+
+    await billingRepository.updateSubscription(id, subscription => ({
+      pendingCheckoutRequestID: checkoutRequestID,
+      chargeStartedAt: null,
+      charges: [...subscription.charges, {
+        checkoutRequestID,
+        amount: plan.amount,
+        cycle: subscription.cycle,
+        attempt: subscription.dunningAttempt + 1,
+        status: TRANSACTION_STATUS.PENDING,
+        createdAt: moment().toISOString()
+      }]
+    }));
+
+    console.log(`📅 Subscription ${id}: charged KES ${plan.amount} (${checkoutRequestID})`);
+
+    // The callback may have landed before the charge was recorded above
+    const transaction = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+    if (transaction && transaction.status !== TRANSACTION_STATUS.PENDING) {
+      await this.handleTransactionOutcome(transaction);
+    }
+
+    return checkoutRequestID;
+  }
+
+  /**
+   * Payment event listener - applies outcomes of subscription charges
+   */
+  async handleTransactionOutcome(transaction) {
+    const subscription = await billingRepository.findSubscriptionByCheckoutRequestID(transaction.checkoutRequestID);
+    if (!subscription) {
+      return null;
+    }
+
+    if (transaction.status !== TRANSACTION_STATUS.SUCCESS) {
+      return this.recordFailure(subscription.id, transaction.resultDesc || `Charge ${transaction.status.toLowerCase()}`, transaction);
+    }
+
+    const plan = await billingRepository.findPlan(subscription.planId);
+    let paidCycle = null;
+
+    const updated = await billingRepository.updateSubscription(subscription.id, current => {
+      const charge = this.pendingCharge(current, transaction);
+      if (!charge) {
+        return null;
+      }
+
+      const now = moment().toISOString();
+      const cycle = Math.max(current.cycle, charge.cycle + 1);
+      const dueAt = cycleDueAt(current.anchorAt, plan, cycle);
+      paidCycle = charge.cycle;
+
+      return {
+        ...this.settleCharge(current, charge, transaction, now),
+        status: current.status === SUBSCRIPTION_STATUS.PAST_DUE ? SUBSCRIPTION_STATUS.ACTIVE : current.status,
+        cycle,
+        cycleDueAt: dueAt,
+        nextChargeAt: dueAt,
+        dunningAttempt: 0,
+        lastPaidAt: now
+      };
+    });
+
+    if (updated) {
+      console.log(`✅ Subscription ${updated.id} renewed, next charge ${updated.nextChargeAt}`);
+      await this.emitEvent(WEBHOOK_EVENTS.SUBSCRIPTION_RENEWED, `${updated.id}:${paidCycle}`, updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record a failed charge and move along the dunning schedule
+   * @param {object} transaction - Final transaction for a pushed charge, or
+   *   null when the push itself was rejected
+   */
+  async recordFailure(id, reason, transaction = null) {
+    let event = null;
+
+    const updated = await billingRepository.updateSubscription(id, subscription => {
+      const changes = { chargeStartedAt: null, lastFailureReason: reason };
+
+      if (transaction) {
+        const charge = this.pendingCharge(subscription, transaction);
+        if (!charge) {
+          return null;
+        }
+        Object.assign(changes, this.settleCharge(subscription, charge, transaction, moment().toISOString()));
+
+        // A retry for this cycle may already have been paid for
+        if (charge.cycle < subscription.cycle) {
+          return changes;
+        }
+      }
+
+      if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+        return changes;
+      }
+
+      const attempt = subscription.dunningAttempt + 1;
+      changes.dunningAttempt = attempt;
+
+      if (attempt > this.dunningSchedule.length) {
+        event = WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED;
+        return {
+          ...changes,
+          status: SUBSCRIPTION_STATUS.CANCELLED,
+          cancelledAt: moment().toISOString(),
+          cancelReason: `Payment failed after ${attempt} attempts: ${reason}`
+        };
+      }
+
+      const retryAt = moment(subscription.cycleDueAt).add(this.dunningSchedule[attempt - 1], 'hours');
+      changes.nextChargeAt = moment.max(retryAt, moment()).toISOString();
+
+      if (subscription.status === SUBSCRIPTION_STATUS.ACTIVE) {
+        changes.status = SUBSCRIPTION_STATUS.PAST_DUE;
+        event = WEBHOOK_EVENTS.SUBSCRIPTION_PAST_DUE;
+      }
+
+      return changes;
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    if (event === WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED) {
+      console.warn(`🛑 Subscription ${id} cancelled: ${updated.cancelReason}`);
+      await this.emitEvent(event, id, updated);
+    } else {
+      console.warn(`⚠️  Subscription ${id} past due (attempt ${updated.dunningAttempt}), retrying ${updated.nextChargeAt}`);
+      if (event) {
+        await this.emitEvent(event, `${id}:${updated.cycle}`, updated);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * The subscription's charge for a transaction, if it is still pending
+   */
+  pendingCharge(subscription, transaction) {
+    const charge = subscription.charges.find(c => c.checkoutRequestID === transaction.checkoutRequestID);
+    return charge && charge.status === TRANSACTION_STATUS.PENDING ? charge : null;
+  }
+
+  /**
+   * Changes that mark a charge final and release the subscription for the next one
+   */
+  settleCharge(subscription, charge, transaction, now) {
+    const changes = {
+      charges: subscription.charges.map(c => (c === charge
+        ? { ...c, status: transaction.status, resultDesc: transaction.resultDesc || null, completedAt: now }
+        : c))
+    };
+
+    if (subscription.pendingCheckoutRequestID === charge.checkoutRequestID) {
+      changes.pendingCheckoutRequestID = null;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Notify webhook subscribers about a subscription
+   */
+  async emitEvent(event, resourceId, subscription) {
+    await webhookService.emit(event, resourceId, {
+      subscriptionId: subscription.id,
+      planId: subscription.planId,
+      phone: subscription.phone,
+      status: subscription.status,
+      cycle: subscription.cycle,
+      dunningAttempt: subscription.dunningAttempt,
+      nextChargeAt: subscription.nextChargeAt,
+      lastFailureReason: subscription.lastFailureReason || null,
+      cancelReason: subscription.cancelReason
+    }, subscription.tenantId);
+  }
+}
+
+module.exports = new BillingService();
+module.exports.BillingService = BillingService;
+module.exports.PLAN_INTERVALS = PLAN_INTERVALS;
+module.exports.parseDunningSchedule = parseDunningSchedule;
@@ -0,0 +1,276 @@
+const moment = require('moment');
+const callbackInboxRepository = require('../repositories/callbackInboxRepository');
+const { INBOX_STATUS } = require('../repositories/callbackInboxRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const mpesaService = require('./mpesaService');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+const { NotFoundError, BusinessRuleError } = require('../utils/errors');
+const { validate, toValidationError } = require('../utils/schema');
+const { stkCallback: stkCallbackSchema } = require('../schemas/callbackSchemas');
+
+/**
+ * The stkCallback in a callback body, if it has the fields to dedupe on
+ */
+function stkCallbackFrom(body) {
+  const stkCallback = body && body.Body && body.Body.stkCallback;
+
+  if (!stkCallback || !stkCallback.CheckoutRequestID || stkCallback.ResultCode === undefined) {
+    return null;
+  }
+
+  return stkCallback;
+}
+
+/**
+ * Callback inbox worker
+ * Callbacks are stored in the inbox and acknowledged straight away; this
+ * worker applies them afterwards. Malformed callbacks fail at once. Any
+ * other failure, including a callback for a push we have not recorded
+ * yet, is retried with exponential backoff until the attempts run out and
+ * the entry is left FAILED for an admin to reprocess.
+ */
+class CallbackInboxWorker {
+  constructor() {
+    this.intervalMs = parseInt(process.env.CALLBACK_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+    this.maxAttempts = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 5;
+    this.retryDelayMs = parseInt(process.env.CALLBACK_RETRY_DELAY_MS || '5000', 10);
+    // A PROCESSING entry untouched for this long was interrupted
+    this.staleAfterMs = parseInt(process.env.CALLBACK_STALE_AFTER_MS, 10) || 5 * 60 * 1000;
+
+    this.timer = null;
+    this.running = false;
+    this.scheduled = new Set();
+  }
+
+  /**
+   * Store a raw callback and queue it for processing
+   * The entry belongs to the tenant whose push it is for. A callback that
+   * arrives before its push is recorded gets its tenant once processing
+   * finds the push.
+   * @returns {object} The inbox entry
+   */
+  async receive(body, { sourceIp } = {}) {
+    const stkCallback = stkCallbackFrom(body);
+    const transaction = stkCallback ? await transactionRepository.findByCheckoutRequestID(stkCallback.CheckoutRequestID) : null;
+
+    const entry = await callbackInboxRepository.append({
+      body,
+      sourceIp,
+      tenantId: transaction ? transaction.tenantId || DEFAULT_TENANT_ID : null,
+      checkoutRequestID: stkCallback ? stkCallback.CheckoutRequestID : null,
+      resultCode: stkCallback ? stkCallback.ResultCode : undefined,
+      // Read the code as processCallback does, so "0" and 0 are the same callback
+      dedupeKey: stkCallback ? `${stkCallback.CheckoutRequestID}:${Number(stkCallback.ResultCode)}` : null
+    });
+
+    if (entry.status === INBOX_STATUS.DUPLICATE) {
+      console.log(`📥 Callback ${entry.id} is a duplicate of ${entry.duplicateOf}, not processing`);
+    } else {
+      console.log(`📥 Callback ${entry.id} stored for ${entry.checkoutRequestID || 'unknown CheckoutRequestID'}`);
+      this.schedule(entry.id, 0);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Process an entry after a delay
+   */
+  schedule(id, delayMs) {
+    const run = new Promise(resolve => {
+      const timer = setTimeout(resolve, delayMs);
+      if (delayMs > 0) {
+        timer.unref();
+      }
+    })
+      .then(() => this.processEntry(id))
+      .catch(error => {
+        console.error(`❌ Callback ${id}: processing run failed:`, error.message);
+      })
+      .finally(() => {
+        this.scheduled.delete(run);
+      });
+
+    this.scheduled.add(run);
+  }
+
+  /**
+   * Apply one inbox entry
+   * The entry is claimed first, so the scheduled run and the polling run
+   * never process it side by side.
+   * @returns {object|null} The updated entry, or null if it was not runnable
+   */
+  async processEntry(id) {
+    const staleBefore = moment().subtract(this.staleAfterMs, 'milliseconds').toISOString();
+    const claimed = await callbackInboxRepository.update(id, entry => {
+      const runnable = entry.status === INBOX_STATUS.RECEIVED ||
+        entry.status === INBOX_STATUS.RETRYING ||
+        (entry.status === INBOX_STATUS.PROCESSING && entry.updatedAt < staleBefore);
+
+      return runnable ? { status: INBOX_STATUS.PROCESSING, attempts: entry.attempts + 1 } : null;
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    // A malformed callback will never apply, however often it is retried
+    const errors = validate(stkCallbackSchema, claimed.body);
+    if (errors.length > 0) {
+      const { message } = toValidationError(errors);
+      console.warn(`⚠️  Callback ${id} is malformed, marking it failed: ${message}`);
+      return this.finish(id, INBOX_STATUS.FAILED, `Malformed callback: ${message}`);
+    }
+
+    const stkCallback = claimed.body.Body.stkCallback;
+
+    try {
+      const transaction = await transactionRepository.findByCheckoutRequestID(stkCallback.CheckoutRequestID);
+      if (!transaction) {
+        throw new Error(`No recorded transaction for CheckoutRequestID ${stkCallback.CheckoutRequestID}`);
+      }
+      if (!claimed.tenantId) {
+        await callbackInboxRepository.update(id, () => ({ tenantId: transaction.tenantId || DEFAULT_TENANT_ID }));
+      }
+
+      await mpesaService.processCallback(claimed.body);
+      return this.finish(id, INBOX_STATUS.PROCESSED, null);
+    } catch (error) {
+      if (claimed.attempts >= this.maxAttempts) {
+        console.error(`❌ Callback ${id} failed after ${claimed.attempts} attempts:`, error.message);
+        return this.finish(id, INBOX_STATUS.FAILED, error.message);
+      }
+
+      const delayMs = this.retryDelayMs * Math.pow(2, claimed.attempts - 1);
+      console.warn(`⚠️  Callback ${id} attempt ${claimed.attempts} failed, retrying in ${delayMs}ms: ${error.message}`);
+
+      const updated = await callbackInboxRepository.update(id, () => ({
+        status: INBOX_STATUS.RETRYING,
+        lastError: error.message,
+        nextAttemptAt: moment().add(delayMs, 'milliseconds').toISOString()
+      }));
+      this.schedule(id, delayMs);
+
+      return updated;
+    }
+  }
+
+  /**
+   * Record an entry's final processing state
+   */
+  async finish(id, status, lastError) {
+    return callbackInboxRepository.update(id, () => ({
+      status,
+      lastError,
+      nextAttemptAt: null,
+      processedAt: status === INBOX_STATUS.PROCESSED ? moment().toISOString() : null
+    }));
+  }
+
+  /**
+   * Queue a failed entry to be processed again
+   * @param {string} tenantId - Only reprocess the tenant's entry, if given
+   * @returns {object} The entry, once this attempt has run
+   */
+  async reprocess(id, tenantId = null) {
+    const entry = await callbackInboxRepository.findById(id, tenantId);
+    if (!entry) {
+      throw new NotFoundError('Inbox entry not found');
+    }
+
+    const queued = await callbackInboxRepository.update(id, current =>
+      (current.status === INBOX_STATUS.FAILED ? { status: INBOX_STATUS.RECEIVED, nextAttemptAt: null } : null));
+
+    if (!queued) {
+      throw new BusinessRuleError(`Only FAILED entries can be reprocessed, this one is ${entry.status}`, {
+        status: 409,
+        code: 'INBOX_ENTRY_NOT_FAILED'
+      });
+    }
+
+    console.log(`🔁 Reprocessing callback ${id}`);
+    return (await this.processEntry(id)) || callbackInboxRepository.findById(id);
+  }
+
+  /**
+   * Start polling for entries left over from a restart or due for a retry
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('❌ Callback inbox run failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`📥 Callback inbox worker started (every ${this.intervalMs}ms)`);
+
+    // Pick up anything received before the last shutdown straight away
+    this.runOnce().catch(error => {
+      console.error('❌ Callback inbox run failed:', error.message);
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Process every runnable entry
+   * @returns {object} Counts of processed, retrying and failed entries
+   */
+  async runOnce() {
+    const summary = { processed: 0, retrying: 0, failed: 0 };
+
+    // Runs never overlap
+    if (this.running) {
+      return summary;
+    }
+    this.running = true;
+
+    try {
+      const now = moment();
+      const entries = await callbackInboxRepository.findRunnable(
+        now.toISOString(),
+        now.clone().subtract(this.staleAfterMs, 'milliseconds').toISOString()
+      );
+
+      for (const entry of entries) {
+        const updated = await this.processEntry(entry.id);
+        if (updated) {
+          summary[updated.status.toLowerCase()] += 1;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.processed + summary.retrying + summary.failed > 0) {
+      console.log('📥 Callback inbox run:', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resolve once no processing is scheduled
+   */
+  async whenIdle() {
+    while (this.scheduled.size > 0) {
+      await Promise.all(Array.from(this.scheduled));
+    }
+  }
+}
+
+module.exports = new CallbackInboxWorker();
+module.exports.CallbackInboxWorker = CallbackInboxWorker;
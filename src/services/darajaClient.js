@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { retryWithBackoff } = require('../utils/helpers');
+const { CircuitBreaker, CIRCUIT_STATE } = require('../utils/circuitBreaker');
+const {
+  AuthenticationError,
+  UpstreamUnavailableError,
+  toMpesaError
+} = require('../utils/errors');
+
+/**
+ * Per-endpoint timeouts and whether a call is safe to retry.
+ * Only reads and idempotent registrations are retried - a retried STK push,
+ * B2C payment or reversal could move money twice.
+ */
+const DARAJA_ENDPOINTS = {
+  oauth: { timeoutMs: 10000, retry: true },
+  stkPush: { timeoutMs: 30000, retry: false },
+  stkQuery: { timeoutMs: 15000, retry: true },
+  b2c: { timeoutMs: 30000, retry: false },
+  c2bRegister: { timeoutMs: 15000, retry: true },
+  c2bSimulate: { timeoutMs: 15000, retry: false },
+  transactionStatus: { timeoutMs: 15000, retry: true },
+  accountBalance: { timeoutMs: 15000, retry: true },
+  reversal: { timeoutMs: 30000, retry: false }
+};
+
+/**
+ * Only outages are worth retrying or counting against the breaker;
+ * a validation or business error means Daraja is up and answering
+ */
+function isUpstreamFailure(error) {
+  return toMpesaError(error) instanceof UpstreamUnavailableError;
+}
+
+/**
+ * HTTP client shared by every Daraja call of one MpesaService
+ */
+class DarajaClient {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Name used in logs, usually the tenant id
+   * @param {Function} options.getAccessToken - Resolves a bearer token
+   * @param {Function} options.invalidateAccessToken - Drops the cached token
+   * @param {object} options.endpoints - Overrides for DARAJA_ENDPOINTS
+   */
+  constructor({ name = 'default', getAccessToken, invalidateAccessToken, endpoints = {} } = {}) {
+    this.name = name;
+    this.getAccessToken = getAccessToken;
+    this.invalidateAccessToken = invalidateAccessToken || (() => {});
+    this.endpoints = { ...DARAJA_ENDPOINTS, ...endpoints };
+    this.maxRetries = parseInt(process.env.DARAJA_MAX_RETRIES || '2', 10);
+    this.retryDelay = parseInt(process.env.DARAJA_RETRY_DELAY_MS || '500', 10);
+
+    this.breaker = new CircuitBreaker({
+      name: `daraja:${name}`,
+      failureThreshold: parseInt(process.env.DARAJA_BREAKER_THRESHOLD || '5', 10),
+      resetTimeoutMs: parseInt(process.env.DARAJA_BREAKER_RESET_MS || '30000', 10),
+      isFailure: isUpstreamFailure
+    });
+  }
+
+  /**
+   * GET a Daraja endpoint
+   */
+  get(endpoint, url, options = {}) {
+    return this.request(endpoint, { ...options, method: 'get', url });
+  }
+
+  /**
+   * POST a payload to a Daraja endpoint
+   */
+  post(endpoint, url, data, options = {}) {
+    return this.request(endpoint, { ...options, method: 'post', url, data });
+  }
+
+  /**
+   * Send a request with the endpoint's timeout, retry policy and the breaker.
+   * A rejected access token is refreshed and the call retried once; the
+   * request never reached M-Pesa, so this is safe even for payments.
+   */
+  async request(endpoint, { method, url, data, headers = {}, authenticated = true }) {
+    const config = this.endpoints[endpoint];
+    if (!config) {
+      throw new Error(`Unknown Daraja endpoint: ${endpoint}`);
+    }
+
+    const attempt = async (tokenRefreshed = false) => {
+      const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+      if (authenticated) {
+        requestHeaders['Authorization'] = `Bearer ${await this.getAccessToken()}`;
+      }
+
+      const axiosConfig = { headers: requestHeaders, timeout: config.timeoutMs };
+
+      try {
+        return await this.breaker.execute(
+          () => (method === 'get' ? axios.get(url, axiosConfig) : axios.post(url, data, axiosConfig)),
+          state => new UpstreamUnavailableError('M-Pesa service is temporarily unavailable', {
+            details: { circuitBreaker: state }
+          })
+        );
+      } catch (error) {
+        const mpesaError = toMpesaError(error);
+
+        if (authenticated && !tokenRefreshed && mpesaError instanceof AuthenticationError) {
+          console.warn(`🔑 Daraja rejected the access token for ${endpoint}, refreshing`);
+          await this.invalidateAccessToken();
+          return attempt(true);
+        }
+
+        throw mpesaError;
+      }
+    };
+
+    if (!config.retry) {
+      return attempt();
+    }
+
+    return retryWithBackoff(
+      () => attempt(),
+      this.maxRetries,
+      this.retryDelay,
+      error => isUpstreamFailure(error) && this.breaker.state !== CIRCUIT_STATE.OPEN
+    );
+  }
+
+  /**
+   * Breaker snapshot for /status
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+}
+
+module.exports = { DarajaClient, DARAJA_ENDPOINTS };
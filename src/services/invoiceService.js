@@ -0,0 +1,321 @@
+const moment = require('moment');
+const invoiceRepository = require('../repositories/invoiceRepository');
+const { INVOICE_STATUS } = require('../repositories/invoiceRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const { STK_MAX_AMOUNT, ACCOUNT_REFERENCE_MAX_LENGTH } = require('./mpesaService');
+const tenantRegistry = require('./tenantRegistry');
+const paymentEvents = require('./paymentEvents');
+const KeyedLock = require('../utils/keyedLock');
+const { splitAmount } = require('../utils/helpers');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../utils/errors');
+
+/**
+ * Invoice status for an amount paid against an amount due
+ */
+function statusFor(amountPaid, amountDue) {
+  if (amountPaid >= amountDue) {
+    return INVOICE_STATUS.PAID;
+  }
+  return amountPaid > 0 ? INVOICE_STATUS.PARTIALLY_PAID : INVOICE_STATUS.OPEN;
+}
+
+/**
+ * Invoice service
+ * Starts STK Pushes against invoices and applies their confirmed amounts.
+ * Amounts above the STK limit are paid in installments: each push is only
+ * started once the previous one succeeded, since a customer can only
+ * answer one prompt at a time.
+ */
+class InvoiceService {
+  constructor() {
+    // Pushes for one invoice are started one at a time
+    this.payLocks = new KeyedLock();
+    this.installmentDelay = parseInt(process.env.INVOICE_INSTALLMENT_DELAY_MS || '5000', 10);
+    this.scheduled = new Set();
+
+    paymentEvents.subscribe(transaction => this.handleTransactionOutcome(transaction));
+  }
+
+  /**
+   * Create an invoice
+   */
+  async createInvoice(tenantId, { amountDue, reference, description, phone }) {
+    const amount = Number(amountDue);
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new ValidationError('amountDue must be a positive whole number');
+    }
+    if (reference && String(reference).length > ACCOUNT_REFERENCE_MAX_LENGTH) {
+      throw new ValidationError(`reference must be at most ${ACCOUNT_REFERENCE_MAX_LENGTH} characters`);
+    }
+
+    const invoice = await invoiceRepository.create({ tenantId, amountDue: amount, reference, description, phone });
+    console.log(`🧾 Invoice ${invoice.id} created for KES ${invoice.amountDue}`);
+
+    return invoice;
+  }
+
+  /**
+   * Get an invoice
+   * @param {string} tenantId - Only return the invoice if it belongs to this tenant
+   */
+  async getInvoice(id, tenantId = null) {
+    const invoice = await invoiceRepository.findById(id);
+
+    if (!invoice || (tenantId && invoice.tenantId !== tenantId)) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * List a tenant's invoices
+   */
+  async listInvoices(tenantId, { status, limit, offset } = {}) {
+    if (status && !INVOICE_STATUS[status]) {
+      throw new ValidationError(`Status must be one of ${Object.keys(INVOICE_STATUS).join(', ')}`);
+    }
+
+    return invoiceRepository.list({ tenantId, status, limit, offset });
+  }
+
+  /**
+   * Start paying an invoice
+   * amount defaults to the outstanding balance; anything above the STK
+   * limit is split into installments pushed one after another.
+   */
+  async payInvoice(id, tenantId, { phone, amount } = {}) {
+    return this.payLocks.run(id, async () => {
+      let invoice = await this.syncPendingPushes(await this.getInvoice(id, tenantId));
+
+      if (invoice.status === INVOICE_STATUS.PAID) {
+        throw new BusinessRuleError('Invoice is already paid', { status: 409, code: 'INVOICE_PAID' });
+      }
+      if (invoice.pushes.some(push => push.status === TRANSACTION_STATUS.PENDING)) {
+        throw new BusinessRuleError('A payment for this invoice is already in progress', {
+          status: 409,
+          code: 'INVOICE_PAYMENT_IN_PROGRESS'
+        });
+      }
+
+      const balance = invoice.amountDue - invoice.amountPaid;
+      const payAmount = amount === undefined || amount === null ? balance : Number(amount);
+      if (!Number.isInteger(payAmount) || payAmount < 1 || payAmount > balance) {
+        throw new ValidationError(`Amount must be a whole number between 1 and the balance of ${balance} KES`);
+      }
+
+      const payer = phone || invoice.phone;
+      if (!payer) {
+        throw new ValidationError('Phone number is required');
+      }
+
+      const installments = splitAmount(payAmount, STK_MAX_AMOUNT);
+      const plan = {
+        phone: payer,
+        amount: payAmount,
+        remaining: installments.slice(1),
+        active: installments.length > 1
+      };
+
+      const checkoutRequestID = await this.startPush(invoice, payer, installments[0], plan);
+      invoice = await invoiceRepository.findById(id);
+
+      return { invoice, checkoutRequestID, installments };
+    });
+  }
+
+  /**
+   * Push one amount against an invoice and record it
+   * @returns {string} CheckoutRequestID
+   */
+  async startPush(invoice, phone, amount, paymentPlan) {
+    const service = tenantRegistry.getService(invoice.tenantId);
+    if (!service) {
+      throw new NotFoundError(`Unknown tenant: ${invoice.tenantId}`);
+    }
+
+    const result = await service.initiateSTKPush(phone, amount, invoice.reference, invoice.description || 'Invoice');
+    const checkoutRequestID = result.data.checkoutRequestID;
+
+    await invoiceRepository.update(invoice.id, current => ({
+      pushes: [...current.pushes, {
+        checkoutRequestID,
+        phone,
+        amount,
+        status: TRANSACTION_STATUS.PENDING,
+        createdAt: moment().toISOString()
+      }],
+      paymentPlan
+    }));
+
+    console.log(`🧾 Invoice ${invoice.id}: pushed KES ${amount} (${checkoutRequestID})`);
+
+    // The callback may have landed before the push was recorded above
+    const transaction = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+    if (transaction && transaction.status !== TRANSACTION_STATUS.PENDING) {
+      await this.handleTransactionOutcome(transaction);
+    }
+
+    return checkoutRequestID;
+  }
+
+  /**
+   * Apply outcomes for pushes still marked pending on the invoice
+   * Catches up if a payment event was missed, e.g. across a restart.
+   */
+  async syncPendingPushes(invoice) {
+    let current = invoice;
+
+    for (const push of invoice.pushes.filter(p => p.status === TRANSACTION_STATUS.PENDING)) {
+      const transaction = await transactionRepository.findByCheckoutRequestID(push.checkoutRequestID);
+      if (transaction && transaction.status !== TRANSACTION_STATUS.PENDING) {
+        current = (await this.applyOutcome(invoice.id, transaction)) || current;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Payment event listener - applies outcomes of pushes started for invoices
+   */
+  async handleTransactionOutcome(transaction) {
+    const invoice = await invoiceRepository.findByCheckoutRequestID(transaction.checkoutRequestID);
+    if (!invoice) {
+      return null;
+    }
+
+    const updated = await this.applyOutcome(invoice.id, transaction);
+
+    if (updated && updated.paymentPlan && updated.paymentPlan.active) {
+      this.scheduleNextInstallment(updated.id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply a push's final outcome to its invoice, once
+   * A confirmed amount is added to amountPaid; anything beyond the amount
+   * due is held as credit. A failed installment stops the plan.
+   */
+  async applyOutcome(id, transaction) {
+    return invoiceRepository.update(id, invoice => {
+      const push = invoice.pushes.find(p => p.checkoutRequestID === transaction.checkoutRequestID);
+      if (!push || push.status !== TRANSACTION_STATUS.PENDING) {
+        return null;
+      }
+
+      const now = moment().toISOString();
+      const changes = {
+        pushes: invoice.pushes.map(p => (p === push ? { ...p, status: transaction.status, completedAt: now } : p))
+      };
+
+      if (transaction.status !== TRANSACTION_STATUS.SUCCESS) {
+        if (invoice.paymentPlan && invoice.paymentPlan.active) {
+          changes.paymentPlan = {
+            ...invoice.paymentPlan,
+            active: false,
+            stoppedReason: transaction.resultDesc || `Installment ${transaction.status.toLowerCase()}`
+          };
+        }
+        return changes;
+      }
+
+      const paymentData = transaction.paymentData || {};
+      const amount = Number(paymentData.amount !== undefined ? paymentData.amount : push.amount);
+      const amountPaid = invoice.amountPaid + amount;
+      const status = statusFor(amountPaid, invoice.amountDue);
+      const creditBalance = Math.max(amountPaid - invoice.amountDue, 0);
+
+      changes.amountPaid = amountPaid;
+      changes.creditBalance = creditBalance;
+      changes.status = status;
+      changes.payments = [...invoice.payments, {
+        checkoutRequestID: transaction.checkoutRequestID,
+        amount,
+        mpesaReceiptNumber: paymentData.mpesaReceiptNumber || null,
+        phone: push.phone,
+        paidAt: now
+      }];
+
+      if (status !== invoice.status || creditBalance > invoice.creditBalance) {
+        const note = creditBalance > invoice.creditBalance
+          ? `Overpaid by ${creditBalance - invoice.creditBalance} KES, held as credit`
+          : `Payment of ${amount} KES applied`;
+        changes.statusHistory = [...invoice.statusHistory, { status, amountPaid, note, at: now }];
+      }
+
+      if (invoice.paymentPlan && invoice.paymentPlan.active) {
+        const finished = status === INVOICE_STATUS.PAID || invoice.paymentPlan.remaining.length === 0;
+        changes.paymentPlan = { ...invoice.paymentPlan, active: !finished };
+      }
+
+      return changes;
+    });
+  }
+
+  /**
+   * Start the next installment after a short pause
+   */
+  scheduleNextInstallment(id) {
+    const run = new Promise(resolve => setTimeout(resolve, this.installmentDelay))
+      .then(() => this.continuePlan(id))
+      .catch(error => {
+        console.error(`❌ Invoice ${id}: failed to start next installment:`, error.message);
+      })
+      .finally(() => {
+        this.scheduled.delete(run);
+      });
+
+    this.scheduled.add(run);
+  }
+
+  /**
+   * Push the next installment of an active plan
+   */
+  async continuePlan(id) {
+    return this.payLocks.run(id, async () => {
+      const invoice = await invoiceRepository.findById(id);
+      const plan = invoice && invoice.paymentPlan;
+
+      if (!plan || !plan.active || invoice.pushes.some(push => push.status === TRANSACTION_STATUS.PENDING)) {
+        return;
+      }
+
+      const balance = invoice.amountDue - invoice.amountPaid;
+      if (plan.remaining.length === 0 || balance <= 0) {
+        await invoiceRepository.update(id, () => ({ paymentPlan: { ...plan, active: false } }));
+        return;
+      }
+
+      const remaining = plan.remaining.slice(1);
+
+      try {
+        await this.startPush(invoice, plan.phone, Math.min(plan.remaining[0], balance), {
+          ...plan,
+          remaining,
+          active: remaining.length > 0
+        });
+      } catch (error) {
+        await invoiceRepository.update(id, () => ({
+          paymentPlan: { ...plan, active: false, stoppedReason: error.message }
+        }));
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Resolve once every scheduled installment has been started
+   */
+  async whenIdle() {
+    while (this.scheduled.size > 0) {
+      await Promise.all(Array.from(this.scheduled));
+    }
+  }
+}
+
+module.exports = new InvoiceService();
+module.exports.InvoiceService = InvoiceService;
@@ -1,103 +1,269 @@
-const axios = require('axios');
+const fs = require('fs');
+const crypto = require('crypto');
 const moment = require('moment');
-const { generatePassword, formatPhoneNumber } = require('../utils/helpers');
+const {
+  generatePassword,
+  formatPhoneNumber,
+  generateCallbackToken,
+  hashCallbackToken,
+  generateSecurityCredential,
+  parseResultParameters,
+  parseAccountBalance
+} = require('../utils/helpers');
+const transactionRepository = require('../repositories/transactionRepository');
+const { statusFromResultCode, TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const b2cRepository = require('../repositories/b2cRepository');
+const { B2C_STATUS } = require('../repositories/b2cRepository');
+
+const c2bRepository = require('../repositories/c2bRepository');
+const { tenantFromEnv } = require('../config/tenants');
+const { DarajaClient } = require('./darajaClient');
+const { TokenManager } = require('./tokenManager');
+const webhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('./webhookService');
+const paymentEvents = require('./paymentEvents');
+const { assertValid } = require('../utils/schema');
+const { stkCallback: stkCallbackSchema } = require('../schemas/callbackSchemas');
+const accountRequestRepository = require('../repositories/accountRequestRepository');
+const { ACCOUNT_REQUEST_TYPE, ACCOUNT_REQUEST_STATUS } = require('../repositories/accountRequestRepository');
+const {
+  ValidationError,
+  AuthenticationError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  BusinessRuleError,
+  toMpesaError
+} = require('../utils/errors');
+
+const PAYMENT_EVENTS = {
+  [TRANSACTION_STATUS.SUCCESS]: WEBHOOK_EVENTS.PAYMENT_SUCCEEDED,
+  [TRANSACTION_STATUS.FAILED]: WEBHOOK_EVENTS.PAYMENT_FAILED,
+  [TRANSACTION_STATUS.CANCELLED]: WEBHOOK_EVENTS.PAYMENT_FAILED,
+  [TRANSACTION_STATUS.TIMEOUT]: WEBHOOK_EVENTS.PAYMENT_TIMEOUT
+};
+
+const B2C_EVENTS = {
+  [B2C_STATUS.SUCCESS]: WEBHOOK_EVENTS.B2C_SUCCEEDED,
+  [B2C_STATUS.FAILED]: WEBHOOK_EVENTS.B2C_FAILED,
+  [B2C_STATUS.TIMEOUT]: WEBHOOK_EVENTS.B2C_TIMEOUT
+};
+
+const STK_TRANSACTION_TYPES = ['CustomerPayBillOnline', 'CustomerBuyGoodsOnline'];
+
+// Largest amount M-Pesa accepts in a single STK Push
+const STK_MAX_AMOUNT = 70000;
+
+// Longest AccountReference and TransactionDesc Daraja accepts in an STK Push
+const ACCOUNT_REFERENCE_MAX_LENGTH = 12;
+const TRANSACTION_DESC_MAX_LENGTH = 13;
+
+const B2C_COMMAND_IDS = ['SalaryPayment', 'BusinessPayment', 'PromotionPayment'];
+const B2C_MIN_AMOUNT = 10;
+const B2C_MAX_AMOUNT = 150000;
+const C2B_COMMAND_IDS = ['CustomerPayBillOnline', 'CustomerBuyGoodsOnline'];
+
+// ResultCodes Safaricom accepts in a C2B validation response
+const C2B_RESULT_CODES = {
+  ACCEPTED: '0',
+  INVALID_MSISDN: 'C2B00011',
+  INVALID_ACCOUNT_NUMBER: 'C2B00012',
+  INVALID_AMOUNT: 'C2B00013',
+  INVALID_KYC_DETAILS: 'C2B00014',
+  INVALID_SHORTCODE: 'C2B00015',
+  OTHER_ERROR: 'C2B00016'
+};
+
+/**
+ * An amount as a whole number of shillings
+ * Daraja rejects decimals, so they are refused here rather than rounded.
+ */
+function wholeAmount(amount) {
+  const value = Number(amount);
+
+  if (!Number.isInteger(value)) {
+    throw new ValidationError('Amount must be a whole number of KES');
+  }
+
+  return value;
+}
+
+/**
+ * Default C2B validator - accepts every payment
+ */
+async function acceptAllC2BPayments() {
+  return { accepted: true };
+}
 
 class MpesaService {
-  constructor() {
-    this.consumerKey = process.env.MPESA_CONSUMER_KEY;
-    this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
-    this.businessShortCode = process.env.MPESA_BUSINESS_SHORT_CODE;
-    this.passkey = process.env.MPESA_PASSKEY;
-    this.callbackUrl = process.env.MPESA_CALLBACK_URL;
-    this.accountReference = process.env.MPESA_ACCOUNT_REFERENCE;
-    this.transactionDesc = process.env.MPESA_TRANSACTION_DESC;
+  /**
+   * @param {object} config - Tenant configuration, see src/config/tenants.js
+   */
+  constructor(config = tenantFromEnv()) {
+    this.tenantId = config.id;
+    this.tenantName = config.name;
+    this.environment = config.environment;
+
+    this.consumerKey = config.consumerKey;
+    this.consumerSecret = config.consumerSecret;
+    this.businessShortCode = config.businessShortCode;
+    this.passkey = config.passkey;
+    this.callbackUrl = config.callbackUrl;
+    this.accountReference = config.accountReference;
+    this.transactionDesc = config.transactionDesc;
+
+    // Buy Goods: the till receives payment, the shortcode above signs the request
+    this.transactionType = config.transactionType || 'CustomerPayBillOnline';
+    this.tillNumber = config.tillNumber;
     
     // API URLs
-    this.authUrl = process.env.MPESA_AUTH_URL;
-    this.stkPushUrl = process.env.MPESA_STK_PUSH_URL;
-    this.queryUrl = process.env.MPESA_QUERY_URL;
+    this.authUrl = config.authUrl;
+    this.stkPushUrl = config.stkPushUrl;
+    this.queryUrl = config.queryUrl;
+
+    // Initiator credentials for B2C and other initiator-based APIs
+    this.initiatorName = config.initiatorName;
+    this.initiatorPassword = config.initiatorPassword;
+    this.certificatePath = config.certificatePath;
+    this.securityCredential = config.securityCredential || null;
+
+    // B2C configuration
+    this.b2cShortCode = config.b2cShortCode;
+    this.b2cUrl = config.b2cUrl;
+    this.b2cResultUrl = config.b2cResultUrl;
+    this.b2cTimeoutUrl = config.b2cTimeoutUrl;
+
+    // C2B configuration
+    this.c2bShortCode = config.c2bShortCode;
+    this.c2bRegisterUrl = config.c2bRegisterUrl;
+    this.c2bSimulateUrl = config.c2bSimulateUrl;
+    this.c2bValidationUrl = config.c2bValidationUrl;
+    this.c2bConfirmationUrl = config.c2bConfirmationUrl;
+    this.c2bValidator = acceptAllC2BPayments;
+
+    // Transaction status, account balance and reversal configuration
+    this.transactionStatusUrl = config.transactionStatusUrl;
+    this.transactionStatusResultUrl = config.transactionStatusResultUrl;
+    this.transactionStatusTimeoutUrl = config.transactionStatusTimeoutUrl;
+    this.accountBalanceUrl = config.accountBalanceUrl;
+    this.accountBalanceResultUrl = config.accountBalanceResultUrl;
+    this.accountBalanceTimeoutUrl = config.accountBalanceTimeoutUrl;
+    this.reversalUrl = config.reversalUrl;
+    this.reversalResultUrl = config.reversalResultUrl;
+    this.reversalTimeoutUrl = config.reversalTimeoutUrl;
     
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    // One in-flight OAuth refresh per tenant, optionally shared between processes
+    const credentialsId = crypto.createHash('sha256').update(String(this.consumerKey)).digest('hex').slice(0, 12);
+    this.tokenManager = new TokenManager({
+      key: `${this.tenantId}:${credentialsId}`,
+      fetchToken: () => this.requestAccessToken()
+    });
+
+    // Timeouts, retries and the circuit breaker for every Daraja call
+    this.daraja = new DarajaClient({
+      name: this.tenantId,
+      getAccessToken: () => this.getAccessToken(),
+      invalidateAccessToken: () => this.tokenManager.invalidate()
+    });
   }
 
   /**
-   * Get OAuth access token from M-Pesa API
+   * Get a valid OAuth access token
    */
   async getAccessToken() {
-    try {
-      // Check if token is still valid
-      if (this.accessToken && this.tokenExpiry && moment().isBefore(this.tokenExpiry)) {
-        return this.accessToken;
-      }
+    return this.tokenManager.getToken();
+  }
 
+  /**
+   * Request a new OAuth access token from M-Pesa API
+   */
+  async requestAccessToken() {
+    try {
       const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
       
-      const response = await axios.get(this.authUrl, {
+      const response = await this.daraja.get('oauth', this.authUrl, {
+        authenticated: false,
         headers: {
-          'Authorization': `Basic ${auth}`,
-          'Content-Type': 'application/json'
+          'Authorization': `Basic ${auth}`
         }
       });
 
       if (response.data.access_token) {
-        this.accessToken = response.data.access_token;
-        // Set expiry time (subtract 60 seconds for safety)
-        this.tokenExpiry = moment().add(response.data.expires_in - 60, 'seconds');
-        
         console.log('✅ M-Pesa access token obtained successfully');
-        return this.accessToken;
+        return {
+          accessToken: response.data.access_token,
+          expiresIn: response.data.expires_in
+        };
       }
 
       throw new Error('Failed to obtain access token');
     } catch (error) {
       console.error('❌ Error getting M-Pesa access token:', error.response?.data || error.message);
-      throw new Error('Failed to authenticate with M-Pesa API');
+
+      // An outage is not a credentials problem, so keep it distinguishable
+      const mpesaError = toMpesaError(error);
+      if (mpesaError instanceof UpstreamUnavailableError || mpesaError instanceof RateLimitedError) {
+        throw mpesaError;
+      }
+
+      throw new AuthenticationError('Failed to authenticate with M-Pesa API', {
+        errorCode: mpesaError.errorCode
+      });
     }
   }
 
   /**
    * Initiate STK Push payment
    */
-  async initiateSTKPush(phoneNumber, amount, accountReference = null, transactionDesc = null) {
+  async initiateSTKPush(phoneNumber, amount, accountReference = null, transactionDesc = null, transactionType = null, tillNumber = null) {
     try {
       // Validate inputs
       if (!phoneNumber || !amount) {
-        throw new Error('Phone number and amount are required');
-      }
-      // Support both "CustomerPayBillOnline" and "CustomerBuyGoodsOnline" (STK Push to till)
-      let transactionType = "CustomerPayBillOnline";
-      if (accountReference && accountReference.toLowerCase().includes('till')) {
-        transactionType = "CustomerBuyGoodsOnline";
+        throw new ValidationError('Phone number and amount are required');
       }
+
+      // Paybill pays the business shortcode; Buy Goods pays a till that
+      // belongs to it, while the password still uses the head-office shortcode
+      const type = transactionType || this.transactionType;
+      const partyB = this.resolveSTKPartyB(type, tillNumber);
+
       // Format phone number
       const formattedPhone = formatPhoneNumber(phoneNumber);
       
-      // Validate amount
-      if (amount < 1 || amount > 70000) {
-        throw new Error('Amount must be between 1 and 70,000 KES');
+      // Daraja only takes whole shillings - never round a decimal silently
+      const pushAmount = wholeAmount(amount);
+      if (pushAmount < 1 || pushAmount > STK_MAX_AMOUNT) {
+        throw new ValidationError('Amount must be between 1 and 70,000 KES');
       }
 
-      // Get access token
-      const accessToken = await this.getAccessToken();
+      const reference = accountReference || this.accountReference;
+      const description = transactionDesc || this.transactionDesc;
+      if (String(reference).length > ACCOUNT_REFERENCE_MAX_LENGTH) {
+        throw new ValidationError(`Account reference must be at most ${ACCOUNT_REFERENCE_MAX_LENGTH} characters`);
+      }
+      if (String(description).length > TRANSACTION_DESC_MAX_LENGTH) {
+        throw new ValidationError(`Transaction description must be at most ${TRANSACTION_DESC_MAX_LENGTH} characters`);
+      }
 
       // Generate timestamp and password
       const timestamp = moment().format('YYYYMMDDHHmmss');
       const password = generatePassword(this.businessShortCode, this.passkey, timestamp);
 
+      // Unique callback URL so only Safaricom, who received it, can report on this push
+      const callbackToken = generateCallbackToken();
+
       // Prepare request payload
       const payload = {
         BusinessShortCode: this.businessShortCode,
         Password: password,
         Timestamp: timestamp,
-        TransactionType: "CustomerPayBillOnline",
-        Amount: Math.round(amount), // Ensure amount is integer
+        TransactionType: type,
+        Amount: pushAmount,
         PartyA: formattedPhone,
-        PartyB: this.businessShortCode,
+        PartyB: partyB,
         PhoneNumber: formattedPhone,
-        CallBackURL: this.callbackUrl,
-        AccountReference: accountReference || this.accountReference,
-        TransactionDesc: transactionDesc || this.transactionDesc
+        CallBackURL: `${String(this.callbackUrl).replace(/\/+$/, '')}/${callbackToken}`,
+        AccountReference: reference,
+        TransactionDesc: description
       };
 
       console.log('📤 Initiating STK Push:', {
@@ -107,15 +273,24 @@ class MpesaService {
       });
 
       // Make API request
-      const response = await axios.post(this.stkPushUrl, payload, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.daraja.post('stkPush', this.stkPushUrl, payload);
 
       if (response.data.ResponseCode === "0") {
         console.log('✅ STK Push initiated successfully');
+
+        await this.recordTransaction({
+          tenantId: this.tenantId,
+          checkoutRequestID: response.data.CheckoutRequestID,
+          merchantRequestID: response.data.MerchantRequestID,
+          phone: formattedPhone,
+          amount: payload.Amount,
+          accountReference: payload.AccountReference,
+          transactionDesc: payload.TransactionDesc,
+          transactionType: type,
+          partyB: partyB,
+          callbackTokenHash: hashCallbackToken(callbackToken)
+        });
+
         return {
           success: true,
           message: 'STK Push initiated successfully',
@@ -128,18 +303,43 @@ class MpesaService {
           }
         };
       } else {
-        throw new Error(response.data.ResponseDescription || 'STK Push failed');
+        throw new BusinessRuleError(response.data.ResponseDescription || 'STK Push failed', {
+          resultCode: response.data.ResponseCode
+        });
       }
     } catch (error) {
       console.error('❌ STK Push error:', error.response?.data || error.message);
       
-      // Handle specific M-Pesa errors
-      if (error.response?.data?.errorMessage) {
-        throw new Error(error.response.data.errorMessage);
+      throw toMpesaError(error, 'Failed to initiate STK Push');
+    }
+  }
+
+  /**
+   * Work out PartyB for an STK Push, rejecting invalid combinations
+   * before anything is sent to Daraja
+   */
+  resolveSTKPartyB(transactionType, tillNumber) {
+    if (!STK_TRANSACTION_TYPES.includes(transactionType)) {
+      throw new ValidationError(`Transaction type must be one of ${STK_TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    if (transactionType === 'CustomerPayBillOnline') {
+      if (tillNumber) {
+        throw new ValidationError('Till number is only valid for CustomerBuyGoodsOnline');
       }
-      
-      throw new Error(error.message || 'Failed to initiate STK Push');
+      return this.businessShortCode;
+    }
+
+    const till = String(tillNumber || this.tillNumber || '');
+
+    if (!till) {
+      throw new ValidationError('Till number is required for CustomerBuyGoodsOnline');
+    }
+    if (!/^\d{5,8}$/.test(till)) {
+      throw new ValidationError('Till number must be 5 to 8 digits');
     }
+
+    return till;
   }
 
   /**
@@ -148,12 +348,9 @@ class MpesaService {
   async querySTKPushStatus(checkoutRequestID) {
     try {
       if (!checkoutRequestID) {
-        throw new Error('Checkout Request ID is required');
+        throw new ValidationError('Checkout Request ID is required');
       }
 
-      // Get access token
-      const accessToken = await this.getAccessToken();
-
       // Generate timestamp and password
       const timestamp = moment().format('YYYYMMDDHHmmss');
       const password = generatePassword(this.businessShortCode, this.passkey, timestamp);
@@ -169,15 +366,19 @@ class MpesaService {
       console.log('🔍 Querying STK Push status:', checkoutRequestID);
 
       // Make API request
-      const response = await axios.post(this.queryUrl, payload, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.daraja.post('stkQuery', this.queryUrl, payload);
 
       console.log('📊 STK Push query response:', response.data);
 
+      // Apply the outcome exactly as a callback would - still-processing
+      // codes map to PENDING and leave the transaction untouched
+      if (response.data.ResultCode !== undefined) {
+        await this.updateTransactionStatus(response.data.CheckoutRequestID, {
+          resultCode: Number(response.data.ResultCode),
+          resultDesc: response.data.ResultDesc
+        });
+      }
+
       return {
         success: true,
         data: {
@@ -192,11 +393,8 @@ class MpesaService {
     } catch (error) {
       console.error('❌ STK Push query error:', error.response?.data || error.message);
       
-      if (error.response?.data?.errorMessage) {
-        throw new Error(error.response.data.errorMessage);
-      }
-      
-      throw new Error(error.message || 'Failed to query STK Push status');
+      // The typed error keeps Daraja's errorCode so callers can tell "still processing" apart
+      throw toMpesaError(error, 'Failed to query STK Push status');
     }
   }
 
@@ -207,19 +405,22 @@ class MpesaService {
     try {
       console.log('📞 Processing M-Pesa callback:', JSON.stringify(callbackData, null, 2));
 
+      assertValid(stkCallbackSchema, callbackData);
+
       const { Body } = callbackData;
       const { stkCallback } = Body;
 
       const result = {
         merchantRequestID: stkCallback.MerchantRequestID,
         checkoutRequestID: stkCallback.CheckoutRequestID,
-        resultCode: stkCallback.ResultCode,
+        // Some gateways send the ResultCode as a string
+        resultCode: Number(stkCallback.ResultCode),
         resultDesc: stkCallback.ResultDesc,
         timestamp: moment().toISOString()
       };
 
       // Check if payment was successful
-      if (stkCallback.ResultCode === 0) {
+      if (result.resultCode === 0) {
         // Payment successful - extract callback metadata
         const callbackMetadata = stkCallback.CallbackMetadata;
         const items = callbackMetadata.Item;
@@ -245,20 +446,726 @@ class MpesaService {
         });
 
         result.paymentData = paymentData;
-        result.status = 'SUCCESS';
-        
         console.log('✅ Payment successful:', paymentData);
       } else {
-        result.status = 'FAILED';
         console.log('❌ Payment failed:', stkCallback.ResultDesc);
       }
 
+      result.status = statusFromResultCode(result.resultCode);
+
+      await this.updateTransactionStatus(result.checkoutRequestID, {
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        paymentData: result.paymentData
+      });
+
       return result;
     } catch (error) {
       console.error('❌ Error processing callback:', error);
-      throw new Error('Failed to process M-Pesa callback');
+      throw error instanceof ValidationError ? error : new Error('Failed to process M-Pesa callback');
+    }
+  }
+
+  /**
+   * Get the encrypted initiator SecurityCredential
+   * Uses MPESA_SECURITY_CREDENTIAL when set, otherwise encrypts the
+   * initiator password with the Safaricom certificate and caches it.
+   */
+  getSecurityCredential() {
+    if (this.securityCredential) {
+      return this.securityCredential;
+    }
+
+    if (!this.initiatorPassword || !this.certificatePath) {
+      throw new Error('Initiator password and certificate path are required to generate a security credential');
+    }
+
+    const certificate = fs.readFileSync(this.certificatePath);
+    this.securityCredential = generateSecurityCredential(this.initiatorPassword, certificate);
+    return this.securityCredential;
+  }
+
+  /**
+   * Initiate B2C payment
+   */
+  async initiateB2C(phoneNumber, amount, commandId = 'BusinessPayment', remarks = null, occasion = null) {
+    try {
+      if (!phoneNumber || !amount) {
+        throw new ValidationError('Phone number and amount are required');
+      }
+
+      if (!B2C_COMMAND_IDS.includes(commandId)) {
+        throw new ValidationError(`Command ID must be one of ${B2C_COMMAND_IDS.join(', ')}`);
+      }
+
+      const formattedPhone = formatPhoneNumber(phoneNumber);
+
+      const payAmount = wholeAmount(amount);
+      if (payAmount < B2C_MIN_AMOUNT || payAmount > B2C_MAX_AMOUNT) {
+        throw new ValidationError('Amount must be between 10 and 150,000 KES');
+      }
+
+      const originatorConversationID = crypto.randomUUID();
+
+      const payload = {
+        OriginatorConversationID: originatorConversationID,
+        InitiatorName: this.initiatorName,
+        SecurityCredential: this.getSecurityCredential(),
+        CommandID: commandId,
+        Amount: payAmount,
+        PartyA: this.b2cShortCode,
+        PartyB: formattedPhone,
+        Remarks: remarks || 'B2C payment',
+        QueueTimeOutURL: this.b2cTimeoutUrl,
+        ResultURL: this.b2cResultUrl,
+        Occassion: occasion || ''
+      };
+
+      console.log('📤 Initiating B2C payment:', {
+        phone: formattedPhone,
+        amount: amount,
+        commandId: commandId
+      });
+
+      const response = await this.daraja.post('b2c', this.b2cUrl, payload);
+
+      if (response.data.ResponseCode === "0") {
+        console.log('✅ B2C payment initiated successfully');
+
+        await this.recordB2CPayment({
+          tenantId: this.tenantId,
+          originatorConversationID: response.data.OriginatorConversationID || originatorConversationID,
+          conversationID: response.data.ConversationID,
+          phone: formattedPhone,
+          amount: payload.Amount,
+          commandId: commandId,
+          remarks: payload.Remarks,
+          occasion: payload.Occassion
+        });
+
+        return {
+          success: true,
+          message: 'B2C payment initiated successfully',
+          data: {
+            conversationID: response.data.ConversationID,
+            originatorConversationID: response.data.OriginatorConversationID || originatorConversationID,
+            responseCode: response.data.ResponseCode,
+            responseDescription: response.data.ResponseDescription
+          }
+        };
+      } else {
+        throw new BusinessRuleError(response.data.ResponseDescription || 'B2C payment failed', {
+          resultCode: response.data.ResponseCode
+        });
+      }
+    } catch (error) {
+      console.error('❌ B2C error:', error.response?.data || error.message);
+
+      throw toMpesaError(error, 'Failed to initiate B2C payment');
     }
   }
+
+  /**
+   * Process B2C result webhook
+   */
+  async processB2CResult(resultData) {
+    try {
+      const { Result } = resultData;
+
+      const result = {
+        originatorConversationID: Result.OriginatorConversationID,
+        conversationID: Result.ConversationID,
+        transactionID: Result.TransactionID,
+        resultCode: Number(Result.ResultCode),
+        resultDesc: Result.ResultDesc,
+        timestamp: moment().toISOString()
+      };
+
+      if (result.resultCode === 0) {
+        const parameters = parseResultParameters(Result.ResultParameters);
+
+        result.paymentData = {
+          amount: parameters.TransactionAmount,
+          transactionReceipt: parameters.TransactionReceipt,
+          recipientName: parameters.ReceiverPartyPublicName,
+          recipientIsRegisteredCustomer: parameters.B2CRecipientIsRegisteredCustomer === 'Y',
+          charges: parameters.B2CChargesPaidAccountAvailableFunds,
+          utilityAccountBalance: parameters.B2CUtilityAccountAvailableFunds,
+          workingAccountBalance: parameters.B2CWorkingAccountAvailableFunds,
+          transactionCompletedDateTime: parameters.TransactionCompletedDateTime
+        };
+        result.status = B2C_STATUS.SUCCESS;
+
+        console.log('✅ B2C payment successful:', result.paymentData);
+      } else {
+        result.status = B2C_STATUS.FAILED;
+        console.log('❌ B2C payment failed:', Result.ResultDesc);
+      }
+
+      await this.updateB2CStatus(result.originatorConversationID, result.status, {
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        resultData: result.paymentData
+      });
+
+      return result;
+    } catch (error) {
+      console.error('❌ Error processing B2C result:', error);
+      throw new Error('Failed to process B2C result');
+    }
+  }
+
+  /**
+   * Process B2C queue timeout webhook
+   */
+  async processB2CTimeout(timeoutData) {
+    try {
+      const details = timeoutData.Result || timeoutData;
+
+      const result = {
+        originatorConversationID: details.OriginatorConversationID,
+        conversationID: details.ConversationID,
+        resultCode: details.ResultCode,
+        resultDesc: details.ResultDesc || 'B2C request timed out in queue',
+        status: B2C_STATUS.TIMEOUT,
+        timestamp: moment().toISOString()
+      };
+
+      console.log('⏰ B2C request timed out:', result.originatorConversationID);
+
+      await this.updateB2CStatus(result.originatorConversationID, result.status, {
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc
+      });
+
+      return result;
+    } catch (error) {
+      console.error('❌ Error processing B2C timeout:', error);
+      throw new Error('Failed to process B2C timeout');
+    }
+  }
+
+  /**
+   * Register C2B validation and confirmation URLs
+   * @param {string} responseType - "Completed" or "Cancelled", what M-Pesa does when validation is unreachable
+   */
+  async registerC2BUrls(responseType = 'Completed') {
+    try {
+      if (!['Completed', 'Cancelled'].includes(responseType)) {
+        throw new ValidationError('Response type must be Completed or Cancelled');
+      }
+
+      const payload = {
+        ShortCode: this.c2bShortCode,
+        ResponseType: responseType,
+        ConfirmationURL: this.c2bConfirmationUrl,
+        ValidationURL: this.c2bValidationUrl
+      };
+
+      console.log('📤 Registering C2B URLs:', payload);
+
+      const response = await this.daraja.post('c2bRegister', this.c2bRegisterUrl, payload);
+
+      console.log('✅ C2B URLs registered successfully');
+
+      return {
+        success: true,
+        message: 'C2B URLs registered successfully',
+        data: {
+          originatorConversationID: response.data.OriginatorCoversationID || response.data.OriginatorConversationID,
+          responseCode: response.data.ResponseCode,
+          responseDescription: response.data.ResponseDescription
+        }
+      };
+    } catch (error) {
+      console.error('❌ C2B register error:', error.response?.data || error.message);
+
+      throw toMpesaError(error, 'Failed to register C2B URLs');
+    }
+  }
+
+  /**
+   * Simulate a C2B payment (sandbox only)
+   */
+  async simulateC2B(phoneNumber, amount, billRefNumber = '', commandId = 'CustomerPayBillOnline') {
+    try {
+      if (this.environment === 'production') {
+        throw new BusinessRuleError('C2B simulation is only available in the sandbox environment');
+      }
+
+      if (!phoneNumber || !amount) {
+        throw new ValidationError('Phone number and amount are required');
+      }
+
+      if (!C2B_COMMAND_IDS.includes(commandId)) {
+        throw new ValidationError(`Command ID must be one of ${C2B_COMMAND_IDS.join(', ')}`);
+      }
+
+      const formattedPhone = formatPhoneNumber(phoneNumber);
+      const payload = {
+        ShortCode: this.c2bShortCode,
+        CommandID: commandId,
+        Amount: wholeAmount(amount),
+        Msisdn: formattedPhone,
+        BillRefNumber: billRefNumber
+      };
+
+      console.log('📤 Simulating C2B payment:', payload);
+
+      const response = await this.daraja.post('c2bSimulate', this.c2bSimulateUrl, payload);
+
+      return {
+        success: true,
+        message: 'C2B payment simulated successfully',
+        data: {
+          originatorConversationID: response.data.OriginatorCoversationID || response.data.OriginatorConversationID,
+          responseCode: response.data.ResponseCode,
+          responseDescription: response.data.ResponseDescription
+        }
+      };
+    } catch (error) {
+      console.error('❌ C2B simulate error:', error.response?.data || error.message);
+
+      throw toMpesaError(error, 'Failed to simulate C2B payment');
+    }
+  }
+
+  /**
+   * Replace the C2B validation rule
+   * The validator receives the parsed payment and returns
+   * { accepted: boolean, resultCode?: string } (or just a boolean).
+   */
+  setC2BValidator(validator) {
+    this.c2bValidator = validator || acceptAllC2BPayments;
+  }
+
+  /**
+   * Process C2B validation request
+   * Returns the response body Safaricom expects
+   */
+  async processC2BValidation(validationData) {
+    const payment = this.parseC2BPayment(validationData);
+
+    console.log('🔎 Validating C2B payment:', {
+      transID: payment.transID,
+      amount: payment.amount,
+      billRefNumber: payment.billRefNumber
+    });
+
+    let decision;
+    try {
+      decision = await this.c2bValidator(payment);
+    } catch (error) {
+      console.error('❌ C2B validator error:', error.message);
+      decision = { accepted: false, resultCode: C2B_RESULT_CODES.OTHER_ERROR };
+    }
+
+    if (typeof decision === 'boolean') {
+      decision = { accepted: decision };
+    }
+
+    if (decision && decision.accepted) {
+      return {
+        ResultCode: C2B_RESULT_CODES.ACCEPTED,
+        ResultDesc: 'Accepted'
+      };
+    }
+
+    console.log('🚫 C2B payment rejected:', payment.transID);
+
+    return {
+      ResultCode: (decision && decision.resultCode) || C2B_RESULT_CODES.OTHER_ERROR,
+      ResultDesc: 'Rejected'
+    };
+  }
+
+  /**
+   * Process C2B confirmation
+   */
+  async processC2BConfirmation(confirmationData) {
+    try {
+      const payment = this.parseC2BPayment(confirmationData);
+
+      if (!payment.transID) {
+        throw new Error('TransID is missing from C2B confirmation');
+      }
+
+      await c2bRepository.create({ ...payment, tenantId: this.tenantId });
+      await webhookService.emit(WEBHOOK_EVENTS.C2B_CONFIRMED, payment.transID, payment, this.tenantId);
+
+      console.log('✅ C2B payment confirmed:', {
+        transID: payment.transID,
+        amount: payment.amount,
+        billRefNumber: payment.billRefNumber
+      });
+
+      return payment;
+    } catch (error) {
+      console.error('❌ Error processing C2B confirmation:', error);
+      throw new Error('Failed to process C2B confirmation');
+    }
+  }
+
+  /**
+   * Convert a C2B validation/confirmation body into a payment object
+   */
+  parseC2BPayment(data) {
+    return {
+      transactionType: data.TransactionType,
+      transID: data.TransID,
+      transTime: data.TransTime,
+      amount: parseFloat(data.TransAmount),
+      businessShortCode: data.BusinessShortCode,
+      billRefNumber: data.BillRefNumber,
+      invoiceNumber: data.InvoiceNumber,
+      orgAccountBalance: data.OrgAccountBalance,
+      thirdPartyTransID: data.ThirdPartyTransID,
+      phoneNumber: data.MSISDN,
+      firstName: data.FirstName,
+      middleName: data.MiddleName,
+      lastName: data.LastName
+    };
+  }
+
+  /**
+   * Query the status of a transaction by M-Pesa receipt number
+   */
+  async queryTransactionStatus(receiptNumber, remarks = null) {
+    if (!receiptNumber) {
+      throw new ValidationError('M-Pesa receipt number is required');
+    }
+
+    const payload = {
+      Initiator: this.initiatorName,
+      SecurityCredential: this.getSecurityCredential(),
+      CommandID: 'TransactionStatusQuery',
+      TransactionID: receiptNumber,
+      PartyA: this.businessShortCode,
+      IdentifierType: '4',
+      ResultURL: this.transactionStatusResultUrl,
+      QueueTimeOutURL: this.transactionStatusTimeoutUrl,
+      Remarks: remarks || 'Transaction status query',
+      Occasion: ''
+    };
+
+    console.log('🔍 Querying transaction status:', receiptNumber);
+
+    return this.submitAccountRequest(
+      ACCOUNT_REQUEST_TYPE.TRANSACTION_STATUS,
+      'transactionStatus',
+      this.transactionStatusUrl,
+      payload,
+      { receiptNumber }
+    );
+  }
+
+  /**
+   * Query the balance of the business shortcode
+   */
+  async getAccountBalance(remarks = null) {
+    const payload = {
+      Initiator: this.initiatorName,
+      SecurityCredential: this.getSecurityCredential(),
+      CommandID: 'AccountBalance',
+      PartyA: this.businessShortCode,
+      IdentifierType: '4',
+      ResultURL: this.accountBalanceResultUrl,
+      QueueTimeOutURL: this.accountBalanceTimeoutUrl,
+      Remarks: remarks || 'Account balance query'
+    };
+
+    console.log('🔍 Querying account balance:', this.businessShortCode);
+
+    return this.submitAccountRequest(
+      ACCOUNT_REQUEST_TYPE.ACCOUNT_BALANCE,
+      'accountBalance',
+      this.accountBalanceUrl,
+      payload,
+      {}
+    );
+  }
+
+  /**
+   * Reverse a transaction by M-Pesa receipt number
+   */
+  async reverseTransaction(receiptNumber, amount, remarks = null) {
+    if (!receiptNumber || !amount) {
+      throw new ValidationError('M-Pesa receipt number and amount are required');
+    }
+
+    const payload = {
+      Initiator: this.initiatorName,
+      SecurityCredential: this.getSecurityCredential(),
+      CommandID: 'TransactionReversal',
+      TransactionID: receiptNumber,
+      Amount: wholeAmount(amount),
+      ReceiverParty: this.businessShortCode,
+      RecieverIdentifierType: '11',
+      ResultURL: this.reversalResultUrl,
+      QueueTimeOutURL: this.reversalTimeoutUrl,
+      Remarks: remarks || 'Transaction reversal',
+      Occasion: ''
+    };
+
+    console.log('↩️  Reversing transaction:', { receiptNumber, amount: payload.Amount });
+
+    return this.submitAccountRequest(
+      ACCOUNT_REQUEST_TYPE.REVERSAL,
+      'reversal',
+      this.reversalUrl,
+      payload,
+      { receiptNumber, amount: payload.Amount }
+    );
+  }
+
+  /**
+   * Send an initiator request to Daraja and record it until its result arrives
+   */
+  async submitAccountRequest(type, endpoint, url, payload, params) {
+    try {
+      const response = await this.daraja.post(endpoint, url, payload);
+
+      if (response.data.ResponseCode !== "0") {
+        throw new BusinessRuleError(response.data.ResponseDescription || `${type} request failed`, {
+          resultCode: response.data.ResponseCode
+        });
+      }
+
+      try {
+        await accountRequestRepository.create({
+          tenantId: this.tenantId,
+          originatorConversationID: response.data.OriginatorConversationID,
+          conversationID: response.data.ConversationID,
+          type,
+          params
+        });
+      } catch (error) {
+        console.error('❌ Failed to record account request:', response.data.OriginatorConversationID, error.message);
+      }
+
+      console.log(`✅ ${type} request accepted`);
+
+      return {
+        success: true,
+        message: 'Request accepted, the result will be delivered asynchronously',
+        data: {
+          originatorConversationID: response.data.OriginatorConversationID,
+          conversationID: response.data.ConversationID,
+          responseCode: response.data.ResponseCode,
+          responseDescription: response.data.ResponseDescription
+        }
+      };
+    } catch (error) {
+      console.error(`❌ ${type} error:`, error.response?.data || error.message);
+
+      throw toMpesaError(error, `Failed to submit ${type} request`);
+    }
+  }
+
+  /**
+   * Process transaction status result webhook
+   */
+  async processTransactionStatusResult(resultData) {
+    return this.completeAccountRequest(ACCOUNT_REQUEST_TYPE.TRANSACTION_STATUS, resultData, parameters => ({
+      receiptNumber: parameters.ReceiptNo,
+      transactionStatus: parameters.TransactionStatus,
+      amount: parameters.Amount,
+      reasonType: parameters.ReasonType,
+      transactionReason: parameters.TransactionReason,
+      debitPartyName: parameters.DebitPartyName,
+      creditPartyName: parameters.CreditPartyName,
+      debitPartyCharges: parameters.DebitPartyCharges,
+      debitAccountType: parameters.DebitAccountType,
+      initiatedTime: parameters.InitiatedTime,
+      finalisedTime: parameters.FinalisedTime
+    }));
+  }
+
+  /**
+   * Process account balance result webhook
+   */
+  async processAccountBalanceResult(resultData) {
+    return this.completeAccountRequest(ACCOUNT_REQUEST_TYPE.ACCOUNT_BALANCE, resultData, parameters => ({
+      accounts: parseAccountBalance(parameters.AccountBalance),
+      completedTime: parameters.BOCompletedTime
+    }));
+  }
+
+  /**
+   * Process reversal result webhook
+   */
+  async processReversalResult(resultData) {
+    return this.completeAccountRequest(ACCOUNT_REQUEST_TYPE.REVERSAL, resultData, parameters => ({
+      originalTransactionID: parameters.OriginalTransactionID,
+      amount: parameters.Amount,
+      charge: parameters.Charge,
+      debitAccountBalance: parameters.DebitAccountBalance,
+      creditPartyName: parameters.CreditPartyPublicName,
+      debitPartyName: parameters.DebitPartyPublicName,
+      completedTime: parameters.TransCompletedTime
+    }));
+  }
+
+  /**
+   * Process queue timeout webhook for an initiator request
+   */
+  async processAccountRequestTimeout(type, timeoutData) {
+    try {
+      const details = timeoutData.Result || timeoutData;
+
+      const result = {
+        type,
+        originatorConversationID: details.OriginatorConversationID,
+        conversationID: details.ConversationID,
+        resultCode: details.ResultCode,
+        resultDesc: details.ResultDesc || `${type} request timed out in queue`,
+        status: ACCOUNT_REQUEST_STATUS.TIMEOUT,
+        timestamp: moment().toISOString()
+      };
+
+      console.log(`⏰ ${type} request timed out:`, result.originatorConversationID);
+
+      await this.updateAccountRequestStatus(result.originatorConversationID, result.status, {
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc
+      });
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Error processing ${type} timeout:`, error);
+      throw new Error(`Failed to process ${type} timeout`);
+    }
+  }
+
+  /**
+   * Parse an initiator result webhook and store the outcome
+   */
+  async completeAccountRequest(type, resultData, parseParameters) {
+    try {
+      const { Result } = resultData;
+
+      const result = {
+        type,
+        originatorConversationID: Result.OriginatorConversationID,
+        conversationID: Result.ConversationID,
+        transactionID: Result.TransactionID,
+        resultCode: Number(Result.ResultCode),
+        resultDesc: Result.ResultDesc,
+        timestamp: moment().toISOString()
+      };
+
+      if (result.resultCode === 0) {
+        result.resultData = parseParameters(parseResultParameters(Result.ResultParameters));
+        result.status = ACCOUNT_REQUEST_STATUS.COMPLETED;
+        console.log(`✅ ${type} result received:`, result.resultData);
+      } else {
+        result.status = ACCOUNT_REQUEST_STATUS.FAILED;
+        console.log(`❌ ${type} request failed:`, Result.ResultDesc);
+      }
+
+      await this.updateAccountRequestStatus(result.originatorConversationID, result.status, {
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        resultData: result.resultData
+      });
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Error processing ${type} result:`, error);
+      throw new Error(`Failed to process ${type} result`);
+    }
+  }
+
+  /**
+   * Move a recorded initiator request to its final status
+   */
+  async updateAccountRequestStatus(originatorConversationID, status, details) {
+    const request = await accountRequestRepository.updateStatus(originatorConversationID, status, details);
+
+    if (!request) {
+      console.warn(`⚠️  No recorded account request for OriginatorConversationID ${originatorConversationID}`);
+    }
+
+    return request;
+  }
+
+  /**
+   * Save a newly initiated B2C payment to the B2C repository
+   */
+  async recordB2CPayment(payment) {
+    try {
+      await b2cRepository.create(payment);
+    } catch (error) {
+      console.error('❌ Failed to record B2C payment:', payment.originatorConversationID, error.message);
+    }
+  }
+
+  /**
+   * Move a recorded B2C payment to its final status
+   */
+  async updateB2CStatus(originatorConversationID, status, details) {
+    const existing = await b2cRepository.findByOriginatorConversationID(originatorConversationID);
+
+    if (!existing) {
+      console.warn(`⚠️  No recorded B2C payment for OriginatorConversationID ${originatorConversationID}`);
+      return null;
+    }
+
+    // Already final - a repeated result must not fire the event again
+    if (existing.status !== B2C_STATUS.PENDING) {
+      return existing;
+    }
+
+    const payment = await b2cRepository.updateStatus(originatorConversationID, status, details);
+    await webhookService.emit(B2C_EVENTS[payment.status], originatorConversationID, payment, payment.tenantId);
+
+    return payment;
+  }
+
+  /**
+   * Save a newly initiated STK Push to the transaction repository
+   * The push has already reached the customer, so a storage failure is
+   * logged rather than reported as a failed payment request.
+   */
+  async recordTransaction(transaction) {
+    try {
+      await transactionRepository.create(transaction);
+    } catch (error) {
+      console.error('❌ Failed to record transaction:', transaction.checkoutRequestID, error.message);
+    }
+  }
+
+  /**
+   * Move a recorded transaction to the status matching its ResultCode
+   */
+  async updateTransactionStatus(checkoutRequestID, details) {
+    const status = statusFromResultCode(details.resultCode);
+    const result = await transactionRepository.updateStatus(checkoutRequestID, status, details);
+
+    if (!result) {
+      console.warn(`⚠️  No recorded transaction for CheckoutRequestID ${checkoutRequestID}`);
+      return null;
+    }
+
+    // Only the first final outcome fires an event
+    if (result.changed) {
+      await webhookService.emit(PAYMENT_EVENTS[result.transaction.status], checkoutRequestID, result.transaction, result.transaction.tenantId);
+      await paymentEvents.publish(result.transaction);
+    }
+
+    return result.transaction;
+  }
 }
 
-module.exports = new MpesaService();
\ No newline at end of file
+// The default tenant, configured from environment variables
+module.exports = new MpesaService();
+module.exports.MpesaService = MpesaService;
+module.exports.C2B_RESULT_CODES = C2B_RESULT_CODES;
+module.exports.STK_MAX_AMOUNT = STK_MAX_AMOUNT;
+module.exports.STK_TRANSACTION_TYPES = STK_TRANSACTION_TYPES;
+module.exports.ACCOUNT_REFERENCE_MAX_LENGTH = ACCOUNT_REFERENCE_MAX_LENGTH;
+module.exports.TRANSACTION_DESC_MAX_LENGTH = TRANSACTION_DESC_MAX_LENGTH;
+module.exports.B2C_COMMAND_IDS = B2C_COMMAND_IDS;
+module.exports.B2C_MIN_AMOUNT = B2C_MIN_AMOUNT;
+module.exports.B2C_MAX_AMOUNT = B2C_MAX_AMOUNT;
+module.exports.C2B_COMMAND_IDS = C2B_COMMAND_IDS;
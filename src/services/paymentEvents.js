@@ -0,0 +1,38 @@
+/**
+ * In-process notifications about STK Push outcomes
+ * Listeners are called once per transaction, after its final status has
+ * been stored, and are awaited in turn. A failing listener is logged and
+ * does not affect the others. Use webhooks to notify other systems.
+ */
+class PaymentEvents {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * Register a listener for final transaction outcomes
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Tell every listener about a transaction's final outcome
+   */
+  async publish(transaction) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(transaction);
+      } catch (error) {
+        console.error(`❌ Payment listener failed for ${transaction.checkoutRequestID}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new PaymentEvents();
+module.exports.PaymentEvents = PaymentEvents;
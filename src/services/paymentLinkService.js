@@ -0,0 +1,213 @@
+const moment = require('moment');
+const paymentLinkRepository = require('../repositories/paymentLinkRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const tenantRegistry = require('./tenantRegistry');
+const KeyedLock = require('../utils/keyedLock');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../utils/errors');
+
+const PAYMENT_LINK_STATUS = {
+  ACTIVE: 'ACTIVE',
+  COMPLETED: 'COMPLETED',
+  EXPIRED: 'EXPIRED',
+  DISABLED: 'DISABLED'
+};
+
+// Links expire after a week unless the merchant says otherwise
+const DEFAULT_EXPIRY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Payment link service
+ * Creates links and starts STK Pushes from the hosted checkout page.
+ * Usage and expiry are checked here, on the server, for every push.
+ */
+class PaymentLinkService {
+  constructor() {
+    // Pushes for a limited-use link are started one at a time
+    this.checkoutLocks = new KeyedLock();
+  }
+
+  /**
+   * Create a payment link
+   */
+  async createLink(tenantId, { amount, accountReference, description, expiresAt, expiresInMinutes, multiUse = false, maxUses }) {
+    const linkAmount = Number(amount);
+    if (!Number.isInteger(linkAmount) || linkAmount < 1 || linkAmount > 70000) {
+      throw new ValidationError('Amount must be a whole number between 1 and 70,000 KES');
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = moment(expiresAt, moment.ISO_8601, true);
+      if (!expiry.isValid()) {
+        throw new ValidationError('expiresAt must be an ISO 8601 date');
+      }
+    } else {
+      const minutes = expiresInMinutes !== undefined ? Number(expiresInMinutes) : DEFAULT_EXPIRY_MINUTES;
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new ValidationError('expiresInMinutes must be a positive number');
+      }
+      expiry = moment().add(minutes, 'minutes');
+    }
+
+    if (!expiry.isAfter(moment())) {
+      throw new ValidationError('Expiry must be in the future');
+    }
+
+    let uses = 1;
+    if (multiUse === true || multiUse === 'true') {
+      uses = maxUses !== undefined && maxUses !== null ? Number(maxUses) : null;
+      if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+        throw new ValidationError('maxUses must be a positive whole number');
+      }
+    }
+
+    const link = await paymentLinkRepository.create({
+      tenantId,
+      amount: linkAmount,
+      accountReference,
+      description,
+      maxUses: uses,
+      expiresAt: expiry.toISOString()
+    });
+
+    console.log(`🔗 Payment link ${link.id} created for KES ${link.amount}`);
+
+    return this.describe(link);
+  }
+
+  /**
+   * Get a link with its current status and usage
+   * @param {string} tenantId - Only return the link if it belongs to this tenant
+   */
+  async getLink(id, tenantId = null) {
+    const link = await paymentLinkRepository.findById(id);
+
+    if (!link || (tenantId && link.tenantId !== tenantId)) {
+      throw new NotFoundError('Payment link not found');
+    }
+
+    return this.describe(link);
+  }
+
+  /**
+   * List a tenant's links
+   */
+  async listLinks(tenantId) {
+    const links = await paymentLinkRepository.list({ tenantId });
+    return Promise.all(links.map(link => this.describe(link)));
+  }
+
+  /**
+   * Disable a link so it accepts no further payments
+   */
+  async disableLink(id, tenantId) {
+    await this.getLink(id, tenantId);
+    return this.describe(await paymentLinkRepository.disable(id));
+  }
+
+  /**
+   * Work out a link's status and usage from the pushes started from it
+   */
+  async describe(link) {
+    const transactions = await Promise.all(
+      link.payments.map(checkoutRequestID => transactionRepository.findByCheckoutRequestID(checkoutRequestID))
+    );
+
+    const uses = transactions.filter(transaction => transaction && transaction.status === TRANSACTION_STATUS.SUCCESS).length;
+    const pending = transactions.filter(transaction => transaction && transaction.status === TRANSACTION_STATUS.PENDING).length;
+
+    let status = PAYMENT_LINK_STATUS.ACTIVE;
+    if (link.disabledAt) {
+      status = PAYMENT_LINK_STATUS.DISABLED;
+    } else if (link.maxUses && uses >= link.maxUses) {
+      status = PAYMENT_LINK_STATUS.COMPLETED;
+    } else if (link.expiresAt && moment().isSameOrAfter(link.expiresAt)) {
+      status = PAYMENT_LINK_STATUS.EXPIRED;
+    }
+
+    return {
+      ...link,
+      status,
+      uses,
+      pending,
+      remainingUses: link.maxUses ? Math.max(link.maxUses - uses, 0) : null,
+      path: `/pay/${link.id}`
+    };
+  }
+
+  /**
+   * Throw unless the link can take another payment right now
+   */
+  assertPayable(link) {
+    if (link.status === PAYMENT_LINK_STATUS.DISABLED) {
+      throw new BusinessRuleError('This payment link has been disabled', { status: 410, code: 'LINK_DISABLED' });
+    }
+    if (link.status === PAYMENT_LINK_STATUS.COMPLETED) {
+      throw new BusinessRuleError('This payment link has already been used', { status: 410, code: 'LINK_USED' });
+    }
+    if (link.status === PAYMENT_LINK_STATUS.EXPIRED) {
+      throw new BusinessRuleError('This payment link has expired', { status: 410, code: 'LINK_EXPIRED' });
+    }
+
+    // A pending push may still succeed, so it holds one of the remaining uses
+    if (link.maxUses && link.uses + link.pending >= link.maxUses) {
+      throw new BusinessRuleError('A payment for this link is already in progress', { status: 409, code: 'LINK_PAYMENT_IN_PROGRESS' });
+    }
+  }
+
+  /**
+   * Start an STK Push for a link
+   * @returns {object} { link, checkoutRequestID }
+   */
+  async startPayment(id, phone) {
+    if (!phone) {
+      throw new ValidationError('Phone number is required');
+    }
+
+    const start = async () => {
+      const link = await this.getLink(id);
+      this.assertPayable(link);
+
+      const service = tenantRegistry.getService(link.tenantId);
+      if (!service) {
+        throw new NotFoundError('Payment link not found');
+      }
+
+      const result = await service.initiateSTKPush(phone, link.amount, link.accountReference, link.description);
+      const checkoutRequestID = result.data.checkoutRequestID;
+
+      await paymentLinkRepository.addPayment(id, checkoutRequestID);
+      console.log(`🔗 Payment link ${id} started push ${checkoutRequestID}`);
+
+      return { link, checkoutRequestID };
+    };
+
+    // Unlimited links can take pushes side by side
+    const link = await this.getLink(id);
+    return link.maxUses ? this.checkoutLocks.run(id, start) : start();
+  }
+
+  /**
+   * Get a push started from a link
+   * Only pushes recorded on the link are visible through it.
+   */
+  async getPayment(id, checkoutRequestID) {
+    const link = await this.getLink(id);
+
+    if (!link.payments.includes(checkoutRequestID)) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    const transaction = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+    if (!transaction) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    return { link, transaction };
+  }
+}
+
+module.exports = new PaymentLinkService();
+module.exports.PaymentLinkService = PaymentLinkService;
+module.exports.PAYMENT_LINK_STATUS = PAYMENT_LINK_STATUS;
@@ -0,0 +1,135 @@
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const tenantRegistry = require('./tenantRegistry');
+const paymentEvents = require('./paymentEvents');
+
+// Daraja errorCode returned by the STK query while the customer is still on the prompt
+const STILL_PROCESSING_ERROR_CODE = '500.001.1001';
+
+/**
+ * Live STK Push outcomes for streaming clients
+ * Clients watch a CheckoutRequestID and are told its final status as soon
+ * as the callback is processed. If no callback has arrived after a while,
+ * the server queries Daraja itself - once per transaction however many
+ * clients are watching - so browsers never poll Daraja.
+ */
+class PaymentStatusStream {
+  constructor() {
+    this.queryAfterMs = parseInt(process.env.STREAM_QUERY_AFTER_MS, 10) || 30 * 1000;
+    this.queryIntervalMs = parseInt(process.env.STREAM_QUERY_INTERVAL_MS, 10) || 15 * 1000;
+    this.rateLimitBackoffMs = parseInt(process.env.STREAM_RATE_LIMIT_BACKOFF_MS, 10) || 60 * 1000;
+
+    // CheckoutRequestID -> { tenantId, listeners, timer, querying }
+    this.watches = new Map();
+
+    paymentEvents.subscribe(transaction => this.handleTransactionOutcome(transaction));
+  }
+
+  /**
+   * Watch a pending transaction until it has a final status
+   * @param {object} transaction - The transaction as currently stored
+   * @param {Function} listener - Called once with the final transaction
+   * @returns {Function} Call to stop watching
+   */
+  watch(transaction, listener) {
+    const { checkoutRequestID } = transaction;
+    let watch = this.watches.get(checkoutRequestID);
+
+    if (!watch) {
+      watch = { tenantId: transaction.tenantId, listeners: new Set(), timer: null, querying: false };
+      this.watches.set(checkoutRequestID, watch);
+      this.scheduleQuery(checkoutRequestID, this.queryAfterMs);
+    }
+
+    watch.listeners.add(listener);
+
+    return () => {
+      watch.listeners.delete(listener);
+      if (watch.listeners.size === 0 && this.watches.get(checkoutRequestID) === watch) {
+        clearTimeout(watch.timer);
+        this.watches.delete(checkoutRequestID);
+      }
+    };
+  }
+
+  /**
+   * Payment event listener - tells every watcher of the transaction
+   */
+  async handleTransactionOutcome(transaction) {
+    const watch = this.watches.get(transaction.checkoutRequestID);
+    if (!watch) {
+      return;
+    }
+
+    clearTimeout(watch.timer);
+    this.watches.delete(transaction.checkoutRequestID);
+
+    for (const listener of watch.listeners) {
+      try {
+        listener(transaction);
+      } catch (error) {
+        console.error(`❌ Status stream listener failed for ${transaction.checkoutRequestID}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Query Daraja for the transaction after a delay
+   */
+  scheduleQuery(checkoutRequestID, delayMs) {
+    const watch = this.watches.get(checkoutRequestID);
+    if (!watch) {
+      return;
+    }
+
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(() => {
+      this.queryStatus(checkoutRequestID).catch(error => {
+        console.error(`❌ Status stream query failed for ${checkoutRequestID}:`, error.message);
+      });
+    }, delayMs);
+    watch.timer.unref();
+  }
+
+  /**
+   * Ask Daraja for a transaction's outcome
+   * A final result is applied like a callback, which notifies the watchers
+   * through the payment event. Otherwise the query is tried again later.
+   */
+  async queryStatus(checkoutRequestID) {
+    const watch = this.watches.get(checkoutRequestID);
+    if (!watch || watch.querying) {
+      return;
+    }
+    watch.querying = true;
+
+    let nextDelayMs = this.queryIntervalMs;
+
+    try {
+      const service = tenantRegistry.getService(watch.tenantId) || tenantRegistry.getDefaultService();
+      await service.querySTKPushStatus(checkoutRequestID);
+    } catch (error) {
+      if (error.status === 429) {
+        nextDelayMs = this.rateLimitBackoffMs;
+        console.warn(`⚠️  STK query rate limited, next stream check for ${checkoutRequestID} in ${nextDelayMs}ms`);
+      } else if (error.errorCode !== STILL_PROCESSING_ERROR_CODE) {
+        console.error(`❌ Failed to query ${checkoutRequestID} for its stream:`, error.message);
+      }
+    } finally {
+      watch.querying = false;
+    }
+
+    // The outcome may have been stored without a payment event reaching us,
+    // e.g. when it was already final before the query
+    const current = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+    if (current && current.status !== TRANSACTION_STATUS.PENDING) {
+      await this.handleTransactionOutcome(current);
+      return;
+    }
+
+    this.scheduleQuery(checkoutRequestID, nextDelayMs);
+  }
+}
+
+module.exports = new PaymentStatusStream();
+module.exports.PaymentStatusStream = PaymentStatusStream;
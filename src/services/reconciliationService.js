@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const statementRepository = require('../repositories/statementRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const { parseStatement } = require('../utils/statementParser');
+const { toCsv } = require('../utils/csv');
+const { KENYA_UTC_OFFSET_MINUTES } = require('../utils/helpers');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const WALL_CLOCK_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+const REPORT_CSV_COLUMNS = [
+  'category',
+  'receiptNumber',
+  'checkoutRequestID',
+  'statementAmount',
+  'recordedAmount',
+  'difference',
+  'statementPhone',
+  'recordedPhone',
+  'statementTime',
+  'recordedTime',
+  'matchedBy',
+  'discrepancies'
+];
+
+/**
+ * Compare amounts to the cent
+ */
+function sameAmount(a, b) {
+  return Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+}
+
+/**
+ * Compare a statement phone, usually masked like "254712***678", with a full number
+ * @returns {boolean} false only when the digits that are shown disagree
+ */
+function phonesMatch(statementPhone, recordedPhone) {
+  if (!statementPhone || !recordedPhone) {
+    return true;
+  }
+
+  const masked = String(statementPhone).replace(/^0/, '254');
+  const full = String(recordedPhone).replace(/\D/g, '').replace(/^0/, '254');
+
+  if (masked.length !== full.length) {
+    return false;
+  }
+
+  return masked.split('').every((char, index) => char === '*' || char === full[index]);
+}
+
+/**
+ * When a payment was made, as Kenyan wall-clock time
+ * Uses the callback's TransactionDate, or the time the callback was stored.
+ */
+function recordedTimeFor(transaction) {
+  const transactionDate = transaction.paymentData && transaction.paymentData.transactionDate;
+  if (transactionDate) {
+    const parsed = moment(String(transactionDate), 'YYYYMMDDHHmmss', true);
+    if (parsed.isValid()) {
+      return parsed.format(WALL_CLOCK_FORMAT);
+    }
+  }
+
+  return moment(transaction.updatedAt).utcOffset(KENYA_UTC_OFFSET_MINUTES).format(WALL_CLOCK_FORMAT);
+}
+
+/**
+ * Minutes between two wall-clock times
+ */
+function minutesBetween(a, b) {
+  return Math.abs(moment(a, WALL_CLOCK_FORMAT).diff(moment(b, WALL_CLOCK_FORMAT), 'minutes', true));
+}
+
+/**
+ * Parse a period bound given as a date or date-time in Kenyan time
+ */
+function parsePeriodBound(value, name, endOfDay) {
+  const parsed = moment(String(value), ['YYYY-MM-DD', WALL_CLOCK_FORMAT], true);
+  if (!parsed.isValid()) {
+    throw new ValidationError(`${name} must be a date (YYYY-MM-DD) or date-time in Kenyan time`);
+  }
+
+  return (/^\d{4}-\d{2}-\d{2}$/.test(String(value)) && endOfDay ? parsed.endOf('day') : parsed).format(WALL_CLOCK_FORMAT);
+}
+
+/**
+ * Reconciliation service
+ * Imports the M-Pesa portal statement and matches it against the STK
+ * Push payments recorded from callbacks. Entries are matched on receipt
+ * number first; recorded payments without a receipt (e.g. resolved by an
+ * STK query) are matched on amount, phone and time instead.
+ */
+class ReconciliationService {
+  constructor() {
+    this.timeToleranceMinutes = parseFloat(process.env.RECONCILIATION_TIME_TOLERANCE_MINUTES || '10');
+  }
+
+  /**
+   * Import a statement export
+   * Importing the same file twice returns the first import.
+   * @param {object} options - fileName, and from/to to override the period,
+   *   which otherwise spans the whole days the entries fall on
+   * @returns {object} { statement, duplicate }
+   */
+  async importStatement(tenantId, content, { fileName, from, to } = {}) {
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new ValidationError('Statement content is required');
+    }
+
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    const existing = await statementRepository.findByContentHash(tenantId, contentHash);
+    if (existing) {
+      return { statement: existing, duplicate: true };
+    }
+
+    const entries = parseStatement(content);
+    if (entries.length === 0) {
+      throw new ValidationError('Statement has no completed payments');
+    }
+
+    const times = entries.map(entry => entry.completedAt).sort();
+    const period = {
+      from: from ? parsePeriodBound(from, 'from', false) : moment(times[0], WALL_CLOCK_FORMAT).startOf('day').format(WALL_CLOCK_FORMAT),
+      to: to ? parsePeriodBound(to, 'to', true) : moment(times[times.length - 1], WALL_CLOCK_FORMAT).endOf('day').format(WALL_CLOCK_FORMAT)
+    };
+
+    if (period.from > period.to) {
+      throw new ValidationError('from must be before to');
+    }
+
+    const statement = await statementRepository.create({ tenantId, fileName, contentHash, period, entries });
+    console.log(`📄 Statement ${statement.id} imported: ${entries.length} payments from ${period.from} to ${period.to}`);
+
+    return { statement, duplicate: false };
+  }
+
+  /**
+   * Get a statement, or the latest import when no id is given
+   * @param {string} tenantId - Only return the statement if it belongs to this tenant
+   */
+  async getStatement(id, tenantId) {
+    const statement = id
+      ? await statementRepository.findById(id)
+      : (await statementRepository.list({ tenantId }))[0];
+
+    if (!statement || statement.tenantId !== tenantId) {
+      throw new NotFoundError(id ? 'Statement not found' : 'No statement has been imported yet');
+    }
+
+    return statement;
+  }
+
+  /**
+   * List a tenant's imported statements, without their entries
+   */
+  async listStatements(tenantId) {
+    const statements = await statementRepository.list({ tenantId });
+    return statements.map(({ entries, ...statement }) => ({ ...statement, entryCount: entries.length }));
+  }
+
+  /**
+   * Reconcile a statement against the payments we recorded
+   * @returns {object} Report with matched, missingInOurs, missingInStatement
+   *   and amountMismatches
+   */
+  async buildReport(statementId, tenantId) {
+    const statement = await this.getStatement(statementId, tenantId);
+    const { transactions } = await transactionRepository.list({ tenantId, status: TRANSACTION_STATUS.SUCCESS, limit: Infinity });
+
+    const recorded = transactions.map(transaction => {
+      const paymentData = transaction.paymentData || {};
+      return {
+        checkoutRequestID: transaction.checkoutRequestID,
+        receiptNumber: paymentData.mpesaReceiptNumber ? String(paymentData.mpesaReceiptNumber).toUpperCase() : null,
+        amount: Number(paymentData.amount !== undefined ? paymentData.amount : transaction.amount),
+        phone: String(paymentData.phoneNumber || transaction.phone || ''),
+        paidAt: recordedTimeFor(transaction)
+      };
+    });
+
+    const byReceipt = new Map(recorded.filter(payment => payment.receiptNumber).map(payment => [payment.receiptNumber, payment]));
+    const used = new Set();
+    const report = { matched: [], missingInOurs: [], missingInStatement: [], amountMismatches: [] };
+
+    for (const entry of statement.entries) {
+      let payment = byReceipt.get(entry.receiptNumber);
+      let matchedBy = 'receipt';
+
+      if (payment && used.has(payment)) {
+        payment = null;
+      }
+
+      if (!payment) {
+        payment = this.findByAmountPhoneTime(entry, recorded.filter(p => !p.receiptNumber && !used.has(p)));
+        matchedBy = 'amount_phone_time';
+      }
+
+      if (!payment) {
+        report.missingInOurs.push({
+          receiptNumber: entry.receiptNumber,
+          statementAmount: entry.amount,
+          statementPhone: entry.phone,
+          statementTime: entry.completedAt,
+          name: entry.name,
+          accountNumber: entry.accountNumber
+        });
+        continue;
+      }
+
+      used.add(payment);
+
+      const pair = {
+        receiptNumber: entry.receiptNumber,
+        checkoutRequestID: payment.checkoutRequestID,
+        statementAmount: entry.amount,
+        recordedAmount: payment.amount,
+        statementPhone: entry.phone,
+        recordedPhone: payment.phone,
+        statementTime: entry.completedAt,
+        recordedTime: payment.paidAt,
+        matchedBy
+      };
+
+      if (!sameAmount(entry.amount, payment.amount)) {
+        report.amountMismatches.push({ ...pair, difference: Math.round((entry.amount - payment.amount) * 100) / 100 });
+        continue;
+      }
+
+      const discrepancies = [];
+      if (!phonesMatch(entry.phone, payment.phone)) {
+        discrepancies.push('phone');
+      }
+      if (minutesBetween(entry.completedAt, payment.paidAt) > this.timeToleranceMinutes) {
+        discrepancies.push('time');
+      }
+
+      report.matched.push({ ...pair, discrepancies });
+    }
+
+    for (const payment of recorded) {
+      if (!used.has(payment) && payment.paidAt >= statement.period.from && payment.paidAt <= statement.period.to) {
+        report.missingInStatement.push({
+          receiptNumber: payment.receiptNumber,
+          checkoutRequestID: payment.checkoutRequestID,
+          recordedAmount: payment.amount,
+          recordedPhone: payment.phone,
+          recordedTime: payment.paidAt
+        });
+      }
+    }
+
+    const total = items => Math.round(items.reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+
+    return {
+      statementId: statement.id,
+      tenantId: statement.tenantId,
+      fileName: statement.fileName,
+      period: statement.period,
+      generatedAt: moment().toISOString(),
+      summary: {
+        statementEntries: statement.entries.length,
+        matched: report.matched.length,
+        missingInOurs: report.missingInOurs.length,
+        missingInStatement: report.missingInStatement.length,
+        amountMismatches: report.amountMismatches.length,
+        withDiscrepancies: report.matched.filter(item => item.discrepancies.length > 0).length,
+        statementTotal: total(statement.entries.map(entry => entry.amount)),
+        matchedTotal: total(report.matched.map(item => item.statementAmount)),
+        reconciled: report.missingInOurs.length === 0 && report.missingInStatement.length === 0 && report.amountMismatches.length === 0
+      },
+      ...report
+    };
+  }
+
+  /**
+   * Closest recorded payment with the same amount and phone within the time tolerance
+   */
+  findByAmountPhoneTime(entry, candidates) {
+    let best = null;
+    let bestMinutes = Infinity;
+
+    for (const payment of candidates) {
+      const minutes = minutesBetween(entry.completedAt, payment.paidAt);
+
+      if (sameAmount(entry.amount, payment.amount) && phonesMatch(entry.phone, payment.phone) &&
+        minutes <= this.timeToleranceMinutes && minutes < bestMinutes) {
+        best = payment;
+        bestMinutes = minutes;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Flatten a report into CSV, one row per statement entry or recorded payment
+   */
+  reportToCsv(report) {
+    const rows = [
+      ...report.matched.map(item => ({ category: 'matched', ...item, discrepancies: item.discrepancies.join(' ') })),
+      ...report.amountMismatches.map(item => ({ category: 'amount_mismatch', ...item })),
+      ...report.missingInOurs.map(item => ({ category: 'missing_in_ours', ...item })),
+      ...report.missingInStatement.map(item => ({ category: 'missing_in_statement', ...item }))
+    ];
+
+    return toCsv(rows, REPORT_CSV_COLUMNS);
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.ReconciliationService = ReconciliationService;
+module.exports.phonesMatch = phonesMatch;
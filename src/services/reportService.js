@@ -0,0 +1,242 @@
+const moment = require('moment');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+const { KENYA_UTC_OFFSET_MINUTES } = require('../utils/helpers');
+const { toCsv } = require('../utils/csv');
+const { ValidationError } = require('../utils/errors');
+
+// Period keys, in Kenyan time. Weeks start on Monday.
+const REPORT_GROUPINGS = {
+  day: { unit: 'day', format: 'YYYY-MM-DD' },
+  week: { unit: 'isoWeek', format: 'YYYY-MM-DD' },
+  month: { unit: 'month', format: 'YYYY-MM' }
+};
+
+// Ranges default to the last 30 days and may span at most two years
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+const REPORT_SECTIONS = {
+  periods: ['period', 'pushes', 'successful', 'failed', 'cancelled', 'timedOut', 'pending', 'successRate', 'amountCollected', 'averageSecondsToCallback'],
+  failureReasons: ['resultCode', 'description', 'status', 'count', 'share'],
+  accountReferences: ['accountReference', 'pushes', 'successful', 'amountCollected']
+};
+
+/**
+ * Round to two decimal places
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a range bound given as a date in Kenyan time or an ISO timestamp
+ */
+function parseRangeBound(value, name, endOfDay) {
+  const text = String(value);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const day = moment.utc(text, 'YYYY-MM-DD', true);
+    if (day.isValid()) {
+      const local = day.utcOffset(KENYA_UTC_OFFSET_MINUTES, true);
+      return endOfDay ? local.endOf('day') : local;
+    }
+  } else {
+    const parsed = moment(text, moment.ISO_8601, true);
+    if (parsed.isValid()) {
+      return parsed.utcOffset(KENYA_UTC_OFFSET_MINUTES);
+    }
+  }
+
+  throw new ValidationError(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 timestamp`);
+}
+
+/**
+ * Counters for a group of transactions
+ */
+function emptyStats() {
+  return {
+    pushes: 0,
+    successful: 0,
+    failed: 0,
+    cancelled: 0,
+    timedOut: 0,
+    pending: 0,
+    amountRequested: 0,
+    amountCollected: 0,
+    callbackSeconds: []
+  };
+}
+
+/**
+ * Add one transaction to a group's counters
+ */
+function addToStats(stats, transaction) {
+  stats.pushes += 1;
+  stats.amountRequested += Number(transaction.amount) || 0;
+
+  switch (transaction.status) {
+    case TRANSACTION_STATUS.SUCCESS: {
+      const paymentData = transaction.paymentData || {};
+      stats.successful += 1;
+      stats.amountCollected += Number(paymentData.amount !== undefined ? paymentData.amount : transaction.amount) || 0;
+      break;
+    }
+    case TRANSACTION_STATUS.CANCELLED:
+      stats.cancelled += 1;
+      break;
+    case TRANSACTION_STATUS.TIMEOUT:
+      stats.timedOut += 1;
+      break;
+    case TRANSACTION_STATUS.PENDING:
+      stats.pending += 1;
+      return;
+    default:
+      stats.failed += 1;
+  }
+
+  // Records written before completedAt existed fall back to their last update
+  const completedAt = transaction.completedAt || transaction.updatedAt;
+  const seconds = moment(completedAt).diff(moment(transaction.createdAt), 'milliseconds') / 1000;
+  if (seconds >= 0) {
+    stats.callbackSeconds.push(seconds);
+  }
+}
+
+/**
+ * Turn a group's counters into report figures
+ * The success rate only counts pushes that have a final outcome.
+ */
+function summarize(stats) {
+  const completed = stats.pushes - stats.pending;
+  const seconds = stats.callbackSeconds;
+
+  return {
+    pushes: stats.pushes,
+    successful: stats.successful,
+    failed: stats.failed,
+    cancelled: stats.cancelled,
+    timedOut: stats.timedOut,
+    pending: stats.pending,
+    successRate: completed > 0 ? round((stats.successful / completed) * 100) : null,
+    amountRequested: round(stats.amountRequested),
+    amountCollected: round(stats.amountCollected),
+    averageAmount: stats.successful > 0 ? round(stats.amountCollected / stats.successful) : null,
+    averageSecondsToCallback: seconds.length > 0 ? round(seconds.reduce((sum, value) => sum + value, 0) / seconds.length) : null
+  };
+}
+
+/**
+ * Report service
+ * Aggregates recorded STK Pushes and their callback outcomes. Periods
+ * are Kenyan calendar days, weeks or months, and pushes are placed in the
+ * period they were sent in.
+ */
+class ReportService {
+  /**
+   * Payments report for a tenant
+   * @param {object} options - from, to, groupBy (day, week or month) and
+   *   top, the number of account references to list
+   */
+  async paymentsReport(tenantId, { from, to, groupBy = 'day', top = 10 } = {}) {
+    const grouping = REPORT_GROUPINGS[groupBy];
+    if (!grouping) {
+      throw new ValidationError(`groupBy must be one of ${Object.keys(REPORT_GROUPINGS).join(', ')}`);
+    }
+
+    const topCount = Number(top);
+    if (!Number.isInteger(topCount) || topCount < 1 || topCount > 100) {
+      throw new ValidationError('top must be a whole number between 1 and 100');
+    }
+
+    const end = to ? parseRangeBound(to, 'to', true) : moment().utcOffset(KENYA_UTC_OFFSET_MINUTES).endOf('day');
+    const start = from
+      ? parseRangeBound(from, 'from', false)
+      : end.clone().subtract(DEFAULT_RANGE_DAYS - 1, 'days').startOf('day');
+
+    if (start.isAfter(end)) {
+      throw new ValidationError('from must be before to');
+    }
+    if (end.diff(start, 'days') >= MAX_RANGE_DAYS) {
+      throw new ValidationError(`The range may span at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const fromIso = start.toISOString();
+    const toIso = end.toISOString();
+    const { transactions } = await transactionRepository.list({ tenantId, limit: Infinity });
+    const inRange = transactions.filter(transaction => transaction.createdAt >= fromIso && transaction.createdAt <= toIso);
+
+    // Every period in the range is listed, including ones with no pushes
+    const periods = new Map();
+    const step = grouping.unit === 'isoWeek' ? 'week' : grouping.unit;
+    for (const cursor = start.clone().startOf(grouping.unit); !cursor.isAfter(end); cursor.add(1, step)) {
+      periods.set(cursor.format(grouping.format), emptyStats());
+    }
+
+    const totals = emptyStats();
+    const failures = new Map();
+    const references = new Map();
+
+    for (const transaction of inRange) {
+      const period = moment(transaction.createdAt).utcOffset(KENYA_UTC_OFFSET_MINUTES).startOf(grouping.unit).format(grouping.format);
+      addToStats(periods.get(period), transaction);
+      addToStats(totals, transaction);
+
+      if (transaction.status !== TRANSACTION_STATUS.SUCCESS && transaction.status !== TRANSACTION_STATUS.PENDING) {
+        const resultCode = transaction.resultCode === null || transaction.resultCode === undefined ? null : Number(transaction.resultCode);
+        const failure = failures.get(resultCode) || { resultCode, description: null, status: transaction.status, count: 0, lastSeenAt: '' };
+        failure.count += 1;
+        if (transaction.updatedAt >= failure.lastSeenAt) {
+          failure.description = transaction.resultDesc || failure.description;
+          failure.lastSeenAt = transaction.updatedAt;
+        }
+        failures.set(resultCode, failure);
+      }
+
+      const reference = transaction.accountReference || '(none)';
+      const referenceStats = references.get(reference) || { accountReference: reference, ...emptyStats() };
+      addToStats(referenceStats, transaction);
+      references.set(reference, referenceStats);
+    }
+
+    const failedTotal = totals.failed + totals.cancelled + totals.timedOut;
+
+    return {
+      tenantId,
+      range: { from: start.format(), to: end.format() },
+      groupBy,
+      generatedAt: moment().toISOString(),
+      totals: summarize(totals),
+      periods: Array.from(periods, ([period, stats]) => ({ period, ...summarize(stats) })),
+      failureReasons: Array.from(failures.values())
+        .sort((a, b) => b.count - a.count)
+        .map(({ lastSeenAt, ...failure }) => ({ ...failure, share: round((failure.count / failedTotal) * 100) })),
+      accountReferences: Array.from(references.values())
+        .sort((a, b) => b.amountCollected - a.amountCollected || b.pushes - a.pushes)
+        .slice(0, topCount)
+        .map(stats => ({
+          accountReference: stats.accountReference,
+          pushes: stats.pushes,
+          successful: stats.successful,
+          amountCollected: round(stats.amountCollected)
+        }))
+    };
+  }
+
+  /**
+   * One section of a payments report as CSV
+   * @param {string} section - periods, failureReasons or accountReferences
+   */
+  reportToCsv(report, section = 'periods') {
+    const columns = REPORT_SECTIONS[section];
+    if (!columns) {
+      throw new ValidationError(`section must be one of ${Object.keys(REPORT_SECTIONS).join(', ')}`);
+    }
+
+    return toCsv(report[section], columns);
+  }
+}
+
+module.exports = new ReportService();
+module.exports.ReportService = ReportService;
+module.exports.REPORT_GROUPINGS = REPORT_GROUPINGS;
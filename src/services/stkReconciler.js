@@ -0,0 +1,150 @@
+const moment = require('moment');
+const tenantRegistry = require('./tenantRegistry');
+const transactionRepository = require('../repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../repositories/transactionRepository');
+
+// Daraja errorCode returned by the STK query while the customer is still on the prompt
+const STILL_PROCESSING_ERROR_CODE = '500.001.1001';
+
+/**
+ * Background reconciler for STK Pushes whose callback never arrived
+ * Pending transactions older than a threshold are checked with the STK
+ * query API. Outcomes go through the same status update as a callback, so
+ * webhooks fire exactly once whichever arrives first.
+ */
+class StkReconciler {
+  constructor() {
+    this.intervalMs = parseInt(process.env.RECONCILER_INTERVAL_MS, 10) || 60 * 1000;
+    this.pendingAfterMs = parseInt(process.env.RECONCILER_PENDING_AFTER_MS, 10) || 2 * 60 * 1000;
+    this.queryGapMs = parseInt(process.env.RECONCILER_QUERY_GAP_MS, 10) || 1000;
+    this.backoffMs = parseInt(process.env.RECONCILER_BACKOFF_MS, 10) || 60 * 1000;
+    this.maxAttempts = parseInt(process.env.RECONCILER_MAX_ATTEMPTS, 10) || 8;
+
+    this.timer = null;
+    this.running = false;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Start checking on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('❌ STK reconciliation run failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🔁 STK reconciler started (every ${this.intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the interval
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every pending transaction that is due
+   * @returns {object} Counts of checked, resolved and still pending transactions
+   */
+  async runOnce() {
+    const summary = { checked: 0, resolved: 0, pending: 0, skipped: 0 };
+
+    // Runs never overlap, and a rate-limit response pauses the reconciler
+    if (this.running || Date.now() < this.pausedUntil) {
+      return summary;
+    }
+    this.running = true;
+
+    try {
+      const cutoff = moment().subtract(this.pendingAfterMs, 'milliseconds');
+      const candidates = await transactionRepository.findPendingCreatedBefore(cutoff);
+      const now = moment().toISOString();
+
+      for (const transaction of candidates) {
+        const attempts = transaction.reconcileAttempts || 0;
+
+        if (attempts >= this.maxAttempts || (transaction.nextReconcileAt && transaction.nextReconcileAt > now)) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        if (summary.checked > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.queryGapMs));
+        }
+
+        summary.checked += 1;
+        const outcome = await this.reconcile(transaction);
+        summary[outcome] += 1;
+
+        if (Date.now() < this.pausedUntil) {
+          break;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.checked > 0) {
+      console.log('🔁 STK reconciliation run:', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Query one transaction and schedule the next check if it is still pending
+   * @returns {string} "resolved" or "pending"
+   */
+  async reconcile(transaction) {
+    const attempts = (transaction.reconcileAttempts || 0) + 1;
+    let lastError = null;
+
+    try {
+      // Query with the credentials of the tenant that sent the push
+      const service = tenantRegistry.getService(transaction.tenantId) || tenantRegistry.getDefaultService();
+      await service.querySTKPushStatus(transaction.checkoutRequestID);
+
+      const current = await transactionRepository.findByCheckoutRequestID(transaction.checkoutRequestID);
+      if (current.status !== TRANSACTION_STATUS.PENDING) {
+        console.log(`✅ Reconciled ${transaction.checkoutRequestID} as ${current.status}`);
+        return 'resolved';
+      }
+    } catch (error) {
+      if (error.status === 429) {
+        this.pausedUntil = Date.now() + this.backoffMs;
+        console.warn(`⚠️  STK query rate limited, pausing reconciler for ${this.backoffMs}ms`);
+      } else if (error.errorCode !== STILL_PROCESSING_ERROR_CODE) {
+        console.error(`❌ Failed to reconcile ${transaction.checkoutRequestID}:`, error.message);
+      }
+      lastError = error.message;
+    }
+
+    // Exponential backoff between checks of the same transaction
+    const delayMs = this.pendingAfterMs * Math.pow(2, attempts - 1);
+
+    await transactionRepository.update(transaction.checkoutRequestID, {
+      reconcileAttempts: attempts,
+      nextReconcileAt: moment().add(delayMs, 'milliseconds').toISOString(),
+      lastReconcileError: lastError
+    });
+
+    if (attempts >= this.maxAttempts) {
+      console.warn(`⚠️  Giving up on reconciling ${transaction.checkoutRequestID} after ${attempts} attempts`);
+    }
+
+    return 'pending';
+  }
+}
+
+module.exports = new StkReconciler();
@@ -0,0 +1,124 @@
+const mpesaService = require('./mpesaService');
+const { MpesaService } = require('./mpesaService');
+const { DEFAULT_TENANT_ID, tenantsFromFile } = require('../config/tenants');
+
+/**
+ * Tenant registry
+ * Holds one MpesaService per tenant (shortcode), each with its own
+ * credentials and OAuth token cache. The default tenant is the module-level
+ * mpesaService configured from environment variables.
+ */
+class TenantRegistry {
+  constructor() {
+    this.tenants = null;
+  }
+
+  /**
+   * Load tenants on first use so environment variables are in place
+   */
+  load() {
+    if (this.tenants) {
+      return this.tenants;
+    }
+
+    this.tenants = new Map();
+    this.register(mpesaService, process.env.API_KEY);
+
+    tenantsFromFile().forEach(config => {
+      this.register(new MpesaService(config), config.apiKey, config.rateLimit);
+    });
+
+    return this.tenants;
+  }
+
+  /**
+   * Add a tenant service
+   */
+  register(service, apiKey = null, rateLimit = null) {
+    const tenants = this.tenants || this.load();
+    tenants.set(service.tenantId, { service, apiKey, rateLimit });
+    return service;
+  }
+
+  /**
+   * Get the service for a tenant id, or null if unknown
+   */
+  getService(tenantId = DEFAULT_TENANT_ID) {
+    const tenant = this.load().get(tenantId);
+    return tenant ? tenant.service : null;
+  }
+
+  /**
+   * Get the default tenant's service
+   */
+  getDefaultService() {
+    return this.getService(DEFAULT_TENANT_ID);
+  }
+
+  /**
+   * Get the expected API key for a tenant
+   */
+  getApiKey(tenantId) {
+    const tenant = this.load().get(tenantId);
+    return tenant ? tenant.apiKey : null;
+  }
+
+  /**
+   * Find the tenant service that owns an API key
+   */
+  findByApiKey(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    for (const tenant of this.load().values()) {
+      if (tenant.apiKey && tenant.apiKey === apiKey) {
+        return tenant.service;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the request quota for an API key, or null to use the default
+   */
+  getRateLimit(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    for (const tenant of this.load().values()) {
+      if (tenant.apiKey && tenant.apiKey === apiKey) {
+        return tenant.rateLimit || null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the tenant service for a shortcode
+   * @returns {MpesaService|null} Null if no tenant owns the shortcode
+   */
+  findByShortCode(shortCode) {
+    for (const { service } of this.load().values()) {
+      if ([service.businessShortCode, service.b2cShortCode, service.c2bShortCode].includes(String(shortCode))) {
+        return service;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List tenants without their credentials
+   */
+  list() {
+    return Array.from(this.load().values()).map(({ service }) => ({
+      id: service.tenantId,
+      name: service.tenantName,
+      environment: service.environment,
+      businessShortCode: service.businessShortCode
+    }));
+  }
+}
+
+module.exports = new TenantRegistry();
@@ -0,0 +1,200 @@
+const { createStore } = require('../stores');
+
+// Treat a token as expired this long before Daraja does
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+let sharedCache;
+
+/**
+ * Token cache shared between processes, selected with MPESA_TOKEN_CACHE
+ * ("file" or "redis"). Unset or "memory" keeps tokens per process.
+ */
+function getSharedTokenCache() {
+  if (sharedCache === undefined) {
+    const backend = process.env.MPESA_TOKEN_CACHE || 'memory';
+    sharedCache = backend === 'memory' ? null : createStore('tokens', backend, { shared: true });
+  }
+  return sharedCache;
+}
+
+/**
+ * OAuth access token manager
+ * Concurrent callers share one in-flight refresh, and a token close to
+ * expiry is refreshed in the background while the current one is still
+ * handed out, so requests rarely wait on the OAuth endpoint.
+ */
+class TokenManager {
+  /**
+   * @param {object} options
+   * @param {string} options.key - Cache key, one per set of credentials
+   * @param {Function} options.fetchToken - Resolves { accessToken, expiresIn } (seconds)
+   * @param {object} options.cache - Shared store, defaults to MPESA_TOKEN_CACHE
+   * @param {number} options.refreshAheadMs - How long before expiry to refresh
+   */
+  constructor({ key, fetchToken, cache = getSharedTokenCache(), refreshAheadMs } = {}) {
+    this.key = key;
+    this.fetchToken = fetchToken;
+    this.cache = cache;
+    this.refreshAheadMs = refreshAheadMs !== undefined
+      ? refreshAheadMs
+      : parseInt(process.env.MPESA_TOKEN_REFRESH_AHEAD_MS || '300000', 10);
+
+    this.token = null;
+    this.refreshPromise = null;
+
+    this.refreshCount = 0;
+    this.lastRefreshAt = null;
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+  }
+
+  /**
+   * Whether a token can still be used
+   */
+  isUsable(token) {
+    return Boolean(token && token.accessToken && Date.now() < token.expiresAt - EXPIRY_SKEW_MS);
+  }
+
+  /**
+   * Whether a usable token is due for a background refresh
+   */
+  isDueForRefresh(token) {
+    return Date.now() >= token.expiresAt - EXPIRY_SKEW_MS - this.refreshAheadMs;
+  }
+
+  /**
+   * Get a valid access token, refreshing it if needed
+   */
+  async getToken() {
+    let token = this.token;
+
+    if (!this.isUsable(token)) {
+      token = await this.readCache();
+      if (this.isUsable(token)) {
+        this.token = token;
+      }
+    }
+
+    if (this.isUsable(token)) {
+      if (this.isDueForRefresh(token)) {
+        // Failures are recorded in the health data; the current token is still good
+        this.refresh().catch(() => {});
+      }
+      return token.accessToken;
+    }
+
+    return (await this.refresh()).accessToken;
+  }
+
+  /**
+   * Fetch a new token, sharing the request with any concurrent caller
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.fetchAndStore().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async fetchAndStore() {
+    try {
+      const { accessToken, expiresIn } = await this.fetchToken();
+      const now = Date.now();
+      const token = {
+        accessToken,
+        obtainedAt: now,
+        expiresAt: now + Number(expiresIn) * 1000
+      };
+
+      this.token = token;
+      this.refreshCount += 1;
+      this.lastRefreshAt = now;
+      this.consecutiveFailures = 0;
+
+      await this.writeCache(token);
+      return token;
+    } catch (error) {
+      this.consecutiveFailures += 1;
+      this.totalFailures += 1;
+      this.lastError = error.message;
+      this.lastErrorAt = Date.now();
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the current token, e.g. after Daraja rejected it
+   * The shared copy is only removed if it is the same token, so a fresh one
+   * stored by another process survives.
+   */
+  async invalidate() {
+    const rejected = this.token;
+    this.token = null;
+
+    if (!rejected) {
+      return;
+    }
+
+    const cached = await this.readCache();
+    if (cached && cached.accessToken === rejected.accessToken) {
+      try {
+        await this.cache.delete(this.key);
+      } catch (error) {
+        console.warn('⚠️  Failed to clear shared access token:', error.message);
+      }
+    }
+  }
+
+  async readCache() {
+    if (!this.cache) {
+      return null;
+    }
+
+    try {
+      return await this.cache.get(this.key);
+    } catch (error) {
+      console.warn('⚠️  Failed to read shared access token:', error.message);
+      return null;
+    }
+  }
+
+  async writeCache(token) {
+    if (!this.cache) {
+      return;
+    }
+
+    try {
+      await this.cache.set(this.key, token);
+    } catch (error) {
+      console.warn('⚠️  Failed to share access token:', error.message);
+    }
+  }
+
+  /**
+   * Token age and refresh failures for health reporting - never the token itself
+   */
+  getHealth() {
+    const now = Date.now();
+    const token = this.token;
+
+    return {
+      hasToken: this.isUsable(token),
+      tokenAgeMs: token ? now - token.obtainedAt : null,
+      expiresInMs: token ? Math.max(token.expiresAt - now, 0) : null,
+      refreshing: Boolean(this.refreshPromise),
+      refreshCount: this.refreshCount,
+      lastRefreshAt: this.lastRefreshAt ? new Date(this.lastRefreshAt).toISOString() : null,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? new Date(this.lastErrorAt).toISOString() : null,
+      sharedCache: Boolean(this.cache)
+    };
+  }
+}
+
+module.exports = { TokenManager, getSharedTokenCache };
@@ -0,0 +1,190 @@
+const axios = require('axios');
+const moment = require('moment');
+const { retryWithBackoff, signWebhookPayload } = require('../utils/helpers');
+const webhookRepository = require('../repositories/webhookRepository');
+const { DELIVERY_STATUS } = require('../repositories/webhookRepository');
+
+const WEBHOOK_EVENTS = {
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_TIMEOUT: 'payment.timeout',
+  B2C_SUCCEEDED: 'b2c.succeeded',
+  B2C_FAILED: 'b2c.failed',
+  B2C_TIMEOUT: 'b2c.timeout',
+  C2B_CONFIRMED: 'c2b.confirmed',
+  SUBSCRIPTION_RENEWED: 'subscription.renewed',
+  SUBSCRIPTION_PAST_DUE: 'subscription.past_due',
+  SUBSCRIPTION_CANCELLED: 'subscription.cancelled'
+};
+
+class WebhookService {
+  constructor() {
+    this.maxRetries = parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) || 5;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+    // Deliveries currently being attempted by this process
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Fan an event out to every subscription listening for it
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {string} resourceId - Id of the object the event is about, used to
+   *   make repeat emits of the same event a no-op
+   * @param {object} data - Event payload
+   * @param {string} tenantId - Tenant the object belongs to - only that
+   *   tenant's subscriptions hear about it
+   */
+  async emit(event, resourceId, data, tenantId) {
+    try {
+      const subscriptions = await webhookRepository.findSubscriptionsForEvent(event, tenantId);
+
+      for (const subscription of subscriptions) {
+        const delivery = await webhookRepository.createDelivery({
+          id: `${subscription.id}:${event}:${resourceId}`,
+          tenantId: subscription.tenantId,
+          subscriptionId: subscription.id,
+          event,
+          payload: {
+            event,
+            createdAt: moment().toISOString(),
+            data
+          }
+        });
+
+        if (delivery) {
+          this.deliverInBackground(delivery);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to emit webhook event ${event}:`, error.message);
+    }
+  }
+
+  /**
+   * Start a delivery without waiting for it
+   */
+  deliverInBackground(delivery) {
+    this.deliver(delivery).catch(error => {
+      console.error(`❌ Webhook delivery ${delivery.id} crashed:`, error.message);
+    });
+  }
+
+  /**
+   * Deliver with exponential backoff, dead-lettering on final failure
+   */
+  async deliver(delivery) {
+    if (this.inFlight.has(delivery.id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery.id);
+
+    try {
+      const subscription = await webhookRepository.findSubscription(delivery.subscriptionId);
+
+      if (!subscription) {
+        return webhookRepository.updateDelivery(delivery.id, {
+          status: DELIVERY_STATUS.FAILED,
+          lastError: 'Subscription no longer exists'
+        });
+      }
+
+      let attempts = delivery.attempts;
+
+      try {
+        const responseStatus = await retryWithBackoff(async () => {
+          attempts += 1;
+          try {
+            return await this.send(subscription, delivery);
+          } catch (error) {
+            await webhookRepository.updateDelivery(delivery.id, {
+              attempts,
+              lastError: error.message,
+              responseStatus: error.response?.status || null
+            });
+            throw error;
+          }
+        }, this.maxRetries, this.retryDelay);
+
+        console.log(`✅ Webhook ${delivery.event} delivered to ${subscription.url}`);
+
+        return webhookRepository.updateDelivery(delivery.id, {
+          status: DELIVERY_STATUS.DELIVERED,
+          attempts,
+          lastError: null,
+          responseStatus,
+          deliveredAt: moment().toISOString()
+        });
+      } catch (error) {
+        console.error(`❌ Webhook ${delivery.event} to ${subscription.url} failed after ${attempts} attempts`);
+
+        return webhookRepository.updateDelivery(delivery.id, {
+          status: DELIVERY_STATUS.FAILED,
+          attempts,
+          lastError: error.message,
+          responseStatus: error.response?.status || null
+        });
+      }
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * POST a signed delivery to its subscription URL
+   */
+  async send(subscription, delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+
+    const response = await axios.post(subscription.url, body, {
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signWebhookPayload(body, subscription.secret)
+      }
+    });
+
+    return response.status;
+  }
+
+  /**
+   * Reset a delivery and send it again
+   * @param {string} tenantId - Only replay the delivery if it belongs to this tenant
+   */
+  async replay(deliveryId, tenantId = null) {
+    const delivery = await webhookRepository.findDelivery(deliveryId, tenantId);
+
+    if (!delivery) {
+      return null;
+    }
+
+    const reset = await webhookRepository.updateDelivery(deliveryId, {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      lastError: null
+    });
+
+    this.deliverInBackground(reset);
+    return reset;
+  }
+
+  /**
+   * Pick up deliveries left PENDING by a previous process
+   */
+  async resumePendingDeliveries() {
+    const pending = await webhookRepository.listDeliveries({ status: DELIVERY_STATUS.PENDING });
+
+    if (pending.length > 0) {
+      console.log(`🔁 Resuming ${pending.length} pending webhook deliveries`);
+    }
+
+    pending.forEach(delivery => this.deliverInBackground(delivery));
+    return pending.length;
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment');
+
+/**
+ * Scripted STK outcomes
+ * duplicate sends the callback twice, outOfOrder sends it before the STK
+ * Push response is returned, and noCallback never sends one (only the
+ * status query reveals the outcome).
+ */
+const SCENARIOS = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  insufficientFunds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' },
+  wrongPin: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  duplicate: { resultCode: 0, resultDesc: 'The service request is processed successfully.', duplicate: true },
+  outOfOrder: { resultCode: 0, resultDesc: 'The service request is processed successfully.', outOfOrder: true },
+  noCallback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', noCallback: true }
+};
+
+/**
+ * Build a Daraja-style error body
+ */
+function darajaError(errorCode, errorMessage) {
+  return {
+    requestId: crypto.randomUUID(),
+    errorCode,
+    errorMessage
+  };
+}
+
+/**
+ * In-memory stand-in for the Safaricom Daraja API
+ * Issues tokens, accepts STK Push/Query, B2C and C2B requests and posts
+ * realistic callbacks after a configurable delay.
+ */
+class DarajaSimulator {
+  /**
+   * @param {object} options - { callbackDelayMs, tokenTtlSeconds, defaultScenario }
+   */
+  constructor(options = {}) {
+    this.callbackDelayMs = options.callbackDelayMs !== undefined
+      ? options.callbackDelayMs
+      : parseInt(process.env.SIMULATOR_CALLBACK_DELAY_MS, 10) || 2000;
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 3599;
+    this.defaultScenario = options.defaultScenario || process.env.SIMULATOR_SCENARIO || 'success';
+
+    this.reset();
+  }
+
+  /**
+   * Forget all tokens, transactions, queued scenarios and C2B URLs
+   */
+  reset() {
+    this.tokens = new Map();
+    this.stkRequests = new Map();
+    this.scenarioQueue = [];
+    this.c2bUrls = new Map();
+    this.sentCallbacks = [];
+  }
+
+  /**
+   * Use a scenario for the next STK Push(es), ahead of the default
+   */
+  queueScenario(name, times = 1) {
+    this.assertScenario(name);
+    for (let i = 0; i < times; i++) {
+      this.scenarioQueue.push(name);
+    }
+  }
+
+  /**
+   * Change the scenario used when the queue is empty
+   */
+  setDefaultScenario(name) {
+    this.assertScenario(name);
+    this.defaultScenario = name;
+  }
+
+  assertScenario(name) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario "${name}". Use one of ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+  }
+
+  nextScenario() {
+    return this.scenarioQueue.shift() || this.defaultScenario;
+  }
+
+  /**
+   * Express router exposing the Daraja endpoints and simulator controls
+   */
+  router() {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get('/oauth/v1/generate', (req, res) => this.generateToken(req, res));
+
+    router.post('/mpesa/stkpush/v1/processrequest', this.requireToken(), (req, res) => this.stkPush(req, res));
+    router.post('/mpesa/stkpushquery/v1/query', this.requireToken(), (req, res) => this.stkQuery(req, res));
+    router.post(['/mpesa/b2c/v1/paymentrequest', '/mpesa/b2c/v3/paymentrequest'], this.requireToken(), (req, res) => this.b2cPayment(req, res));
+    router.post(['/mpesa/c2b/v1/registerurl', '/mpesa/c2b/v2/registerurl'], this.requireToken(), (req, res) => this.c2bRegister(req, res));
+    router.post('/mpesa/c2b/v1/simulate', this.requireToken(), (req, res) => this.c2bSimulate(req, res));
+
+    // Simulator controls
+    router.get('/simulator/scenarios', (req, res) => {
+      res.json({ default: this.defaultScenario, queue: this.scenarioQueue, available: Object.keys(SCENARIOS) });
+    });
+    router.post('/simulator/scenarios', (req, res) => {
+      try {
+        const { scenario, times, makeDefault } = req.body;
+        if (makeDefault) {
+          this.setDefaultScenario(scenario);
+        } else {
+          this.queueScenario(scenario, parseInt(times, 10) || 1);
+        }
+        res.json({ default: this.defaultScenario, queue: this.scenarioQueue });
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+    router.get('/simulator/requests', (req, res) => {
+      res.json(Array.from(this.stkRequests.values()));
+    });
+    router.post('/simulator/reset', (req, res) => {
+      this.reset();
+      res.json({ message: 'Simulator reset' });
+    });
+
+    return router;
+  }
+
+  generateToken(req, res) {
+    const authorization = req.get('authorization') || '';
+    const [scheme, encoded] = authorization.split(' ');
+    const [consumerKey, consumerSecret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+    if (scheme !== 'Basic' || !consumerKey || !consumerSecret) {
+      return res.status(400).json(darajaError('400.008.01', 'Invalid Authentication passed'));
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.tokens.set(token, Date.now() + this.tokenTtlSeconds * 1000);
+
+    res.json({ access_token: token, expires_in: String(this.tokenTtlSeconds) });
+  }
+
+  requireToken() {
+    return (req, res, next) => {
+      const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+      const expiry = this.tokens.get(token);
+
+      if (!expiry || expiry < Date.now()) {
+        return res.status(404).json(darajaError('404.001.03', 'Invalid Access Token'));
+      }
+      next();
+    };
+  }
+
+  async stkPush(req, res) {
+    const body = req.body;
+    const missing = ['BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount', 'PartyA', 'PartyB', 'PhoneNumber', 'CallBackURL', 'AccountReference']
+      .filter(field => body[field] === undefined || body[field] === '');
+
+    if (missing.length > 0) {
+      return res.status(400).json(darajaError('400.002.02', `Bad Request - Invalid ${missing[0]}`));
+    }
+    if (!/^2547\d{8}$|^2541\d{8}$/.test(String(body.PhoneNumber))) {
+      return res.status(400).json(darajaError('400.002.02', 'Bad Request - Invalid PhoneNumber'));
+    }
+    if (!Number.isInteger(Number(body.Amount)) || Number(body.Amount) < 1) {
+      return res.status(400).json(darajaError('400.002.02', 'Bad Request - Invalid Amount'));
+    }
+
+    const scenarioName = this.nextScenario();
+    const scenario = SCENARIOS[scenarioName];
+    const merchantRequestID = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+    const checkoutRequestID = `ws_CO_${moment().format('DDMMYYYYHHmmss')}${crypto.randomInt(100000, 999999)}`;
+
+    const request = {
+      merchantRequestID,
+      checkoutRequestID,
+      scenario: scenarioName,
+      payload: body,
+      completesAt: Date.now() + this.callbackDelayMs
+    };
+    this.stkRequests.set(checkoutRequestID, request);
+
+    const callback = this.buildStkCallback(request, scenario);
+
+    if (scenario.outOfOrder) {
+      // The callback lands before the caller has seen the CheckoutRequestID
+      await this.postCallback(body.CallBackURL, callback);
+    } else if (!scenario.noCallback) {
+      this.schedule(() => this.postCallback(body.CallBackURL, callback));
+      if (scenario.duplicate) {
+        this.schedule(() => this.postCallback(body.CallBackURL, callback), this.callbackDelayMs * 2);
+      }
+    }
+
+    res.json({
+      MerchantRequestID: merchantRequestID,
+      CheckoutRequestID: checkoutRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  }
+
+  stkQuery(req, res) {
+    const request = this.stkRequests.get(req.body.CheckoutRequestID);
+
+    if (!request) {
+      return res.status(500).json(darajaError('500.001.1001', 'The transactionId is invalid'));
+    }
+    if (Date.now() < request.completesAt) {
+      return res.status(500).json(darajaError('500.001.1001', 'The transaction is being processed'));
+    }
+
+    const scenario = SCENARIOS[request.scenario];
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: request.merchantRequestID,
+      CheckoutRequestID: request.checkoutRequestID,
+      ResultCode: String(scenario.resultCode),
+      ResultDesc: scenario.resultDesc
+    });
+  }
+
+  buildStkCallback(request, scenario) {
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestID,
+      CheckoutRequestID: request.checkoutRequestID,
+      ResultCode: scenario.resultCode,
+      ResultDesc: scenario.resultDesc
+    };
+
+    if (scenario.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(request.payload.Amount) },
+          { Name: 'MpesaReceiptNumber', Value: this.receiptNumber() },
+          { Name: 'TransactionDate', Value: Number(moment().format('YYYYMMDDHHmmss')) },
+          { Name: 'PhoneNumber', Value: Number(request.payload.PhoneNumber) }
+        ]
+      };
+    }
+
+    return { Body: { stkCallback } };
+  }
+
+  b2cPayment(req, res) {
+    const body = req.body;
+    const scenario = SCENARIOS[this.nextScenario()];
+    const originatorConversationID = body.OriginatorConversationID || crypto.randomUUID();
+    const conversationID = `AG_${moment().format('YYYYMMDD')}_${crypto.randomBytes(10).toString('hex')}`;
+    const transactionID = this.receiptNumber();
+
+    const result = {
+      ResultType: 0,
+      ResultCode: scenario.resultCode,
+      ResultDesc: scenario.resultDesc,
+      OriginatorConversationID: originatorConversationID,
+      ConversationID: conversationID,
+      TransactionID: transactionID
+    };
+
+    if (scenario.resultCode === 0) {
+      result.ResultParameters = {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: Number(body.Amount) },
+          { Key: 'TransactionReceipt', Value: transactionID },
+          { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+          { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0 },
+          { Key: 'ReceiverPartyPublicName', Value: `${body.PartyB} - Simulated Customer` },
+          { Key: 'TransactionCompletedDateTime', Value: moment().format('DD.MM.YYYY HH:mm:ss') },
+          { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000 },
+          { Key: 'B2CWorkingAccountAvailableFunds', Value: 900000 }
+        ]
+      };
+    }
+
+    if (!scenario.noCallback) {
+      this.schedule(() => this.postCallback(body.ResultURL, { Result: result }));
+    }
+
+    res.json({
+      ConversationID: conversationID,
+      OriginatorConversationID: originatorConversationID,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+  }
+
+  c2bRegister(req, res) {
+    const { ShortCode, ConfirmationURL, ValidationURL } = req.body;
+
+    if (!ShortCode || !ConfirmationURL) {
+      return res.status(400).json(darajaError('400.003.02', 'Bad Request - Invalid ShortCode or ConfirmationURL'));
+    }
+
+    this.c2bUrls.set(String(ShortCode), { confirmationUrl: ConfirmationURL, validationUrl: ValidationURL });
+
+    res.json({
+      OriginatorCoversationID: crypto.randomUUID(),
+      ResponseCode: '0',
+      ResponseDescription: 'Success'
+    });
+  }
+
+  async c2bSimulate(req, res) {
+    const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+    const urls = this.c2bUrls.get(String(ShortCode));
+
+    if (!urls) {
+      return res.status(400).json(darajaError('400.003.02', 'Bad Request - C2B URLs not registered for ShortCode'));
+    }
+
+    res.json({
+      OriginatorCoversationID: crypto.randomUUID(),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    const payment = {
+      TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+      TransID: this.receiptNumber(),
+      TransTime: moment().format('YYYYMMDDHHmmss'),
+      TransAmount: String(Amount),
+      BusinessShortCode: String(ShortCode),
+      BillRefNumber: BillRefNumber || '',
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: String(Msisdn),
+      FirstName: 'Simulated',
+      MiddleName: '',
+      LastName: 'Customer'
+    };
+
+    this.schedule(async () => {
+      if (urls.validationUrl) {
+        const validation = await this.postCallback(urls.validationUrl, payment);
+        if (!validation || String(validation.ResultCode) !== '0') {
+          return;
+        }
+      }
+      await this.postCallback(urls.confirmationUrl, payment);
+    });
+  }
+
+  receiptNumber() {
+    return crypto.randomBytes(5).toString('hex').toUpperCase();
+  }
+
+  schedule(fn, delayMs = this.callbackDelayMs) {
+    const timer = setTimeout(() => {
+      Promise.resolve(fn()).catch(error => {
+        console.error('❌ Simulator callback failed:', error.message);
+      });
+    }, delayMs);
+    timer.unref();
+  }
+
+  /**
+   * POST a callback and return the response body (null on failure)
+   */
+  async postCallback(url, body) {
+    this.sentCallbacks.push({ url, body, sentAt: new Date().toISOString() });
+
+    try {
+      const response = await axios.post(url, body, { timeout: 10000 });
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Simulator could not deliver callback to ${url}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Create an Express app serving the simulator, for mounting or listening
+ * @param {object} options - DarajaSimulator options
+ * @returns {express.Application} App with the simulator instance on app.simulator
+ */
+function createDarajaSimulator(options = {}) {
+  const simulator = new DarajaSimulator(options);
+  const app = express();
+
+  app.use(simulator.router());
+  app.simulator = simulator;
+
+  return app;
+}
+
+module.exports = {
+  SCENARIOS,
+  DarajaSimulator,
+  createDarajaSimulator
+};
@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+const { createDarajaSimulator } = require('./darajaSimulator');
+
+const PORT = process.env.SIMULATOR_PORT || 4000;
+
+const app = createDarajaSimulator();
+
+app.listen(PORT, () => {
+  console.log(`🧪 Daraja simulator running on port ${PORT}`);
+  console.log(`🔗 Point the API at it with MPESA_BASE_URL=http://localhost:${PORT}`);
+  console.log(`🎬 Default scenario: ${app.simulator.defaultScenario}`);
+});
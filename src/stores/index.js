@@ -0,0 +1,83 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const JsonFileStore = require('./jsonFileStore');
+const RedisStore = require('./redisStore');
+const MemoryCounterStore = require('./memoryCounterStore');
+const RedisCounterStore = require('./redisCounterStore');
+
+let redisClient = null;
+
+/**
+ * Lazily connect to REDIS_URL
+ * ioredis is only needed when a redis backend is actually configured.
+ */
+function getRedisClient() {
+  if (!redisClient) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('The redis store backend needs the ioredis package (npm install ioredis)');
+    }
+    redisClient = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  }
+  return redisClient;
+}
+
+/**
+ * Create a named store using the configured backend
+ * DATA_STORE=memory keeps everything in process, the default "file"
+ * backend writes one JSON file per store under DATA_DIR and "redis"
+ * keeps records in REDIS_URL under an `mpesa:<name>:` prefix.
+ * @param {string} name - Store name, used as the file name
+ * @param {string} backend - Overrides DATA_STORE
+ * @param {object} options - Extra options, `shared` re-reads file stores on access
+ * @returns {MemoryStore} Store instance
+ */
+function createStore(name, backend = process.env.DATA_STORE || 'file', options = {}) {
+  if (backend === 'memory') {
+    return new MemoryStore();
+  }
+
+  if (backend === 'file') {
+    const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    return new JsonFileStore(path.join(dataDir, `${name}.json`), options);
+  }
+
+  if (backend === 'redis') {
+    return new RedisStore(getRedisClient(), `mpesa:${name}:`);
+  }
+
+  throw new Error(`Unsupported DATA_STORE backend: ${backend}`);
+}
+
+/**
+ * Create a named counter store, e.g. for rate limits
+ * RATE_LIMIT_STORE picks "memory" or "redis"; unset, counters live in Redis
+ * when DATA_STORE is redis and in process otherwise. Counters change on
+ * every request, so there is no file backend.
+ * @param {string} name - Store name, used in the Redis key prefix
+ * @param {string} backend - Overrides RATE_LIMIT_STORE
+ * @returns {MemoryCounterStore|RedisCounterStore} Counter store instance
+ */
+function createCounterStore(name, backend = process.env.RATE_LIMIT_STORE || (process.env.DATA_STORE === 'redis' ? 'redis' : 'memory')) {
+  if (backend === 'memory') {
+    return new MemoryCounterStore();
+  }
+
+  if (backend === 'redis') {
+    return new RedisCounterStore(getRedisClient(), `mpesa:${name}:`);
+  }
+
+  throw new Error(`Unsupported RATE_LIMIT_STORE backend: ${backend}`);
+}
+
+module.exports = {
+  createStore,
+  createCounterStore,
+  MemoryStore,
+  JsonFileStore,
+  RedisStore,
+  MemoryCounterStore,
+  RedisCounterStore
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * JSON file backed key/value store
+ * Keeps records in memory and rewrites the file after every change.
+ * Writes go to a temporary file first and are renamed into place so a
+ * crash mid-write never leaves a truncated file behind.
+ * A shared store re-reads the file before every read and write, so
+ * several processes can use the same file for small, rarely written data.
+ */
+class JsonFileStore extends MemoryStore {
+  constructor(filePath, { shared = false } = {}) {
+    super();
+    this.filePath = filePath;
+    this.shared = shared;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Replace the in-memory records with what is on disk
+   */
+  reload() {
+    this.records.clear();
+    this.load();
+  }
+
+  async get(key) {
+    if (this.shared) {
+      this.reload();
+    }
+    return super.get(key);
+  }
+
+  async values() {
+    if (this.shared) {
+      this.reload();
+    }
+    return super.values();
+  }
+
+  /**
+   * Load existing records from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    if (!contents.trim()) {
+      return;
+    }
+
+    const records = JSON.parse(contents);
+    Object.keys(records).forEach(key => this.records.set(key, records[key]));
+  }
+
+  async set(key, value) {
+    if (this.shared) {
+      this.reload();
+    }
+    await super.set(key, value);
+    await this.persist();
+    return value;
+  }
+
+  async delete(key) {
+    if (this.shared) {
+      this.reload();
+    }
+    const deleted = await super.delete(key);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Write all records to disk, one write at a time
+   */
+  persist() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        const contents = JSON.stringify(Object.fromEntries(this.records), null, 2);
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, contents);
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,83 @@
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory counter store
+ * Counters expire after their TTL. Counts are per process - use the redis
+ * backend when several processes or cluster workers share the limits.
+ */
+class MemoryCounterStore {
+  constructor() {
+    this.counters = new Map();
+    this.lastPurge = 0;
+  }
+
+  /**
+   * Get a live counter record, dropping it if it has expired
+   */
+  live(key, now = Date.now()) {
+    const counter = this.counters.get(key);
+
+    if (counter && counter.expiresAt <= now) {
+      this.counters.delete(key);
+      return null;
+    }
+
+    return counter || null;
+  }
+
+  /**
+   * Add one to a counter, starting it with the given TTL if it is new
+   * @returns {number} The new count
+   */
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    this.purgeExpired(now);
+
+    const counter = this.live(key, now) || { count: 0, expiresAt: now + ttlMs };
+    counter.count += 1;
+    this.counters.set(key, counter);
+
+    return counter.count;
+  }
+
+  /**
+   * Take one off a counter
+   * @returns {number} The new count
+   */
+  async decrement(key) {
+    const counter = this.live(key);
+
+    if (!counter) {
+      return 0;
+    }
+
+    counter.count = Math.max(0, counter.count - 1);
+    return counter.count;
+  }
+
+  /**
+   * Get a counter's value, 0 if it is unset or expired
+   */
+  async get(key) {
+    const counter = this.live(key);
+    return counter ? counter.count : 0;
+  }
+
+  /**
+   * Drop expired counters, at most once a minute
+   */
+  purgeExpired(now) {
+    if (now - this.lastPurge < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurge = now;
+
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryCounterStore;
@@ -0,0 +1,40 @@
+/**
+ * In-memory key/value store
+ * Records are lost on restart - use for tests and throwaway environments
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get a record by key
+   */
+  async get(key) {
+    return this.records.has(key) ? this.records.get(key) : null;
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  async set(key, value) {
+    this.records.set(key, value);
+    return value;
+  }
+
+  /**
+   * Remove a record
+   */
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * List all records in insertion order
+   */
+  async values() {
+    return Array.from(this.records.values());
+  }
+}
+
+module.exports = MemoryStore;
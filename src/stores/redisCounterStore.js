@@ -0,0 +1,47 @@
+/**
+ * Redis-backed counter store
+ * Counters are plain Redis integers under `<prefix><key>`, so every process
+ * sharing REDIS_URL sees the same counts. Needs a client with ioredis-style
+ * incr/decr/pexpire/get and multi, e.g. ioredis.
+ */
+class RedisCounterStore {
+  constructor(client, prefix = 'mpesa:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Add one to a counter and (re)set its TTL, atomically
+   * @returns {number} The new count
+   */
+  async increment(key, ttlMs) {
+    const [[error, count]] = await this.client
+      .multi()
+      .incr(this.prefix + key)
+      .pexpire(this.prefix + key, ttlMs)
+      .exec();
+
+    if (error) {
+      throw error;
+    }
+
+    return Number(count);
+  }
+
+  /**
+   * Take one off a counter
+   * @returns {number} The new count
+   */
+  async decrement(key) {
+    return Number(await this.client.decr(this.prefix + key));
+  }
+
+  /**
+   * Get a counter's value, 0 if it is unset or expired
+   */
+  async get(key) {
+    return Number(await this.client.get(this.prefix + key)) || 0;
+  }
+}
+
+module.exports = RedisCounterStore;
@@ -0,0 +1,46 @@
+/**
+ * Redis-backed key/value store
+ * Works with any client exposing get/set/del/keys, e.g. ioredis or
+ * node-redis v4. Values are stored as JSON under `<prefix><key>`.
+ */
+class RedisStore {
+  constructor(client, prefix = 'mpesa:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Get a record by key
+   */
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  async set(key, value) {
+    await this.client.set(this.prefix + key, JSON.stringify(value));
+    return value;
+  }
+
+  /**
+   * Remove a record
+   */
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  /**
+   * List all records
+   * KEYS is fine for the small stores this backs; avoid it for large ones
+   */
+  async values() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    const values = await Promise.all(keys.map(key => this.client.get(key)));
+    return values.filter(value => value !== null && value !== undefined).map(value => JSON.parse(value));
+  }
+}
+
+module.exports = RedisStore;
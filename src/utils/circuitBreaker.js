@@ -0,0 +1,109 @@
+const CIRCUIT_STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Circuit breaker
+ * After `failureThreshold` consecutive failures the circuit opens and calls
+ * fail fast for `resetTimeoutMs`. A single trial call is then let through:
+ * success closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor({ name = 'circuit', failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.isFailure = isFailure;
+    this.reset();
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go through right now
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATE.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATE.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Async call to protect
+   * @param {Function} onOpen - Builds the error thrown while the circuit is open
+   */
+  async execute(fn, onOpen = () => new Error(`Circuit ${this.name} is open`)) {
+    if (!this.allowRequest()) {
+      throw onOpen(this.getState());
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      console.log(`✅ Circuit ${this.name} closed`);
+    }
+    this.reset();
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATE.OPEN) {
+        console.warn(`⚠️  Circuit ${this.name} opened after ${this.failures} failure(s)`);
+      }
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Snapshot for health reporting
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CIRCUIT_STATE };
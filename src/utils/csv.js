@@ -0,0 +1,122 @@
+/**
+ * Minimal CSV reading and writing
+ * Handles quoted fields, escaped quotes and line breaks inside quotes,
+ * which is all the M-Pesa portal exports and spreadsheet tools need.
+ */
+
+/**
+ * Guess the delimiter from the first lines of a file
+ * @param {string} text - File contents
+ * @returns {string} Comma, tab or semicolon
+ */
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  const candidates = [',', '\t', ';'];
+  const counts = candidates.map(delimiter => sample.split(delimiter).length);
+
+  return candidates[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field separator, detected when omitted
+ * @returns {string[][]} Rows, with blank lines dropped
+ */
+function parseCsv(text, delimiter = null) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a value for CSV output when it needs it
+ * Values starting with a formula character are prefixed so spreadsheet
+ * tools do not evaluate them.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write objects as CSV
+ * @param {object[]} records - Rows to write
+ * @param {string[]} columns - Keys to write, in order, used as the header
+ * @returns {string} CSV text ending in a newline
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Whether a request asked for CSV rather than JSON
+ * ?format=csv wins; otherwise an Accept header preferring text/csv.
+ * @param {object} req - Express request
+ * @returns {boolean} True for CSV
+ */
+function wantsCsv(req) {
+  return req.query.format === 'csv' || (!req.query.format && req.accepts(['json', 'csv']) === 'csv');
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  escapeCsvValue,
+  toCsv,
+  wantsCsv
+};
@@ -0,0 +1,190 @@
+/**
+ * Error taxonomy for the M-Pesa API
+ * Every error carries an HTTP status and a stable machine-readable code,
+ * plus Daraja's errorCode and the STK ResultCode when there is one.
+ */
+class MpesaError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', errorCode = null, resultCode = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.errorCode = errorCode;
+    this.resultCode = resultCode;
+    this.details = details;
+  }
+}
+
+/**
+ * The request is invalid and must be fixed by the caller
+ */
+class ValidationError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', ...options });
+  }
+}
+
+/**
+ * Daraja rejected our credentials or access token
+ */
+class AuthenticationError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'AUTHENTICATION_FAILED', ...options });
+  }
+}
+
+/**
+ * Too many requests, to us or to Daraja
+ */
+class RateLimitedError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, code: 'RATE_LIMITED', ...options });
+  }
+}
+
+/**
+ * Safaricom is down, slow or unreachable
+ */
+class UpstreamUnavailableError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'UPSTREAM_UNAVAILABLE', ...options });
+  }
+}
+
+/**
+ * The request is well-formed but M-Pesa refused it
+ */
+class BusinessRuleError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 422, code: 'BUSINESS_RULE_VIOLATION', ...options });
+  }
+}
+
+/**
+ * The requested resource does not exist (or belongs to another tenant)
+ */
+class NotFoundError extends MpesaError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+/**
+ * Map a Daraja errorCode to an error class
+ * See https://developer.safaricom.co.ke for the published error codes.
+ */
+function errorClassForDarajaCode(errorCode, httpStatus) {
+  if (errorCode) {
+    if (/^400\.008\./.test(errorCode) || /^404\.001\.0[34]$/.test(errorCode) || /^401\./.test(errorCode)) {
+      return AuthenticationError;
+    }
+    if (errorCode === '500.003.02' || errorCode === '500.003.03') {
+      return RateLimitedError;
+    }
+    if (/^400\./.test(errorCode)) {
+      return ValidationError;
+    }
+    if (errorCode === '500.001.1001') {
+      return BusinessRuleError;
+    }
+    if (/^50[03]\./.test(errorCode)) {
+      return UpstreamUnavailableError;
+    }
+  }
+
+  if (httpStatus === 401) {
+    return AuthenticationError;
+  }
+  if (httpStatus === 429) {
+    return RateLimitedError;
+  }
+  if (httpStatus >= 500) {
+    return UpstreamUnavailableError;
+  }
+  if (httpStatus >= 400) {
+    return ValidationError;
+  }
+  return MpesaError;
+}
+
+/**
+ * Convert anything thrown while talking to Daraja into an MpesaError
+ * @param {Error} error - Axios error, MpesaError or any other error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @returns {MpesaError} Typed error
+ */
+function toMpesaError(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof MpesaError) {
+    return error;
+  }
+
+  if (error && error.response) {
+    const data = error.response.data || {};
+    const ErrorClass = errorClassForDarajaCode(data.errorCode, error.response.status);
+    return new ErrorClass(data.errorMessage || error.message || fallbackMessage, {
+      errorCode: data.errorCode || null,
+      resultCode: data.ResultCode !== undefined ? data.ResultCode : null
+    });
+  }
+
+  // Errors raised by Express itself, e.g. a malformed JSON body
+  if (error && error.expose && error.status >= 400 && error.status < 500) {
+    return new ValidationError(error.message, { status: error.status });
+  }
+
+  if (error && NETWORK_ERROR_CODES.includes(error.code)) {
+    return new UpstreamUnavailableError(`Unable to reach the M-Pesa service (${error.code})`);
+  }
+
+  return new MpesaError((error && error.message) || fallbackMessage);
+}
+
+/**
+ * Build the HTTP status and JSON body for an error
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message for untyped errors
+ * @returns {{status: number, body: object}} Response parts
+ */
+function errorResponse(error, fallbackMessage = 'Internal server error') {
+  const mpesaError = toMpesaError(error, fallbackMessage);
+  const isInternal = mpesaError.code === 'INTERNAL_ERROR';
+
+  const body = {
+    success: false,
+    message: isInternal && process.env.NODE_ENV === 'production' ? fallbackMessage : mpesaError.message,
+    code: mpesaError.code,
+    data: mpesaError.details || null
+  };
+
+  if (mpesaError.errorCode) {
+    body.errorCode = mpesaError.errorCode;
+  }
+  if (mpesaError.resultCode !== null) {
+    body.resultCode = mpesaError.resultCode;
+  }
+
+  return { status: mpesaError.status, body };
+}
+
+/**
+ * Send an error as JSON
+ */
+function sendError(res, error, fallbackMessage) {
+  const { status, body } = errorResponse(error, fallbackMessage);
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  MpesaError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  BusinessRuleError,
+  NotFoundError,
+  toMpesaError,
+  errorResponse,
+  sendError
+};
@@ -1,4 +1,8 @@
 const crypto = require('crypto');
+const { normalizePhoneNumber, toMpesaPhoneNumber } = require('./phone');
+
+// Daraja callbacks and the M-Pesa portal report Kenyan time (EAT, UTC+3)
+const KENYA_UTC_OFFSET_MINUTES = 180;
 
 /**
  * Generate M-Pesa password
@@ -13,14 +17,14 @@ function generatePassword(businessShortCode, passkey, timestamp) {
 }
 
 /**
- * Validate Kenyan phone number
+ * Validate a Kenyan mobile number, on any network
  * @param {string} phoneNumber - Phone number to validate
  * @returns {boolean} True if valid, false otherwise
  */
 function isValidKenyanPhoneNumber(phoneNumber) {
   try {
-    const formatted = formatPhoneNumber(phoneNumber);
-    return formatted.match(/^254[0-9]{9}$/) !== null;
+    normalizePhoneNumber(phoneNumber);
+    return true;
   } catch (error) {
     return false;
   }
@@ -116,15 +120,37 @@ function createResponse(success, message, data = null, error = null) {
 }
 
 /**
- * Validate M-Pesa callback signature (if using callback validation)
- * @param {string} payload - Callback payload
- * @param {string} signature - M-Pesa signature
- * @returns {boolean} True if valid, false otherwise
+ * Generate a per-request callback URL token
+ * @returns {string} Random URL-safe token
+ */
+function generateCallbackToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Hash a callback token for storage
+ * @param {string} token - Callback token
+ * @returns {string} SHA-256 hex digest
  */
-function validateCallbackSignature(payload, signature) {
-  // Implementation depends on M-Pesa callback validation requirements
-  // This is a placeholder for future implementation
-  return true;
+function hashCallbackToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a callback token against its stored hash in constant time
+ * @param {string} token - Token taken from the callback URL
+ * @param {string} tokenHash - Hash stored when the request was made
+ * @returns {boolean} True if the token matches
+ */
+function validateCallbackToken(token, tokenHash) {
+  if (!token || !tokenHash) {
+    return false;
+  }
+
+  const expected = Buffer.from(tokenHash, 'hex');
+  const actual = Buffer.from(hashCallbackToken(token), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 }
 
 /**
@@ -149,9 +175,10 @@ function parseMpesaTimestamp(mpesaTimestamp) {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} delay - Initial delay in milliseconds
+ * @param {Function} shouldRetry - Returns false for errors that must not be retried
  * @returns {Promise} Result of the function
  */
-async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
+async function retryWithBackoff(fn, maxRetries = 3, delay = 1000, shouldRetry = () => true) {
   let lastError;
   
   for (let i = 0; i <= maxRetries; i++) {
@@ -160,7 +187,7 @@ async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
     } catch (error) {
       lastError = error;
       
-      if (i === maxRetries) {
+      if (i === maxRetries || !shouldRetry(error)) {
         break;
       }
       
@@ -173,7 +200,107 @@ async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
   throw lastError;
 }
 
+/**
+ * Split an amount into chunks no larger than a per-transaction limit
+ * @param {number} amount - Total amount
+ * @param {number} maxAmount - Largest allowed chunk
+ * @returns {number[]} Chunks, largest first, summing to amount
+ */
+function splitAmount(amount, maxAmount) {
+  const chunks = [];
+  let remaining = amount;
+
+  while (remaining > 0) {
+    const chunk = Math.min(remaining, maxAmount);
+    chunks.push(chunk);
+    remaining -= chunk;
+  }
+
+  return chunks;
+}
+
+/**
+ * Generate the SecurityCredential for initiator-based APIs (B2C, reversal, etc.)
+ * @param {string} initiatorPassword - Initiator password from the M-Pesa portal
+ * @param {string|Buffer} certificate - Safaricom public certificate (PEM)
+ * @returns {string} Base64 encoded encrypted password
+ */
+function generateSecurityCredential(initiatorPassword, certificate) {
+  const encrypted = crypto.publicEncrypt(
+    {
+      key: certificate,
+      padding: crypto.constants.RSA_PKCS1_PADDING
+    },
+    Buffer.from(initiatorPassword)
+  );
+  return encrypted.toString('base64');
+}
+
+/**
+ * Convert Daraja ResultParameters into a plain object
+ * @param {object} resultParameters - Result.ResultParameters from a result webhook
+ * @returns {object} Values keyed by parameter Key
+ */
+function parseResultParameters(resultParameters) {
+  if (!resultParameters || !resultParameters.ResultParameter) {
+    return {};
+  }
+
+  // Daraja sends a single object instead of an array when there is one parameter
+  const parameters = [].concat(resultParameters.ResultParameter);
+
+  return parameters.reduce((result, parameter) => {
+    result[parameter.Key] = parameter.Value;
+    return result;
+  }, {});
+}
+
+/**
+ * Parse the AccountBalance string from an account balance result
+ * Accounts are separated by "&" and fields by "|":
+ * Name|Currency|CurrentBalance|AvailableBalance|ReservedAmount|UnclearedBalance
+ * @param {string} accountBalance - Encoded AccountBalance value
+ * @returns {Array<object>} One entry per account
+ */
+function parseAccountBalance(accountBalance) {
+  if (!accountBalance) {
+    return [];
+  }
+
+  return String(accountBalance)
+    .split('&')
+    .filter(account => account.trim())
+    .map(account => {
+      const [name, currency, currentBalance, availableBalance, reservedAmount, unclearedBalance] = account.split('|');
+      return {
+        account: name,
+        currency: currency,
+        currentBalance: parseFloat(currentBalance) || 0,
+        availableBalance: parseFloat(availableBalance) || 0,
+        reservedAmount: parseFloat(reservedAmount) || 0,
+        unclearedBalance: parseFloat(unclearedBalance) || 0
+      };
+    });
+}
+
+/**
+ * Sign an outbound webhook body
+ * Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare.
+ * @param {string} body - Raw JSON body being sent
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Signature header value in "t=<timestamp>,v1=<hex>" format
+ */
+function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
 module.exports = {
+  KENYA_UTC_OFFSET_MINUTES,
   generatePassword,
   formatPhoneNumber,
   isValidKenyanPhoneNumber,
@@ -183,36 +310,24 @@ module.exports = {
   logTransaction,
   sanitizeCallbackData,
   createResponse,
-  validateCallbackSignature,
+  generateCallbackToken,
+  hashCallbackToken,
+  validateCallbackToken,
   parseMpesaTimestamp,
-  retryWithBackoff
+  retryWithBackoff,
+  splitAmount,
+  generateSecurityCredential,
+  parseResultParameters,
+  parseAccountBalance,
+  signWebhookPayload
 };
 
 /**
- * Format phone number to international format
- * @param {string} phoneNumber - Phone number
- * @returns {string} Formatted phone number
+ * Format a phone number for M-Pesa
+ * @param {string} phoneNumber - Phone number in any common Kenyan format
+ * @returns {string} Safaricom number in 2547XXXXXXXX / 2541XXXXXXXX format
+ * @throws {ValidationError} If it is invalid or not on Safaricom
  */
 function formatPhoneNumber(phoneNumber) {
-  // Remove any non-digit characters
-  let formatted = phoneNumber.replace(/\D/g, '');
-  
-  // Handle different formats
-  if (formatted.startsWith('0')) {
-    // Convert 0712345678 to 254712345678
-    formatted = '254' + formatted.substring(1);
-  } else if (formatted.startsWith('712') || formatted.startsWith('722') || formatted.startsWith('733')) {
-    // Convert 712345678 to 254712345678
-    formatted = '254' + formatted;
-  } else if (formatted.startsWith('+254')) {
-    // Convert +254712345678 to 254712345678
-    formatted = formatted.substring(1);
-  }
-  
-  // Validate the final format
-  if (!formatted.match(/^254[0-9]{9}$/)) {
-    throw new Error('Invalid phone number format. Use 254XXXXXXXXX format');
-  }
-  
-    return formatted;
-  }
\ No newline at end of file
+  return toMpesaPhoneNumber(phoneNumber);
+}
@@ -0,0 +1,114 @@
+const net = require('net');
+
+// Safaricom's published callback source addresses
+const DEFAULT_MPESA_IP_RANGES = [
+  '196.201.214.200/32',
+  '196.201.214.206/32',
+  '196.201.213.114/32',
+  '196.201.214.207/32',
+  '196.201.214.208/32',
+  '196.201.213.44/32',
+  '196.201.212.127/32',
+  '196.201.212.138/32',
+  '196.201.212.129/32',
+  '196.201.212.136/32',
+  '196.201.212.74/32',
+  '196.201.212.69/32'
+];
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 -> 1.2.3.4)
+ * @param {string} ip - IP address
+ * @returns {string} Normalised IP address
+ */
+function normalizeIp(ip) {
+  if (!ip) {
+    return ip;
+  }
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Build a matcher for a list of IPv4/IPv6 addresses and CIDR ranges
+ * @param {Array<string>} ranges - e.g. ['196.201.214.0/24', '2001:db8::/32', '10.0.0.1']
+ * @returns {Function} (ip) => boolean
+ */
+function createIpMatcher(ranges) {
+  const blockList = new net.BlockList();
+
+  ranges.forEach(range => {
+    const [address, prefix] = range.trim().split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+
+    if (!family) {
+      throw new Error(`Invalid IP range: ${range}`);
+    }
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, family);
+    } else {
+      const prefixLength = Number(prefix);
+      const maxPrefix = family === 'ipv4' ? 32 : 128;
+
+      if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) {
+        throw new Error(`Invalid IP range: ${range}`);
+      }
+      blockList.addSubnet(address, prefixLength, family);
+    }
+  });
+
+  return ip => {
+    const address = normalizeIp(ip);
+
+    if (net.isIPv4(address)) {
+      return blockList.check(address, 'ipv4');
+    }
+    if (net.isIPv6(address)) {
+      return blockList.check(address, 'ipv6');
+    }
+    return false;
+  };
+}
+
+/**
+ * Read the callback allow-list from MPESA_CALLBACK_IP_RANGES (comma separated)
+ * @returns {Array<string>} Configured ranges, or Safaricom's defaults
+ */
+function getMpesaIpRanges() {
+  const configured = process.env.MPESA_CALLBACK_IP_RANGES;
+
+  if (!configured) {
+    return DEFAULT_MPESA_IP_RANGES;
+  }
+
+  return configured.split(',').map(range => range.trim()).filter(Boolean);
+}
+
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * Accepts true/false, a hop count, or a comma separated list of
+ * addresses/subnets. Unset means do not trust X-Forwarded-For.
+ * @param {string} value - Raw TRUST_PROXY value
+ * @returns {boolean|number|string} Value for app.set('trust proxy')
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value;
+}
+
+module.exports = {
+  DEFAULT_MPESA_IP_RANGES,
+  normalizeIp,
+  createIpMatcher,
+  getMpesaIpRanges,
+  parseTrustProxy
+};
@@ -0,0 +1,31 @@
+/**
+ * Per-key async lock
+ * Work for the same key runs one at a time, in call order; different keys
+ * run concurrently. Only serializes within this process.
+ */
+class KeyedLock {
+  constructor() {
+    // Tail of the pending work per key
+    this.tails = new Map();
+  }
+
+  /**
+   * Run fn after any earlier work on the same key has finished
+   */
+  run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    return current;
+  }
+}
+
+module.exports = KeyedLock;
@@ -0,0 +1,153 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Kenyan mobile numbers
+ *
+ * Every Kenyan mobile number is 254 followed by a 9-digit national number
+ * starting with 7 or 1. The operator is given by the first three digits of
+ * the national number, per the Communications Authority numbering plan.
+ * Only Safaricom numbers can pay or be paid through M-Pesa.
+ */
+
+const CARRIERS = {
+  SAFARICOM: 'Safaricom',
+  AIRTEL: 'Airtel',
+  TELKOM: 'Telkom',
+  EQUITEL: 'Equitel',
+  FAIBA: 'Faiba',
+  HOMELANDS: 'Homelands Media',
+  SEMA: 'Sema Mobile'
+};
+
+const COUNTRY_CODE = '254';
+
+/**
+ * Three-digit prefixes from first to last, inclusive
+ */
+function prefixRange(first, last) {
+  const prefixes = [];
+  for (let prefix = first; prefix <= last; prefix++) {
+    prefixes.push(String(prefix));
+  }
+  return prefixes;
+}
+
+// Leading three digits of the national number for each operator
+const CARRIER_PREFIXES = {
+  [CARRIERS.SAFARICOM]: [
+    ...prefixRange(700, 729),
+    ...prefixRange(740, 743),
+    '745', '746', '748',
+    ...prefixRange(757, 759),
+    '768', '769',
+    ...prefixRange(790, 799),
+    ...prefixRange(110, 115)
+  ],
+  [CARRIERS.AIRTEL]: [
+    ...prefixRange(730, 739),
+    ...prefixRange(750, 756),
+    '762',
+    ...prefixRange(780, 789),
+    ...prefixRange(100, 102)
+  ],
+  [CARRIERS.TELKOM]: prefixRange(770, 779),
+  [CARRIERS.EQUITEL]: prefixRange(763, 766),
+  [CARRIERS.FAIBA]: ['747'],
+  [CARRIERS.HOMELANDS]: ['744'],
+  [CARRIERS.SEMA]: ['767']
+};
+
+const CARRIER_BY_PREFIX = new Map(
+  Object.entries(CARRIER_PREFIXES).flatMap(([carrier, prefixes]) => prefixes.map(prefix => [prefix, carrier]))
+);
+
+const FORMAT_HINT = 'Use a Kenyan mobile number such as 0712345678, 0110345678 or 254712345678';
+
+/**
+ * Convert any common way of writing a Kenyan mobile number to 2547XXXXXXXX
+ * Accepts a leading + or 00, spaces, dashes, dots and brackets, with or
+ * without the country code or trunk 0, e.g. "+254 (0)712-345-678".
+ * @param {string|number} phoneNumber - Phone number as entered
+ * @returns {string} The 12-digit MSISDN
+ * @throws {ValidationError} If it is not a Kenyan mobile number
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const raw = String(phoneNumber === undefined || phoneNumber === null ? '' : phoneNumber).trim();
+
+  // Separators only - any other character means this is not a phone number
+  let digits = raw.replace(/[\s\-.()]/g, '').replace(/^(\+|00)/, '');
+  if (!/^\d+$/.test(digits)) {
+    throw new ValidationError(`Invalid phone number format. ${FORMAT_HINT}`);
+  }
+
+  // +254 (0)712... keeps the trunk 0 after the country code
+  if (digits.startsWith(`${COUNTRY_CODE}0`) && digits.length === 13) {
+    digits = COUNTRY_CODE + digits.slice(4);
+  }
+
+  let national;
+  if (digits.startsWith(COUNTRY_CODE) && digits.length === 12) {
+    national = digits.slice(3);
+  } else if (digits.startsWith('0') && digits.length === 10) {
+    national = digits.slice(1);
+  } else if (digits.length === 9) {
+    national = digits;
+  }
+
+  if (!national || !/^[17]\d{8}$/.test(national)) {
+    throw new ValidationError(`Invalid phone number format. ${FORMAT_HINT}`);
+  }
+
+  if (!CARRIER_BY_PREFIX.has(national.slice(0, 3))) {
+    throw new ValidationError(`Invalid phone number format: 0${national.slice(0, 3)} is not a Kenyan mobile prefix`);
+  }
+
+  return COUNTRY_CODE + national;
+}
+
+/**
+ * Describe a Kenyan mobile number
+ * @param {string|number} phoneNumber - Phone number as entered
+ * @returns {{msisdn: string, national: string, international: string, carrier: string, mpesa: boolean}}
+ * @throws {ValidationError} If it is not a Kenyan mobile number
+ */
+function parsePhoneNumber(phoneNumber) {
+  const msisdn = normalizePhoneNumber(phoneNumber);
+  const carrier = CARRIER_BY_PREFIX.get(msisdn.slice(3, 6));
+
+  return {
+    msisdn,
+    national: `0${msisdn.slice(3)}`,
+    international: `+${msisdn}`,
+    carrier,
+    mpesa: carrier === CARRIERS.SAFARICOM
+  };
+}
+
+/**
+ * Normalise a number that must be able to use M-Pesa
+ * @param {string|number} phoneNumber - Phone number as entered
+ * @returns {string} The 12-digit Safaricom MSISDN
+ * @throws {ValidationError} If it is invalid, or on a network without M-Pesa
+ *   (code NOT_MPESA_NUMBER)
+ */
+function toMpesaPhoneNumber(phoneNumber) {
+  const phone = parsePhoneNumber(phoneNumber);
+
+  if (!phone.mpesa) {
+    throw new ValidationError(
+      `${phone.national} is ${/^[AEIOU]/.test(phone.carrier) ? 'an' : 'a'} ${phone.carrier} number and cannot use M-Pesa. Use a Safaricom number`,
+      { code: 'NOT_MPESA_NUMBER', details: { carrier: phone.carrier } }
+    );
+  }
+
+  return phone.msisdn;
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  parsePhoneNumber,
+  toMpesaPhoneNumber,
+  CARRIERS,
+  CARRIER_PREFIXES
+};
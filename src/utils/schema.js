@@ -0,0 +1,220 @@
+const moment = require('moment');
+const { parsePhoneNumber } = require('./phone');
+const { ValidationError } = require('./errors');
+
+/**
+ * Declarative validation for request bodies and Daraja callbacks
+ *
+ * A schema is a plain object using these keywords:
+ *   type        'string', 'integer', 'number', 'boolean', 'object' or 'array'
+ *   required    true, or a function of the parent object for conditional fields
+ *   enum        the allowed values
+ *   minLength, maxLength, pattern (with patternMessage)
+ *   format      'date-time' (ISO 8601), 'url' (http or https) or 'phone' (a
+ *               Kenyan number that can use M-Pesa)
+ *   minimum, maximum
+ *   properties  schemas for an object's fields - other fields are allowed
+ *   items, minItems
+ *   check       function of the value returning an error message, or null
+ *
+ * Integers and numbers may be sent as numeric strings, e.g. from a form,
+ * but a decimal is never accepted where a whole number is expected.
+ */
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Format a field path for messages, e.g. Body.stkCallback.ResultCode
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a type
+ * @returns {string|null} Error message suffix, or null if the type matches
+ */
+function typeError(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'integer':
+      if (typeof value === 'number') {
+        return Number.isInteger(value) ? null : 'must be a whole number';
+      }
+      if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+        return INTEGER_PATTERN.test(value.trim()) ? null : 'must be a whole number';
+      }
+      return 'must be a whole number';
+    case 'number':
+      if (typeof value === 'number') {
+        return Number.isFinite(value) ? null : 'must be a number';
+      }
+      return typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : 'must be true or false';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a phone number can use M-Pesa
+ * @returns {string|null} Error message suffix, or null if it can
+ */
+function phoneFormatError(value) {
+  let phone;
+  try {
+    phone = parsePhoneNumber(value);
+  } catch (error) {
+    return 'must be a Kenyan mobile number, e.g. 0712345678 or 254712345678';
+  }
+
+  return phone.mpesa ? null : `must be a Safaricom number - ${phone.national} is on ${phone.carrier}, which has no M-Pesa`;
+}
+
+/**
+ * Check a value against a format
+ * @returns {string|null} Error message suffix, or null if the format matches
+ */
+function formatError(format, value) {
+  switch (format) {
+    case 'date-time':
+      return moment(value, moment.ISO_8601, true).isValid() ? null : 'must be an ISO 8601 date';
+    case 'url':
+      return /^https?:\/\/\S+$/.test(value) ? null : 'must be a valid http(s) URL';
+    case 'phone':
+      return phoneFormatError(value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - Schema, see above
+ * @param {*} value - Value to validate
+ * @param {string} path - Field path of the value, for messages
+ * @returns {Array<{field: string, message: string}>} Field-level errors, empty if valid
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const label = path || 'body';
+  const fail = message => errors.push({ field: label, message: `${label} ${message}` });
+
+  if (schema.type) {
+    const message = typeError(schema.type, value);
+    if (message) {
+      fail(message);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      fail(schema.patternMessage || `must match ${schema.pattern}`);
+    }
+    if (schema.format) {
+      const message = formatError(schema.format, value);
+      if (message) {
+        fail(message);
+      }
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      fail(`must be at least ${schema.minimum.toLocaleString('en-US')}`);
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      fail(`must be at most ${schema.maximum.toLocaleString('en-US')}`);
+    }
+  }
+
+  if (schema.properties && value !== null && typeof value === 'object') {
+    for (const [key, fieldSchema] of Object.entries(schema.properties)) {
+      const fieldValue = value[key];
+      const fieldPath = joinPath(path, key);
+      const required = typeof fieldSchema.required === 'function'
+        ? fieldSchema.required(value)
+        : fieldSchema.required;
+
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        if (required) {
+          errors.push({ field: fieldPath, message: `${fieldPath} is required` });
+        }
+        continue;
+      }
+
+      errors.push(...validate(fieldSchema, fieldValue, fieldPath));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, joinPath(path, index))));
+    }
+  }
+
+  if (schema.check && errors.length === 0) {
+    const message = schema.check(value);
+    if (message) {
+      errors.push({ field: label, message });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the ValidationError for a list of field errors
+ * The message joins every error; the details list them field by field.
+ * @param {Array<{field: string, message: string}>} errors - Field-level errors
+ * @returns {ValidationError} Error with details.errors
+ */
+function toValidationError(errors) {
+  return new ValidationError(errors.map(error => error.message).join('; '), {
+    details: { errors }
+  });
+}
+
+/**
+ * Throw a ValidationError unless the value matches the schema
+ * @param {object} schema - Schema, see above
+ * @param {*} value - Value to validate
+ */
+function assertValid(schema, value) {
+  const errors = validate(schema, value);
+
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+}
+
+module.exports = {
+  validate,
+  assertValid,
+  toValidationError
+};
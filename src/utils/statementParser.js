@@ -0,0 +1,131 @@
+const moment = require('moment');
+const { parseCsv } = require('./csv');
+const { ValidationError } = require('./errors');
+
+// Portal column headings, matched case-insensitively, and the field each fills
+const STATEMENT_COLUMNS = {
+  'receipt no': 'receiptNumber',
+  'receipt no.': 'receiptNumber',
+  'receipt number': 'receiptNumber',
+  'completion time': 'completionTime',
+  'initiation time': 'initiationTime',
+  details: 'details',
+  'transaction status': 'transactionStatus',
+  'paid in': 'paidIn',
+  withdrawn: 'withdrawn',
+  balance: 'balance',
+  'reason type': 'reasonType',
+  'other party info': 'otherPartyInfo',
+  'a/c no.': 'accountNumber',
+  'a/c no': 'accountNumber'
+};
+
+// Date formats seen in portal exports and after a spreadsheet round trip
+const STATEMENT_TIME_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'DD-MM-YYYY HH:mm:ss',
+  'DD-MM-YYYY HH:mm',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY HH:mm',
+  'DD.MM.YYYY HH:mm:ss'
+];
+
+/**
+ * Parse a portal amount such as "1,500.00"
+ * @returns {number|null} Amount, or null when the cell is empty
+ */
+function parseStatementAmount(value) {
+  const cleaned = String(value || '').replace(/[,\s]/g, '').replace(/^KES/i, '');
+  if (cleaned === '' || cleaned === '-') {
+    return null;
+  }
+
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? Math.abs(amount) : null;
+}
+
+/**
+ * Parse a portal time as Kenyan wall-clock time
+ * @returns {string|null} "YYYY-MM-DD HH:mm:ss", or null if unreadable
+ */
+function parseStatementTime(value) {
+  const parsed = moment(String(value || '').trim(), STATEMENT_TIME_FORMATS, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD HH:mm:ss') : null;
+}
+
+/**
+ * Pull the (usually masked) phone number out of "Other Party Info"
+ * e.g. "254712***678 - JOHN DOE" gives "254712***678"
+ */
+function parseOtherParty(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^([\d*]{9,15})\s*-?\s*(.*)$/);
+
+  return match
+    ? { phone: match[1], name: match[2] || null }
+    : { phone: null, name: text || null };
+}
+
+/**
+ * Parse an M-Pesa org portal statement export
+ * The portal puts account details above the table, so everything before
+ * the row holding "Receipt No." is skipped. Only completed money-in rows
+ * are returned - charges and withdrawals are not customer payments.
+ * @param {string} text - CSV or tab-separated export
+ * @returns {object[]} Statement entries
+ */
+function parseStatement(text) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => row.some(cell => STATEMENT_COLUMNS[cell.trim().toLowerCase()] === 'receiptNumber'));
+
+  if (headerIndex === -1) {
+    throw new ValidationError('Statement has no "Receipt No." column - is this an M-Pesa portal export?');
+  }
+
+  const fields = rows[headerIndex].map(cell => STATEMENT_COLUMNS[cell.trim().toLowerCase()] || null);
+  if (!fields.includes('completionTime') || !fields.includes('paidIn')) {
+    throw new ValidationError('Statement needs "Completion Time" and "Paid In" columns');
+  }
+
+  const entries = [];
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const cells = {};
+    fields.forEach((field, column) => {
+      if (field) {
+        cells[field] = (row[column] || '').trim();
+      }
+    });
+
+    const amount = parseStatementAmount(cells.paidIn);
+    const completedAt = parseStatementTime(cells.completionTime);
+    const status = cells.transactionStatus || 'Completed';
+
+    if (!cells.receiptNumber || !amount || !completedAt || !/^completed$/i.test(status)) {
+      return;
+    }
+
+    const party = parseOtherParty(cells.otherPartyInfo);
+
+    entries.push({
+      row: index + 1,
+      receiptNumber: cells.receiptNumber.toUpperCase(),
+      completedAt,
+      amount,
+      phone: party.phone,
+      name: party.name,
+      details: cells.details || null,
+      accountNumber: cells.accountNumber || null
+    });
+  });
+
+  return entries;
+}
+
+module.exports = {
+  parseStatement,
+  parseStatementAmount,
+  parseStatementTime,
+  parseOtherParty
+};
@@ -0,0 +1,120 @@
+/**
+ * Server-rendered pages for the hosted checkout
+ * Plain HTML with no client-side script, so it works under the default
+ * helmet Content-Security-Policy. The pending page polls with a meta refresh.
+ */
+
+// Seconds between status checks while a payment is pending
+const POLL_INTERVAL_SECONDS = 3;
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount as KES
+ */
+function formatAmount(amount) {
+  return `KES ${Number(amount).toLocaleString('en-KE')}`;
+}
+
+function layout(title, body, { refreshSeconds = null } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  ${refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : ''}
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f6f8; margin: 0; padding: 2rem 1rem; color: #1f2933; }
+    main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 2rem; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.08); }
+    h1 { font-size: 1.4rem; margin-top: 0; }
+    .amount { font-size: 2rem; font-weight: 600; margin: 0.5rem 0 1.5rem; }
+    label { display: block; font-weight: 600; margin-bottom: 0.25rem; }
+    input { width: 100%; box-sizing: border-box; padding: 0.75rem; font-size: 1rem; border: 1px solid #cbd2d9; border-radius: 4px; }
+    button, .button { display: inline-block; margin-top: 1rem; width: 100%; box-sizing: border-box; padding: 0.75rem; font-size: 1rem; border: 0; border-radius: 4px; background: #2e7d32; color: #fff; text-align: center; text-decoration: none; cursor: pointer; }
+    .error { background: #fdecea; color: #b71c1c; padding: 0.75rem; border-radius: 4px; margin-bottom: 1rem; }
+    .muted { color: #616e7c; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Phone number form for a payable link
+ */
+function renderCheckout({ link, error = null, phone = '' }) {
+  return layout('Pay with M-Pesa', `
+    <h1>Pay with M-Pesa</h1>
+    ${link.description ? `<p class="muted">${escapeHtml(link.description)}</p>` : ''}
+    <p class="amount">${formatAmount(link.amount)}</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/pay/${escapeHtml(link.id)}">
+      <label for="phone">M-Pesa phone number</label>
+      <input id="phone" name="phone" type="tel" inputmode="tel" autocomplete="tel" placeholder="0712 345 678" value="${escapeHtml(phone)}" required>
+      <button type="submit">Pay ${formatAmount(link.amount)}</button>
+    </form>
+    <p class="muted">Reference: ${escapeHtml(link.accountReference)}</p>`);
+}
+
+/**
+ * Waiting for the customer to enter their PIN - refreshes until final
+ */
+function renderPending({ link }) {
+  return layout('Check your phone', `
+    <h1>Check your phone</h1>
+    <p>Enter your M-Pesa PIN on the prompt to pay <strong>${formatAmount(link.amount)}</strong>.</p>
+    <p class="muted">This page updates automatically.</p>`, { refreshSeconds: POLL_INTERVAL_SECONDS });
+}
+
+/**
+ * Final success or failure screen
+ */
+function renderResult({ link, transaction, canRetry }) {
+  if (transaction.status === 'SUCCESS') {
+    const receipt = transaction.paymentData && transaction.paymentData.mpesaReceiptNumber;
+    return layout('Payment received', `
+    <h1>Payment received</h1>
+    <p class="amount">${formatAmount(transaction.amount)}</p>
+    ${receipt ? `<p>M-Pesa receipt: <strong>${escapeHtml(receipt)}</strong></p>` : ''}
+    <p class="muted">Reference: ${escapeHtml(link.accountReference)}</p>`);
+  }
+
+  return layout('Payment not completed', `
+    <h1>Payment not completed</h1>
+    <p class="error">${escapeHtml(transaction.resultDesc || 'The payment was not completed.')}</p>
+    ${canRetry ? `<a class="button" href="/pay/${escapeHtml(link.id)}">Try again</a>` : ''}`);
+}
+
+/**
+ * Link that cannot be paid - unknown, expired, used or disabled
+ */
+function renderUnavailable({ message }) {
+  return layout('Payment link unavailable', `
+    <h1>Payment link unavailable</h1>
+    <p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderCheckout,
+  renderPending,
+  renderResult,
+  renderUnavailable
+};
@@ -0,0 +1,336 @@
+jest.mock('axios');
+
+// Callbacks are allow-listed by IP, so route them through a trusted proxy
+process.env.TRUST_PROXY = 'true';
+const SAFARICOM_IP = '196.201.214.200';
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const mpesaService = require('../src/services/mpesaService');
+const callbackInboxRepository = require('../src/repositories/callbackInboxRepository');
+const c2bRepository = require('../src/repositories/c2bRepository');
+const tenantRegistry = require('../src/services/tenantRegistry');
+const { MpesaService } = require('../src/services/mpesaService');
+const { normalizeTenant } = require('../src/config/tenants');
+const callbackInboxWorker = require('../src/services/callbackInboxWorker');
+const { setRateLimitStore } = require('../src/middleware/rateLimit');
+const { MemoryStore, MemoryCounterStore } = require('../src/stores');
+const { mockDaraja, resetDaraja } = require('./support/daraja');
+
+beforeEach(async () => {
+  await resetDaraja();
+  callbackInboxRepository.setStores(new MemoryStore(), new MemoryStore());
+});
+
+describe('POST /api/mpesa/stkpush', () => {
+  it('initiates an STK Push', async () => {
+    mockDaraja();
+
+    const response = await request(app)
+      .post('/api/mpesa/stkpush')
+      .send({ phone: '0712345678', amount: 10, accountReference: 'INV001' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      data: { checkoutRequestID: 'ws_CO_1', merchantRequestID: '29115-1' }
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('limits prompts to the same phone number', async () => {
+    mockDaraja();
+
+    const first = await request(app).post('/api/mpesa/stkpush').send({ phone: '0798765432', amount: 10 }).expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('5');
+    expect(first.headers['ratelimit-remaining']).toBe('4');
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/mpesa/stkpush').send({ phone: '+254 798 765 432', amount: 10 }).expect(200);
+    }
+    const response = await request(app).post('/api/mpesa/stkpush').send({ phone: '0798765432', amount: 10 }).expect(429);
+
+    expect(response.body.code).toBe('RATE_LIMITED');
+    expect(response.headers['retry-after']).toBeDefined();
+    expect(axios.post).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not count idempotent replays against the phone limit', async () => {
+    mockDaraja();
+
+    for (let i = 0; i < 6; i++) {
+      await request(app).post('/api/mpesa/stkpush').set('Idempotency-Key', 'order-1').send({ phone: '0798765431', amount: 10 }).expect(200);
+    }
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/mpesa/stkpush').set('Idempotency-Key', `order-${i + 2}`).send({ phone: '0798765431', amount: 10 }).expect(200);
+    }
+
+    // A limited request never ran, so it is not replayed under its key
+    await request(app).post('/api/mpesa/stkpush').set('Idempotency-Key', 'order-6').send({ phone: '0798765431', amount: 10 }).expect(429);
+    setRateLimitStore(new MemoryCounterStore());
+    await request(app).post('/api/mpesa/stkpush').set('Idempotency-Key', 'order-6').send({ phone: '0798765431', amount: 10 }).expect(200);
+    expect(axios.post).toHaveBeenCalledTimes(6);
+  });
+
+  it('requires phone and amount', async () => {
+    const response = await request(app).post('/api/mpesa/stkpush').send({ phone: '0712345678' }).expect(400);
+
+    expect(response.body).toMatchObject({
+      message: 'amount is required',
+      code: 'VALIDATION_ERROR',
+      data: { errors: [{ field: 'amount', message: 'amount is required' }] }
+    });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects a negative amount', async () => {
+    await request(app).post('/api/mpesa/stkpush').send({ phone: '0712345678', amount: -5 }).expect(400);
+  });
+
+  it('maps a Daraja outage to 503', async () => {
+    axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+    axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const response = await request(app).post('/api/mpesa/stkpush').send({ phone: '0712345678', amount: 10 }).expect(503);
+
+    expect(response.body.code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+
+  it('returns a validation code for a malformed JSON body', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/stkpush')
+      .set('Content-Type', 'application/json')
+      .send('{"phone":')
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('STK Push lifecycle', () => {
+  it('records the push and applies the callback', async () => {
+    mockDaraja();
+
+    await request(app).post('/api/mpesa/stkpush').send({ phone: '0712345678', amount: 10 }).expect(200);
+
+    const callbackUrl = axios.post.mock.calls[0][1].CallBackURL;
+    const token = callbackUrl.split('/').pop();
+
+    await request(app)
+      .post(`/api/mpesa/callback/${token}`)
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({
+        Body: {
+          stkCallback: {
+            MerchantRequestID: '29115-1',
+            CheckoutRequestID: 'ws_CO_1',
+            ResultCode: 0,
+            ResultDesc: 'The service request is processed successfully.',
+            CallbackMetadata: {
+              Item: [
+                { Name: 'Amount', Value: 10 },
+                { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+                { Name: 'PhoneNumber', Value: 254712345678 }
+              ]
+            }
+          }
+        }
+      })
+      .expect(200);
+    await callbackInboxWorker.whenIdle();
+
+    const response = await request(app).get('/api/mpesa/transactions/ws_CO_1').expect(200);
+    expect(response.body.data).toMatchObject({
+      status: 'SUCCESS',
+      paymentData: { mpesaReceiptNumber: 'NLJ7RT61SV' }
+    });
+
+    const list = await request(app).get('/api/mpesa/transactions?status=SUCCESS').expect(200);
+    expect(list.body.data.total).toBe(1);
+  });
+
+  it('returns 404 for an unknown transaction', async () => {
+    await request(app).get('/api/mpesa/transactions/ws_CO_missing').expect(404);
+  });
+
+  it('acknowledges malformed callbacks and fails them in the inbox', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/callback')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ unexpected: true })
+      .expect(200);
+    await callbackInboxWorker.whenIdle();
+
+    expect(response.body).toMatchObject({ success: true, data: { status: 'RECEIVED' } });
+    expect(await callbackInboxRepository.findById(response.body.data.id)).toMatchObject({
+      status: 'FAILED',
+      attempts: 1,
+      body: { unexpected: true }
+    });
+  });
+});
+
+describe('GET /api/mpesa/status', () => {
+  it('reports the service as operational when a token can be obtained', async () => {
+    mockDaraja();
+
+    const response = await request(app).get('/api/mpesa/status').expect(200);
+
+    expect(response.body.data.businessShortCode).toBe('174379');
+  });
+
+  it('reports an outage when authentication fails', async () => {
+    axios.get.mockRejectedValue({ response: { status: 400, data: { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' } } });
+
+    const response = await request(app).get('/api/mpesa/status').expect(502);
+
+    expect(response.body).toMatchObject({
+      code: 'AUTHENTICATION_FAILED',
+      data: { circuitBreaker: { state: 'CLOSED' } }
+    });
+  });
+
+  it('reports the circuit breaker state', async () => {
+    mpesaService.daraja.breaker.failures = mpesaService.daraja.breaker.failureThreshold - 1;
+    axios.get.mockRejectedValue(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+
+    const response = await request(app).get('/api/mpesa/status').expect(503);
+
+    expect(response.body.code).toBe('UPSTREAM_UNAVAILABLE');
+    expect(response.body.data.circuitBreaker.state).toBe('OPEN');
+  });
+});
+
+describe('POST /api/mpesa/callback', () => {
+  it('rejects callbacks from outside the Safaricom ranges', async () => {
+    await request(app)
+      .post('/api/mpesa/callback')
+      .set('X-Forwarded-For', '203.0.113.10')
+      .send({ Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0 } } })
+      .expect(403);
+  });
+});
+
+describe('POST /api/mpesa/c2b/confirmation', () => {
+  const confirmation = {
+    TransactionType: 'Pay Bill',
+    TransID: 'RKTQDM7W6S',
+    TransTime: '20191122063845',
+    TransAmount: '10',
+    BusinessShortCode: '174379',
+    BillRefNumber: 'INV001',
+    MSISDN: '254712345678'
+  };
+
+  beforeEach(() => {
+    c2bRepository.setStore(new MemoryStore());
+  });
+
+  it('acknowledges the payment once it is recorded', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/c2b/confirmation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send(confirmation)
+      .expect(200);
+
+    expect(response.body).toEqual({ ResultCode: 0, ResultDesc: 'Success' });
+    await expect(c2bRepository.findByTransID('RKTQDM7W6S')).resolves.toMatchObject({ amount: 10 });
+  });
+
+  it('records the payment against the tenant that owns the shortcode', async () => {
+    tenantRegistry.register(new MpesaService(normalizeTenant({
+      id: 'till',
+      baseUrl: 'https://daraja.test',
+      businessShortCode: '600999'
+    })));
+
+    await request(app)
+      .post('/api/mpesa/c2b/confirmation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ ...confirmation, BusinessShortCode: '600999' })
+      .expect(200);
+    await request(app)
+      .post('/api/mpesa/c2b/confirmation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ ...confirmation, TransID: 'RKTQDM7W6T' })
+      .expect(200);
+
+    await expect(c2bRepository.findByTransID('RKTQDM7W6S')).resolves.toMatchObject({ tenantId: 'till' });
+    await expect(c2bRepository.findByTransID('RKTQDM7W6T')).resolves.toMatchObject({ tenantId: 'default' });
+  });
+
+  it('refuses payments into a shortcode no tenant owns', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/c2b/confirmation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ ...confirmation, BusinessShortCode: '999111' })
+      .expect(200);
+
+    expect(response.body.ResultCode).not.toBe(0);
+    await expect(c2bRepository.findByTransID('RKTQDM7W6S')).resolves.toBeNull();
+
+    const validation = await request(app)
+      .post('/api/mpesa/c2b/validation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ ...confirmation, BusinessShortCode: '999111' })
+      .expect(200);
+    expect(validation.body).toEqual({ ResultCode: 'C2B00015', ResultDesc: 'Rejected' });
+  });
+
+  it('does not acknowledge a payment it failed to record, so Safaricom resends it', async () => {
+    const spy = jest.spyOn(c2bRepository, 'create').mockRejectedValueOnce(new Error('Disk full'));
+
+    const response = await request(app)
+      .post('/api/mpesa/c2b/confirmation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send(confirmation)
+      .expect(500);
+
+    expect(response.body.ResultCode).not.toBe(0);
+    spy.mockRestore();
+
+    await request(app).post('/api/mpesa/c2b/confirmation').set('X-Forwarded-For', SAFARICOM_IP).send(confirmation).expect(200);
+    await expect(c2bRepository.findByTransID('RKTQDM7W6S')).resolves.not.toBeNull();
+  });
+});
+
+describe('merchant-only routes', () => {
+  const originalApiKey = process.env.API_KEY;
+
+  beforeEach(() => {
+    process.env.API_KEY = 'secret-key';
+  });
+
+  afterEach(() => {
+    process.env.API_KEY = originalApiKey;
+  });
+
+  it.each([
+    ['/api/mpesa/b2c', { phone: '0712345678', amount: 100 }],
+    ['/api/mpesa/c2b/register', {}],
+    ['/api/mpesa/c2b/simulate', { phone: '0712345678', amount: 100 }],
+    ['/api/mpesa/transaction-status', { receiptNumber: 'NLJ7RT61SV' }],
+    ['/api/mpesa/balance', {}],
+    ['/api/mpesa/reversal', { receiptNumber: 'NLJ7RT61SV', amount: 100 }]
+  ])('require an API key for POST %s', async (path, body) => {
+    const response = await request(app).post(path).send(body).expect(401);
+
+    expect(response.body.code).toBe('INVALID_API_KEY');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    '/api/mpesa/requests/AG_20191219_00005797af5d7d75f652',
+    '/api/mpesa/transactions',
+    '/api/mpesa/transactions/ws_CO_1'
+  ])('require an API key for GET %s', async path => {
+    await request(app).get(path).expect(401);
+  });
+});
+
+describe('unknown routes', () => {
+  it('returns 404', async () => {
+    await request(app).get('/api/mpesa/nope').expect(404);
+  });
+});
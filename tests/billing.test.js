@@ -0,0 +1,190 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const mpesaService = require('../src/services/mpesaService');
+const billingService = require('../src/services/billingService');
+const billingScheduler = require('../src/services/billingScheduler');
+const webhookService = require('../src/services/webhookService');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const billingRepository = require('../src/repositories/billingRepository');
+const { MemoryStore } = require('../src/stores');
+const { mockDaraja, resetDaraja } = require('./support/daraja');
+
+let pushes;
+
+function succeed(checkoutRequestID) {
+  return mpesaService.updateTransactionStatus(checkoutRequestID, {
+    resultCode: 0,
+    resultDesc: 'The service request is processed successfully.',
+    paymentData: { amount: 1500, mpesaReceiptNumber: 'RCPT1' }
+  });
+}
+
+function cancel(checkoutRequestID) {
+  return mpesaService.updateTransactionStatus(checkoutRequestID, {
+    resultCode: 1032,
+    resultDesc: 'Request cancelled by user'
+  });
+}
+
+async function subscribe(plan = {}, subscription = {}) {
+  const planResponse = await request(app)
+    .post('/api/mpesa/plans')
+    .send({ name: 'Gold', amount: 1500, interval: 'monthly', ...plan })
+    .expect(201);
+
+  const response = await request(app)
+    .post('/api/mpesa/subscriptions')
+    .send({ planId: planResponse.body.data.id, phone: '0712345678', startAt: '2026-01-31T08:00:00.000Z', ...subscription })
+    .expect(201);
+  return response.body.data;
+}
+
+async function getSubscription(id) {
+  return (await request(app).get(`/api/mpesa/subscriptions/${id}`).expect(200)).body.data;
+}
+
+function emittedEvents() {
+  return webhookService.emit.mock.calls
+    .filter(([event]) => event.startsWith('subscription.'))
+    .map(([event, resourceId]) => `${event} ${resourceId}`);
+}
+
+// Run the scheduler as if it were a given time
+function runAt(time) {
+  jest.setSystemTime(new Date(time));
+  return billingScheduler.runOnce();
+}
+
+beforeEach(async () => {
+  await resetDaraja();
+  // Only the clock is faked - timers keep running normally
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+  jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+  billingRepository.setStores(new MemoryStore(), new MemoryStore());
+  billingService.dunningSchedule = [24, 72];
+  jest.spyOn(webhookService, 'emit').mockResolvedValue();
+  pushes = mockDaraja();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('billing plans', () => {
+  it('rejects invalid intervals and amounts', async () => {
+    await request(app).post('/api/mpesa/plans').send({ name: 'Gold', amount: 1500, interval: 'hourly' }).expect(400);
+    await request(app).post('/api/mpesa/plans').send({ name: 'Gold', amount: 70001, interval: 'monthly' }).expect(400);
+    await request(app).get('/api/mpesa/plans/PLN00000000').expect(404);
+  });
+});
+
+describe('subscriptions', () => {
+  it('charges when due and keeps the billing day across short months', async () => {
+    const subscription = await subscribe();
+    expect(subscription).toMatchObject({ status: 'ACTIVE', phone: '254712345678', nextChargeAt: '2026-01-31T08:00:00.000Z' });
+
+    expect(await runAt('2026-01-30T08:00:00Z')).toMatchObject({ charged: 0 });
+    expect(await runAt('2026-01-31T09:00:00Z')).toMatchObject({ charged: 1 });
+    expect(pushes[0]).toMatchObject({ Amount: 1500, AccountReference: subscription.id, PhoneNumber: '254712345678' });
+
+    // Nothing further is pushed while the charge is pending
+    expect(await runAt('2026-01-31T10:00:00Z')).toMatchObject({ charged: 0 });
+
+    await succeed('ws_CO_1');
+    const renewed = await getSubscription(subscription.id);
+    expect(renewed).toMatchObject({ status: 'ACTIVE', cycle: 1, nextChargeAt: '2026-02-28T08:00:00.000Z', pendingCheckoutRequestID: null });
+    expect(renewed.charges[0]).toMatchObject({ status: 'SUCCESS', cycle: 0, attempt: 1 });
+
+    await runAt('2026-02-28T08:00:00Z');
+    await succeed('ws_CO_2');
+    expect((await getSubscription(subscription.id)).nextChargeAt).toBe('2026-03-31T08:00:00.000Z');
+    expect(emittedEvents()).toEqual([`subscription.renewed ${subscription.id}:0`, `subscription.renewed ${subscription.id}:1`]);
+  });
+
+  it('retries a cancelled charge on the dunning schedule and emits past due once', async () => {
+    const subscription = await subscribe();
+
+    await runAt('2026-01-31T08:00:00Z');
+    await cancel('ws_CO_1');
+
+    const pastDue = await getSubscription(subscription.id);
+    expect(pastDue).toMatchObject({ status: 'PAST_DUE', dunningAttempt: 1, nextChargeAt: '2026-02-01T08:00:00.000Z' });
+
+    await runAt('2026-02-01T08:00:00Z');
+    await cancel('ws_CO_2');
+    expect(await getSubscription(subscription.id)).toMatchObject({ dunningAttempt: 2, nextChargeAt: '2026-02-03T08:00:00.000Z' });
+
+    await runAt('2026-02-03T08:00:00Z');
+    await succeed('ws_CO_3');
+
+    const recovered = await getSubscription(subscription.id);
+    expect(recovered).toMatchObject({ status: 'ACTIVE', dunningAttempt: 0, cycle: 1, nextChargeAt: '2026-02-28T08:00:00.000Z' });
+    expect(recovered.charges.map(charge => charge.attempt)).toEqual([1, 2, 3]);
+    expect(emittedEvents()).toEqual([`subscription.past_due ${subscription.id}:0`, `subscription.renewed ${subscription.id}:0`]);
+  });
+
+  it('cancels the subscription once the dunning schedule is used up', async () => {
+    const subscription = await subscribe();
+
+    for (const [at, checkoutRequestID] of [['2026-01-31', 'ws_CO_1'], ['2026-02-01', 'ws_CO_2'], ['2026-02-03', 'ws_CO_3']]) {
+      await runAt(`${at}T08:00:00Z`);
+      await cancel(checkoutRequestID);
+    }
+
+    const cancelled = await getSubscription(subscription.id);
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(cancelled.cancelReason).toMatch(/Payment failed after 3 attempts/);
+    expect(emittedEvents()).toContain(`subscription.cancelled ${subscription.id}`);
+
+    expect(await runAt('2026-03-31T08:00:00Z')).toMatchObject({ charged: 0 });
+  });
+
+  it('applies each outcome only once', async () => {
+    const subscription = await subscribe();
+    await runAt('2026-01-31T08:00:00Z');
+
+    const transaction = await cancel('ws_CO_1');
+    await billingService.handleTransactionOutcome(transaction);
+
+    expect((await getSubscription(subscription.id)).dunningAttempt).toBe(1);
+  });
+
+  it('does not charge paused subscriptions until resumed', async () => {
+    const subscription = await subscribe();
+
+    await request(app).post(`/api/mpesa/subscriptions/${subscription.id}/pause`).expect(200);
+    expect(await runAt('2026-02-01T08:00:00Z')).toMatchObject({ charged: 0 });
+
+    const resumed = await request(app).post(`/api/mpesa/subscriptions/${subscription.id}/resume`).expect(200);
+    expect(resumed.body.data.status).toBe('ACTIVE');
+    expect(await runAt('2026-02-01T08:00:00Z')).toMatchObject({ charged: 1 });
+
+    const again = await request(app).post(`/api/mpesa/subscriptions/${subscription.id}/resume`).expect(409);
+    expect(again.body.code).toBe('SUBSCRIPTION_NOT_PAUSED');
+  });
+
+  it('cancels on request and refuses further changes', async () => {
+    const subscription = await subscribe();
+
+    const response = await request(app)
+      .post(`/api/mpesa/subscriptions/${subscription.id}/cancel`)
+      .send({ reason: 'Customer request' })
+      .expect(200);
+    expect(response.body.data).toMatchObject({ status: 'CANCELLED', cancelReason: 'Customer request' });
+
+    const pause = await request(app).post(`/api/mpesa/subscriptions/${subscription.id}/pause`).expect(409);
+    expect(pause.body.code).toBe('SUBSCRIPTION_CANCELLED');
+    expect(await runAt('2026-02-01T08:00:00Z')).toMatchObject({ charged: 0 });
+  });
+
+  it('leaves the charge due when Daraja is unavailable', async () => {
+    const subscription = await subscribe();
+    axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    expect(await runAt('2026-01-31T08:00:00Z')).toMatchObject({ failed: 1 });
+    expect(await getSubscription(subscription.id)).toMatchObject({ status: 'ACTIVE', dunningAttempt: 0, chargeStartedAt: null });
+  });
+});
@@ -0,0 +1,201 @@
+jest.mock('axios');
+
+// Callbacks are allow-listed by IP, so route them through a trusted proxy
+process.env.TRUST_PROXY = 'true';
+const SAFARICOM_IP = '196.201.214.200';
+
+const request = require('supertest');
+const app = require('../src/app');
+const callbackInboxWorker = require('../src/services/callbackInboxWorker');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const callbackInboxRepository = require('../src/repositories/callbackInboxRepository');
+const tenantRegistry = require('../src/services/tenantRegistry');
+const { MpesaService } = require('../src/services/mpesaService');
+const { normalizeTenant } = require('../src/config/tenants');
+const { MemoryStore } = require('../src/stores');
+
+const OTHER_API_KEY = 'other-tenant-key';
+
+tenantRegistry.register(new MpesaService(normalizeTenant({
+  id: 'other',
+  baseUrl: 'https://daraja.test',
+  businessShortCode: '600999'
+})), OTHER_API_KEY);
+
+function callback(checkoutRequestID, resultCode = 1032) {
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-1',
+        CheckoutRequestID: checkoutRequestID,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+        ...(resultCode === 0 && {
+          CallbackMetadata: { Item: [{ Name: 'Amount', Value: 100 }, { Name: 'MpesaReceiptNumber', Value: 'QGH1AAAAAA' }] }
+        })
+      }
+    }
+  };
+}
+
+async function post(body) {
+  const response = await request(app)
+    .post('/api/mpesa/callback')
+    .set('X-Forwarded-For', SAFARICOM_IP)
+    .send(body)
+    .expect(200);
+  await callbackInboxWorker.whenIdle();
+
+  return response.body.data;
+}
+
+beforeEach(async () => {
+  transactionRepository.setStore(new MemoryStore());
+  callbackInboxRepository.setStores(new MemoryStore(), new MemoryStore());
+
+  await transactionRepository.create({ checkoutRequestID: 'ws_CO_1', merchantRequestID: '29115-1', phone: '254712345678', amount: 100, accountReference: 'ORDER1' });
+});
+
+describe('callback inbox', () => {
+  it('stores the raw callback and applies it', async () => {
+    const { id } = await post(callback('ws_CO_1', 0));
+
+    const entry = await callbackInboxRepository.findById(id);
+    expect(entry).toMatchObject({ status: 'PROCESSED', attempts: 1, dedupeKey: 'ws_CO_1:0', sourceIp: SAFARICOM_IP });
+    expect(entry.body).toEqual(callback('ws_CO_1', 0));
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_1')).toMatchObject({ status: 'SUCCESS' });
+  });
+
+  it('stores a repeated callback as a duplicate without applying it again', async () => {
+    const first = await post(callback('ws_CO_1'));
+    const spy = jest.spyOn(callbackInboxWorker, 'processEntry');
+
+    const second = await post(callback('ws_CO_1'));
+
+    expect(second.status).toBe('DUPLICATE');
+    expect(await callbackInboxRepository.findById(second.id)).toMatchObject({ duplicateOf: first.id, attempts: 0 });
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('treats a ResultCode sent as a string as the same callback', async () => {
+    const first = await post(callback('ws_CO_1', 0));
+    const repeat = callback('ws_CO_1', 0);
+    repeat.Body.stkCallback.ResultCode = '0';
+
+    const second = await post(repeat);
+
+    expect(second.status).toBe('DUPLICATE');
+    expect(await callbackInboxRepository.findById(second.id)).toMatchObject({ duplicateOf: first.id });
+  });
+
+  it('treats a different ResultCode for the same push as a new callback', async () => {
+    await post(callback('ws_CO_1', 1037));
+    const second = await post(callback('ws_CO_1', 0));
+
+    expect(await callbackInboxRepository.findById(second.id)).toMatchObject({ status: 'PROCESSED' });
+  });
+
+  it('retries a callback for an unknown push and then fails it', async () => {
+    const { id } = await post(callback('ws_CO_404'));
+
+    expect(await callbackInboxRepository.findById(id)).toMatchObject({
+      status: 'FAILED',
+      attempts: callbackInboxWorker.maxAttempts,
+      lastError: 'No recorded transaction for CheckoutRequestID ws_CO_404'
+    });
+
+    const response = await request(app).get('/api/mpesa/callbacks/inbox?status=FAILED').expect(200);
+    expect(response.body.data.total).toBe(1);
+    expect(response.body.data.entries[0]).toMatchObject({ id, checkoutRequestID: 'ws_CO_404' });
+    expect(response.body.data.entries[0].body).toBeUndefined();
+  });
+
+  it('processes a callback again once a failed entry is reprocessed', async () => {
+    const { id } = await post(callback('ws_CO_2'));
+    await transactionRepository.create({ checkoutRequestID: 'ws_CO_2', merchantRequestID: '29115-2', phone: '254712345678', amount: 100 });
+
+    const response = await request(app).post(`/api/mpesa/callbacks/inbox/${id}/reprocess`).expect(200);
+
+    expect(response.body.data).toMatchObject({ status: 'PROCESSED' });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_2')).toMatchObject({ status: 'CANCELLED' });
+
+    const again = await request(app).post(`/api/mpesa/callbacks/inbox/${id}/reprocess`).expect(409);
+    expect(again.body.code).toBe('INBOX_ENTRY_NOT_FAILED');
+  });
+
+  it('accepts a repeat of a callback whose first copy failed', async () => {
+    const first = await post(callback('ws_CO_2'));
+    await transactionRepository.create({ checkoutRequestID: 'ws_CO_2', merchantRequestID: '29115-2', phone: '254712345678', amount: 100 });
+
+    const second = await post(callback('ws_CO_2'));
+
+    expect(second.status).toBe('RECEIVED');
+    expect(await callbackInboxRepository.findById(first.id)).toMatchObject({ status: 'FAILED' });
+    expect(await callbackInboxRepository.findById(second.id)).toMatchObject({ status: 'PROCESSED' });
+  });
+
+  it('treats repeats of a reprocessed entry as its duplicates', async () => {
+    const first = await post(callback('ws_CO_2'));
+    await transactionRepository.create({ checkoutRequestID: 'ws_CO_2', merchantRequestID: '29115-2', phone: '254712345678', amount: 100 });
+    await request(app).post(`/api/mpesa/callbacks/inbox/${first.id}/reprocess`).expect(200);
+
+    const second = await post(callback('ws_CO_2'));
+
+    expect(second.status).toBe('DUPLICATE');
+    expect(await callbackInboxRepository.findById(second.id)).toMatchObject({ duplicateOf: first.id });
+  });
+
+  it('picks up entries left unprocessed by a restart', async () => {
+    const entry = await callbackInboxRepository.append({
+      body: callback('ws_CO_1'),
+      dedupeKey: 'ws_CO_1:1032',
+      checkoutRequestID: 'ws_CO_1',
+      resultCode: 1032
+    });
+
+    expect(await callbackInboxWorker.runOnce()).toEqual({ processed: 1, retrying: 0, failed: 0 });
+    expect(await callbackInboxRepository.findById(entry.id)).toMatchObject({ status: 'PROCESSED' });
+  });
+
+  it('returns the raw body for one entry and 404 for unknown ones', async () => {
+    const { id } = await post(callback('ws_CO_1'));
+
+    const response = await request(app).get(`/api/mpesa/callbacks/inbox/${id}`).expect(200);
+    expect(response.body.data.body).toEqual(callback('ws_CO_1'));
+
+    await request(app).get('/api/mpesa/callbacks/inbox/cb_missing').expect(404);
+    await request(app).post('/api/mpesa/callbacks/inbox/cb_missing/reprocess').expect(404);
+  });
+
+  it('only shows a tenant the callbacks for its own pushes', async () => {
+    await transactionRepository.create({ tenantId: 'other', checkoutRequestID: 'ws_CO_9', merchantRequestID: '29115-9', phone: '254712345678', amount: 100 });
+    const ours = await post(callback('ws_CO_1'));
+    const theirs = await post(callback('ws_CO_9'));
+
+    expect(await callbackInboxRepository.findById(theirs.id)).toMatchObject({ tenantId: 'other', status: 'PROCESSED' });
+
+    const list = await request(app).get('/api/mpesa/callbacks/inbox').set('X-API-Key', OTHER_API_KEY).expect(200);
+    expect(list.body.data.entries.map(entry => entry.id)).toEqual([theirs.id]);
+
+    await request(app).get(`/api/mpesa/callbacks/inbox/${theirs.id}`).set('X-API-Key', OTHER_API_KEY).expect(200);
+    await request(app).get(`/api/mpesa/callbacks/inbox/${ours.id}`).set('X-API-Key', OTHER_API_KEY).expect(404);
+    await request(app).get(`/api/mpesa/callbacks/inbox/${theirs.id}`).expect(404);
+    await request(app).post(`/api/mpesa/callbacks/inbox/${ours.id}/reprocess`).set('X-API-Key', OTHER_API_KEY).expect(404);
+  });
+
+  it('gives a callback the tenant of a push recorded after it arrived', async () => {
+    const entry = await callbackInboxRepository.append({
+      body: callback('ws_CO_9'),
+      dedupeKey: 'ws_CO_9:1032',
+      checkoutRequestID: 'ws_CO_9',
+      resultCode: 1032
+    });
+    await transactionRepository.create({ tenantId: 'other', checkoutRequestID: 'ws_CO_9', merchantRequestID: '29115-9', phone: '254712345678', amount: 100 });
+
+    await callbackInboxWorker.runOnce();
+
+    expect(await callbackInboxRepository.findById(entry.id, 'other')).toMatchObject({ status: 'PROCESSED' });
+    expect(await callbackInboxRepository.findById(entry.id, 'default')).toBeNull();
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { DarajaClient } = require('../src/services/darajaClient');
+const { CircuitBreaker } = require('../src/utils/circuitBreaker');
+
+function networkError(code = 'ECONNRESET') {
+  return Object.assign(new Error(`socket ${code}`), { code });
+}
+
+function createClient() {
+  let token = 0;
+  return new DarajaClient({
+    name: 'test',
+    getAccessToken: jest.fn(async () => `token-${token}`),
+    invalidateAccessToken: jest.fn(() => { token += 1; })
+  });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('DarajaClient', () => {
+  it('sends the bearer token and the endpoint timeout', async () => {
+    const client = createClient();
+    axios.post.mockResolvedValue({ data: { ResponseCode: '0' } });
+
+    await client.post('stkQuery', 'https://daraja.test/query', { CheckoutRequestID: 'ws_CO_1' });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://daraja.test/query',
+      { CheckoutRequestID: 'ws_CO_1' },
+      expect.objectContaining({
+        timeout: 15000,
+        headers: expect.objectContaining({ Authorization: 'Bearer token-0' })
+      })
+    );
+  });
+
+  it('retries safe operations on network failures', async () => {
+    const client = createClient();
+    axios.post.mockRejectedValueOnce(networkError()).mockResolvedValue({ data: { ResultCode: '0' } });
+
+    const response = await client.post('stkQuery', 'https://daraja.test/query', {});
+
+    expect(response.data.ResultCode).toBe('0');
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('never retries an STK push on a network failure', async () => {
+    const client = createClient();
+    axios.post.mockRejectedValue(networkError('ECONNABORTED'));
+
+    await expect(client.post('stkPush', 'https://daraja.test/push', {})).rejects.toMatchObject({
+      code: 'UPSTREAM_UNAVAILABLE'
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry business errors', async () => {
+    const client = createClient();
+    axios.post.mockRejectedValue({
+      response: { status: 500, data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }
+    });
+
+    await expect(client.post('stkQuery', 'https://daraja.test/query', {})).rejects.toMatchObject({
+      errorCode: '500.001.1001'
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes the token and retries once when it is rejected', async () => {
+    const client = createClient();
+    axios.post
+      .mockRejectedValueOnce({ response: { status: 404, data: { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' } } })
+      .mockResolvedValue({ data: { ResponseCode: '0' } });
+
+    await client.post('stkPush', 'https://daraja.test/push', {});
+
+    expect(client.invalidateAccessToken).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[1][2].headers.Authorization).toBe('Bearer token-1');
+  });
+
+  it('gives up after a single token refresh', async () => {
+    const client = createClient();
+    axios.post.mockRejectedValue({ response: { status: 401, data: {} } });
+
+    await expect(client.post('stkPush', 'https://daraja.test/push', {})).rejects.toMatchObject({
+      code: 'AUTHENTICATION_FAILED'
+    });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails fast once the circuit opens', async () => {
+    const client = createClient();
+    axios.post.mockRejectedValue(networkError());
+
+    for (let i = 0; i < client.breaker.failureThreshold; i++) {
+      await expect(client.post('stkPush', 'https://daraja.test/push', {})).rejects.toThrow();
+    }
+
+    const error = await client.post('stkPush', 'https://daraja.test/push', {}).catch(rejection => rejection);
+
+    expect(error.message).toBe('M-Pesa service is temporarily unavailable');
+    expect(error.details.circuitBreaker.state).toBe('OPEN');
+    expect(axios.post).toHaveBeenCalledTimes(client.breaker.failureThreshold);
+    expect(client.getCircuitState().state).toBe('OPEN');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('lets one trial call through after the reset timeout', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow('down');
+    await expect(breaker.execute(async () => 'ok')).rejects.toThrow('is open');
+
+    now.mockReturnValue(1000);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState().state).toBe('CLOSED');
+    now.mockRestore();
+  });
+
+  it('ignores errors that are not failures', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: () => false });
+
+    await expect(breaker.execute(() => Promise.reject(new Error('rejected')))).rejects.toThrow('rejected');
+
+    expect(breaker.getState()).toMatchObject({ state: 'CLOSED', failures: 0 });
+  });
+});
@@ -0,0 +1,124 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createDarajaSimulator } = require('../src/simulator/darajaSimulator');
+
+// The API and the simulator share one loopback server: Daraja calls and
+// callbacks make real HTTP requests, but nothing leaves this process
+const simulatorApp = createDarajaSimulator({ callbackDelayMs: 20 });
+const simulator = simulatorApp.simulator;
+
+let server;
+let app;
+let transactionRepository;
+let callbackInboxRepository;
+let callbackInboxWorker;
+
+beforeAll(async () => {
+  const root = express();
+  root.use('/daraja-simulator', simulatorApp);
+  root.use((req, res, next) => app(req, res, next));
+
+  server = http.createServer(root);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.MPESA_BASE_URL = `${baseUrl}/daraja-simulator`;
+  process.env.MPESA_CALLBACK_URL = `${baseUrl}/api/mpesa/callback`;
+  process.env.MPESA_CALLBACK_IP_RANGES = '127.0.0.1/32';
+  // Long enough for an out-of-order callback to wait for its push to be recorded
+  process.env.CALLBACK_RETRY_DELAY_MS = '50';
+
+  app = require('../src/app');
+  transactionRepository = require('../src/repositories/transactionRepository');
+  callbackInboxRepository = require('../src/repositories/callbackInboxRepository');
+  callbackInboxWorker = require('../src/services/callbackInboxWorker');
+});
+
+afterAll(async () => {
+  await callbackInboxWorker.whenIdle();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  simulator.reset();
+});
+
+/**
+ * Push through the API with a scenario queued on the simulator
+ * @returns {string} The CheckoutRequestID
+ */
+async function pushWith(scenario, phone) {
+  simulator.queueScenario(scenario);
+
+  const response = await request(server)
+    .post('/api/mpesa/stkpush')
+    .send({ phone, amount: 10, accountReference: 'SIM001' })
+    .expect(200);
+
+  return response.body.data.checkoutRequestID;
+}
+
+/**
+ * Wait for the simulator's callbacks to be received and applied
+ */
+async function settled(checkoutRequestID, callbacks = 1) {
+  for (let i = 0; i < 100; i++) {
+    await callbackInboxWorker.whenIdle();
+    const transaction = await transactionRepository.findByCheckoutRequestID(checkoutRequestID);
+    const { total } = await callbackInboxRepository.list({ checkoutRequestID });
+
+    if (transaction && transaction.status !== 'PENDING' && total >= callbacks) {
+      await callbackInboxWorker.whenIdle();
+      return transaction;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`${checkoutRequestID} never settled`);
+}
+
+async function inboxStatuses(checkoutRequestID) {
+  const { entries } = await callbackInboxRepository.list({ checkoutRequestID });
+  return entries.map(entry => entry.status).sort();
+}
+
+describe('Daraja simulator', () => {
+  it('completes a successful payment through the callback', async () => {
+    const id = await pushWith('success', '0712345001');
+    const transaction = await settled(id);
+
+    expect(transaction).toMatchObject({ status: 'SUCCESS', resultCode: 0, phone: '254712345001' });
+    expect(transaction.paymentData.mpesaReceiptNumber).toMatch(/^[0-9A-F]{10}$/);
+  });
+
+  it('records a payment cancelled by the customer', async () => {
+    const transaction = await settled(await pushWith('cancelled', '0712345002'));
+
+    expect(transaction).toMatchObject({ status: 'CANCELLED', resultCode: 1032 });
+  });
+
+  it('records a push the customer never answered', async () => {
+    const transaction = await settled(await pushWith('timeout', '0712345003'));
+
+    expect(transaction).toMatchObject({ status: 'TIMEOUT', resultCode: 1037 });
+  });
+
+  it('applies a callback delivered twice only once', async () => {
+    const id = await pushWith('duplicate', '0712345004');
+    const transaction = await settled(id, 2);
+
+    expect(transaction.status).toBe('SUCCESS');
+    await expect(inboxStatuses(id)).resolves.toEqual(['DUPLICATE', 'PROCESSED']);
+  });
+
+  it('applies a callback that arrives before the push response', async () => {
+    const id = await pushWith('outOfOrder', '0712345005');
+
+    // Delivered before the API had the CheckoutRequestID to record
+    expect(simulator.sentCallbacks.map(callback => callback.body.Body.stkCallback.CheckoutRequestID)).toEqual([id]);
+
+    const transaction = await settled(id);
+    expect(transaction.status).toBe('SUCCESS');
+    await expect(inboxStatuses(id)).resolves.toEqual(['PROCESSED']);
+  });
+});
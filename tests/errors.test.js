@@ -0,0 +1,77 @@
+const {
+  MpesaError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  BusinessRuleError,
+  toMpesaError,
+  errorResponse
+} = require('../src/utils/errors');
+
+function darajaError(status, errorCode, errorMessage = 'Daraja error') {
+  return { response: { status, data: { errorCode, errorMessage } } };
+}
+
+describe('toMpesaError', () => {
+  it.each([
+    ['400.002.02', 400, ValidationError, 400],
+    ['404.001.03', 404, AuthenticationError, 502],
+    ['400.008.01', 400, AuthenticationError, 502],
+    ['500.003.02', 500, RateLimitedError, 429],
+    ['500.001.1001', 500, BusinessRuleError, 422],
+    ['503.001.01', 503, UpstreamUnavailableError, 503]
+  ])('maps Daraja errorCode %s', (errorCode, httpStatus, ErrorClass, status) => {
+    const error = toMpesaError(darajaError(httpStatus, errorCode));
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.status).toBe(status);
+    expect(error.errorCode).toBe(errorCode);
+  });
+
+  it('falls back to the HTTP status without an errorCode', () => {
+    expect(toMpesaError({ response: { status: 429, data: {} } })).toBeInstanceOf(RateLimitedError);
+    expect(toMpesaError({ response: { status: 502, data: {} } })).toBeInstanceOf(UpstreamUnavailableError);
+  });
+
+  it('treats network failures as upstream unavailable', () => {
+    const networkError = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    expect(toMpesaError(networkError)).toMatchObject({ status: 503, code: 'UPSTREAM_UNAVAILABLE' });
+  });
+
+  it('keeps typed errors and wraps untyped ones', () => {
+    const typed = new BusinessRuleError('Rejected', { resultCode: '1' });
+
+    expect(toMpesaError(typed)).toBe(typed);
+    expect(toMpesaError(new Error('boom'))).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'boom' });
+  });
+});
+
+describe('errorResponse', () => {
+  it('exposes the code, errorCode and resultCode', () => {
+    const { status, body } = errorResponse(new BusinessRuleError('Rejected', { errorCode: '500.001.1001', resultCode: '1' }));
+
+    expect(status).toBe(422);
+    expect(body).toEqual({
+      success: false,
+      message: 'Rejected',
+      code: 'BUSINESS_RULE_VIOLATION',
+      errorCode: '500.001.1001',
+      resultCode: '1',
+      data: null
+    });
+  });
+
+  it('hides internal messages in production', () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      const { body } = errorResponse(new MpesaError('secret detail'), 'Failed to initiate STK Push');
+      expect(body.message).toBe('Failed to initiate STK Push');
+    } finally {
+      process.env.NODE_ENV = previous;
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  formatPhoneNumber,
+  generatePassword,
+  parseMpesaTimestamp,
+  isValidAmount,
+  parseResultParameters,
+  parseAccountBalance,
+  generateCallbackToken,
+  hashCallbackToken,
+  validateCallbackToken,
+  signWebhookPayload,
+  splitAmount
+} = require('../src/utils/helpers');
+
+describe('formatPhoneNumber', () => {
+  it('converts local 07XX numbers to 254 format', () => {
+    expect(formatPhoneNumber('0712345678')).toBe('254712345678');
+  });
+
+  it('accepts numbers already in 254 format', () => {
+    expect(formatPhoneNumber('254712345678')).toBe('254712345678');
+  });
+
+  it('prefixes 9-digit numbers with 254', () => {
+    expect(formatPhoneNumber('712345678')).toBe('254712345678');
+  });
+
+  it('strips a leading + and separators', () => {
+    expect(formatPhoneNumber('+254 712-345-678')).toBe('254712345678');
+  });
+
+  it('accepts Safaricom 01XX numbers', () => {
+    expect(formatPhoneNumber('0110345678')).toBe('254110345678');
+  });
+
+  it('refuses numbers on networks without M-Pesa', () => {
+    expect(() => formatPhoneNumber('0733345678')).toThrow('0733345678 is an Airtel number and cannot use M-Pesa');
+  });
+
+  it('rejects invalid numbers', () => {
+    expect(() => formatPhoneNumber('123456789')).toThrow('Invalid phone number format');
+    expect(() => formatPhoneNumber('07123')).toThrow('Invalid phone number format');
+  });
+});
+
+describe('generatePassword', () => {
+  it('base64 encodes shortcode + passkey + timestamp', () => {
+    const password = generatePassword('174379', 'passkey', '20240101120000');
+    expect(Buffer.from(password, 'base64').toString()).toBe('174379passkey20240101120000');
+  });
+});
+
+describe('parseMpesaTimestamp', () => {
+  it('parses YYYYMMDDHHmmss numbers', () => {
+    const date = parseMpesaTimestamp(20191219102115);
+    expect(date.getFullYear()).toBe(2019);
+    expect(date.getMonth()).toBe(11);
+    expect(date.getDate()).toBe(19);
+    expect(date.getHours()).toBe(10);
+    expect(date.getMinutes()).toBe(21);
+    expect(date.getSeconds()).toBe(15);
+  });
+
+  it('parses timestamp strings', () => {
+    expect(parseMpesaTimestamp('20240229235959').getDate()).toBe(29);
+  });
+});
+
+describe('isValidAmount', () => {
+  it('accepts amounts between 1 and 70,000', () => {
+    expect(isValidAmount(1)).toBe(true);
+    expect(isValidAmount(70000)).toBe(true);
+  });
+
+  it('rejects amounts outside the limits', () => {
+    expect(isValidAmount(0)).toBe(false);
+    expect(isValidAmount(70001)).toBe(false);
+    expect(isValidAmount('abc')).toBe(false);
+  });
+});
+
+describe('splitAmount', () => {
+  it('splits an amount into chunks no larger than the limit', () => {
+    expect(splitAmount(150000, 70000)).toEqual([70000, 70000, 10000]);
+    expect(splitAmount(70000, 70000)).toEqual([70000]);
+    expect(splitAmount(500, 70000)).toEqual([500]);
+  });
+});
+
+describe('parseResultParameters', () => {
+  it('maps an array of parameters by key', () => {
+    expect(parseResultParameters({
+      ResultParameter: [
+        { Key: 'TransactionAmount', Value: 100 },
+        { Key: 'TransactionReceipt', Value: 'NLJ41HAY6Q' }
+      ]
+    })).toEqual({ TransactionAmount: 100, TransactionReceipt: 'NLJ41HAY6Q' });
+  });
+
+  it('handles a single parameter object', () => {
+    expect(parseResultParameters({ ResultParameter: { Key: 'Amount', Value: 5 } })).toEqual({ Amount: 5 });
+  });
+
+  it('returns an empty object when parameters are missing', () => {
+    expect(parseResultParameters(undefined)).toEqual({});
+  });
+});
+
+describe('parseAccountBalance', () => {
+  it('splits accounts and fields', () => {
+    const accounts = parseAccountBalance('Working Account|KES|46713.00|46713.00|0.00|0.00&Utility Account|KES|49217.00|49000.00|217.00|0.00');
+
+    expect(accounts).toEqual([
+      { account: 'Working Account', currency: 'KES', currentBalance: 46713, availableBalance: 46713, reservedAmount: 0, unclearedBalance: 0 },
+      { account: 'Utility Account', currency: 'KES', currentBalance: 49217, availableBalance: 49000, reservedAmount: 217, unclearedBalance: 0 }
+    ]);
+  });
+
+  it('returns an empty list for an empty value', () => {
+    expect(parseAccountBalance('')).toEqual([]);
+  });
+});
+
+describe('callback tokens', () => {
+  it('validates a token against its hash', () => {
+    const token = generateCallbackToken();
+    const hash = hashCallbackToken(token);
+
+    expect(validateCallbackToken(token, hash)).toBe(true);
+    expect(validateCallbackToken(generateCallbackToken(), hash)).toBe(false);
+    expect(validateCallbackToken(undefined, hash)).toBe(false);
+  });
+});
+
+describe('signWebhookPayload', () => {
+  it('produces a timestamped HMAC-SHA256 signature', () => {
+    const crypto = require('crypto');
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signWebhookPayload('{"a":1}', 'secret', 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const mpesaService = require('../src/services/mpesaService');
+const invoiceService = require('../src/services/invoiceService');
+const { ACCOUNT_REFERENCE_MAX_LENGTH } = require('../src/services/mpesaService');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const invoiceRepository = require('../src/repositories/invoiceRepository');
+const { MemoryStore } = require('../src/stores');
+const { mockDaraja, resetDaraja } = require('./support/daraja');
+
+let pushes;
+
+function succeed(checkoutRequestID, amount) {
+  return mpesaService.updateTransactionStatus(checkoutRequestID, {
+    resultCode: 0,
+    resultDesc: 'The service request is processed successfully.',
+    paymentData: { amount, mpesaReceiptNumber: `RCPT${checkoutRequestID.slice(-1)}` }
+  });
+}
+
+async function createInvoice(body = {}) {
+  const response = await request(app)
+    .post('/api/mpesa/invoices')
+    .send({ amountDue: 1000, description: 'Order 7', phone: '0712345678', ...body })
+    .expect(201);
+  return response.body.data;
+}
+
+async function getInvoice(id) {
+  return (await request(app).get(`/api/mpesa/invoices/${id}`).expect(200)).body.data;
+}
+
+beforeEach(async () => {
+  await resetDaraja();
+  invoiceRepository.setStore(new MemoryStore());
+  pushes = mockDaraja();
+});
+
+describe('invoices', () => {
+  it('creates an open invoice whose id fits the AccountReference', async () => {
+    const invoice = await createInvoice();
+
+    expect(invoice).toMatchObject({ status: 'OPEN', amountDue: 1000, amountPaid: 0, creditBalance: 0 });
+    expect(invoice.reference).toBe(invoice.id);
+    expect(invoice.id.length).toBeLessThanOrEqual(12);
+    expect(invoice.statusHistory).toHaveLength(1);
+  });
+
+  it('refuses references longer than Daraja accepts, even without the route schema', async () => {
+    expect(ACCOUNT_REFERENCE_MAX_LENGTH).toBe(12);
+
+    await expect(invoiceService.createInvoice('default', { amountDue: 100, reference: 'INVOICE-00042' }))
+      .rejects.toThrow('reference must be at most 12 characters');
+    await expect(invoiceService.createInvoice('default', { amountDue: 100, reference: 'INVOICE-0042' }))
+      .resolves.toMatchObject({ reference: 'INVOICE-0042' });
+  });
+
+  it('applies partial payments until the invoice is paid', async () => {
+    const invoice = await createInvoice();
+
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({ amount: 400 }).expect(200);
+    expect(pushes[0]).toMatchObject({ Amount: 400, AccountReference: invoice.id, PhoneNumber: '254712345678' });
+
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({ amount: 100 }).expect(409);
+
+    await succeed('ws_CO_1', 400);
+    expect(await getInvoice(invoice.id)).toMatchObject({ status: 'PARTIALLY_PAID', amountPaid: 400 });
+
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(200);
+    expect(pushes[1].Amount).toBe(600);
+    await succeed('ws_CO_2', 600);
+
+    const paid = await getInvoice(invoice.id);
+    expect(paid).toMatchObject({ status: 'PAID', amountPaid: 1000, creditBalance: 0 });
+    expect(paid.payments.map(payment => payment.mpesaReceiptNumber)).toEqual(['RCPT1', 'RCPT2']);
+    expect(paid.statusHistory.map(entry => entry.status)).toEqual(['OPEN', 'PARTIALLY_PAID', 'PAID']);
+
+    const again = await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(409);
+    expect(again.body.code).toBe('INVOICE_PAID');
+  });
+
+  it('holds an overpayment as credit', async () => {
+    const invoice = await createInvoice();
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(200);
+
+    await succeed('ws_CO_1', 1200);
+
+    const paid = await getInvoice(invoice.id);
+    expect(paid).toMatchObject({ status: 'PAID', amountPaid: 1200, creditBalance: 200 });
+    expect(paid.statusHistory[paid.statusHistory.length - 1].note).toMatch(/Overpaid by 200 KES/);
+  });
+
+  it('applies each outcome only once', async () => {
+    const invoice = await createInvoice();
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({ amount: 400 }).expect(200);
+
+    const transaction = await succeed('ws_CO_1', 400);
+    await invoiceService.handleTransactionOutcome(transaction);
+
+    expect((await getInvoice(invoice.id)).amountPaid).toBe(400);
+  });
+
+  it('rejects amounts above the balance', async () => {
+    const invoice = await createInvoice();
+
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({ amount: 1001 }).expect(400);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('splits amounts above the STK limit into sequential pushes', async () => {
+    const invoice = await createInvoice({ amountDue: 150000 });
+
+    const response = await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(200);
+    expect(response.body.data.installments).toEqual([70000, 70000, 10000]);
+    expect(pushes).toHaveLength(1);
+
+    await succeed('ws_CO_1', 70000);
+    await invoiceService.whenIdle();
+    expect(pushes.map(push => push.Amount)).toEqual([70000, 70000]);
+
+    await succeed('ws_CO_2', 70000);
+    await invoiceService.whenIdle();
+    await succeed('ws_CO_3', 10000);
+    await invoiceService.whenIdle();
+
+    const paid = await getInvoice(invoice.id);
+    expect(pushes.map(push => push.Amount)).toEqual([70000, 70000, 10000]);
+    expect(paid).toMatchObject({ status: 'PAID', amountPaid: 150000, paymentPlan: { active: false } });
+  });
+
+  it('stops the installments when one fails', async () => {
+    const invoice = await createInvoice({ amountDue: 100000 });
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(200);
+
+    await mpesaService.updateTransactionStatus('ws_CO_1', { resultCode: 1032, resultDesc: 'Request cancelled by user' });
+    await invoiceService.whenIdle();
+
+    const stopped = await getInvoice(invoice.id);
+    expect(pushes).toHaveLength(1);
+    expect(stopped).toMatchObject({
+      status: 'OPEN',
+      paymentPlan: { active: false, stoppedReason: 'Request cancelled by user' }
+    });
+
+    await request(app).post(`/api/mpesa/invoices/${invoice.id}/pay`).send({}).expect(200);
+  });
+
+  it('lists invoices by status and returns 404 for unknown ones', async () => {
+    await createInvoice();
+
+    await request(app).get('/api/mpesa/invoices/INV00000000').expect(404);
+    const list = await request(app).get('/api/mpesa/invoices?status=OPEN').expect(200);
+    expect(list.body.data.total).toBe(1);
+  });
+});
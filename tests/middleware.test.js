@@ -0,0 +1,289 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  apiKeyAuth,
+  validateMpesaIP,
+  verifyCallbackToken
+} = require('../src/middleware/auth');
+const { idempotency } = require('../src/middleware/idempotency');
+const { rateLimit, ipRateLimit, phoneRateLimit, byApiKey } = require('../src/middleware/rateLimit');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const { MemoryStore } = require('../src/stores');
+const { generateCallbackToken, hashCallbackToken } = require('../src/utils/helpers');
+
+function createApp(configure, { trustProxy = true } = {}) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(express.json());
+  configure(app);
+  return app;
+}
+
+const ok = (req, res) => res.json({ success: true });
+
+describe('apiKeyAuth', () => {
+  const originalApiKey = process.env.API_KEY;
+
+  afterEach(() => {
+    process.env.API_KEY = originalApiKey;
+  });
+
+  it('rejects requests without the configured API key', async () => {
+    process.env.API_KEY = 'secret-key';
+    const app = createApp(app => app.get('/', apiKeyAuth, ok));
+
+    await request(app).get('/').expect(401);
+    await request(app).get('/').set('X-API-Key', 'wrong').expect(401);
+    await request(app).get('/').set('X-API-Key', 'secret-key').expect(200);
+  });
+
+  it('is skipped outside production when no API key is configured', async () => {
+    process.env.API_KEY = '';
+    const app = createApp(app => app.get('/', apiKeyAuth, ok));
+
+    await request(app).get('/').expect(200);
+  });
+});
+
+describe('rateLimit', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows requests up to the limit, then returns 429 with Retry-After', async () => {
+    const app = createApp(app => app.get('/', rateLimit({ limit: 2, windowMs: 60 * 1000 }), ok));
+
+    const first = await request(app).get('/').set('X-Forwarded-For', '10.0.0.1').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+
+    await request(app).get('/').set('X-Forwarded-For', '10.0.0.1').expect(200);
+    const response = await request(app).get('/').set('X-Forwarded-For', '10.0.0.1').expect(429);
+
+    expect(response.body).toMatchObject({ code: 'RATE_LIMITED', data: { limit: 2, windowMs: 60 * 1000 } });
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.headers['retry-after']).toBe(String(response.body.data.retryAfter));
+  });
+
+  it('counts each client separately', async () => {
+    const app = createApp(app => app.get('/', rateLimit({ limit: 1, windowMs: 60 * 1000 }), ok));
+
+    await request(app).get('/').set('X-Forwarded-For', '10.0.0.2').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '10.0.0.3').expect(200);
+  });
+
+  it('weights the previous window as the window slides', async () => {
+    jest.useFakeTimers({ now: 10 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    const app = createApp(app => app.get('/', rateLimit({ limit: 4, windowMs: 60 * 1000 }), ok));
+    const hit = () => request(app).get('/').set('X-Forwarded-For', '10.0.0.4');
+
+    for (let i = 0; i < 4; i++) {
+      await hit().expect(200);
+    }
+    await hit().expect(429);
+
+    // A quarter into the next window, 3 of the 4 earlier requests still count
+    jest.setSystemTime(11 * 60 * 1000 + 15 * 1000);
+    await hit().expect(200);
+    const refused = await hit().expect(429);
+
+    // Refused requests do not count, so the retry comes once another has aged out
+    expect(refused.body.data.retryAfter).toBe(15);
+    jest.setSystemTime(11 * 60 * 1000 + 30 * 1000);
+    await hit().expect(200);
+  });
+
+  it('lets requests through unlimited when the key function returns null', async () => {
+    const app = createApp(app => app.get('/', rateLimit({ name: 'api-key', limit: 1, keyBy: byApiKey }), ok));
+
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(200);
+    await request(app).get('/').set('X-API-Key', 'key-1').expect(200);
+    await request(app).get('/').set('X-API-Key', 'key-1').expect(429);
+    await request(app).get('/').set('X-API-Key', 'key-2').expect(200);
+  });
+
+  it('takes a per-request limit, e.g. a quota per API key', async () => {
+    const quotas = { small: 1, large: 3 };
+    const app = createApp(app => app.get('/', rateLimit({
+      name: 'api-key',
+      keyBy: byApiKey,
+      limit: req => quotas[req.get('x-api-key')]
+    }), ok));
+
+    await request(app).get('/').set('X-API-Key', 'small').expect(200);
+    await request(app).get('/').set('X-API-Key', 'small').expect(429);
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/').set('X-API-Key', 'large').expect(200);
+    }
+  });
+
+  it('reports the most restrictive limit in the headers', async () => {
+    const app = createApp(app => app.get('/',
+      rateLimit({ name: 'wide', limit: 10 }),
+      rateLimit({ name: 'narrow', limit: 3 }),
+      rateLimit({ name: 'widest', limit: 100 }),
+      ok));
+
+    const response = await request(app).get('/').set('X-Forwarded-For', '10.0.0.5').expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe('3');
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+  });
+
+  it('allows requests when the counter store fails', async () => {
+    const store = { increment: jest.fn().mockRejectedValue(new Error('Connection refused')) };
+    const app = createApp(app => app.get('/', rateLimit({ limit: 1, store }), ok));
+
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(200);
+  });
+
+  it('never limits Safaricom callbacks', async () => {
+    process.env.RATE_LIMIT_MAX = '1';
+    const app = createApp(app => app.post('/callback', ipRateLimit(), ok));
+    delete process.env.RATE_LIMIT_MAX;
+
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.214.200').expect(200);
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.214.200').expect(200);
+  });
+});
+
+describe('phoneRateLimit', () => {
+  it('limits prompts per phone number, however it is written', async () => {
+    process.env.RATE_LIMIT_PHONE_MAX = '2';
+    const app = createApp(app => app.post('/stkpush', phoneRateLimit(), ok));
+    delete process.env.RATE_LIMIT_PHONE_MAX;
+
+    await request(app).post('/stkpush').set('X-Forwarded-For', '10.0.1.1').send({ phone: '0712345678' }).expect(200);
+    await request(app).post('/stkpush').set('X-Forwarded-For', '10.0.1.2').send({ phone: '+254 712 345 678' }).expect(200);
+    const response = await request(app).post('/stkpush').set('X-Forwarded-For', '10.0.1.3').send({ phone: '712345678' }).expect(429);
+
+    expect(response.body.message).toBe('Too many payment prompts sent to this phone number, please try again later');
+    await request(app).post('/stkpush').send({ phone: '0722345678' }).expect(200);
+  });
+});
+
+describe('validateMpesaIP', () => {
+  it('accepts addresses inside the configured IPv4 and IPv6 ranges', async () => {
+    const app = createApp(app => app.post('/callback', validateMpesaIP, ok));
+
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.214.200').expect(200);
+    await request(app).post('/callback').set('X-Forwarded-For', '2001:db8::10').expect(200);
+  });
+
+  it('rejects addresses outside the ranges', async () => {
+    const app = createApp(app => app.post('/callback', validateMpesaIP, ok));
+
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.214.201').expect(403);
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.21').expect(403);
+  });
+
+  it('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+    const app = createApp(app => app.post('/callback', validateMpesaIP, ok), { trustProxy: false });
+
+    await request(app).post('/callback').set('X-Forwarded-For', '196.201.214.200').expect(403);
+  });
+});
+
+describe('verifyCallbackToken', () => {
+  const token = generateCallbackToken();
+
+  beforeEach(async () => {
+    transactionRepository.setStore(new MemoryStore());
+    await transactionRepository.create({
+      checkoutRequestID: 'ws_CO_1',
+      merchantRequestID: 'm1',
+      callbackTokenHash: hashCallbackToken(token)
+    });
+  });
+
+  const callback = checkoutRequestID => ({ Body: { stkCallback: { CheckoutRequestID: checkoutRequestID } } });
+
+  it('accepts the token issued for the transaction', async () => {
+    const app = createApp(app => app.post('/callback/:token', verifyCallbackToken, ok));
+
+    await request(app).post(`/callback/${token}`).send(callback('ws_CO_1')).expect(200);
+  });
+
+  it('rejects a wrong or missing token', async () => {
+    const app = createApp(app => {
+      app.post('/callback', verifyCallbackToken, ok);
+      app.post('/callback/:token', verifyCallbackToken, ok);
+    });
+
+    await request(app).post(`/callback/${generateCallbackToken()}`).send(callback('ws_CO_1')).expect(403);
+    await request(app).post('/callback').send(callback('ws_CO_1')).expect(403);
+  });
+
+  it('lets callbacks for unknown transactions through', async () => {
+    const app = createApp(app => app.post('/callback', verifyCallbackToken, ok));
+
+    await request(app).post('/callback').send(callback('ws_CO_unknown')).expect(200);
+  });
+});
+
+describe('idempotency', () => {
+  function createIdempotentApp(handler) {
+    return createApp(app => app.post('/pay', idempotency({ store: new MemoryStore() }), handler));
+  }
+
+  it('replays the stored response for a repeated key', async () => {
+    let calls = 0;
+    const app = createIdempotentApp((req, res) => res.status(201).json({ call: ++calls }));
+
+    const first = await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 1 }).expect(201);
+    const second = await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 1 }).expect(201);
+
+    expect(first.body).toEqual({ call: 1 });
+    expect(second.body).toEqual({ call: 1 });
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    const app = createIdempotentApp((req, res) => res.json({ ok: true }));
+
+    await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 1 }).expect(200);
+    await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 2 }).expect(422);
+  });
+
+  it('compares nested fields and ignores key order', async () => {
+    const app = createIdempotentApp((req, res) => res.json({ ok: true }));
+    const body = { amount: 1, customer: { phone: '254712345678', name: 'Jane' } };
+
+    await request(app).post('/pay').set('Idempotency-Key', 'k1').send(body).expect(200);
+    await request(app).post('/pay').set('Idempotency-Key', 'k1')
+      .send({ customer: { name: 'Jane', phone: '254712345678' }, amount: 1 }).expect(200);
+    await request(app).post('/pay').set('Idempotency-Key', 'k1')
+      .send({ amount: 1, customer: { phone: '254799999999', name: 'Jane' } }).expect(422);
+  });
+
+  it('returns 409 while the original request is in flight', async () => {
+    let release;
+    const app = createIdempotentApp(async (req, res) => {
+      await new Promise(resolve => { release = resolve; });
+      res.json({ ok: true });
+    });
+
+    const first = request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 1 }).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 1 }).expect(409);
+
+    release();
+    expect((await first).status).toBe(200);
+  });
+
+  it('does nothing without the header', async () => {
+    let calls = 0;
+    const app = createIdempotentApp((req, res) => res.json({ call: ++calls }));
+
+    await request(app).post('/pay').send({ amount: 1 });
+    await request(app).post('/pay').send({ amount: 1 });
+
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,342 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { MpesaService } = require('../src/services/mpesaService');
+const { normalizeTenant } = require('../src/config/tenants');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const { MemoryStore } = require('../src/stores');
+
+function createService(overrides = {}) {
+  return new MpesaService(normalizeTenant({
+    id: 'test',
+    baseUrl: 'https://daraja.test',
+    consumerKey: 'key',
+    consumerSecret: 'secret',
+    businessShortCode: '174379',
+    passkey: 'passkey',
+    callbackUrl: 'https://example.com/api/mpesa/callback',
+    accountReference: 'DEFAULT',
+    transactionDesc: 'Payment',
+    ...overrides
+  }));
+}
+
+function mockToken(token = 'token-1', expiresIn = '3599') {
+  axios.get.mockResolvedValue({ data: { access_token: token, expires_in: expiresIn } });
+}
+
+function mockStkPushAccepted(checkoutRequestID = 'ws_CO_1') {
+  axios.post.mockResolvedValue({
+    data: {
+      MerchantRequestID: '29115-1',
+      CheckoutRequestID: checkoutRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    }
+  });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  transactionRepository.setStore(new MemoryStore());
+});
+
+describe('getAccessToken', () => {
+  it('requests a token with basic auth and caches it', async () => {
+    const service = createService();
+    mockToken();
+
+    await expect(service.getAccessToken()).resolves.toBe('token-1');
+    await expect(service.getAccessToken()).resolves.toBe('token-1');
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://daraja.test/oauth/v1/generate?grant_type=client_credentials',
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          Authorization: `Basic ${Buffer.from('key:secret').toString('base64')}`
+        })
+      })
+    );
+  });
+
+  it('requests a new token once the cached one expires', async () => {
+    const service = createService();
+    mockToken('token-1');
+    await service.getAccessToken();
+
+    service.tokenManager.token.expiresAt = Date.now() - 1000;
+    mockToken('token-2');
+
+    await expect(service.getAccessToken()).resolves.toBe('token-2');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('maps OAuth failures to an authentication error', async () => {
+    const service = createService();
+    axios.get.mockRejectedValue({ response: { status: 400, data: { errorMessage: 'Invalid credentials' } } });
+
+    await expect(service.getAccessToken()).rejects.toThrow('Failed to authenticate with M-Pesa API');
+  });
+});
+
+describe('initiateSTKPush', () => {
+  it('builds a paybill payload and records the transaction', async () => {
+    const service = createService();
+    mockToken();
+    mockStkPushAccepted();
+
+    const result = await service.initiateSTKPush('0712345678', 10, 'INV001', 'Order 1');
+
+    expect(result.success).toBe(true);
+    expect(result.data.checkoutRequestID).toBe('ws_CO_1');
+
+    const [url, payload, config] = axios.post.mock.calls[0];
+    expect(url).toBe('https://daraja.test/mpesa/stkpush/v1/processrequest');
+    expect(config.headers.Authorization).toBe('Bearer token-1');
+    expect(payload).toMatchObject({
+      BusinessShortCode: '174379',
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: 10,
+      PartyA: '254712345678',
+      PartyB: '174379',
+      PhoneNumber: '254712345678',
+      AccountReference: 'INV001',
+      TransactionDesc: 'Order 1'
+    });
+    expect(Buffer.from(payload.Password, 'base64').toString()).toBe(`174379passkey${payload.Timestamp}`);
+    expect(payload.CallBackURL).toMatch(/^https:\/\/example\.com\/api\/mpesa\/callback\/[a-f0-9]{48}$/);
+
+    const transaction = await transactionRepository.findByCheckoutRequestID('ws_CO_1');
+    expect(transaction).toMatchObject({ status: 'PENDING', tenantId: 'test', amount: 10, phone: '254712345678' });
+  });
+
+  it('refuses decimal amounts and Daraja field limits instead of adjusting them', async () => {
+    const service = createService();
+    mockToken();
+
+    await expect(service.initiateSTKPush('0712345678', 10.4)).rejects.toThrow('Amount must be a whole number of KES');
+    await expect(service.initiateSTKPush('0712345678', 10, 'REFERENCE-013')).rejects.toThrow('Account reference must be at most 12 characters');
+    await expect(service.initiateSTKPush('0712345678', 10, 'INV001', 'Payment for 14')).rejects.toThrow('Transaction description must be at most 13 characters');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the configured account reference and description', async () => {
+    const service = createService();
+    mockToken();
+    mockStkPushAccepted();
+
+    await service.initiateSTKPush('254712345678', 1);
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ AccountReference: 'DEFAULT', TransactionDesc: 'Payment' });
+  });
+
+  it('sends Buy Goods pushes to the till while signing with the shortcode', async () => {
+    const service = createService();
+    mockToken();
+    mockStkPushAccepted();
+
+    await service.initiateSTKPush('254712345678', 1, 'REF', 'Desc', 'CustomerBuyGoodsOnline', '5123456');
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({
+      BusinessShortCode: '174379',
+      TransactionType: 'CustomerBuyGoodsOnline',
+      PartyB: '5123456'
+    });
+  });
+
+  it('rejects invalid requests before calling Daraja', async () => {
+    const service = createService();
+
+    await expect(service.initiateSTKPush('254712345678', 70001)).rejects.toThrow('Amount must be between 1 and 70,000 KES');
+    await expect(service.initiateSTKPush('12345', 10)).rejects.toThrow('Invalid phone number format');
+    await expect(service.initiateSTKPush('254712345678', 10, null, null, 'CustomerBuyGoodsOnline'))
+      .rejects.toThrow('Till number is required');
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('surfaces the Daraja errorMessage', async () => {
+    const service = createService();
+    mockToken();
+    axios.post.mockRejectedValue({
+      response: { status: 400, data: { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid PhoneNumber' } }
+    });
+
+    await expect(service.initiateSTKPush('254712345678', 10)).rejects.toMatchObject({
+      message: 'Bad Request - Invalid PhoneNumber',
+      code: 'VALIDATION_ERROR',
+      errorCode: '400.002.02'
+    });
+  });
+
+  it('fails when Daraja does not accept the request', async () => {
+    const service = createService();
+    mockToken();
+    axios.post.mockResolvedValue({ data: { ResponseCode: '1', ResponseDescription: 'Rejected' } });
+
+    await expect(service.initiateSTKPush('254712345678', 10)).rejects.toMatchObject({
+      message: 'Rejected',
+      code: 'BUSINESS_RULE_VIOLATION',
+      resultCode: '1'
+    });
+  });
+});
+
+describe('querySTKPushStatus', () => {
+  it('maps the query response and applies a final ResultCode', async () => {
+    const service = createService();
+    mockToken();
+    mockStkPushAccepted();
+    await service.initiateSTKPush('254712345678', 10);
+
+    axios.post.mockResolvedValue({
+      data: {
+        MerchantRequestID: '29115-1',
+        CheckoutRequestID: 'ws_CO_1',
+        ResponseCode: '0',
+        ResultCode: '1032',
+        ResultDesc: 'Request cancelled by user'
+      }
+    });
+
+    const result = await service.querySTKPushStatus('ws_CO_1');
+
+    expect(result.data).toMatchObject({ checkoutRequestID: 'ws_CO_1', resultCode: '1032' });
+    expect((await transactionRepository.findByCheckoutRequestID('ws_CO_1')).status).toBe('CANCELLED');
+  });
+
+  it('keeps the Daraja errorCode for still-processing transactions', async () => {
+    const service = createService();
+    mockToken();
+    axios.post.mockRejectedValue({
+      response: { status: 500, data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }
+    });
+
+    await expect(service.querySTKPushStatus('ws_CO_1')).rejects.toMatchObject({
+      message: 'The transaction is being processed',
+      errorCode: '500.001.1001'
+    });
+  });
+});
+
+describe('processCallback', () => {
+  const successCallback = {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-1',
+        CheckoutRequestID: 'ws_CO_1',
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: 10 },
+            { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+            { Name: 'TransactionDate', Value: 20191219102115 },
+            { Name: 'PhoneNumber', Value: 254712345678 }
+          ]
+        }
+      }
+    }
+  };
+
+  it('extracts payment data from a successful callback', async () => {
+    const service = createService();
+
+    const result = await service.processCallback(successCallback);
+
+    expect(result).toMatchObject({
+      checkoutRequestID: 'ws_CO_1',
+      resultCode: 0,
+      status: 'SUCCESS',
+      paymentData: {
+        amount: 10,
+        mpesaReceiptNumber: 'NLJ7RT61SV',
+        transactionDate: 20191219102115,
+        phoneNumber: 254712345678
+      }
+    });
+  });
+
+  it('maps failure ResultCodes to final statuses', async () => {
+    const service = createService();
+    const callback = resultCode => ({
+      Body: { stkCallback: { MerchantRequestID: 'm', CheckoutRequestID: 'c', ResultCode: resultCode, ResultDesc: 'x' } }
+    });
+
+    await expect(service.processCallback(callback(1032))).resolves.toMatchObject({ status: 'CANCELLED' });
+    await expect(service.processCallback(callback(1037))).resolves.toMatchObject({ status: 'TIMEOUT' });
+    await expect(service.processCallback(callback(2001))).resolves.toMatchObject({ status: 'FAILED' });
+    await expect(service.processCallback(callback(1))).resolves.toMatchObject({ status: 'FAILED' });
+  });
+
+  it('moves the recorded transaction to its final status only once', async () => {
+    const service = createService();
+    mockToken();
+    mockStkPushAccepted();
+    await service.initiateSTKPush('254712345678', 10);
+
+    await service.processCallback(successCallback);
+    await service.processCallback({
+      Body: { stkCallback: { MerchantRequestID: '29115-1', CheckoutRequestID: 'ws_CO_1', ResultCode: 1032, ResultDesc: 'Cancelled' } }
+    });
+
+    const transaction = await transactionRepository.findByCheckoutRequestID('ws_CO_1');
+    expect(transaction.status).toBe('SUCCESS');
+    expect(transaction.paymentData.mpesaReceiptNumber).toBe('NLJ7RT61SV');
+  });
+
+  it('throws on a malformed callback', async () => {
+    const service = createService();
+
+    await expect(service.processCallback({})).rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Body is required' });
+    await expect(service.processCallback({ Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0 } } }))
+      .rejects.toThrow('Body.stkCallback.CallbackMetadata is required');
+  });
+});
+
+describe('processB2CResult', () => {
+  it('treats a ResultCode sent as a string like the number', async () => {
+    const service = createService();
+    const result = resultCode => ({
+      Result: {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: 'AG_20191219_1',
+        ConversationID: 'AG_20191219_2',
+        TransactionID: 'NLJ41HAY6Q',
+        ResultParameters: { ResultParameter: [{ Key: 'TransactionAmount', Value: 10 }] }
+      }
+    });
+
+    await expect(service.processB2CResult(result('0'))).resolves.toMatchObject({ resultCode: 0, status: 'SUCCESS' });
+    await expect(service.processB2CResult(result('2001'))).resolves.toMatchObject({ resultCode: 2001, status: 'FAILED' });
+  });
+});
+
+describe('completeAccountRequest', () => {
+  it('treats a ResultCode sent as a string like the number', async () => {
+    const service = createService();
+    const result = resultCode => ({
+      Result: {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: 'AG_20191219_1',
+        ConversationID: 'AG_20191219_2',
+        TransactionID: 'NLJ41HAY6Q',
+        ResultParameters: { ResultParameter: [{ Key: 'ReceiptNo', Value: 'NLJ41HAY6Q' }] }
+      }
+    });
+
+    await expect(service.processTransactionStatusResult(result('0'))).resolves.toMatchObject({
+      resultCode: 0,
+      status: 'COMPLETED',
+      resultData: { receiptNumber: 'NLJ41HAY6Q' }
+    });
+    await expect(service.processReversalResult(result('2001'))).resolves.toMatchObject({ resultCode: 2001, status: 'FAILED' });
+  });
+});
@@ -0,0 +1,199 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/app');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const { TRANSACTION_STATUS } = require('../src/repositories/transactionRepository');
+const paymentLinkRepository = require('../src/repositories/paymentLinkRepository');
+const { MemoryStore } = require('../src/stores');
+const { mockDaraja, resetDaraja } = require('./support/daraja');
+
+async function createLink(body = {}) {
+  const response = await request(app)
+    .post('/api/mpesa/links')
+    .send({ amount: 250, accountReference: 'INV042', description: 'Order 42', ...body })
+    .expect(201);
+  return response.body.data;
+}
+
+beforeEach(async () => {
+  await resetDaraja();
+  paymentLinkRepository.setStore(new MemoryStore());
+});
+
+describe('POST /api/mpesa/links', () => {
+  it('creates a single-use link with a checkout URL', async () => {
+    const link = await createLink();
+
+    expect(link).toMatchObject({ amount: 250, maxUses: 1, status: 'ACTIVE', uses: 0 });
+    expect(link.url).toMatch(new RegExp(`/pay/${link.id}$`));
+    expect(new Date(link.expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('builds the checkout URL from PAYMENT_LINK_BASE_URL, never the Host header', async () => {
+    process.env.PAYMENT_LINK_BASE_URL = 'https://pay.example.com/';
+
+    const response = await request(app)
+      .post('/api/mpesa/links')
+      .set('Host', 'attacker.example.net')
+      .send({ amount: 250 })
+      .expect(201);
+    delete process.env.PAYMENT_LINK_BASE_URL;
+
+    expect(response.body.data.url).toBe(`https://pay.example.com/pay/${response.body.data.id}`);
+
+    const fallback = await request(app).get(`/api/mpesa/links/${response.body.data.id}`).set('Host', 'attacker.example.net').expect(200);
+    expect(fallback.body.data.url).not.toContain('attacker.example.net');
+  });
+
+  it('validates the amount and expiry', async () => {
+    const badAmount = await request(app).post('/api/mpesa/links').send({ amount: 10.5 }).expect(400);
+    expect(badAmount.body.code).toBe('VALIDATION_ERROR');
+
+    await request(app).post('/api/mpesa/links').send({ amount: 100, expiresAt: '2001-01-01T00:00:00Z' }).expect(400);
+  });
+
+  it('hides links from other tenants', async () => {
+    const link = await createLink();
+
+    await request(app).get(`/api/mpesa/links/${link.id}`).expect(200);
+    await request(app).get(`/api/mpesa/links/${link.id}`).set('X-Tenant-ID', 'unknown').expect(404);
+  });
+});
+
+describe('hosted checkout', () => {
+  it('pushes to the entered phone and shows the result once the payment lands', async () => {
+    const link = await createLink();
+    mockDaraja();
+
+    const page = await request(app).get(`/pay/${link.id}`).expect(200);
+    expect(page.text).toContain('KES 250');
+    expect(page.text).toContain('Order 42');
+
+    const submitted = await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712 345 678' }).expect(303);
+    expect(submitted.headers.location).toBe(`/pay/${link.id}/payments/ws_CO_1`);
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ Amount: 250, PhoneNumber: '254712345678', AccountReference: 'INV042' });
+
+    const pending = await request(app).get(submitted.headers.location).expect(200);
+    expect(pending.text).toContain('http-equiv="refresh"');
+
+    await transactionRepository.updateStatus('ws_CO_1', TRANSACTION_STATUS.SUCCESS, {
+      resultCode: 0,
+      paymentData: { mpesaReceiptNumber: 'NLJ7RT61SV' }
+    });
+
+    const result = await request(app).get(submitted.headers.location).expect(200);
+    expect(result.text).toContain('Payment received');
+    expect(result.text).toContain('NLJ7RT61SV');
+
+    const status = await request(app).get(`${submitted.headers.location}/status`).expect(200);
+    expect(status.body.data).toMatchObject({ status: 'SUCCESS', mpesaReceiptNumber: 'NLJ7RT61SV' });
+  });
+
+  it('allows one push at a time on a single-use link and closes it once paid', async () => {
+    const link = await createLink();
+    mockDaraja();
+
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(303);
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(409);
+
+    await transactionRepository.updateStatus('ws_CO_1', TRANSACTION_STATUS.SUCCESS, { resultCode: 0 });
+
+    await request(app).get(`/pay/${link.id}`).expect(410);
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(410);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    const response = await request(app).get(`/api/mpesa/links/${link.id}`).expect(200);
+    expect(response.body.data).toMatchObject({ status: 'COMPLETED', uses: 1, remainingUses: 0 });
+  });
+
+  it('lets the customer retry after a failed payment', async () => {
+    const link = await createLink();
+    mockDaraja();
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(303);
+    await transactionRepository.updateStatus('ws_CO_1', TRANSACTION_STATUS.CANCELLED, { resultDesc: 'Request cancelled by user' });
+
+    const result = await request(app).get(`/pay/${link.id}/payments/ws_CO_1`).expect(200);
+    expect(result.text).toContain('Request cancelled by user');
+    expect(result.text).toContain('Try again');
+
+    mockDaraja('ws_CO_2');
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(303);
+  });
+
+  it('keeps multi-use links open until maxUses is reached', async () => {
+    const link = await createLink({ multiUse: true, maxUses: 2 });
+
+    mockDaraja('ws_CO_1');
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(303);
+    mockDaraja('ws_CO_2');
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0722345678' }).expect(303);
+    await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0733345678' }).expect(409);
+  });
+
+  it('limits prompts to one phone however many times the link is used', async () => {
+    mockDaraja();
+    const link = await createLink({ multiUse: true, maxUses: 100 });
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '0712345678' }).expect(303);
+    }
+    const page = await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '+254712345678' }).expect(429);
+
+    expect(page.headers['content-type']).toMatch(/html/);
+    expect(page.headers['retry-after']).toBeDefined();
+    expect(page.text).toContain('Too many payment prompts sent to this phone number');
+    expect(axios.post).toHaveBeenCalledTimes(5);
+  });
+
+  it('limits checkout requests per IP', async () => {
+    // Limits are read when the routes are built
+    let checkoutRoutes;
+    process.env.RATE_LIMIT_MAX = '2';
+    jest.isolateModules(() => {
+      checkoutRoutes = require('../src/routes/checkoutRoutes');
+    });
+    delete process.env.RATE_LIMIT_MAX;
+    const limitedApp = express().use('/pay', checkoutRoutes);
+
+    await request(limitedApp).get('/pay/pl_unknown').expect(404);
+    await request(limitedApp).get('/pay/pl_unknown/payments/ws_CO_1/status').expect(404);
+    const page = await request(limitedApp).get('/pay/pl_unknown').expect(429);
+
+    expect(page.headers['content-type']).toMatch(/html/);
+    expect(page.text).toContain('Too many requests');
+  });
+
+  it('refuses expired and disabled links', async () => {
+    const expired = await createLink({ expiresInMinutes: 1 });
+    const record = await paymentLinkRepository.findById(expired.id);
+    await paymentLinkRepository.store.set(expired.id, { ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await request(app).post(`/pay/${expired.id}`).type('form').send({ phone: '0712345678' }).expect(410);
+
+    const disabled = await createLink();
+    await request(app).delete(`/api/mpesa/links/${disabled.id}`).expect(200);
+    const page = await request(app).get(`/pay/${disabled.id}`).expect(410);
+    expect(page.text).toContain('disabled');
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('shows the form again with an error for an invalid phone number', async () => {
+    const link = await createLink();
+
+    const page = await request(app).post(`/pay/${link.id}`).type('form').send({ phone: '<script>' }).expect(400);
+
+    expect(page.text).toContain('Invalid phone number format');
+    expect(page.text).toContain('value="&lt;script&gt;"');
+  });
+
+  it('returns 404 for unknown links and foreign payments', async () => {
+    const link = await createLink();
+
+    await request(app).get('/pay/unknown').expect(404);
+    await request(app).get(`/pay/${link.id}/payments/ws_CO_other`).expect(404);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('axios');
+
+const request = require('supertest');
+const app = require('../src/app');
+const {
+  normalizePhoneNumber,
+  parsePhoneNumber,
+  toMpesaPhoneNumber,
+  CARRIERS
+} = require('../src/utils/phone');
+const { isValidKenyanPhoneNumber } = require('../src/utils/helpers');
+
+describe('normalizePhoneNumber', () => {
+  it('accepts every common way of writing a number', () => {
+    [
+      '0712345678',
+      '712345678',
+      '254712345678',
+      '+254712345678',
+      '00254712345678',
+      '+254 712 345 678',
+      '+254-712-345-678',
+      '+254 (0)712 345678',
+      '0712.345.678',
+      712345678
+    ].forEach(input => expect(normalizePhoneNumber(input)).toBe('254712345678'));
+  });
+
+  it('accepts 01XX numbers', () => {
+    expect(normalizePhoneNumber('0110 345 678')).toBe('254110345678');
+    expect(normalizePhoneNumber('+254100345678')).toBe('254100345678');
+  });
+
+  it('rejects numbers that are not Kenyan mobile numbers', () => {
+    ['', '123456789', '07123', '0712345678 ext 2', '+1 712 345 6789', '0201234567', null].forEach(input =>
+      expect(() => normalizePhoneNumber(input)).toThrow('Invalid phone number format'));
+  });
+
+  it('rejects unallocated prefixes', () => {
+    expect(() => normalizePhoneNumber('0160345678')).toThrow('0160 is not a Kenyan mobile prefix');
+  });
+});
+
+describe('parsePhoneNumber', () => {
+  it('describes the number and its network', () => {
+    expect(parsePhoneNumber('+254 745 345 678')).toEqual({
+      msisdn: '254745345678',
+      national: '0745345678',
+      international: '+254745345678',
+      carrier: CARRIERS.SAFARICOM,
+      mpesa: true
+    });
+  });
+
+  it('detects other networks', () => {
+    expect(parsePhoneNumber('0733345678')).toMatchObject({ carrier: CARRIERS.AIRTEL, mpesa: false });
+    expect(parsePhoneNumber('0101345678')).toMatchObject({ carrier: CARRIERS.AIRTEL, mpesa: false });
+    expect(parsePhoneNumber('0772345678')).toMatchObject({ carrier: CARRIERS.TELKOM, mpesa: false });
+    expect(parsePhoneNumber('0765345678')).toMatchObject({ carrier: CARRIERS.EQUITEL, mpesa: false });
+  });
+});
+
+describe('toMpesaPhoneNumber', () => {
+  it('returns the MSISDN of a Safaricom number', () => {
+    expect(toMpesaPhoneNumber('0112 345 678')).toBe('254112345678');
+  });
+
+  it('refuses other networks with a clear error', () => {
+    expect(() => toMpesaPhoneNumber('0772345678')).toThrow(expect.objectContaining({
+      code: 'NOT_MPESA_NUMBER',
+      message: '0772345678 is a Telkom number and cannot use M-Pesa. Use a Safaricom number',
+      details: { carrier: CARRIERS.TELKOM }
+    }));
+  });
+});
+
+describe('isValidKenyanPhoneNumber', () => {
+  it('accepts numbers on any network', () => {
+    expect(isValidKenyanPhoneNumber('0712345678')).toBe(true);
+    expect(isValidKenyanPhoneNumber('0733345678')).toBe(true);
+    expect(isValidKenyanPhoneNumber('12345')).toBe(false);
+  });
+});
+
+describe('POST /api/mpesa/phone/validate', () => {
+  it('returns the normalised number and carrier', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/phone/validate')
+      .send({ phone: '+254 110-345-678' })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      success: true,
+      message: 'Phone number can use M-Pesa',
+      data: {
+        msisdn: '254110345678',
+        national: '0110345678',
+        international: '+254110345678',
+        carrier: 'Safaricom',
+        mpesa: true
+      }
+    });
+  });
+
+  it('reports numbers that cannot use M-Pesa', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/phone/validate')
+      .send({ phone: '0733345678' })
+      .expect(200);
+
+    expect(response.body.message).toBe('Phone number is on Airtel and cannot use M-Pesa');
+    expect(response.body.data).toMatchObject({ carrier: 'Airtel', mpesa: false });
+  });
+
+  it('rejects invalid numbers', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/phone/validate')
+      .send({ phone: '12345' })
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('rejects stkpush to a number without M-Pesa', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/stkpush')
+      .send({ phone: '0772345678', amount: 10 })
+      .expect(400);
+
+    expect(response.body.message).toBe('phone must be a Safaricom number - 0772345678 is on Telkom, which has no M-Pesa');
+  });
+});
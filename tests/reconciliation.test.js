@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const statementRepository = require('../src/repositories/statementRepository');
+const { MemoryStore } = require('../src/stores');
+const { parseCsv, toCsv } = require('../src/utils/csv');
+const { parseStatement } = require('../src/utils/statementParser');
+const { phonesMatch } = require('../src/services/reconciliationService');
+const { main } = require('../src/cli/reconcile');
+
+const STATEMENT = [
+  'Account Holder:,ACME LTD',
+  'Short Code:,174379',
+  '',
+  'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Balance Confirmed,Reason Type,Other Party Info,Linked Transaction ID,A/C No.',
+  'QGH1AAAAAA,2026-03-02 09:15:04,2026-03-02 09:14:58,Pay Bill Online,Completed,"1,500.00",,"10,500.00",true,Pay Bill Online,254712***678 - JOHN DOE,,INV1',
+  'QGH2BBBBBB,2026-03-02 10:00:10,2026-03-02 10:00:01,Pay Bill Online,Completed,250.00,,"10,750.00",true,Pay Bill Online,254722***111 - JANE DOE,,INV2',
+  'QGH3CCCCCC,2026-03-02 11:30:00,2026-03-02 11:29:51,Pay Bill Online,Completed,900.00,,"11,650.00",true,Pay Bill Online,254733***222 - SAM DOE,,INV3',
+  'QGH4DDDDDD,2026-03-02 12:00:00,2026-03-02 12:00:00,Pay Bill Online,Completed,400.00,,"12,050.00",true,Pay Bill Online,254744***333 - ANN DOE,,INV4',
+  'QGH5EEEEEE,2026-03-02 12:30:00,2026-03-02 12:30:00,Business Charge,Completed,,10.00,"12,040.00",true,Charge,,,',
+  'QGH6FFFFFF,2026-03-02 13:00:00,2026-03-02 13:00:00,Pay Bill Online,Failed,300.00,,"12,040.00",true,Pay Bill Online,254755***444 - TOM DOE,,INV6'
+].join('\r\n');
+
+async function recordPayment(checkoutRequestID, amount, phone, paymentData) {
+  await transactionRepository.create({ checkoutRequestID, merchantRequestID: `m-${checkoutRequestID}`, phone, amount });
+  await transactionRepository.updateStatus(checkoutRequestID, 'SUCCESS', { resultCode: 0, paymentData });
+}
+
+beforeEach(async () => {
+  transactionRepository.setStore(new MemoryStore());
+  statementRepository.setStore(new MemoryStore());
+
+  // Matched on receipt
+  await recordPayment('ws_CO_1', 1500, '254712345678', {
+    amount: 1500, mpesaReceiptNumber: 'QGH1AAAAAA', transactionDate: 20260302091504, phoneNumber: 254712345678
+  });
+  // Same receipt, different amount
+  await recordPayment('ws_CO_2', 200, '254722000111', {
+    amount: 200, mpesaReceiptNumber: 'QGH2BBBBBB', transactionDate: 20260302100010, phoneNumber: 254722000111
+  });
+  // Resolved by an STK query, so there is no receipt to match on
+  await recordPayment('ws_CO_3', 900, '254733000222', {
+    amount: 900, transactionDate: 20260302113200
+  });
+  // Recorded but not on the statement
+  await recordPayment('ws_CO_5', 700, '254766000555', {
+    amount: 700, mpesaReceiptNumber: 'QGH9ZZZZZZ', transactionDate: 20260302150000, phoneNumber: 254766000555
+  });
+  // Outside the statement's day
+  await recordPayment('ws_CO_6', 100, '254766000555', {
+    amount: 100, mpesaReceiptNumber: 'QGH8YYYYYY', transactionDate: 20260303080000, phoneNumber: 254766000555
+  });
+});
+
+describe('csv', () => {
+  it('parses quoted fields and round-trips through toCsv', () => {
+    const text = toCsv([{ a: 'x, "y"', b: 'line\nbreak' }, { a: '=SUM(A1)', b: -5 }], ['a', 'b']);
+    expect(parseCsv(text)).toEqual([['a', 'b'], ['x, "y"', 'line\nbreak'], ["'=SUM(A1)", '-5']]);
+  });
+});
+
+describe('statement parser', () => {
+  it('skips the preamble and keeps only completed money-in rows', () => {
+    const entries = parseStatement(STATEMENT);
+
+    expect(entries.map(entry => entry.receiptNumber)).toEqual(['QGH1AAAAAA', 'QGH2BBBBBB', 'QGH3CCCCCC', 'QGH4DDDDDD']);
+    expect(entries[0]).toMatchObject({
+      amount: 1500,
+      completedAt: '2026-03-02 09:15:04',
+      phone: '254712***678',
+      name: 'JOHN DOE',
+      accountNumber: 'INV1'
+    });
+  });
+
+  it('reads tab-separated exports with day-first dates', () => {
+    const entries = parseStatement('Receipt No.\tCompletion Time\tPaid In\nQGH1AAAAAA\t02-03-2026 09:15:04\t1500');
+    expect(entries[0]).toMatchObject({ completedAt: '2026-03-02 09:15:04', amount: 1500 });
+  });
+
+  it('rejects files that are not portal statements', () => {
+    expect(() => parseStatement('a,b\n1,2')).toThrow('Receipt No.');
+  });
+
+  it('compares masked phone numbers', () => {
+    expect(phonesMatch('254712***678', '254712345678')).toBe(true);
+    expect(phonesMatch('254712***678', '254799345678')).toBe(false);
+    expect(phonesMatch(null, '254712345678')).toBe(true);
+  });
+});
+
+describe('reconciliation', () => {
+  it('imports a statement and reports every category', async () => {
+    const imported = await request(app)
+      .post('/api/mpesa/reconciliation/statements?fileName=2026-03-02.csv')
+      .set('Content-Type', 'text/csv')
+      .send(STATEMENT)
+      .expect(201);
+
+    expect(imported.body.data.statement).toMatchObject({
+      fileName: '2026-03-02.csv',
+      entryCount: 4,
+      period: { from: '2026-03-02 00:00:00', to: '2026-03-02 23:59:59' }
+    });
+    expect(imported.body.data.statement.entries).toBeUndefined();
+
+    const { body } = await request(app).get('/api/mpesa/reconciliation').expect(200);
+    const report = body.data;
+
+    expect(report.summary).toMatchObject({
+      statementEntries: 4,
+      matched: 2,
+      amountMismatches: 1,
+      missingInOurs: 1,
+      missingInStatement: 1,
+      reconciled: false
+    });
+    expect(report.matched).toEqual([
+      expect.objectContaining({ receiptNumber: 'QGH1AAAAAA', checkoutRequestID: 'ws_CO_1', matchedBy: 'receipt', discrepancies: [] }),
+      expect.objectContaining({ receiptNumber: 'QGH3CCCCCC', checkoutRequestID: 'ws_CO_3', matchedBy: 'amount_phone_time' })
+    ]);
+    expect(report.amountMismatches[0]).toMatchObject({ receiptNumber: 'QGH2BBBBBB', statementAmount: 250, recordedAmount: 200, difference: 50 });
+    expect(report.missingInOurs[0]).toMatchObject({ receiptNumber: 'QGH4DDDDDD', statementAmount: 400 });
+    expect(report.missingInStatement).toEqual([expect.objectContaining({ checkoutRequestID: 'ws_CO_5', receiptNumber: 'QGH9ZZZZZZ' })]);
+  });
+
+  it('returns the report as CSV', async () => {
+    const imported = await request(app)
+      .post('/api/mpesa/reconciliation/statements')
+      .send({ content: STATEMENT })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/mpesa/reconciliation?statementId=${imported.body.data.statement.id}&format=csv`)
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+
+    const rows = parseCsv(response.text);
+    expect(rows[0][0]).toBe('category');
+    expect(rows.slice(1).map(row => row[0])).toEqual(['matched', 'matched', 'amount_mismatch', 'missing_in_ours', 'missing_in_statement']);
+  });
+
+  it('does not import the same statement twice', async () => {
+    await request(app).post('/api/mpesa/reconciliation/statements').send({ content: STATEMENT }).expect(201);
+    const again = await request(app).post('/api/mpesa/reconciliation/statements').send({ content: STATEMENT }).expect(200);
+
+    expect(again.body.message).toBe('Statement was already imported');
+    expect((await request(app).get('/api/mpesa/reconciliation/statements').expect(200)).body.data).toHaveLength(1);
+  });
+
+  it('returns 404 before any statement is imported', async () => {
+    await request(app).get('/api/mpesa/reconciliation').expect(404);
+  });
+
+  it('runs from the command line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-'));
+    const file = path.join(dir, 'statement.csv');
+    fs.writeFileSync(file, STATEMENT);
+
+    let stdout = '';
+    let stderr = '';
+    const io = {
+      stdout: { write: text => { stdout += text; } },
+      stderr: { write: text => { stderr += text; } }
+    };
+
+    expect(await main([file, '--format', 'csv', '--strict'], io)).toBe(2);
+    expect(parseCsv(stdout)).toHaveLength(6);
+    expect(stderr).toMatch(/2 matched, 1 amount mismatches, 1 missing in ours, 1 missing in statement/);
+
+    expect(await main(['--format', 'xml', file], io)).toBe(1);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../src/app');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const { MemoryStore } = require('../src/stores');
+const { parseCsv } = require('../src/utils/csv');
+
+// Record a push at a given time and, optionally, its callback some seconds later
+async function recordPush({ id, at, amount, accountReference, tenantId, outcome, afterSeconds = 0 }) {
+  jest.setSystemTime(new Date(at));
+  await transactionRepository.create({ checkoutRequestID: id, merchantRequestID: `m-${id}`, phone: '254712345678', amount, accountReference, tenantId });
+
+  if (outcome) {
+    jest.setSystemTime(new Date(new Date(at).getTime() + afterSeconds * 1000));
+    await transactionRepository.updateStatus(id, outcome.status, outcome);
+  }
+}
+
+const success = amount => ({ status: 'SUCCESS', resultCode: 0, resultDesc: 'Processed', paymentData: { amount } });
+const cancelled = { status: 'CANCELLED', resultCode: 1032, resultDesc: 'Request cancelled by user' };
+
+beforeEach(async () => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+  transactionRepository.setStore(new MemoryStore());
+
+  await recordPush({ id: 'ws_CO_1', at: '2026-03-02T06:00:00Z', amount: 100, accountReference: 'SHOP-A', outcome: success(100), afterSeconds: 30 });
+  await recordPush({ id: 'ws_CO_2', at: '2026-03-02T07:00:00Z', amount: 100, accountReference: 'SHOP-A', outcome: cancelled, afterSeconds: 10 });
+  // 23:30 on the 3rd in Nairobi
+  await recordPush({ id: 'ws_CO_3', at: '2026-03-03T20:30:00Z', amount: 500, accountReference: 'SHOP-B', outcome: success(500), afterSeconds: 20 });
+  // 01:00 on the 4th in Nairobi, still waiting for its callback
+  await recordPush({ id: 'ws_CO_4', at: '2026-03-03T22:00:00Z', amount: 50, accountReference: 'SHOP-B' });
+  await recordPush({ id: 'ws_CO_5', at: '2026-03-02T06:00:00Z', amount: 900, accountReference: 'OTHER', tenantId: 'other', outcome: success(900) });
+
+  jest.setSystemTime(new Date('2026-03-10T00:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('payments report', () => {
+  it('aggregates totals, periods, failure reasons and account references for the tenant', async () => {
+    const { body } = await request(app)
+      .get('/api/mpesa/reports/payments?from=2026-03-02&to=2026-03-04')
+      .expect(200);
+    const report = body.data;
+
+    expect(report.range).toEqual({ from: '2026-03-02T00:00:00+03:00', to: '2026-03-04T23:59:59+03:00' });
+    expect(report.totals).toMatchObject({
+      pushes: 4,
+      successful: 2,
+      cancelled: 1,
+      pending: 1,
+      successRate: 66.67,
+      amountCollected: 600,
+      averageAmount: 300,
+      averageSecondsToCallback: 20
+    });
+    expect(report.periods.map(period => [period.period, period.pushes])).toEqual([
+      ['2026-03-02', 2],
+      ['2026-03-03', 1],
+      ['2026-03-04', 1]
+    ]);
+    expect(report.failureReasons).toEqual([
+      { resultCode: 1032, description: 'Request cancelled by user', status: 'CANCELLED', count: 1, share: 100 }
+    ]);
+    expect(report.accountReferences.map(reference => reference.accountReference)).toEqual(['SHOP-B', 'SHOP-A']);
+  });
+
+  it('groups by week and month and lists empty periods', async () => {
+    const weekly = (await request(app).get('/api/mpesa/reports/payments?from=2026-03-02&to=2026-03-15&groupBy=week').expect(200)).body.data;
+    expect(weekly.periods.map(period => [period.period, period.pushes])).toEqual([['2026-03-02', 4], ['2026-03-09', 0]]);
+
+    const monthly = (await request(app).get('/api/mpesa/reports/payments?from=2026-02-01&to=2026-03-31&groupBy=month').expect(200)).body.data;
+    expect(monthly.periods.map(period => [period.period, period.pushes])).toEqual([['2026-02', 0], ['2026-03', 4]]);
+  });
+
+  it('defaults to the last 30 days', async () => {
+    const report = (await request(app).get('/api/mpesa/reports/payments').expect(200)).body.data;
+
+    expect(report.periods).toHaveLength(30);
+    expect(report.totals.pushes).toBe(4);
+  });
+
+  it('exports a section as CSV', async () => {
+    const response = await request(app)
+      .get('/api/mpesa/reports/payments?from=2026-03-02&to=2026-03-04&format=csv&section=accountReferences')
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+
+    expect(parseCsv(response.text)).toEqual([
+      ['accountReference', 'pushes', 'successful', 'amountCollected'],
+      ['SHOP-B', '2', '1', '500'],
+      ['SHOP-A', '2', '1', '100']
+    ]);
+  });
+
+  it('rejects bad filters', async () => {
+    await request(app).get('/api/mpesa/reports/payments?groupBy=hour').expect(400);
+    await request(app).get('/api/mpesa/reports/payments?from=2026-03-05&to=2026-03-01').expect(400);
+    await request(app).get('/api/mpesa/reports/payments?from=yesterday').expect(400);
+    await request(app).get('/api/mpesa/reports/payments?format=csv&section=everything').expect(400);
+  });
+});
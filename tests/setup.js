@@ -0,0 +1,25 @@
+// Test environment - loaded by Jest before every test file
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.API_KEY = '';
+
+process.env.MPESA_ENVIRONMENT = 'sandbox';
+process.env.MPESA_BASE_URL = 'https://daraja.test';
+process.env.MPESA_CONSUMER_KEY = 'test-consumer-key';
+process.env.MPESA_CONSUMER_SECRET = 'test-consumer-secret';
+process.env.MPESA_BUSINESS_SHORT_CODE = '174379';
+process.env.MPESA_PASSKEY = 'test-passkey';
+process.env.MPESA_CALLBACK_URL = 'https://example.com/api/mpesa/callback';
+process.env.MPESA_ACCOUNT_REFERENCE = 'TEST';
+process.env.MPESA_TRANSACTION_DESC = 'Test payment';
+process.env.MPESA_SECURITY_CREDENTIAL = 'test-security-credential';
+process.env.MPESA_CALLBACK_IP_RANGES = '196.201.214.200/32,2001:db8::/32';
+process.env.DARAJA_RETRY_DELAY_MS = '0';
+process.env.INVOICE_INSTALLMENT_DELAY_MS = '0';
+process.env.BILLING_CHARGE_GAP_MS = '0';
+process.env.CALLBACK_RETRY_DELAY_MS = '0';
+
+// The service logs every request and callback - keep test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -0,0 +1,117 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const mpesaService = require('../src/services/mpesaService');
+const stkReconciler = require('../src/services/stkReconciler');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const { MemoryStore } = require('../src/stores');
+
+const { pendingAfterMs, queryGapMs, backoffMs, maxAttempts } = stkReconciler;
+const START = new Date('2026-01-01T08:00:00Z').getTime();
+
+// Record a push as if it were sent a given number of ms after START
+async function pushAt(offsetMs, checkoutRequestID) {
+  jest.setSystemTime(START + offsetMs);
+  await transactionRepository.create({ checkoutRequestID, merchantRequestID: '29115-1', phone: '254712345678', amount: 100 });
+}
+
+// Run the reconciler as if it were a given number of ms after START
+function runAt(offsetMs) {
+  jest.setSystemTime(START + offsetMs);
+  return stkReconciler.runOnce();
+}
+
+function stillProcessing() {
+  return Object.assign(new Error('Request failed with status code 500'), {
+    response: { status: 500, data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }
+  });
+}
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  // Only the clock is faked - timers keep running normally
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+  await mpesaService.tokenManager.invalidate();
+  mpesaService.daraja.breaker.reset();
+  transactionRepository.setStore(new MemoryStore());
+  axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+
+  Object.assign(stkReconciler, { pendingAfterMs: 60 * 1000, queryGapMs: 0, backoffMs: 5 * 60 * 1000, pausedUntil: 0 });
+});
+
+afterEach(() => {
+  Object.assign(stkReconciler, { pendingAfterMs, queryGapMs, backoffMs, maxAttempts, pausedUntil: 0 });
+  jest.useRealTimers();
+});
+
+describe('STK reconciler', () => {
+  it('queries stale pending pushes and applies the result', async () => {
+    await pushAt(0, 'ws_CO_1');
+    await pushAt(90 * 1000, 'ws_CO_2');
+    axios.post.mockResolvedValue({
+      data: { MerchantRequestID: '29115-1', CheckoutRequestID: 'ws_CO_1', ResponseCode: '0', ResultCode: '0', ResultDesc: 'Processed' }
+    });
+
+    expect(await runAt(2 * 60 * 1000)).toEqual({ checked: 1, resolved: 1, pending: 0, skipped: 0 });
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][0]).toMatch(/stkpushquery/);
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ CheckoutRequestID: 'ws_CO_1' });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_1')).toMatchObject({ status: 'SUCCESS', resultCode: 0 });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_2')).toMatchObject({ status: 'PENDING' });
+  });
+
+  it('leaves a push the customer is still on pending and checks it less often', async () => {
+    await pushAt(0, 'ws_CO_1');
+    axios.post.mockRejectedValue(stillProcessing());
+
+    expect(await runAt(2 * 60 * 1000)).toEqual({ checked: 1, resolved: 0, pending: 1, skipped: 0 });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_1')).toMatchObject({
+      status: 'PENDING',
+      reconcileAttempts: 1,
+      nextReconcileAt: new Date(START + 3 * 60 * 1000).toISOString(),
+      lastReconcileError: 'The transaction is being processed'
+    });
+    expect(console.error).not.toHaveBeenCalledWith(expect.stringContaining('Failed to reconcile'), expect.anything());
+
+    expect(await runAt(2.5 * 60 * 1000)).toEqual({ checked: 0, resolved: 0, pending: 0, skipped: 1 });
+
+    expect(await runAt(3 * 60 * 1000)).toMatchObject({ checked: 1, pending: 1 });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_1')).toMatchObject({
+      reconcileAttempts: 2,
+      nextReconcileAt: new Date(START + 5 * 60 * 1000).toISOString()
+    });
+  });
+
+  it('stops checking a push after the last attempt', async () => {
+    stkReconciler.maxAttempts = 1;
+    await pushAt(0, 'ws_CO_1');
+    axios.post.mockRejectedValue(stillProcessing());
+
+    await runAt(2 * 60 * 1000);
+
+    expect(await runAt(60 * 60 * 1000)).toEqual({ checked: 0, resolved: 0, pending: 0, skipped: 1 });
+  });
+
+  it('pauses every check while Daraja rate limits the query', async () => {
+    await pushAt(0, 'ws_CO_1');
+    await pushAt(0, 'ws_CO_2');
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 429'), {
+      response: { status: 429, data: { errorMessage: 'Too many requests' } }
+    }));
+
+    expect(await runAt(2 * 60 * 1000)).toEqual({ checked: 1, resolved: 0, pending: 1, skipped: 0 });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    // Nothing is queried until the backoff has passed
+    expect(await runAt(6 * 60 * 1000)).toEqual({ checked: 0, resolved: 0, pending: 0, skipped: 0 });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    axios.post.mockImplementation(async (url, payload) => ({
+      data: { MerchantRequestID: '29115-1', CheckoutRequestID: payload.CheckoutRequestID, ResponseCode: '0', ResultCode: '1032', ResultDesc: 'Request cancelled by user' }
+    }));
+
+    expect(await runAt(8 * 60 * 1000)).toEqual({ checked: 2, resolved: 2, pending: 0, skipped: 0 });
+    expect(await transactionRepository.findByCheckoutRequestID('ws_CO_2')).toMatchObject({ status: 'CANCELLED' });
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore, RedisStore, MemoryCounterStore, RedisCounterStore } = require('../src/stores');
+
+describe('JsonFileStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpesa-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists records across instances', async () => {
+    const filePath = path.join(dir, 'records.json');
+    await new JsonFileStore(filePath).set('a', { value: 1 });
+
+    await expect(new JsonFileStore(filePath).get('a')).resolves.toEqual({ value: 1 });
+  });
+
+  it('sees writes from other instances when shared', async () => {
+    const filePath = path.join(dir, 'tokens.json');
+    const first = new JsonFileStore(filePath, { shared: true });
+    const second = new JsonFileStore(filePath, { shared: true });
+
+    await first.set('a', { value: 1 });
+    await second.set('b', { value: 2 });
+
+    await expect(first.get('b')).resolves.toEqual({ value: 2 });
+    await expect(second.get('a')).resolves.toEqual({ value: 1 });
+  });
+});
+
+describe('RedisStore', () => {
+  function fakeRedis() {
+    const data = new Map();
+    return {
+      get: async key => (data.has(key) ? data.get(key) : null),
+      set: async (key, value) => { data.set(key, value); return 'OK'; },
+      del: async key => (data.delete(key) ? 1 : 0),
+      keys: async pattern => Array.from(data.keys()).filter(key => key.startsWith(pattern.replace('*', '')))
+    };
+  }
+
+  it('stores JSON values under its prefix', async () => {
+    const client = fakeRedis();
+    const store = new RedisStore(client, 'mpesa:tokens:');
+
+    await store.set('default', { accessToken: 'abc' });
+
+    await expect(client.get('mpesa:tokens:default')).resolves.toBe('{"accessToken":"abc"}');
+    await expect(store.get('default')).resolves.toEqual({ accessToken: 'abc' });
+    await expect(store.values()).resolves.toEqual([{ accessToken: 'abc' }]);
+    await expect(store.delete('default')).resolves.toBe(true);
+    await expect(store.get('default')).resolves.toBeNull();
+  });
+});
+
+describe('MemoryCounterStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts until the counter expires', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = new MemoryCounterStore();
+
+    await expect(store.increment('a', 1000)).resolves.toBe(1);
+    await expect(store.increment('a', 1000)).resolves.toBe(2);
+    await expect(store.decrement('a')).resolves.toBe(1);
+    await expect(store.get('a')).resolves.toBe(1);
+
+    jest.setSystemTime(1000);
+    await expect(store.get('a')).resolves.toBe(0);
+    await expect(store.increment('a', 1000)).resolves.toBe(1);
+  });
+});
+
+describe('RedisCounterStore', () => {
+  function fakeRedis() {
+    const data = new Map();
+    const ttls = new Map();
+    const client = {
+      ttls,
+      get: async key => (data.has(key) ? String(data.get(key)) : null),
+      incr: async key => { data.set(key, (data.get(key) || 0) + 1); return data.get(key); },
+      decr: async key => { data.set(key, (data.get(key) || 0) - 1); return data.get(key); },
+      pexpire: async (key, ttlMs) => { ttls.set(key, ttlMs); return 1; },
+      multi() {
+        const commands = [];
+        const transaction = {
+          incr: key => { commands.push(() => client.incr(key)); return transaction; },
+          pexpire: (key, ttlMs) => { commands.push(() => client.pexpire(key, ttlMs)); return transaction; },
+          exec: async () => {
+            const results = [];
+            for (const command of commands) {
+              results.push([null, await command()]);
+            }
+            return results;
+          }
+        };
+        return transaction;
+      }
+    };
+    return client;
+  }
+
+  it('keeps counters under its prefix with a TTL', async () => {
+    const client = fakeRedis();
+    const store = new RedisCounterStore(client, 'mpesa:rate-limit:');
+
+    await expect(store.increment('ip:10.0.0.1:1', 60000)).resolves.toBe(1);
+    await expect(store.increment('ip:10.0.0.1:1', 60000)).resolves.toBe(2);
+    await expect(store.decrement('ip:10.0.0.1:1')).resolves.toBe(1);
+
+    await expect(client.get('mpesa:rate-limit:ip:10.0.0.1:1')).resolves.toBe('1');
+    expect(client.ttls.get('mpesa:rate-limit:ip:10.0.0.1:1')).toBe(60000);
+    await expect(store.get('ip:10.0.0.1:0')).resolves.toBe(0);
+  });
+});
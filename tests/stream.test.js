@@ -0,0 +1,149 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const mpesaService = require('../src/services/mpesaService');
+const paymentStatusStream = require('../src/services/paymentStatusStream');
+const transactionRepository = require('../src/repositories/transactionRepository');
+const tenantRegistry = require('../src/services/tenantRegistry');
+const { MpesaService } = require('../src/services/mpesaService');
+const { normalizeTenant } = require('../src/config/tenants');
+const { MemoryStore } = require('../src/stores');
+
+const { queryAfterMs, queryIntervalMs } = paymentStatusStream;
+
+// Collect the raw event stream until the server closes it
+function openStream(checkoutRequestID) {
+  return request(app)
+    .get(`/api/mpesa/stream/${checkoutRequestID}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    });
+}
+
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+// Resolve once a client is watching the transaction
+async function watched(checkoutRequestID) {
+  while (!paymentStatusStream.watches.has(checkoutRequestID)) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await mpesaService.tokenManager.invalidate();
+  mpesaService.daraja.breaker.reset();
+  transactionRepository.setStore(new MemoryStore());
+  axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+
+  await transactionRepository.create({ checkoutRequestID: 'ws_CO_1', merchantRequestID: '29115-1', phone: '254712345678', amount: 100, accountReference: 'ORDER1' });
+});
+
+afterEach(() => {
+  Object.assign(paymentStatusStream, { queryAfterMs, queryIntervalMs });
+  delete process.env.STREAM_MAX_DURATION_MS;
+});
+
+describe('payment status stream', () => {
+  it('sends the result straight away for a final transaction', async () => {
+    await mpesaService.updateTransactionStatus('ws_CO_1', { resultCode: 0, resultDesc: 'Processed', paymentData: { amount: 100, mpesaReceiptNumber: 'QGH1AAAAAA' } });
+
+    const response = await openStream('ws_CO_1').expect('Content-Type', /text\/event-stream/).expect(200);
+    const events = parseEvents(response.body);
+
+    expect(events.map(event => event.event)).toEqual(['status', 'result']);
+    expect(events[1].data).toMatchObject({ status: 'SUCCESS', mpesaReceiptNumber: 'QGH1AAAAAA' });
+    expect(events[1].data.callbackTokenHash).toBeUndefined();
+  });
+
+  it('pushes the result as soon as the callback is processed', async () => {
+    const done = openStream('ws_CO_1').then(response => response);
+
+    await watched('ws_CO_1');
+    await mpesaService.updateTransactionStatus('ws_CO_1', { resultCode: 1032, resultDesc: 'Request cancelled by user' });
+
+    const events = parseEvents((await done).body);
+    expect(events.map(event => [event.event, event.data.status])).toEqual([['status', 'PENDING'], ['result', 'CANCELLED']]);
+    expect(paymentStatusStream.watches.size).toBe(0);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('queries Daraja once for all clients when no callback arrives', async () => {
+    paymentStatusStream.queryAfterMs = 10;
+    axios.post.mockResolvedValue({
+      data: {
+        MerchantRequestID: '29115-1',
+        CheckoutRequestID: 'ws_CO_1',
+        ResponseCode: '0',
+        ResultCode: '1037',
+        ResultDesc: 'DS timeout user cannot be reached'
+      }
+    });
+
+    const first = openStream('ws_CO_1').then(response => response);
+    const second = openStream('ws_CO_1').then(response => response);
+
+    const [one, two] = await Promise.all([first, second]);
+
+    for (const response of [one, two]) {
+      expect(parseEvents(response.body).pop()).toMatchObject({ event: 'result', data: { status: 'TIMEOUT' } });
+    }
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][0]).toMatch(/stkpushquery/);
+  });
+
+  it('keeps querying while the customer is still on the prompt', async () => {
+    paymentStatusStream.queryAfterMs = 10;
+    paymentStatusStream.queryIntervalMs = 10;
+    axios.post
+      .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 500'), {
+        response: { status: 500, data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }
+      }))
+      .mockResolvedValueOnce({ data: { CheckoutRequestID: 'ws_CO_1', ResponseCode: '0', ResultCode: '0', ResultDesc: 'Processed' } });
+
+    const response = await openStream('ws_CO_1');
+
+    expect(parseEvents(response.body).pop()).toMatchObject({ event: 'result', data: { status: 'SUCCESS' } });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up with a timeout event', async () => {
+    process.env.STREAM_MAX_DURATION_MS = '30';
+
+    const response = await openStream('ws_CO_1');
+
+    expect(parseEvents(response.body).pop()).toMatchObject({ event: 'timeout', data: { status: 'PENDING' } });
+    expect(paymentStatusStream.watches.size).toBe(0);
+  });
+
+  it('streams another tenant\'s push to a browser without tenant headers', async () => {
+    const other = new MpesaService(normalizeTenant({ id: 'other', baseUrl: 'https://daraja.test', businessShortCode: '600999' }));
+    tenantRegistry.register(other);
+    await transactionRepository.create({ tenantId: 'other', checkoutRequestID: 'ws_CO_9', merchantRequestID: '29115-9', phone: '254712345678', amount: 100 });
+
+    const done = openStream('ws_CO_9').then(response => response);
+
+    await watched('ws_CO_9');
+    await other.updateTransactionStatus('ws_CO_9', { resultCode: 0, resultDesc: 'Processed', paymentData: { amount: 100, mpesaReceiptNumber: 'QGH9AAAAAA' } });
+
+    const events = parseEvents((await done).body);
+    expect(events.map(event => [event.event, event.data.status])).toEqual([['status', 'PENDING'], ['result', 'SUCCESS']]);
+  });
+
+  it('returns 404 for unknown transactions', async () => {
+    await request(app).get('/api/mpesa/stream/ws_CO_404').expect(404);
+  });
+});
@@ -0,0 +1,50 @@
+// Shared setup for tests that drive the API against a mocked Daraja.
+// Test files still call jest.mock('axios') themselves, before requiring this.
+const axios = require('axios');
+const mpesaService = require('../../src/services/mpesaService');
+const transactionRepository = require('../../src/repositories/transactionRepository');
+const { setRateLimitStore } = require('../../src/middleware/rateLimit');
+const { MemoryStore, MemoryCounterStore } = require('../../src/stores');
+
+/**
+ * Accept every STK Push
+ * @param {string} checkoutRequestID - Returned for every push, otherwise
+ *   pushes are numbered ws_CO_1, ws_CO_2, ...
+ * @returns {Array} The payloads sent to Daraja, filled as pushes are made
+ */
+function mockDaraja(checkoutRequestID) {
+  const pushes = [];
+
+  axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+  axios.post.mockImplementation(async (url, payload) => {
+    pushes.push(payload);
+    return {
+      data: {
+        MerchantRequestID: `29115-${pushes.length}`,
+        CheckoutRequestID: checkoutRequestID || `ws_CO_${pushes.length}`,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      }
+    };
+  });
+
+  return pushes;
+}
+
+/**
+ * Start a test from a clean slate: no mocks, no cached token, a closed
+ * circuit breaker, no transactions and no rate limit counts
+ */
+async function resetDaraja() {
+  jest.resetAllMocks();
+  await mpesaService.tokenManager.invalidate();
+  mpesaService.daraja.breaker.reset();
+  transactionRepository.setStore(new MemoryStore());
+  setRateLimitStore(new MemoryCounterStore());
+}
+
+module.exports = {
+  mockDaraja,
+  resetDaraja
+};
@@ -0,0 +1,82 @@
+const { TokenManager } = require('../src/services/tokenManager');
+const { MemoryStore } = require('../src/stores');
+
+function createManager(overrides = {}) {
+  let issued = 0;
+  const fetchToken = jest.fn(async () => {
+    issued += 1;
+    return { accessToken: `token-${issued}`, expiresIn: '3599' };
+  });
+
+  return new TokenManager({ key: 'test', fetchToken, cache: null, refreshAheadMs: 5 * 60 * 1000, ...overrides });
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TokenManager', () => {
+  it('collapses concurrent refreshes into one request', async () => {
+    const manager = createManager();
+
+    const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+
+    expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+    expect(manager.fetchToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes in the background shortly before expiry', async () => {
+    const manager = createManager();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    await manager.getToken();
+
+    // 56 minutes in: still valid, but inside the refresh-ahead window
+    now.mockReturnValue(56 * 60 * 1000);
+    await expect(manager.getToken()).resolves.toBe('token-1');
+    await manager.refreshPromise;
+
+    await expect(manager.getToken()).resolves.toBe('token-2');
+    expect(manager.fetchToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares tokens through the cache', async () => {
+    const cache = new MemoryStore();
+    const first = createManager({ cache });
+    const second = createManager({ cache });
+
+    await first.getToken();
+
+    await expect(second.getToken()).resolves.toBe('token-1');
+    expect(second.fetchToken).not.toHaveBeenCalled();
+  });
+
+  it('only clears the shared token it was using', async () => {
+    const cache = new MemoryStore();
+    const manager = createManager({ cache });
+    await manager.getToken();
+    await cache.set('test', { accessToken: 'newer', obtainedAt: Date.now(), expiresAt: Date.now() + 3600000 });
+
+    await manager.invalidate();
+
+    expect((await cache.get('test')).accessToken).toBe('newer');
+    await expect(manager.getToken()).resolves.toBe('newer');
+  });
+
+  it('reports token age and refresh failures', async () => {
+    const manager = createManager();
+    manager.fetchToken.mockRejectedValueOnce(new Error('Failed to authenticate with M-Pesa API'));
+
+    await expect(manager.getToken()).rejects.toThrow('Failed to authenticate');
+    expect(manager.getHealth()).toMatchObject({ hasToken: false, consecutiveFailures: 1, totalFailures: 1 });
+
+    await manager.getToken();
+    expect(manager.getHealth()).toMatchObject({
+      hasToken: true,
+      consecutiveFailures: 0,
+      totalFailures: 1,
+      lastError: 'Failed to authenticate with M-Pesa API'
+    });
+    expect(manager.getHealth().tokenAgeMs).toBeGreaterThanOrEqual(0);
+    expect(manager.getHealth()).not.toHaveProperty('accessToken');
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('axios');
+
+// Callbacks are allow-listed by IP, so route them through a trusted proxy
+process.env.TRUST_PROXY = 'true';
+const SAFARICOM_IP = '196.201.214.200';
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const mpesaService = require('../src/services/mpesaService');
+const { validate } = require('../src/utils/schema');
+const schemas = require('../src/schemas/requestSchemas');
+const callbackSchemas = require('../src/schemas/callbackSchemas');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('validate', () => {
+  it('returns an error for every invalid field', () => {
+    const errors = validate(schemas.stkPush, {
+      phone: '12345',
+      amount: 10.5,
+      accountReference: 'INVOICE-00042',
+      transactionDesc: 'Payment for order 42',
+      transactionType: 'CustomerPayBill'
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['phone', 'amount', 'accountReference', 'transactionDesc', 'transactionType']);
+    expect(errors[1].message).toBe('amount must be a whole number');
+    expect(errors[2].message).toBe('accountReference must be at most 12 characters');
+    expect(errors[3].message).toBe('transactionDesc must be at most 13 characters');
+  });
+
+  it('accepts whole numbers sent as strings but not decimals', () => {
+    expect(validate(schemas.stkPush, { phone: '0712345678', amount: '100' })).toEqual([]);
+    expect(validate(schemas.stkPush, { phone: '0712345678', amount: '100.50' })[0].message).toBe('amount must be a whole number');
+    expect(validate(schemas.stkPush, { phone: '0712345678', amount: 70001 })[0].message).toBe('amount must be at most 70,000');
+  });
+
+  it('reports nested fields by path', () => {
+    const errors = validate(callbackSchemas.stkCallback, {
+      Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0, CallbackMetadata: { Item: [{ Value: 10 }] } } }
+    });
+
+    expect(errors).toEqual([{ field: 'Body.stkCallback.CallbackMetadata.Item[0].Name', message: 'Body.stkCallback.CallbackMetadata.Item[0].Name is required' }]);
+  });
+
+  it('only requires callback metadata for successful payments', () => {
+    const cancelled = { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 1032, ResultDesc: 'Request cancelled by user' } } };
+
+    expect(validate(callbackSchemas.stkCallback, cancelled)).toEqual([]);
+  });
+});
+
+describe('request validation', () => {
+  it('responds with field-level errors before calling Daraja', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/stkpush')
+      .send({ phone: '0712345678', amount: 99.99, accountReference: 'A-VERY-LONG-REFERENCE' })
+      .expect(400);
+
+    expect(response.body).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'amount must be a whole number; accountReference must be at most 12 characters',
+      data: {
+        errors: [
+          { field: 'amount', message: 'amount must be a whole number' },
+          { field: 'accountReference', message: 'accountReference must be at most 12 characters' }
+        ]
+      }
+    });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('validates the bodies of merchant routes', async () => {
+    const link = await request(app).post('/api/mpesa/links').send({ amount: 100, description: 'A description that is too long' }).expect(400);
+    expect(link.body.data.errors).toEqual([{ field: 'description', message: 'description must be at most 13 characters' }]);
+
+    const webhook = await request(app).post('/api/mpesa/webhooks').send({ url: 'ftp://example.com', events: ['payment.refunded'] }).expect(400);
+    expect(webhook.body.data.errors.map(error => error.field)).toEqual(['url', 'events[0]']);
+
+    const reversal = await request(app).post('/api/mpesa/reversal').send({ receiptNumber: 'bad', amount: 0 }).expect(400);
+    expect(reversal.body.data.errors.map(error => error.field)).toEqual(['receiptNumber', 'amount']);
+  });
+});
+
+describe('callback validation', () => {
+  it('acknowledges a malformed result without processing it', async () => {
+    const spy = jest.spyOn(mpesaService, 'processB2CResult');
+
+    const response = await request(app)
+      .post('/api/mpesa/b2c/result')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ Result: { ResultCode: 0 } })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      success: false,
+      data: { errors: [{ field: 'Result.OriginatorConversationID' }] }
+    });
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('rejects a malformed C2B validation request in the format Safaricom expects', async () => {
+    const response = await request(app)
+      .post('/api/mpesa/c2b/validation')
+      .set('X-Forwarded-For', SAFARICOM_IP)
+      .send({ TransAmount: 'ten', BusinessShortCode: '600000', MSISDN: '254712345678' })
+      .expect(200);
+
+    expect(response.body).toEqual({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  });
+});
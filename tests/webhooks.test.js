@@ -0,0 +1,67 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const { MpesaService } = require('../src/services/mpesaService');
+const webhookService = require('../src/services/webhookService');
+const webhookRepository = require('../src/repositories/webhookRepository');
+const tenantRegistry = require('../src/services/tenantRegistry');
+const { normalizeTenant } = require('../src/config/tenants');
+const { MemoryStore } = require('../src/stores');
+
+const OTHER_API_KEY = 'other-tenant-key';
+
+tenantRegistry.register(new MpesaService(normalizeTenant({
+  id: 'other',
+  baseUrl: 'https://daraja.test',
+  businessShortCode: '600999'
+})), OTHER_API_KEY);
+
+async function subscribe(apiKey, url) {
+  const req = request(app).post('/api/mpesa/webhooks');
+  if (apiKey) {
+    req.set('X-API-Key', apiKey);
+  }
+  return (await req.send({ url, events: ['payment.succeeded'] }).expect(201)).body.data;
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  axios.post.mockResolvedValue({ status: 200 });
+  webhookRepository.setStores(new MemoryStore(), new MemoryStore());
+});
+
+describe('webhook tenants', () => {
+  it('only delivers events to the tenant the payment belongs to', async () => {
+    const ours = await subscribe(null, 'https://merchant.example.com/hooks');
+    const theirs = await subscribe(OTHER_API_KEY, 'https://other.example.com/hooks');
+
+    expect(ours.tenantId).toBe('default');
+    expect(theirs.tenantId).toBe('other');
+
+    await webhookService.emit('payment.succeeded', 'ws_CO_1', { phone: '254712345678', amount: 10 }, 'default');
+
+    const deliveries = await webhookRepository.listDeliveries();
+    expect(deliveries.map(delivery => [delivery.subscriptionId, delivery.tenantId])).toEqual([[ours.id, 'default']]);
+  });
+
+  it('scopes subscriptions and deliveries to the API key', async () => {
+    const ours = await subscribe(null, 'https://merchant.example.com/hooks');
+    await webhookService.emit('payment.succeeded', 'ws_CO_1', { amount: 10 }, 'default');
+    const [delivery] = await webhookRepository.listDeliveries();
+
+    const other = request(app);
+    const subscriptions = await other.get('/api/mpesa/webhooks').set('X-API-Key', OTHER_API_KEY).expect(200);
+    expect(subscriptions.body.data).toEqual([]);
+
+    const deliveries = await other.get('/api/mpesa/webhooks/deliveries').set('X-API-Key', OTHER_API_KEY).expect(200);
+    expect(deliveries.body.data).toEqual([]);
+
+    await other.post(`/api/mpesa/webhooks/deliveries/${delivery.id}/replay`).set('X-API-Key', OTHER_API_KEY).expect(404);
+    await other.delete(`/api/mpesa/webhooks/${ours.id}`).set('X-API-Key', OTHER_API_KEY).expect(404);
+
+    await expect(webhookRepository.findSubscription(ours.id)).resolves.not.toBeNull();
+    await request(app).delete(`/api/mpesa/webhooks/${ours.id}`).expect(200);
+  });
+});